@@ -4,13 +4,15 @@ import * as authController from "../api/controllers/authController.js";
 
 const router = express.Router();
 
-// User endpoint - requires authentication
-router.get("/me", authController.protect, affiliateController.getAffiliateDashboard);
+// Affiliate earnings and payouts need a logged in session, not an API key
+router.use(authController.protect, authController.requireSession);
 
-// Admin endpoint - requires authentication + admin role
+// User endpoint
+router.get("/me", affiliateController.getAffiliateDashboard);
+
+// Admin endpoint - requires admin role
 router.post(
   "/payout",
-  authController.protect,
   authController.restrictTo("admin"),
   affiliateController.markPayoutsAsPaid
 );
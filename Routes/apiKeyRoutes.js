@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  createApiKey,
+  getMyApiKeys,
+  updateApiKey,
+  revokeApiKey,
+} from "../api/controllers/apiKeyController.js";
+import { protect, requireSession } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+// Keys can only be managed from a logged in session, never with another key
+router.use(protect, requireSession);
+
+router.route("/").get(getMyApiKeys).post(createApiKey);
+router.route("/:id").patch(updateApiKey).delete(revokeApiKey);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+import {
+  uploadCampaignCsv,
+  createCampaign,
+  getMyCampaigns,
+  getCampaign,
+  downloadCampaignResults,
+} from "../api/controllers/campaignController.js";
+import { protect, requireScope } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+const canRead = requireScope("read");
+const canSubmit = requireScope("submit");
+
+router
+  .route("/")
+  .get(canRead, getMyCampaigns)
+  .post(canSubmit, uploadCampaignCsv, createCampaign);
+router.get("/:campaignId", canRead, getCampaign);
+router.get("/:campaignId/download", canRead, downloadCampaignResults);
+
+export default router;
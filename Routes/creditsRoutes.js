@@ -8,10 +8,11 @@ import {
   getJobStatus,
   getCreditAllocationInfo,
   getCreditHistory,
+  reconcileCredits,
   downgradeUser,
   updateSubscriptionStatus,
 } from "../api/controllers/creditsController.js";
-import { protect } from "../api/controllers/authController.js";
+import { protect, requireScope, requireSession } from "../api/controllers/authController.js";
 
 const router = express.Router();
 
@@ -19,17 +20,20 @@ const router = express.Router();
 router.use(protect);
 
 // User routes
-router.get("/status", getCreditStatus);
-router.post("/check", checkCredits);
-router.get("/allocation-info", getCreditAllocationInfo);
-router.get("/history", getCreditHistory);
+const canRead = requireScope("read");
+router.get("/status", canRead, getCreditStatus);
+router.post("/check", canRead, checkCredits);
+router.get("/allocation-info", canRead, getCreditAllocationInfo);
+router.get("/history", canRead, getCreditHistory);
 
-// Admin routes
+// Admin routes, never through an API key
+router.use(requireSession);
 router.post("/allocate", allocateCredits);
 router.post("/trigger-monthly", triggerMonthlyAllocation);
 router.post("/trigger-reset", triggerMonthlyReset);
 router.get("/job-status", getJobStatus);
 router.post("/downgrade", downgradeUser);
 router.post("/subscription-status", updateSubscriptionStatus);
+router.get("/reconcile", reconcileCredits);
 
 export default router;
@@ -0,0 +1,39 @@
+import express from "express";
+import {
+  createCrmConnection,
+  getMyCrmConnections,
+  getCrmConnection,
+  updateCrmConnection,
+  deleteCrmConnection,
+  testCrmConnection,
+  pushJobToCrm,
+  getCrmPushes,
+  getCrmPush,
+} from "../api/controllers/crmConnectionController.js";
+import { protect, requireScope } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+const canRead = requireScope("read");
+const canSubmit = requireScope("submit");
+
+// Push log (before "/:id" so "pushes" is not taken as a connection ID)
+router.get("/pushes", canRead, getCrmPushes);
+router.get("/pushes/:pushId", canRead, getCrmPush);
+
+// Connections
+router
+  .route("/")
+  .get(canRead, getMyCrmConnections)
+  .post(canSubmit, createCrmConnection);
+router
+  .route("/:id")
+  .get(canRead, getCrmConnection)
+  .patch(canSubmit, updateCrmConnection)
+  .delete(canSubmit, deleteCrmConnection);
+router.post("/:id/test", canSubmit, testCrmConnection);
+router.post("/:id/push", canSubmit, pushJobToCrm);
+
+export default router;
@@ -7,7 +7,7 @@ import {
 
 const router = express.Router();
 
-router.use(authController.protect);
+router.use(authController.protect, authController.requireSession);
 
 router.post("/subscriptions", createSubscription);
 router.patch("/subscriptions/:subscriptionId", cancelSubscription);
@@ -0,0 +1,25 @@
+import express from "express";
+import {
+  uploadEmailList,
+  createVerification,
+  getMyVerifications,
+  getVerification,
+  downloadVerificationResults,
+} from "../api/controllers/emailVerificationController.js";
+import { protect, requireScope } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+const canRead = requireScope("read");
+const canSubmit = requireScope("submit");
+
+router
+  .route("/")
+  .get(canRead, getMyVerifications)
+  .post(canSubmit, uploadEmailList, createVerification);
+router.get("/:id", canRead, getVerification);
+router.get("/:id/download", canRead, downloadVerificationResults);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  createExportTemplate,
+  getMyExportTemplates,
+  getExportTemplate,
+  updateExportTemplate,
+  deleteExportTemplate,
+} from "../api/controllers/exportTemplateController.js";
+import { protect, requireScope } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+const canRead = requireScope("read");
+const canSubmit = requireScope("submit");
+
+router
+  .route("/")
+  .get(canRead, getMyExportTemplates)
+  .post(canSubmit, createExportTemplate);
+router
+  .route("/:id")
+  .get(canRead, getExportTemplate)
+  .patch(canSubmit, updateExportTemplate)
+  .delete(canSubmit, deleteExportTemplate);
+
+export default router;
@@ -7,12 +7,12 @@ import {
   deleteFeedback,
   getSatisfactionAnalytics,
 } from "../api/controllers/feedbackController.js";
-import { protect } from "../api/controllers/authController.js";
+import { protect, requireSession } from "../api/controllers/authController.js";
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require a logged in session
+router.use(protect, requireSession);
 
 // User routes
 router.route("/").post(createFeedback);
@@ -0,0 +1,45 @@
+import express from "express";
+import {
+  getConnectUrl,
+  handleOAuthCallback,
+  getConnection,
+  deleteConnection,
+  createDestination,
+  getMyDestinations,
+  getDestination,
+  updateDestination,
+  deleteDestination,
+  exportJobToSheet,
+} from "../api/controllers/googleSheetsController.js";
+import { protect, requireScope } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+// Google redirects the browser here; the user is identified by the signed state
+router.get("/oauth/callback", handleOAuthCallback);
+
+router.use(protect);
+
+const canRead = requireScope("read");
+const canSubmit = requireScope("submit");
+
+// Google account
+router.get("/connect", canSubmit, getConnectUrl);
+router
+  .route("/connection")
+  .get(canRead, getConnection)
+  .delete(canSubmit, deleteConnection);
+
+// Destinations
+router
+  .route("/destinations")
+  .get(canRead, getMyDestinations)
+  .post(canSubmit, createDestination);
+router
+  .route("/destinations/:id")
+  .get(canRead, getDestination)
+  .patch(canSubmit, updateDestination)
+  .delete(canSubmit, deleteDestination);
+router.post("/destinations/:id/export", canSubmit, exportJobToSheet);
+
+export default router;
@@ -6,7 +6,7 @@ import socketService from "../services/socket.service.js";
 const router = express.Router();
 
 // Protect all routes
-router.use(authController.protect);
+router.use(authController.protect, authController.requireScope("read"));
 
 /**
  * Get active jobs for the current user
@@ -21,7 +21,7 @@ router.get(
 
     const activeJobs = await Job.find({
       userId: userId,
-      status: { $in: ["waiting", "active", "delayed"] },
+      status: { $in: ["pending", "waiting", "active", "delayed"] },
     }).select("jobId status progress metrics startedAt createdAt jobParams");
 
     // Add runtime information
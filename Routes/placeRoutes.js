@@ -0,0 +1,12 @@
+import express from "express";
+import { getMyPlaces, getPlace } from "../api/controllers/placeController.js";
+import { protect, requireScope } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+router.use(protect, requireScope("read"));
+
+router.get("/", getMyPlaces);
+router.get("/:id", getPlace);
+
+export default router;
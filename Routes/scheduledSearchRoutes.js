@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  createSchedule,
+  getMySchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+  runScheduleNow,
+  getScheduleRuns,
+} from "../api/controllers/scheduledSearchController.js";
+import { protect, requireScope } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+const canRead = requireScope("read");
+const canSubmit = requireScope("submit");
+
+router
+  .route("/")
+  .get(canRead, getMySchedules)
+  .post(canSubmit, createSchedule);
+router
+  .route("/:id")
+  .get(canRead, getSchedule)
+  .patch(canSubmit, updateSchedule)
+  .delete(canSubmit, deleteSchedule);
+router.post("/:id/run", canSubmit, runScheduleNow);
+router.get("/:id/runs", canRead, getScheduleRuns);
+
+export default router;
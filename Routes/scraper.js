@@ -8,16 +8,21 @@ const router = express.Router();
 // Protect all routes
 router.use(authController.protect);
 
+const canRead = authController.requireScope("read");
+const canSubmit = authController.requireScope("submit");
+
 // Job management routes
-router.get("/dashboard", jobController.getUserDashboard);
-router.get("/jobs", jobController.getUserJobs);
-router.get("/:jobId", jobController.getJobDetails);
-router.delete("/delete/:jobId", jobController.deleteJob);
-router.get("/:jobId/download", jobController.downloadJobResultCSV);
+router.get("/dashboard", canRead, jobController.getUserDashboard);
+router.get("/jobs", canRead, jobController.getUserJobs);
+router.get("/:jobId", canRead, jobController.getJobDetails);
+router.delete("/delete/:jobId", canSubmit, jobController.deleteJob);
+router.get("/:jobId/results", canRead, jobController.getJobResults);
+router.get("/:jobId/download", canRead, jobController.downloadJobResults);
 
 // Scraping routes
-router.post("/scrape", scrapeController.scrapeData);
-router.get("/status/:jobId", scrapeController.getJobStatus);
-router.post("/kill/:jobId", jobController.killJob);
+router.post("/scrape", canSubmit, scrapeController.scrapeData);
+router.post("/scrape/estimate", canRead, scrapeController.estimateScrape);
+router.get("/status/:jobId", canRead, scrapeController.getJobStatus);
+router.post("/kill/:jobId", canSubmit, jobController.killJob);
 
 export default router;
@@ -61,8 +61,12 @@ router.post("/resendVerificationEmail", authController.resendVerificationEmail);
 // Protect all routes after this middleware
 router.use(authController.protect);
 
+router.get("/me", authController.requireScope("read"), userController.getMeWithStats);
+
+// Account changes need a logged in session; API keys stop here
+router.use(authController.requireSession);
+
 router.patch("/updateMyPassword", authController.updatePassword);
-router.get("/me", userController.getMeWithStats);
 router.patch(
   "/updateMe",
   userController.uploadUserPhoto,
@@ -0,0 +1,37 @@
+import express from "express";
+import {
+  createWebhookEndpoint,
+  getMyWebhookEndpoints,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  replayWebhookDelivery,
+} from "../api/controllers/webhookEndpointController.js";
+import { protect, requireScope } from "../api/controllers/authController.js";
+
+const router = express.Router();
+
+router.use(protect);
+
+const canRead = requireScope("read");
+const canSubmit = requireScope("submit");
+
+// Delivery log (before "/:id" so "deliveries" is not taken as an endpoint ID)
+router.get("/deliveries", canRead, getWebhookDeliveries);
+router.get("/deliveries/:deliveryId", canRead, getWebhookDelivery);
+router.post("/deliveries/:deliveryId/replay", canSubmit, replayWebhookDelivery);
+
+// Endpoints
+router
+  .route("/")
+  .get(canRead, getMyWebhookEndpoints)
+  .post(canSubmit, createWebhookEndpoint);
+router
+  .route("/:id")
+  .patch(canSubmit, updateWebhookEndpoint)
+  .delete(canSubmit, deleteWebhookEndpoint);
+router.post("/:id/rotate-secret", canSubmit, rotateWebhookSecret);
+
+export default router;
@@ -0,0 +1,200 @@
+import ApiKey, { API_KEY_SCOPES } from "../../models/apiKeyModel.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import logger from "../../services/logger.js";
+
+const MAX_ACTIVE_KEYS_PER_USER = 10;
+
+const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(", ")}`;
+  }
+  const invalid = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (invalid.length > 0) {
+    return `Invalid scopes: ${invalid.join(", ")}. Allowed: ${API_KEY_SCOPES.join(", ")}`;
+  }
+  return null;
+};
+
+// The key's own budget may not exceed what the owner's plan allows
+const validateRateLimit = (rateLimitPerHour, user) => {
+  const max = user.getApiKeyRateLimit();
+  if (!Number.isInteger(rateLimitPerHour) || rateLimitPerHour < 1 || rateLimitPerHour > max) {
+    return `rateLimitPerHour must be a whole number between 1 and ${max} on the ${user.plan} plan`;
+  }
+  return null;
+};
+
+// Never expose the hashed secret, even though it is select: false by default
+const toSafeApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  rateLimitPerHour: apiKey.rateLimitPerHour,
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  isActive: apiKey.isActive,
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * Create a new API key. The raw key is only returned in this response.
+ * POST /api/v1/api-keys
+ * Body: { name: string, scopes?: string[], rateLimitPerHour?: number, expiresAt?: date }
+ */
+export const createApiKey = catchAsync(async (req, res, next) => {
+  const { name, scopes = ["read"], rateLimitPerHour, expiresAt } = req.body;
+
+  if (!name || String(name).trim().length === 0) {
+    return next(new AppError("API key name is required", 400));
+  }
+
+  const scopeError = validateScopes(scopes);
+  if (scopeError) {
+    return next(new AppError(scopeError, 400));
+  }
+
+  if (rateLimitPerHour !== undefined) {
+    const rateLimitError = validateRateLimit(rateLimitPerHour, req.user);
+    if (rateLimitError) {
+      return next(new AppError(rateLimitError, 400));
+    }
+  }
+
+  if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+    return next(new AppError("expiresAt must be a valid date", 400));
+  }
+
+  const activeKeys = await ApiKey.countDocuments({
+    userId: req.user.id,
+    revokedAt: null,
+  });
+  if (activeKeys >= MAX_ACTIVE_KEYS_PER_USER) {
+    return next(
+      new AppError(
+        `You can have at most ${MAX_ACTIVE_KEYS_PER_USER} active API keys. Revoke one first.`,
+        409
+      )
+    );
+  }
+
+  const { rawKey, prefix, hashedKey } = ApiKey.generateKey();
+
+  const apiKey = await ApiKey.create({
+    userId: req.user.id,
+    name: String(name).trim(),
+    prefix,
+    hashedKey,
+    scopes: [...new Set(scopes)],
+    rateLimitPerHour,
+    expiresAt: expiresAt ? new Date(expiresAt) : null,
+  });
+
+  logger.info("API_KEY_CREATED", "API key created", {
+    userId: req.user.id,
+    keyId: apiKey._id.toString(),
+    prefix,
+    scopes: apiKey.scopes,
+  });
+
+  res.status(201).json({
+    status: "success",
+    message: "Store this key now - it will not be shown again.",
+    data: {
+      apiKey: { ...toSafeApiKey(apiKey), key: rawKey },
+    },
+  });
+});
+
+/**
+ * List the current user's API keys (active and revoked)
+ * GET /api/v1/api-keys
+ */
+export const getMyApiKeys = catchAsync(async (req, res, next) => {
+  const apiKeys = await ApiKey.find({ userId: req.user.id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: apiKeys.length,
+    data: {
+      apiKeys: apiKeys.map(toSafeApiKey),
+    },
+  });
+});
+
+/**
+ * Update name, scopes or rate limit of an API key
+ * PATCH /api/v1/api-keys/:id
+ */
+export const updateApiKey = catchAsync(async (req, res, next) => {
+  const { name, scopes, rateLimitPerHour } = req.body;
+
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!apiKey) {
+    return next(new AppError("No API key found with that ID", 404));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new AppError("Revoked API keys cannot be updated", 400));
+  }
+
+  if (scopes !== undefined) {
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return next(new AppError(scopeError, 400));
+    }
+    apiKey.scopes = [...new Set(scopes)];
+  }
+
+  if (rateLimitPerHour !== undefined) {
+    const rateLimitError = validateRateLimit(rateLimitPerHour, req.user);
+    if (rateLimitError) {
+      return next(new AppError(rateLimitError, 400));
+    }
+    apiKey.rateLimitPerHour = rateLimitPerHour;
+  }
+
+  if (name !== undefined) apiKey.name = String(name).trim();
+
+  await apiKey.save();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      apiKey: toSafeApiKey(apiKey),
+    },
+  });
+});
+
+/**
+ * Revoke an API key. Revoked keys stay listed for auditing.
+ * DELETE /api/v1/api-keys/:id
+ */
+export const revokeApiKey = catchAsync(async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!apiKey) {
+    return next(new AppError("No API key found with that ID", 404));
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save({ validateBeforeSave: false });
+
+    logger.info("API_KEY_REVOKED", "API key revoked", {
+      userId: req.user.id,
+      keyId: apiKey._id.toString(),
+      prefix: apiKey.prefix,
+    });
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      apiKey: toSafeApiKey(apiKey),
+    },
+  });
+});
@@ -3,12 +3,15 @@ import crypto from "crypto";
 import User from "./../../models/userModel.js";
 import catchAsync from "./../../utils/catchAsync.js";
 import jwt from "jsonwebtoken";
+import rateLimit from "express-rate-limit";
+import ApiKey from "./../../models/apiKeyModel.js";
 import AppError from "./../../utils/appError.js";
 import sendEmail from "./../../utils/email.js";
 import { decodeReferralCode } from "./../../utils/referralCode.js";
 import logger from "./../../services/logger.js";
 
 const AUTH_COOKIE_NAME = "jwt";
+const API_KEY_HEADER = "x-api-key";
 
 // Maps request keys (body/query) to acquisition schema keys (camelCase)
 const ACQUISITION_KEYS = [
@@ -324,7 +327,113 @@ export const resendVerificationEmail = catchAsync(async (req, res, next) => {
   });
 });
 
+const getApiKeyFromRequest = (req) => {
+  const headerKey = req.headers[API_KEY_HEADER];
+  if (headerKey) return headerKey;
+
+  if (req.headers.authorization?.startsWith("Bearer")) {
+    const bearer = req.headers.authorization.split(" ")[1];
+    if (ApiKey.looksLikeApiKey(bearer)) return bearer;
+  }
+  return null;
+};
+
+const findApiKeyWithOwner = async (rawKey) => {
+  const apiKey = await ApiKey.findActiveByRawKey(rawKey);
+  if (!apiKey) return null;
+  return { apiKey, user: await User.findById(apiKey.userId) };
+};
+
+/**
+ * The request's API key and its owner, looked up once per request and
+ * shared by rateLimitRequests and protect
+ * @param {Object} req - Express request
+ * @returns {Promise<{ apiKey: Object, user: Object|null }|null>} null when
+ *   the request carries no usable key
+ */
+const resolveApiKey = (req) => {
+  if (!req.apiKeyLookup) {
+    const rawKey = getApiKeyFromRequest(req);
+    req.apiKeyLookup = rawKey ? findApiKeyWithOwner(rawKey) : Promise.resolve(null);
+  }
+  return req.apiKeyLookup;
+};
+
+// Each API key gets its own budget, configured on the key and capped by the
+// owner's plan (which may have changed since the key was set up)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  limit: async (req) => {
+    const { apiKey, user } = await resolveApiKey(req);
+    return Math.min(apiKey.rateLimitPerHour, user.getApiKeyRateLimit());
+  },
+  keyGenerator: async (req) => `apikey:${(await resolveApiKey(req)).apiKey._id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    status: "fail",
+    message: "API key rate limit exceeded. Please slow down and retry later.",
+  },
+});
+
+/**
+ * Rate limit every API request once: requests with a valid API key count
+ * against the key, everything else against ipLimiter
+ * @param {Function} ipLimiter - express-rate-limit middleware
+ * @returns {Function} Middleware
+ */
+export const rateLimitRequests = (ipLimiter) =>
+  catchAsync(async (req, res, next) => {
+    const auth = await resolveApiKey(req);
+    if (auth?.user) return apiKeyLimiter(req, res, next);
+    return ipLimiter(req, res, next);
+  });
+
+// Requests are already counted against the key by rateLimitRequests
+const protectWithApiKey = async (req, res, next) => {
+  const auth = await resolveApiKey(req);
+
+  if (!auth) {
+    logger.warn("AUTH_API_KEY_REJECTED", "Invalid, revoked or expired API key", {
+      ip: req.ip,
+    });
+    return next(new AppError("Invalid or revoked API key.", 401));
+  }
+
+  const { apiKey, user } = auth;
+  if (!user) {
+    return next(
+      new AppError("The user belonging to this API key no longer exists.", 401)
+    );
+  }
+
+  // Fire-and-forget: a failed timestamp write must not block the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { lastUsedAt: new Date(), lastUsedIp: req.ip }
+  ).catch((err) =>
+    logger.warn("AUTH_API_KEY_TOUCH_FAILED", "Could not update lastUsedAt", {
+      keyId: apiKey._id.toString(),
+      error: err.message,
+    })
+  );
+
+  req.user = user;
+  req.apiKey = apiKey;
+
+  next();
+};
+
 export const protect = catchAsync(async (req, res, next) => {
+  // Routers mounted on the same prefix each run protect; authenticate only
+  // once per request
+  if (req.apiKey) return next();
+
+  // API keys are used by server-to-server integrations
+  if (getApiKeyFromRequest(req)) {
+    return protectWithApiKey(req, res, next);
+  }
+
   // checking token if its there
 
   let token;
@@ -346,6 +455,10 @@ export const protect = catchAsync(async (req, res, next) => {
 
   // verify token
   const decoded = await promisify(jwt.verify)(token, process.env.JWT_SECRET);
+  // Only login tokens are sessions; tokens issued for another purpose are not
+  if (decoded.purpose) {
+    return next(new AppError("Invalid token. Please log in again.", 401));
+  }
   //check if user still exist
   const freshUser = await User.findById(decoded.id);
 
@@ -370,6 +483,30 @@ export const protect = catchAsync(async (req, res, next) => {
   next();
 });
 
+// Only applies to API key requests - login sessions can do everything the user can
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return next(
+        new AppError(`This API key is missing the "${scope}" scope.`, 403)
+      );
+    }
+
+    next();
+  };
+};
+
+// Blocks API keys from account management (e.g. minting more keys)
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return next(
+      new AppError("This action requires a logged in session, not an API key.", 403)
+    );
+  }
+
+  next();
+};
+
 export const restrictTo = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
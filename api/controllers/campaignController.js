@@ -0,0 +1,483 @@
+import multer from "multer";
+import Campaign from "../../models/campaignModel.js";
+import ExportTemplate from "../../models/exportTemplateModel.js";
+import Job from "../../models/jobModel.js";
+import User from "../../models/userModel.js";
+import jobConcurrencyService, {
+  MAX_PENDING_JOBS_PER_USER,
+} from "../../services/jobConcurrency.service.js";
+import {
+  validateScrapeParams,
+  estimateCreditsForRecords,
+  checkPlanRecordLimit,
+  checkSufficientCredits,
+} from "../../utils/scrapeParams.js";
+import { parseCsv } from "../../utils/csvParser.js";
+import { sendResults, dedupeResultStream, EXPORT_FORMATS } from "../../utils/resultExport.js";
+import { createTemplateFormatter } from "../../utils/exportTemplate.js";
+import { iterateJobResults } from "../../services/jobResults.service.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+// Upper bound on child jobs a single campaign can create. Every child starts
+// out pending, so a campaign can never be larger than the pending line.
+const MAX_JOBS_PER_CAMPAIGN = Math.min(
+  Number(process.env.MAX_JOBS_PER_CAMPAIGN || MAX_PENDING_JOBS_PER_USER),
+  MAX_PENDING_JOBS_PER_USER
+);
+const MAX_CSV_SIZE_BYTES = 1024 * 1024;
+const CSV_REQUIRED_COLUMNS = ["keyword", "countryCode"];
+
+// Jobs that will not change any more
+const FINISHED_JOB_STATUSES = ["completed", "failed", "data_not_found", "stuck_timeout"];
+// Finished jobs with results to download (stuck_timeout keeps what was found)
+const RESULT_JOB_STATUSES = ["completed", "stuck_timeout"];
+
+const multerFilter = (req, file, cb) => {
+  if (
+    file.mimetype === "text/csv" ||
+    file.mimetype === "application/vnd.ms-excel" ||
+    file.originalname.toLowerCase().endsWith(".csv")
+  ) {
+    cb(null, true);
+  } else {
+    cb(new AppError("Not a CSV file! Please upload a .csv file.", 400), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: multerFilter,
+  limits: { fileSize: MAX_CSV_SIZE_BYTES },
+});
+
+export const uploadCampaignCsv = upload.single("file");
+
+// Multipart fields arrive as strings, so options may be sent as a JSON string
+const parseOptions = (options) => {
+  if (!options) return {};
+  if (typeof options === "object") return options;
+  try {
+    return JSON.parse(options);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Keyword x location matrix from a JSON body
+const rowsFromMatrix = (keywords, locations) => {
+  const rows = [];
+  for (const keyword of keywords) {
+    for (const location of locations) {
+      rows.push({
+        keyword,
+        city: location?.city ?? null,
+        stateCode: location?.stateCode ?? null,
+        countryCode: location?.countryCode,
+      });
+    }
+  }
+  return rows;
+};
+
+// One row per CSV line; maxRecords is optional per row
+const rowsFromCsv = (records) =>
+  records.map((record) => ({
+    keyword: record.keyword,
+    city: record.city || null,
+    stateCode: record.stateCode || null,
+    countryCode: record.countryCode,
+    ...(record.maxRecords && { maxRecords: Number(record.maxRecords) }),
+  }));
+
+// The same search twice in one campaign would only cost credits twice
+const dedupeRows = (rows) => {
+  const seen = new Set();
+  return rows.filter((row) => {
+    const key = [row.keyword, row.city, row.stateCode, row.countryCode]
+      .map((value) => String(value ?? "").trim().toLowerCase())
+      .join("|");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Undo a campaign whose children could not all be submitted. Children are
+ * still pending (nothing is promoted until every submit succeeded), so they
+ * are deleted and their credits given back.
+ * @param {Object} campaign - Campaign document
+ * @param {Object[]} children - Job documents created so far
+ * @param {Object} user - User document the children were charged to
+ */
+const rollbackCampaign = async (campaign, children, user) => {
+  for (const child of children) {
+    await Job.deleteOne({ _id: child._id });
+    const refund = child.metrics?.creditsUsed || 0;
+    if (refund > 0) {
+      await user.refundCredits(refund, {
+        reason: "campaign_submit_failed",
+        jobId: child.jobId,
+      });
+    }
+  }
+  await Campaign.deleteOne({ _id: campaign._id });
+};
+
+/**
+ * Aggregate child job progress for one or more campaigns
+ * @param {ObjectId[]} campaignIds
+ * @returns {Promise<Map<string, Object>>} Summary per campaign ID
+ */
+const summarizeCampaigns = async (campaignIds) => {
+  const groups = await Job.aggregate([
+    { $match: { campaignId: { $in: campaignIds } } },
+    {
+      $group: {
+        _id: { campaignId: "$campaignId", status: "$status" },
+        count: { $sum: 1 },
+        progress: { $sum: "$progress.percentage" },
+        totalExtractions: { $sum: "$metrics.totalExtractions" },
+        creditsUsed: { $sum: "$metrics.creditsUsed" },
+        creditsRefunded: { $sum: "$metrics.creditsRefunded" },
+      },
+    },
+  ]);
+
+  const summaries = new Map();
+  for (const group of groups) {
+    const id = group._id.campaignId.toString();
+    const summary = summaries.get(id) || {
+      jobs: 0,
+      statusCounts: {},
+      progressSum: 0,
+      totalExtractions: 0,
+      creditsUsed: 0,
+      creditsRefunded: 0,
+    };
+    const finished = FINISHED_JOB_STATUSES.includes(group._id.status);
+
+    summary.jobs += group.count;
+    summary.statusCounts[group._id.status] = group.count;
+    // Finished jobs count as 100% even when they stopped early
+    summary.progressSum += finished ? group.count * 100 : group.progress;
+    summary.totalExtractions += group.totalExtractions;
+    summary.creditsUsed += group.creditsUsed;
+    summary.creditsRefunded += group.creditsRefunded;
+    summaries.set(id, summary);
+  }
+  return summaries;
+};
+
+const deriveStatus = (statusCounts, totalJobs) => {
+  const count = (...statuses) =>
+    statuses.reduce((sum, status) => sum + (statusCounts[status] || 0), 0);
+
+  const finished = count(...FINISHED_JOB_STATUSES);
+  if (totalJobs === 0 || finished < totalJobs) {
+    return count("waiting", "active", "delayed") > 0 || finished > 0 ? "running" : "pending";
+  }
+  return count(...RESULT_JOB_STATUSES) > 0 ? "completed" : "failed";
+};
+
+const toCampaignResponse = (campaign, summary) => {
+  const statusCounts = summary?.statusCounts || {};
+  const totalJobs = summary?.jobs || 0;
+
+  return {
+    id: campaign._id,
+    name: campaign.name,
+    source: campaign.source,
+    options: campaign.options,
+    status: deriveStatus(statusCounts, totalJobs),
+    totalJobs,
+    statusCounts,
+    progress: {
+      percentage: totalJobs ? Math.round(summary.progressSum / totalJobs) : 0,
+    },
+    totalExtractions: summary?.totalExtractions || 0,
+    credits: {
+      estimated: campaign.estimatedCredits,
+      used: summary?.creditsUsed || 0,
+      refunded: summary?.creditsRefunded || 0,
+    },
+    createdAt: campaign.createdAt,
+  };
+};
+
+/**
+ * Submit a bulk batch of scrape jobs grouped under one campaign.
+ * POST /api/v1/campaigns
+ * JSON body: { name, keywords: string[], locations: [{ city?, stateCode?, countryCode }], options? }
+ * Multipart body: file (CSV with keyword, city, stateCode, countryCode, maxRecords? columns), name, options?
+ * options takes the same fields as POST /api/v1/scrape (maxRecords, ratingFilter, isExtractEmail, ...)
+ */
+export const createCampaign = catchAsync(async (req, res, next) => {
+  const { name, keywords, locations } = req.body;
+  const options = parseOptions(req.body.options);
+
+  if (!name) {
+    return next(new AppError("Campaign name is required", 400));
+  }
+  if (options === null) {
+    return next(new AppError("options must be a JSON object", 400));
+  }
+
+  let source;
+  let rows;
+  if (req.file) {
+    const { headers, records } = parseCsv(req.file.buffer.toString("utf8"));
+    const missing = CSV_REQUIRED_COLUMNS.filter((column) => !headers.includes(column));
+    if (missing.length > 0) {
+      return next(new AppError(`CSV is missing required columns: ${missing.join(", ")}`, 400));
+    }
+    source = "csv";
+    rows = rowsFromCsv(records);
+  } else {
+    if (!Array.isArray(keywords) || keywords.length === 0) {
+      return next(new AppError("keywords must be a non-empty array", 400));
+    }
+    if (!Array.isArray(locations) || locations.length === 0) {
+      return next(new AppError("locations must be a non-empty array", 400));
+    }
+    // Checked before the cross product is built, so a huge matrix costs nothing
+    const searchCount = keywords.length * locations.length;
+    if (searchCount > MAX_JOBS_PER_CAMPAIGN) {
+      return next(
+        new AppError(
+          `A campaign can contain at most ${MAX_JOBS_PER_CAMPAIGN} searches (got ${searchCount}).`,
+          400
+        )
+      );
+    }
+    source = "matrix";
+    rows = rowsFromMatrix(keywords, locations);
+  }
+
+  rows = dedupeRows(rows);
+  if (rows.length === 0) {
+    return next(new AppError("The campaign does not contain any searches", 400));
+  }
+  if (rows.length > MAX_JOBS_PER_CAMPAIGN) {
+    return next(
+      new AppError(
+        `A campaign can contain at most ${MAX_JOBS_PER_CAMPAIGN} searches (got ${rows.length}).`,
+        400
+      )
+    );
+  }
+
+  const user = await User.findById(req.user.id);
+
+  // Validate every row up front so a bad row does not leave a half-created campaign
+  const jobParamsList = [];
+  for (const [index, row] of rows.entries()) {
+    const validation = validateScrapeParams({ ...options, ...row }, { userId: req.user.id });
+    const error =
+      (!validation.ok && validation) ||
+      checkPlanRecordLimit(user, validation.jobParams.maxRecords);
+    if (error) {
+      return res.status(error.status).json({
+        ...error.body,
+        row: index + 1,
+        search: row,
+      });
+    }
+    jobParamsList.push(validation.jobParams);
+  }
+
+  const estimatedCredits = jobParamsList.reduce(
+    (sum, jobParams) => sum + estimateCreditsForRecords(jobParams.maxRecords),
+    0
+  );
+
+  const creditsError = checkSufficientCredits(user, estimatedCredits);
+  if (creditsError) {
+    return res.status(creditsError.status).json(creditsError.body);
+  }
+
+  const pendingJobsCount = await Job.countDocuments({
+    userId: req.user.id,
+    status: "pending",
+  });
+  if (pendingJobsCount + jobParamsList.length > MAX_PENDING_JOBS_PER_USER) {
+    return res.status(429).json({
+      error: "Pending job limit exceeded",
+      message: `This campaign would put more than ${MAX_PENDING_JOBS_PER_USER} jobs in your waiting line. Please wait for some of your jobs to run or submit a smaller campaign.`,
+      currentPlan: user.plan,
+      pendingJobs: pendingJobsCount,
+      requestedJobs: jobParamsList.length,
+      maxPendingJobs: MAX_PENDING_JOBS_PER_USER,
+    });
+  }
+
+  const campaign = await Campaign.create({
+    userId: req.user.id,
+    name,
+    source,
+    options,
+    totalJobs: jobParamsList.length,
+    estimatedCredits: user.hasUnlimitedExtraction() ? 0 : estimatedCredits,
+  });
+
+  // Children are created in order, then started together once
+  const children = [];
+  try {
+    for (const jobParams of jobParamsList) {
+      children.push(
+        await jobConcurrencyService.submit({
+          user,
+          jobParams,
+          links: { campaignId: campaign._id },
+          promote: false,
+        })
+      );
+    }
+  } catch (error) {
+    await rollbackCampaign(campaign, children, user);
+    throw error;
+  }
+  await jobConcurrencyService.promotePendingJobs(req.user.id);
+
+  const summaries = await summarizeCampaigns([campaign._id]);
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      campaign: toCampaignResponse(campaign, summaries.get(campaign._id.toString())),
+    },
+  });
+});
+
+/**
+ * GET /api/v1/campaigns?page=&limit=
+ */
+export const getMyCampaigns = catchAsync(async (req, res, next) => {
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 10), 100);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  const filter = { userId: req.user.id };
+  const [campaigns, total] = await Promise.all([
+    Campaign.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Campaign.countDocuments(filter),
+  ]);
+
+  const summaries = await summarizeCampaigns(campaigns.map((campaign) => campaign._id));
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    results: campaigns.length,
+    page,
+    limit,
+    totalPages,
+    total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    data: {
+      campaigns: campaigns.map((campaign) =>
+        toCampaignResponse(campaign, summaries.get(campaign._id.toString()))
+      ),
+    },
+  });
+});
+
+/**
+ * Campaign with aggregate progress and its child jobs
+ * GET /api/v1/campaigns/:campaignId
+ */
+export const getCampaign = catchAsync(async (req, res, next) => {
+  const campaign = await Campaign.findOne({
+    _id: req.params.campaignId,
+    userId: req.user.id,
+  });
+  if (!campaign) {
+    return next(new AppError("No campaign found with that ID", 404));
+  }
+
+  const [summaries, jobs] = await Promise.all([
+    summarizeCampaigns([campaign._id]),
+    Job.find({ campaignId: campaign._id })
+      .select("jobId status progress.percentage jobParams metrics createdAt startedAt completedAt")
+      .sort({ createdAt: 1 }),
+  ]);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      campaign: {
+        ...toCampaignResponse(campaign, summaries.get(campaign._id.toString())),
+        jobs: jobs.map((job) => ({
+          jobId: job.jobId,
+          status: job.status,
+          progress: job.progress.percentage,
+          keyword: job.jobParams.keyword,
+          city: job.jobParams.city,
+          stateCode: job.jobParams.stateCode,
+          countryCode: job.jobParams.countryCode,
+          totalExtractions: job.metrics.totalExtractions,
+          createdAt: job.createdAt,
+          completedAt: job.completedAt,
+        })),
+      },
+    },
+  });
+});
+
+/**
+ * One file with the results of every finished child job, duplicates removed
+ * GET /api/v1/campaigns/:campaignId/download?format=csv|xlsx|json|ndjson&template=
+ */
+export const downloadCampaignResults = catchAsync(async (req, res, next) => {
+  const { format = "csv", template: templateId } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(new AppError(`format must be one of: ${EXPORT_FORMATS.join(", ")}`, 400));
+  }
+
+  const campaign = await Campaign.findOne({
+    _id: req.params.campaignId,
+    userId: req.user.id,
+  });
+  if (!campaign) {
+    return next(new AppError("No campaign found with that ID", 404));
+  }
+
+  // Child jobs can span countries, so local phone numbers use the template's
+  // defaultCountryCode for E.164
+  let formatter = null;
+  if (templateId) {
+    const template = await ExportTemplate.findForUser(req.user.id, templateId);
+    if (!template) {
+      return next(new AppError("No export template found with that ID", 404));
+    }
+    formatter = createTemplateFormatter(template);
+  }
+
+  const jobs = await Job.find({
+    campaignId: campaign._id,
+    userId: req.user.id,
+    status: { $in: RESULT_JOB_STATUSES },
+  })
+    .select("jobId result")
+    .sort({ createdAt: 1 });
+
+  async function* campaignRecords() {
+    for (const job of jobs) {
+      yield* iterateJobResults(job);
+    }
+  }
+
+  const sent = await sendResults(res, {
+    format,
+    formatter,
+    basename: `campaign_${campaign._id}_result`,
+    getRecords: () => dedupeResultStream(campaignRecords()),
+  });
+  if (!sent) {
+    return next(new AppError("Result data not found", 404));
+  }
+});
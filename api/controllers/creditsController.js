@@ -1,7 +1,9 @@
+import mongoose from "mongoose";
 import catchAsync from "../../utils/catchAsync.js";
 import AppError from "../../utils/appError.js";
 import creditsService from "../../services/credits.service.js";
 import creditsJob from "../../jobs/creditsJob.js";
+import { CREDIT_LEDGER_TYPES } from "../../models/creditLedgerModel.js";
 
 /**
  * Get user's credit status
@@ -162,17 +164,74 @@ export const getCreditAllocationInfo = catchAsync(async (req, res, next) => {
 });
 
 /**
- * Get user's credit history (if you want to implement this later)
- * GET /api/v1/credits/history
+ * Get user's credit history from the credit ledger, newest first
+ * GET /api/v1/credits/history?page=&limit=&type=
  */
 export const getCreditHistory = catchAsync(async (req, res, next) => {
-  // This would require a separate credits history model
-  // For now, return a placeholder response
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 100);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const { type } = req.query;
+
+  if (type && !CREDIT_LEDGER_TYPES.includes(type)) {
+    return next(
+      new AppError(`type must be one of: ${CREDIT_LEDGER_TYPES.join(", ")}`, 400)
+    );
+  }
+
+  const { entries, total } = await creditsService.getCreditHistory(req.user._id, {
+    page,
+    limit,
+    type,
+  });
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    results: entries.length,
+    page,
+    limit,
+    totalPages,
+    total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    data: {
+      history: entries.map((entry) => ({
+        id: entry._id,
+        type: entry.type,
+        amount: entry.amount,
+        balanceAfter: entry.balanceAfter,
+        reason: entry.reason,
+        jobId: entry.jobId,
+        emailVerificationId: entry.emailVerificationId,
+        subscriptionId: entry.subscriptionId,
+        createdAt: entry.createdAt,
+      })),
+    },
+  });
+});
+
+/**
+ * Recompute balances from the credit ledger and list users whose balance
+ * does not match it (admin only)
+ * GET /api/v1/credits/reconcile?userId=
+ */
+export const reconcileCredits = catchAsync(async (req, res, next) => {
+  // Check if user is admin
+  if (req.user.role !== "admin") {
+    return next(new AppError("Only admins can reconcile credits", 403));
+  }
+  if (req.query.userId && !mongoose.isValidObjectId(req.query.userId)) {
+    return next(new AppError("userId is not a valid ID", 400));
+  }
+
+  const results = await creditsService.reconcileBalances({
+    userId: req.query.userId || null,
+  });
+
   res.status(200).json({
     status: "success",
-    message: "Credit history feature not yet implemented",
     data: {
-      history: [],
+      results,
     },
   });
 });
@@ -0,0 +1,391 @@
+import mongoose from "mongoose";
+import CrmConnection, { CRM_CONNECTOR_TYPES } from "../../models/crmConnectionModel.js";
+import CrmPush from "../../models/crmPushModel.js";
+import ExportTemplate from "../../models/exportTemplateModel.js";
+import Job from "../../models/jobModel.js";
+import crmPushService, { PUSHABLE_JOB_STATUSES } from "../../services/crmPush.service.js";
+import {
+  createConnector,
+  CrmConnectorError,
+  CRM_CREDENTIAL_FIELDS,
+  REST_METHODS,
+} from "../../services/crmConnectors/index.js";
+import { assertPublicUrl } from "../../services/utils/outboundUrl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const MAX_CONNECTIONS_PER_USER = 10;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const validateCredentials = (type, credentials) => {
+  if (!isPlainObject(credentials)) {
+    return "credentials must be an object";
+  }
+  const missing = CRM_CREDENTIAL_FIELDS[type].filter((field) => !credentials[field]);
+  if (missing.length > 0) {
+    return `credentials.${missing.join(", credentials.")} required for ${type} connections`;
+  }
+  if (
+    credentials.headers !== undefined &&
+    (!isPlainObject(credentials.headers) ||
+      !Object.values(credentials.headers).every((value) => typeof value === "string"))
+  ) {
+    return "credentials.headers must be an object of header names to string values";
+  }
+  return null;
+};
+
+const validateSettings = (type, settings) => {
+  if (!isPlainObject(settings)) {
+    return "settings must be an object";
+  }
+  const { fieldMapping, method } = settings;
+  if (
+    fieldMapping !== undefined &&
+    (!isPlainObject(fieldMapping) ||
+      !Object.values(fieldMapping).every((value) => value === null || typeof value === "string"))
+  ) {
+    return "settings.fieldMapping must map record fields to CRM field names (or null to drop them)";
+  }
+  if (type === "rest" && method !== undefined && !REST_METHODS.includes(method)) {
+    return `settings.method must be one of: ${REST_METHODS.join(", ")}`;
+  }
+  return null;
+};
+
+// REST connections call user-supplied URLs; they must point at public hosts.
+// The connector checks again before every request.
+const validateSettingsUrls = async (type, settings) => {
+  if (type !== "rest") return null;
+  for (const field of ["url", "authCheckUrl"]) {
+    if (!settings[field]) continue;
+    try {
+      await assertPublicUrl(settings[field]);
+    } catch (error) {
+      return `settings.${field} is not allowed: ${error.message}`;
+    }
+  }
+  return null;
+};
+
+// null clears the template; anything else must be one of the user's templates
+const validateExportTemplate = async (exportTemplateId, userId) => {
+  if (exportTemplateId === null) return null;
+  const template = await ExportTemplate.findForUser(userId, exportTemplateId);
+  return template ? null : "exportTemplateId must be one of your export templates";
+};
+
+const toSafeConnection = (connection) => ({
+  id: connection._id,
+  name: connection.name,
+  type: connection.type,
+  settings: connection.settings,
+  exportTemplateId: connection.exportTemplateId,
+  autoPush: connection.autoPush,
+  active: connection.active,
+  lastPushAt: connection.lastPushAt,
+  lastPushStatus: connection.lastPushStatus,
+  createdAt: connection.createdAt,
+});
+
+const handleValidationError = (error, next) => {
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((err) => err.message);
+    return next(new AppError(`Validation failed: ${errors.join(", ")}`, 400));
+  }
+  return next(error);
+};
+
+const findOwnConnection = (req, { withCredentials = false } = {}) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return Promise.resolve(null);
+  const query = CrmConnection.findOne({ _id: req.params.id, userId: req.user.id });
+  return withCredentials ? query.select("+credentials") : query;
+};
+
+/**
+ * Connect a CRM. Credentials are stored but never returned.
+ * POST /api/v1/crm-connections
+ * Body: { name, type: "hubspot"|"pipedrive"|"rest", credentials, settings?,
+ *         exportTemplateId?, autoPush?, active? }
+ */
+export const createCrmConnection = catchAsync(async (req, res, next) => {
+  const {
+    name,
+    type,
+    credentials = {},
+    settings = {},
+    exportTemplateId = null,
+    autoPush = false,
+    active = true,
+  } = req.body;
+
+  if (!CRM_CONNECTOR_TYPES.includes(type)) {
+    return next(new AppError(`type must be one of: ${CRM_CONNECTOR_TYPES.join(", ")}`, 400));
+  }
+
+  const inputError =
+    validateCredentials(type, credentials) ||
+    validateSettings(type, settings) ||
+    (await validateSettingsUrls(type, settings)) ||
+    (await validateExportTemplate(exportTemplateId, req.user.id));
+  if (inputError) {
+    return next(new AppError(inputError, 400));
+  }
+
+  const connectionCount = await CrmConnection.countDocuments({ userId: req.user.id });
+  if (connectionCount >= MAX_CONNECTIONS_PER_USER) {
+    return next(
+      new AppError(`You can have at most ${MAX_CONNECTIONS_PER_USER} CRM connections.`, 409)
+    );
+  }
+
+  let connection;
+  try {
+    connection = await CrmConnection.create({
+      userId: req.user.id,
+      name,
+      type,
+      credentials,
+      settings,
+      exportTemplateId,
+      autoPush: Boolean(autoPush),
+      active: Boolean(active),
+    });
+  } catch (error) {
+    return handleValidationError(error, next);
+  }
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      connection: toSafeConnection(connection),
+    },
+  });
+});
+
+/**
+ * GET /api/v1/crm-connections
+ */
+export const getMyCrmConnections = catchAsync(async (req, res, next) => {
+  const connections = await CrmConnection.find({ userId: req.user.id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: connections.length,
+    data: {
+      connections: connections.map(toSafeConnection),
+    },
+  });
+});
+
+/**
+ * GET /api/v1/crm-connections/:id
+ */
+export const getCrmConnection = catchAsync(async (req, res, next) => {
+  const connection = await findOwnConnection(req);
+  if (!connection) {
+    return next(new AppError("No CRM connection found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      connection: toSafeConnection(connection),
+    },
+  });
+});
+
+/**
+ * PATCH /api/v1/crm-connections/:id
+ * Body: any of the create fields except type. credentials and settings are replaced whole.
+ */
+export const updateCrmConnection = catchAsync(async (req, res, next) => {
+  const { name, credentials, settings, exportTemplateId, autoPush, active } = req.body;
+
+  const connection = await findOwnConnection(req, { withCredentials: true });
+  if (!connection) {
+    return next(new AppError("No CRM connection found with that ID", 404));
+  }
+
+  for (const [field, value] of [
+    ["autoPush", autoPush],
+    ["active", active],
+  ]) {
+    if (value !== undefined && typeof value !== "boolean") {
+      return next(new AppError(`${field} must be a boolean value (true or false)`, 400));
+    }
+  }
+
+  const inputError =
+    (credentials !== undefined && validateCredentials(connection.type, credentials)) ||
+    (settings !== undefined &&
+      (validateSettings(connection.type, settings) ||
+        (await validateSettingsUrls(connection.type, settings)))) ||
+    (exportTemplateId !== undefined &&
+      (await validateExportTemplate(exportTemplateId, req.user.id)));
+  if (inputError) {
+    return next(new AppError(inputError, 400));
+  }
+
+  if (name !== undefined) connection.name = name;
+  if (credentials !== undefined) connection.credentials = credentials;
+  if (settings !== undefined) connection.settings = settings;
+  if (exportTemplateId !== undefined) connection.exportTemplateId = exportTemplateId;
+  if (autoPush !== undefined) connection.autoPush = autoPush;
+  if (active !== undefined) connection.active = active;
+
+  try {
+    await connection.save();
+  } catch (error) {
+    return handleValidationError(error, next);
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      connection: toSafeConnection(connection),
+    },
+  });
+});
+
+/**
+ * Delete the connection. Its push logs are kept until they expire.
+ * DELETE /api/v1/crm-connections/:id
+ */
+export const deleteCrmConnection = catchAsync(async (req, res, next) => {
+  const connection = await findOwnConnection(req);
+  if (!connection) {
+    return next(new AppError("No CRM connection found with that ID", 404));
+  }
+
+  await connection.deleteOne();
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+/**
+ * Check the stored credentials against the CRM
+ * POST /api/v1/crm-connections/:id/test
+ */
+export const testCrmConnection = catchAsync(async (req, res, next) => {
+  const connection = await findOwnConnection(req, { withCredentials: true });
+  if (!connection) {
+    return next(new AppError("No CRM connection found with that ID", 404));
+  }
+
+  try {
+    const result = await createConnector(connection).authenticate();
+    res.status(200).json({
+      status: "success",
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof CrmConnectorError) {
+      return next(new AppError(`Connection test failed: ${error.message}`, 400));
+    }
+    throw error;
+  }
+});
+
+/**
+ * Send a finished job's records to the CRM
+ * POST /api/v1/crm-connections/:id/push
+ * Body: { jobId }
+ */
+export const pushJobToCrm = catchAsync(async (req, res, next) => {
+  const { jobId } = req.body;
+
+  const connection = await findOwnConnection(req);
+  if (!connection) {
+    return next(new AppError("No CRM connection found with that ID", 404));
+  }
+  if (!connection.active) {
+    return next(new AppError("This CRM connection is disabled", 409));
+  }
+
+  if (!jobId) {
+    return next(new AppError("jobId is required", 400));
+  }
+  const job = await Job.findOne({ jobId, userId: req.user.id }).select("jobId status");
+  if (!job) {
+    return next(new AppError("No job found with that ID", 404));
+  }
+  if (!PUSHABLE_JOB_STATUSES.includes(job.status)) {
+    return next(new AppError("Only finished jobs with results can be pushed", 409));
+  }
+
+  const push = await crmPushService.createPush({ connection, jobId: job.jobId });
+
+  res.status(202).json({
+    status: "success",
+    data: {
+      pushId: push._id,
+      status: push.status,
+    },
+  });
+});
+
+/**
+ * Push log, newest first
+ * GET /api/v1/crm-connections/pushes?connectionId=&jobId=&page=&limit=
+ */
+export const getCrmPushes = catchAsync(async (req, res, next) => {
+  const { connectionId, jobId } = req.query;
+
+  const filter = { userId: req.user.id };
+  if (connectionId) filter.connectionId = connectionId;
+  if (jobId) filter.jobId = jobId;
+
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 100);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  const [pushes, total] = await Promise.all([
+    CrmPush.find(filter)
+      .select("-outcomes")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    CrmPush.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    results: pushes.length,
+    page,
+    limit,
+    totalPages,
+    total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    data: {
+      pushes,
+    },
+  });
+});
+
+/**
+ * One push with its per-record outcomes
+ * GET /api/v1/crm-connections/pushes/:pushId
+ */
+export const getCrmPush = catchAsync(async (req, res, next) => {
+  const push = await CrmPush.findOne({ _id: req.params.pushId, userId: req.user.id });
+  if (!push) {
+    return next(new AppError("No CRM push found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      push,
+    },
+  });
+});
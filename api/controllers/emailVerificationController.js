@@ -0,0 +1,274 @@
+import multer from "multer";
+import mongoose from "mongoose";
+import EmailVerification from "../../models/emailVerificationModel.js";
+import EmailVerificationResult from "../../models/emailVerificationResultModel.js";
+import User from "../../models/userModel.js";
+import emailVerificationService, {
+  estimateVerificationCredits,
+  MAX_EMAILS_PER_VERIFICATION,
+} from "../../services/emailVerification.service.js";
+import { checkSufficientCredits } from "../../utils/scrapeParams.js";
+import { parseCsvRows } from "../../utils/csvParser.js";
+import { sendResults, EXPORT_FORMATS } from "../../utils/resultExport.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const MAX_LIST_SIZE_BYTES = 5 * 1024 * 1024;
+
+// Header names recognized as the address column of a CSV upload
+const EMAIL_COLUMN_RE = /^e-?mail(?:[ _-]?address)?$/i;
+
+// Columns of the downloadable results file
+const RESULT_COLUMNS = [
+  "email",
+  "email_status",
+  "reason",
+  "smtp_code",
+  "score",
+  "catch_all",
+  "role_account",
+  "disposable_domain",
+];
+
+const isCsvFile = (file) =>
+  file.mimetype === "text/csv" ||
+  file.mimetype === "application/vnd.ms-excel" ||
+  file.originalname.toLowerCase().endsWith(".csv");
+
+const isJsonFile = (file) =>
+  file.mimetype === "application/json" || file.originalname.toLowerCase().endsWith(".json");
+
+const multerFilter = (req, file, cb) => {
+  if (isCsvFile(file) || isJsonFile(file)) {
+    cb(null, true);
+  } else {
+    cb(new AppError("Please upload a .csv or .json file of email addresses.", 400), false);
+  }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: multerFilter,
+  limits: { fileSize: MAX_LIST_SIZE_BYTES },
+});
+
+export const uploadEmailList = upload.single("file");
+
+// Addresses from a CSV: the "email" column when there is one, otherwise
+// every cell of the first column that contains an "@"
+const emailsFromCsv = (text) => {
+  const rows = parseCsvRows(text);
+  const column = (rows[0] || []).findIndex((header) => EMAIL_COLUMN_RE.test(header.trim()));
+  if (column !== -1) {
+    return rows.slice(1).map((row) => row[column]);
+  }
+  return rows.map((row) => row[0]).filter((value) => value?.includes("@"));
+};
+
+// Addresses from JSON: ["a@b.com", ...], [{ email }, ...] or { emails: [...] }
+const emailsFromJson = (value) => {
+  const list = Array.isArray(value) ? value : value?.emails;
+  if (!Array.isArray(list)) return null;
+  return list.map((item) => (typeof item === "string" ? item : item?.email ?? item?.Email));
+};
+
+// Trimmed, lowercased, without mailto: and duplicates, in upload order
+const normalizeEmailList = (emails) => [
+  ...new Set(
+    emails
+      .map((email) =>
+        String(email ?? "")
+          .trim()
+          .replace(/^mailto:/i, "")
+          .toLowerCase()
+      )
+      .filter(Boolean)
+  ),
+];
+
+const toVerificationResponse = (verification) => ({
+  id: verification._id,
+  name: verification.name,
+  source: verification.source,
+  status: verification.status,
+  totalEmails: verification.totalEmails,
+  progress: {
+    percentage: verification.totalEmails
+      ? Math.floor((verification.counts.processed / verification.totalEmails) * 100)
+      : 0,
+  },
+  counts: verification.counts,
+  credits: verification.credits,
+  error: verification.error,
+  createdAt: verification.createdAt,
+  startedAt: verification.startedAt,
+  completedAt: verification.completedAt,
+});
+
+const findVerification = (req) =>
+  mongoose.isValidObjectId(req.params.id)
+    ? EmailVerification.findOne({ _id: req.params.id, userId: req.user.id })
+    : null;
+
+/**
+ * Queue a list of addresses for SMTP verification
+ * POST /api/v1/email-verifications
+ * JSON body: { emails: string[], name? }
+ * Multipart body: file (.csv with an "email" column, or .json), name?
+ * Charged CREDITS_PER_EMAIL_VERIFICATION per unique address up front; addresses
+ * that were never checked are refunded if the run fails.
+ */
+export const createVerification = catchAsync(async (req, res, next) => {
+  let source;
+  let emails;
+  if (req.file) {
+    const text = req.file.buffer.toString("utf8");
+    if (isJsonFile(req.file)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        return next(new AppError("The uploaded file is not valid JSON", 400));
+      }
+      source = "json";
+      emails = emailsFromJson(parsed);
+    } else {
+      source = "csv";
+      emails = emailsFromCsv(text);
+    }
+  } else {
+    source = "json";
+    emails = emailsFromJson(req.body);
+  }
+
+  if (!emails) {
+    return next(
+      new AppError("Provide emails as an array of addresses, or upload a .csv or .json file", 400)
+    );
+  }
+
+  emails = normalizeEmailList(emails);
+  if (emails.length === 0) {
+    return next(new AppError("The list does not contain any email addresses", 400));
+  }
+  if (emails.length > MAX_EMAILS_PER_VERIFICATION) {
+    return next(
+      new AppError(
+        `A list can contain at most ${MAX_EMAILS_PER_VERIFICATION} addresses (got ${emails.length}).`,
+        400
+      )
+    );
+  }
+
+  const user = await User.findById(req.user.id);
+  const creditsError = checkSufficientCredits(user, estimateVerificationCredits(emails.length));
+  if (creditsError) {
+    return res.status(creditsError.status).json(creditsError.body);
+  }
+
+  const verification = await emailVerificationService.submit({
+    user,
+    emails,
+    source,
+    name: req.body.name || req.file?.originalname || null,
+  });
+
+  res.status(201).json({
+    status: "success",
+    data: { verification: toVerificationResponse(verification) },
+  });
+});
+
+/**
+ * GET /api/v1/email-verifications?page=&limit=
+ */
+export const getMyVerifications = catchAsync(async (req, res, next) => {
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 10), 100);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  const filter = { userId: req.user.id };
+  const [verifications, total] = await Promise.all([
+    EmailVerification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    EmailVerification.countDocuments(filter),
+  ]);
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    results: verifications.length,
+    page,
+    limit,
+    totalPages,
+    total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    data: { verifications: verifications.map(toVerificationResponse) },
+  });
+});
+
+/**
+ * GET /api/v1/email-verifications/:id
+ */
+export const getVerification = catchAsync(async (req, res, next) => {
+  const verification = await findVerification(req);
+  if (!verification) {
+    return next(new AppError("No email verification found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: { verification: toVerificationResponse(verification) },
+  });
+});
+
+/**
+ * Verdicts in upload order; available while the list is still running too
+ * GET /api/v1/email-verifications/:id/download?format=csv|xlsx|json|ndjson&status=
+ * status: comma-separated verdicts to include (e.g. deliverable,risky)
+ */
+export const downloadVerificationResults = catchAsync(async (req, res, next) => {
+  const { format = "csv", status } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return next(new AppError(`format must be one of: ${EXPORT_FORMATS.join(", ")}`, 400));
+  }
+
+  const verification = await findVerification(req);
+  if (!verification) {
+    return next(new AppError("No email verification found with that ID", 404));
+  }
+
+  const filter = { verificationId: verification._id };
+  if (status) {
+    filter.email_status = { $in: String(status).split(",").map((verdict) => verdict.trim()) };
+  }
+
+  const formatter = {
+    headers: RESULT_COLUMNS,
+    toRows: (result) => [
+      {
+        email: result.email,
+        email_status: result.email_status,
+        reason: result.reason,
+        smtp_code: result.code,
+        score: result.score,
+        catch_all: result.catchAll,
+        role_account: result.roleAccount,
+        disposable_domain: result.disposableDomain,
+      },
+    ],
+  };
+
+  const sent = await sendResults(res, {
+    format,
+    formatter,
+    basename: `email_verification_${verification._id}`,
+    getRecords: () =>
+      EmailVerificationResult.find(filter).sort({ position: 1 }).lean().cursor(),
+  });
+  if (!sent) {
+    return next(new AppError("No verified addresses yet", 404));
+  }
+});
@@ -56,9 +56,18 @@ const handleTokenExpiredError = () =>
     401
   );
 
+// Upload limits from multer (file size, unexpected field, ...)
+const handleMulterError = (err) => {
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return new AppError("File too large. Please upload a smaller file.", 413);
+  }
+  return new AppError(`Upload rejected: ${err.message}`, 400);
+};
+
 const normalizeErr = (err) => {
   if (err.code === 11000) return handleDuplicateFieldsDB(err);
   if (err.name === "CastError") return handleCastErrorDB(err);
+  if (err.name === "MulterError") return handleMulterError(err);
   if (err.name === "JsonWebTokenError") return handleJWTError();
   if (err.name === "TokenExpiredError") return handleTokenExpiredError();
   return err;
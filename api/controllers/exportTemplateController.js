@@ -0,0 +1,165 @@
+import mongoose from "mongoose";
+import ExportTemplate from "../../models/exportTemplateModel.js";
+import WebhookEndpoint from "../../models/webhookEndpointModel.js";
+import CrmConnection from "../../models/crmConnectionModel.js";
+import SheetsDestination from "../../models/sheetsDestinationModel.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const MAX_TEMPLATES_PER_USER = 50;
+
+const TEMPLATE_FIELDS = [
+  "name",
+  "columns",
+  "phoneFormat",
+  "defaultCountryCode",
+  "emailMode",
+  "emailSeparator",
+];
+
+const toSafeTemplate = (template) => ({
+  id: template._id,
+  name: template.name,
+  columns: template.columns,
+  phoneFormat: template.phoneFormat,
+  defaultCountryCode: template.defaultCountryCode,
+  emailMode: template.emailMode,
+  emailSeparator: template.emailSeparator,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+});
+
+const handleSaveError = (error, next) => {
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((err) => err.message);
+    return next(new AppError(`Validation failed: ${errors.join(", ")}`, 400));
+  }
+  if (error.code === 11000) {
+    return next(new AppError("You already have an export template with that name", 409));
+  }
+  return next(error);
+};
+
+/**
+ * POST /api/v1/export-templates
+ * Body: { name, columns: [{ field, header? }], phoneFormat?: "raw"|"e164",
+ *         defaultCountryCode?, emailMode?: "joined"|"exploded", emailSeparator? }
+ */
+export const createExportTemplate = catchAsync(async (req, res, next) => {
+  const templateCount = await ExportTemplate.countDocuments({ userId: req.user.id });
+  if (templateCount >= MAX_TEMPLATES_PER_USER) {
+    return next(
+      new AppError(`You can have at most ${MAX_TEMPLATES_PER_USER} export templates.`, 409)
+    );
+  }
+
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  }
+
+  let template;
+  try {
+    template = await ExportTemplate.create({ ...fields, userId: req.user.id });
+  } catch (error) {
+    return handleSaveError(error, next);
+  }
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      template: toSafeTemplate(template),
+    },
+  });
+});
+
+/**
+ * GET /api/v1/export-templates
+ */
+export const getMyExportTemplates = catchAsync(async (req, res, next) => {
+  const templates = await ExportTemplate.find({ userId: req.user.id }).sort({ name: 1 });
+
+  res.status(200).json({
+    status: "success",
+    results: templates.length,
+    data: {
+      templates: templates.map(toSafeTemplate),
+    },
+  });
+});
+
+/**
+ * GET /api/v1/export-templates/:id
+ */
+export const getExportTemplate = catchAsync(async (req, res, next) => {
+  const template = await ExportTemplate.findForUser(req.user.id, req.params.id);
+  if (!template) {
+    return next(new AppError("No export template found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      template: toSafeTemplate(template),
+    },
+  });
+});
+
+/**
+ * PATCH /api/v1/export-templates/:id
+ * Body: any of the create fields. columns replaces the whole list.
+ */
+export const updateExportTemplate = catchAsync(async (req, res, next) => {
+  const template = await ExportTemplate.findForUser(req.user.id, req.params.id);
+  if (!template) {
+    return next(new AppError("No export template found with that ID", 404));
+  }
+
+  for (const field of TEMPLATE_FIELDS) {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  }
+
+  try {
+    await template.save();
+  } catch (error) {
+    return handleSaveError(error, next);
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      template: toSafeTemplate(template),
+    },
+  });
+});
+
+/**
+ * Delete a template. Webhook endpoints and REST connections using it go back
+ * to sending records as stored.
+ * DELETE /api/v1/export-templates/:id
+ */
+export const deleteExportTemplate = catchAsync(async (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return next(new AppError("No export template found with that ID", 404));
+  }
+
+  const template = await ExportTemplate.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+  if (!template) {
+    return next(new AppError("No export template found with that ID", 404));
+  }
+
+  for (const Model of [WebhookEndpoint, CrmConnection, SheetsDestination]) {
+    await Model.updateMany(
+      { userId: req.user.id, exportTemplateId: template._id },
+      { $set: { exportTemplateId: null } }
+    );
+  }
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
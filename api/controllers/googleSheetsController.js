@@ -0,0 +1,387 @@
+import mongoose from "mongoose";
+import GoogleSheetsConnection from "../../models/googleSheetsConnectionModel.js";
+import SheetsDestination, { SHEETS_WRITE_MODES } from "../../models/sheetsDestinationModel.js";
+import ExportTemplate from "../../models/exportTemplateModel.js";
+import ScheduledSearch from "../../models/scheduledSearchModel.js";
+import Job from "../../models/jobModel.js";
+import googleSheetsService, {
+  SheetsAuthorizationError,
+  parseSpreadsheetId,
+} from "../../services/googleSheets.service.js";
+import { PUSHABLE_JOB_STATUSES } from "../../services/crmPush.service.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+import logger from "../../services/logger.js";
+
+const MAX_DESTINATIONS_PER_USER = 20;
+
+const getRedirectUri = (req) =>
+  process.env.GOOGLE_SHEETS_CALLBACK_URL ||
+  `${req.protocol}://${req.get("host")}/api/v1/google-sheets/oauth/callback`;
+
+const buildFrontendRedirect = (status, message) => {
+  const params = new URLSearchParams({ status });
+  if (message) params.set("message", message);
+  return `${process.env.FRONTEND_URL.replace(/\/$/, "")}/integrations/google-sheets?${params}`;
+};
+
+// null clears the template; anything else must be one of the user's templates
+const validateExportTemplate = async (exportTemplateId, userId) => {
+  if (exportTemplateId === null) return null;
+  const template = await ExportTemplate.findForUser(userId, exportTemplateId);
+  return template ? null : "exportTemplateId must be one of your export templates";
+};
+
+// null unlinks the schedule; anything else must be one of the user's schedules
+const validateSchedule = async (scheduleId, userId) => {
+  if (scheduleId === null) return null;
+  const exists =
+    mongoose.isValidObjectId(scheduleId) &&
+    (await ScheduledSearch.exists({ _id: scheduleId, userId }));
+  return exists ? null : "scheduleId must be one of your scheduled searches";
+};
+
+// Google reports missing spreadsheets as 404 and unshared ones as 403
+const checkSpreadsheetAccess = async (userId, spreadsheetId) => {
+  try {
+    await googleSheetsService.getSpreadsheetTitle(userId, spreadsheetId);
+    return null;
+  } catch (error) {
+    if (error instanceof SheetsAuthorizationError) return error.message;
+    const status = error.code || error.response?.status;
+    if (status === 403 || status === 404) {
+      return "Spreadsheet not found, or your Google account cannot access it";
+    }
+    throw error;
+  }
+};
+
+const toSafeConnection = (connection) => ({
+  googleEmail: connection.googleEmail,
+  scopes: connection.scopes,
+  status: connection.status,
+  createdAt: connection.createdAt,
+  updatedAt: connection.updatedAt,
+});
+
+const handleValidationError = (error, next) => {
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((err) => err.message);
+    return next(new AppError(`Validation failed: ${errors.join(", ")}`, 400));
+  }
+  return next(error);
+};
+
+const findOwnDestination = (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return Promise.resolve(null);
+  return SheetsDestination.findOne({ _id: req.params.id, userId: req.user.id });
+};
+
+/**
+ * Google consent URL for Sheets access. The client opens it in the browser.
+ * GET /api/v1/google-sheets/connect
+ */
+export const getConnectUrl = catchAsync(async (req, res, next) => {
+  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
+    return next(new AppError("Google integration is not configured", 503));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      url: await googleSheetsService.getAuthUrl(req.user.id, getRedirectUri(req)),
+    },
+  });
+});
+
+/**
+ * Google redirects here after consent. Not behind protect: the user is
+ * identified by the single-use state nonce.
+ * GET /api/v1/google-sheets/oauth/callback?code=&state=
+ */
+export const handleOAuthCallback = catchAsync(async (req, res, next) => {
+  const { code, state, error } = req.query;
+
+  let connection = null;
+  let failure = error ? "Google authorization was denied" : null;
+  if (!failure && (!code || !state)) {
+    failure = "Missing authorization code";
+  }
+
+  if (!failure) {
+    try {
+      connection = await googleSheetsService.handleCallback({
+        code,
+        state,
+        redirectUri: getRedirectUri(req),
+      });
+    } catch (err) {
+      if (!(err instanceof SheetsAuthorizationError)) {
+        logger.error("SHEETS_OAUTH_ERROR", "Google Sheets authorization failed", err);
+      }
+      failure =
+        err instanceof SheetsAuthorizationError ? err.message : "Google authorization failed";
+    }
+  }
+
+  if (process.env.FRONTEND_URL) {
+    return res.redirect(
+      failure ? buildFrontendRedirect("error", failure) : buildFrontendRedirect("connected")
+    );
+  }
+
+  if (failure) {
+    return next(new AppError(failure, 400));
+  }
+  res.status(200).json({
+    status: "success",
+    data: {
+      connection: toSafeConnection(connection),
+    },
+  });
+});
+
+/**
+ * GET /api/v1/google-sheets/connection
+ */
+export const getConnection = catchAsync(async (req, res, next) => {
+  const connection = await GoogleSheetsConnection.findOne({ userId: req.user.id });
+  if (!connection) {
+    return next(new AppError("Google Sheets is not connected", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      connection: toSafeConnection(connection),
+    },
+  });
+});
+
+/**
+ * Revoke Google access. Destinations are kept so reconnecting resumes them.
+ * DELETE /api/v1/google-sheets/connection
+ */
+export const deleteConnection = catchAsync(async (req, res, next) => {
+  const removed = await googleSheetsService.disconnect(req.user.id);
+  if (!removed) {
+    return next(new AppError("Google Sheets is not connected", 404));
+  }
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+/**
+ * POST /api/v1/google-sheets/destinations
+ * Body: { spreadsheet (URL or ID), sheetName, name?, exportTemplateId?, scheduleId?, active? }
+ */
+export const createDestination = catchAsync(async (req, res, next) => {
+  const {
+    spreadsheet,
+    sheetName,
+    name,
+    exportTemplateId = null,
+    scheduleId = null,
+    active = true,
+  } = req.body;
+
+  if (!spreadsheet) {
+    return next(new AppError("spreadsheet (URL or ID) is required", 400));
+  }
+  const spreadsheetId = parseSpreadsheetId(spreadsheet);
+
+  const inputError =
+    (await validateExportTemplate(exportTemplateId, req.user.id)) ||
+    (await validateSchedule(scheduleId, req.user.id));
+  if (inputError) {
+    return next(new AppError(inputError, 400));
+  }
+
+  const destinationCount = await SheetsDestination.countDocuments({ userId: req.user.id });
+  if (destinationCount >= MAX_DESTINATIONS_PER_USER) {
+    return next(
+      new AppError(`You can have at most ${MAX_DESTINATIONS_PER_USER} Sheets destinations.`, 409)
+    );
+  }
+
+  const destination = new SheetsDestination({
+    userId: req.user.id,
+    name,
+    spreadsheetId,
+    sheetName,
+    exportTemplateId,
+    scheduleId,
+    active: Boolean(active),
+  });
+  try {
+    await destination.validate();
+  } catch (error) {
+    return handleValidationError(error, next);
+  }
+
+  const accessError = await checkSpreadsheetAccess(req.user.id, spreadsheetId);
+  if (accessError) {
+    return next(new AppError(accessError, 400));
+  }
+
+  await destination.save();
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      destination,
+    },
+  });
+});
+
+/**
+ * GET /api/v1/google-sheets/destinations
+ */
+export const getMyDestinations = catchAsync(async (req, res, next) => {
+  const destinations = await SheetsDestination.find({ userId: req.user.id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: destinations.length,
+    data: {
+      destinations,
+    },
+  });
+});
+
+/**
+ * GET /api/v1/google-sheets/destinations/:id
+ */
+export const getDestination = catchAsync(async (req, res, next) => {
+  const destination = await findOwnDestination(req);
+  if (!destination) {
+    return next(new AppError("No Sheets destination found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      destination,
+    },
+  });
+});
+
+/**
+ * PATCH /api/v1/google-sheets/destinations/:id
+ * Body: any of the create fields
+ */
+export const updateDestination = catchAsync(async (req, res, next) => {
+  const { spreadsheet, sheetName, name, exportTemplateId, scheduleId, active } = req.body;
+
+  const destination = await findOwnDestination(req);
+  if (!destination) {
+    return next(new AppError("No Sheets destination found with that ID", 404));
+  }
+
+  if (active !== undefined && typeof active !== "boolean") {
+    return next(new AppError("active must be a boolean value (true or false)", 400));
+  }
+
+  const inputError =
+    (exportTemplateId !== undefined &&
+      (await validateExportTemplate(exportTemplateId, req.user.id))) ||
+    (scheduleId !== undefined && (await validateSchedule(scheduleId, req.user.id)));
+  if (inputError) {
+    return next(new AppError(inputError, 400));
+  }
+
+  if (spreadsheet !== undefined) destination.spreadsheetId = parseSpreadsheetId(spreadsheet);
+  if (sheetName !== undefined) destination.sheetName = sheetName;
+  if (name !== undefined) destination.name = name;
+  if (exportTemplateId !== undefined) destination.exportTemplateId = exportTemplateId;
+  if (scheduleId !== undefined) destination.scheduleId = scheduleId;
+  if (active !== undefined) destination.active = active;
+
+  try {
+    await destination.validate();
+  } catch (error) {
+    return handleValidationError(error, next);
+  }
+
+  if (destination.isModified("spreadsheetId")) {
+    const accessError = await checkSpreadsheetAccess(req.user.id, destination.spreadsheetId);
+    if (accessError) {
+      return next(new AppError(accessError, 400));
+    }
+  }
+
+  await destination.save();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      destination,
+    },
+  });
+});
+
+/**
+ * Delete the destination. The spreadsheet itself is left untouched.
+ * DELETE /api/v1/google-sheets/destinations/:id
+ */
+export const deleteDestination = catchAsync(async (req, res, next) => {
+  const destination = await findOwnDestination(req);
+  if (!destination) {
+    return next(new AppError("No Sheets destination found with that ID", 404));
+  }
+
+  await destination.deleteOne();
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+/**
+ * Write a finished job's records to the destination's tab
+ * POST /api/v1/google-sheets/destinations/:id/export
+ * Body: { jobId, mode?: "append"|"replace" }
+ */
+export const exportJobToSheet = catchAsync(async (req, res, next) => {
+  const { jobId, mode = "append" } = req.body;
+
+  const destination = await findOwnDestination(req);
+  if (!destination) {
+    return next(new AppError("No Sheets destination found with that ID", 404));
+  }
+  if (!destination.active) {
+    return next(new AppError("This Sheets destination is disabled", 409));
+  }
+  if (!SHEETS_WRITE_MODES.includes(mode)) {
+    return next(new AppError(`mode must be one of: ${SHEETS_WRITE_MODES.join(", ")}`, 400));
+  }
+
+  const connection = await GoogleSheetsConnection.findOne({ userId: req.user.id });
+  if (!connection || connection.status !== "connected") {
+    return next(new AppError("Connect your Google account before exporting to Sheets", 409));
+  }
+
+  if (!jobId) {
+    return next(new AppError("jobId is required", 400));
+  }
+  const job = await Job.findOne({ jobId, userId: req.user.id }).select("jobId status");
+  if (!job) {
+    return next(new AppError("No job found with that ID", 404));
+  }
+  if (!PUSHABLE_JOB_STATUSES.includes(job.status)) {
+    return next(new AppError("Only finished jobs with results can be exported", 409));
+  }
+
+  await googleSheetsService.enqueueSync({ destination, jobId: job.jobId, mode });
+
+  res.status(202).json({
+    status: "success",
+    message: "Export queued",
+  });
+});
@@ -1,9 +1,146 @@
 import queueService from "../../services/queue.js";
 import Job from "./../../models/jobModel.js";
 import User from "./../../models/userModel.js";
-import { Parser } from "json2csv";
 import socketService from "../../services/socket.service.js";
 import APIFeatures from "../../utils/apiFeatures.js";
+import jobConcurrencyService from "../../services/jobConcurrency.service.js";
+import JobResult from "./../../models/jobResultModel.js";
+import ExportTemplate from "./../../models/exportTemplateModel.js";
+import { sendResults, EXPORT_FORMATS } from "../../utils/resultExport.js";
+import { createTemplateFormatter } from "../../utils/exportTemplate.js";
+import {
+  ensureStoredResults,
+  iterateJobResults,
+  getJobResultsPage,
+  deleteJobResults,
+} from "../../services/jobResults.service.js";
+
+const DEFAULT_RESULT_PAGE_LIMIT = 100;
+const MAX_RESULT_PAGE_LIMIT = 500;
+
+// ?sortBy= values for GET /:jobId/results and the JobResult field each sorts on
+const RESULT_SORT_FIELDS = {
+  position: "position",
+  rating: "rating",
+  reviewCount: "reviewCount",
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseBooleanParam = (value) =>
+  value === undefined ? undefined : value === "true";
+
+/**
+ * Build the JobResult filter for GET /:jobId/results from its query string
+ * @returns {{ filter?: Object, error?: string }}
+ */
+const buildResultFilter = (jobId, query) => {
+  const filter = { jobId };
+
+  const hasEmail = parseBooleanParam(query.hasEmail);
+  if (hasEmail !== undefined) {
+    filter["record.email.0"] = { $exists: hasEmail };
+  }
+
+  const hasWebsite = parseBooleanParam(query.hasWebsite);
+  if (hasWebsite !== undefined) {
+    filter["record.website"] = hasWebsite ? { $nin: [null, ""] } : { $in: [null, ""] };
+  }
+
+  // Comma-separated: ?emailStatus=deliverable,risky
+  if (query.emailStatus) {
+    filter["record.email_status"] = {
+      $in: String(query.emailStatus).split(",").map((status) => status.trim()),
+    };
+  }
+
+  // Comma-separated: ?emailSource=inferred
+  if (query.emailSource) {
+    filter["record.email_source"] = {
+      $in: String(query.emailSource).split(",").map((source) => source.trim()),
+    };
+  }
+
+  // At least one address scoring this high: ?minEmailScore=70
+  if (query.minEmailScore !== undefined) {
+    const value = Number(query.minEmailScore);
+    if (!Number.isFinite(value)) {
+      return { error: "minEmailScore must be a number" };
+    }
+    filter["record.email_score"] = { $elemMatch: { $gte: value } };
+  }
+
+  if (query.category) {
+    filter["record.category"] = new RegExp(`^${escapeRegex(String(query.category).trim())}$`, "i");
+  }
+
+  const rating = {};
+  for (const [param, operator] of [
+    ["minRating", "$gte"],
+    ["maxRating", "$lte"],
+  ]) {
+    if (query[param] === undefined) continue;
+    const value = Number(query[param]);
+    if (!Number.isFinite(value)) {
+      return { error: `${param} must be a number` };
+    }
+    rating[operator] = value;
+  }
+  if (Object.keys(rating).length > 0) {
+    filter.rating = rating;
+  }
+
+  // Comma-separated, any of: ?tech=wordpress,meta_pixel
+  if (query.tech) {
+    filter["record.website_technologies"] = {
+      $in: String(query.tech)
+        .split(",")
+        .map((tech) => tech.trim().toLowerCase())
+        .filter(Boolean),
+    };
+  }
+
+  for (const [param, field] of [
+    ["hasAnalytics", "record.has_analytics"],
+    ["hasPixel", "record.has_pixel"],
+  ]) {
+    const value = parseBooleanParam(query[param]);
+    if (value !== undefined) {
+      filter[field] = value;
+    }
+  }
+
+  // Comma-separated; a trailing "*" matches a prefix: ?postalCode=941*,10001
+  if (query.postalCode) {
+    filter["record.address_postal_code"] = {
+      $in: String(query.postalCode)
+        .split(",")
+        .map((code) => code.trim().toUpperCase())
+        .filter(Boolean)
+        .map((code) =>
+          code.endsWith("*") ? new RegExp(`^${escapeRegex(code.slice(0, -1))}`) : code
+        ),
+    };
+  }
+
+  // Comma-separated, case-insensitive: ?locality=Austin,Round Rock
+  if (query.locality) {
+    filter["record.address_locality"] = {
+      $in: String(query.locality)
+        .split(",")
+        .map((locality) => locality.trim())
+        .filter(Boolean)
+        .map((locality) => new RegExp(`^${escapeRegex(locality)}$`, "i")),
+    };
+  }
+
+  if (query.q) {
+    const pattern = new RegExp(escapeRegex(String(query.q).trim()), "i");
+    filter.$or = [{ "record.name": pattern }, { "record.address": pattern }];
+  }
+
+  return { filter };
+};
 
 const { getQueueForUser, businessQueue, freeProQueue } = queueService;
 
@@ -138,7 +275,7 @@ const getJobDetails = async (req, res) => {
 
     const job = await Job.findOne({ jobId, userId })
       .populate("userId", "name emailID")
-      .select("-__v");
+      .select("-__v -placeIds");
 
     if (!job) {
       return res.status(404).json({
@@ -147,6 +284,17 @@ const getJobDetails = async (req, res) => {
       });
     }
 
+    // Records are paged: ?resultPage=&resultLimit=
+    const resultLimit = Math.min(
+      Math.max(1, parseInt(req.query.resultLimit, 10) || DEFAULT_RESULT_PAGE_LIMIT),
+      MAX_RESULT_PAGE_LIMIT
+    );
+    const resultPage = Math.max(1, parseInt(req.query.resultPage, 10) || 1);
+    const { records, total: resultCount } = await getJobResultsPage(job, {
+      page: resultPage,
+      limit: resultLimit,
+    });
+
     res.json({
       success: true,
       data: {
@@ -155,7 +303,10 @@ const getJobDetails = async (req, res) => {
         progress: job.progress,
         jobParams: job.jobParams,
         metrics: job.metrics,
-        result: job.result,
+        result: records,
+        resultCount,
+        resultPage,
+        resultLimit,
         error: job.error,
         createdAt: job.createdAt,
         startedAt: job.startedAt,
@@ -240,7 +391,10 @@ const deleteJob = async (req, res) => {
           try {
             const user = await User.findById(userId);
             if (user) {
-              await user.refundCredits(creditsToRefund);
+              await user.refundCredits(creditsToRefund, {
+                reason: "job_deleted",
+                jobId,
+              });
               console.log(
                 `Refunded ${creditsToRefund} credits to user ${userId} for cancelled job ${jobId}`
               );
@@ -310,8 +464,14 @@ const deleteJob = async (req, res) => {
     const wasActive = ["pending", "active", "waiting"].includes(job.status);
     const creditsRefunded = job.metrics?.creditsRefunded || 0;
 
-    // Delete job from database
+    // Delete job and its stored records from database
     await Job.findByIdAndDelete(job._id);
+    await deleteJobResults([job.jobId]);
+
+    // Cancelling frees a slot (or a place in line) for the user's pending jobs
+    if (wasActive) {
+      await jobConcurrencyService.promotePendingJobs(userId);
+    }
 
     // Emit socket event to notify frontend
     socketService.emitJobUpdate(userId, "job_deleted", {
@@ -370,7 +530,10 @@ const killJob = async (req, res) => {
         try {
           const user = await User.findById(jobData.userId);
           if (user) {
-            await user.refundCredits(creditsToRefund);
+            await user.refundCredits(creditsToRefund, {
+              reason: "job_killed",
+              jobId,
+            });
             console.log(
               `Refunded ${creditsToRefund} credits to user ${jobData.userId} for killed job ${jobId}`
             );
@@ -388,6 +551,10 @@ const killJob = async (req, res) => {
         new Error("Manually killed via admin endpoint"),
         true
       );
+
+      if (jobData.userId) {
+        await jobConcurrencyService.promotePendingJobs(jobData.userId);
+      }
       res.json({
         status: "killed",
         id: job.id,
@@ -405,95 +572,152 @@ const killJob = async (req, res) => {
   }
 };
 
-export const downloadJobResultCSV = async (req, res) => {
+/**
+ * One page of a job's records, filtered and sorted server-side
+ * GET /api/v1/:jobId/results?q=&hasEmail=&emailStatus=&hasWebsite=&category=&tech=&hasAnalytics=&hasPixel=&postalCode=&locality=&minRating=&maxRating=&sortBy=&order=&page=&limit=
+ */
+const getJobResults = async (req, res) => {
   try {
     const { jobId } = req.params;
-    const job = await Job.findOne({ jobId: jobId });
+    const { sortBy = "position", order = sortBy === "position" ? "asc" : "desc" } = req.query;
 
-    if (!job || !job.result || !Array.isArray(job.result)) {
-      return res.status(404).json({ error: "Result data not found" });
+    const job = await Job.findOne({ jobId, userId: req.user.id }).select(
+      "-placeIds"
+    );
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+      });
     }
 
-    // Flatten nested filtered_reviews for CSV and convert email array to comma-separated string
-    const flatData = job.result.map((row) => {
-      const processedRow = { ...row };
+    const sortField = RESULT_SORT_FIELDS[sortBy];
+    if (!sortField) {
+      return res.status(400).json({
+        success: false,
+        error: `sortBy must be one of: ${Object.keys(RESULT_SORT_FIELDS).join(", ")}`,
+      });
+    }
 
-      // Remove email_verification field from the data
-      delete processedRow.email_verification;
+    const { filter, error } = buildResultFilter(job.jobId, req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
 
-      // Convert email array to comma-separated string AFTER processing email_status
-      if (processedRow.email && Array.isArray(processedRow.email)) {
-        processedRow.email =
-          processedRow.email.length > 0 ? processedRow.email.join(", ") : "";
-      }
+    const limit = Math.min(
+      Math.max(1, parseInt(req.query.limit, 10) || 20),
+      MAX_RESULT_PAGE_LIMIT
+    );
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    await ensureStoredResults(job);
+
+    const [docs, total] = await Promise.all([
+      JobResult.find(filter)
+        .sort({ [sortField]: order === "asc" ? 1 : -1, position: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("record")
+        .lean(),
+      JobResult.countDocuments(filter),
+    ]);
 
-      if (
-        processedRow.email_status &&
-        Array.isArray(processedRow.email_status)
-      ) {
-        processedRow.email_status =
-          processedRow.email_status.length > 0
-            ? processedRow.email_status.join(", ")
-            : "";
-      }
+    const totalPages = Math.ceil(total / limit);
 
-      if (row.filtered_reviews && Array.isArray(row.filtered_reviews)) {
-        // Extract up to 2 reviews with all their details
-        const review1 = row.filtered_reviews[0];
-        const review2 = row.filtered_reviews[1];
-        
-        // Function to sanitize review text
-        const sanitizeReviewText = (text) => {
-          if (!text) return "";
-          
-          return text
-            // Remove or replace problematic Unicode characters
-            .replace(/[\u201C\u201D]/g, '"') // Replace smart quotes with regular quotes
-            .replace(/[\u2018\u2019]/g, "'") // Replace smart apostrophes with regular apostrophes
-            .replace(/[\u2013\u2014]/g, "-") // Replace en-dash and em-dash with regular dash
-            .replace(/[\u2026]/g, "...") // Replace ellipsis with three dots
-            .replace(/[\u00A0]/g, " ") // Replace non-breaking space with regular space
-            // Remove other problematic characters
-            .replace(/[^\x20-\x7E\u00A0-\u00FF\u0100-\u017F\u0180-\u024F\u1E00-\u1EFF]/g, "")
-            // Clean up multiple spaces
-            .replace(/\s+/g, " ")
-            // Trim whitespace
-            .trim();
-        };
-        
-        return {
-          ...processedRow,
-          reviews_count: row.filtered_reviews.length,
-          review_1_date: review1?.date || "",
-          review_1_rating: review1?.rating || "",
-          reviewer_1_name: review1?.reviewerName || "",
-          review_1_text: sanitizeReviewText(review1?.text),
-          review_2_date: review2?.date || "",
-          review_2_rating: review2?.rating || "",
-          reviewer_2_name: review2?.reviewerName || "",
-          review_2_text: sanitizeReviewText(review2?.text),
-        };
-      }
-      return processedRow;
+    res.json({
+      status: "success",
+      results: docs.length,
+      page,
+      limit,
+      totalPages,
+      total,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      data: {
+        records: docs.map((doc) => doc.record),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching job results:", error);
+    res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message: error.message,
     });
+  }
+};
+
+/**
+ * Download a job's records, optionally through one of the user's export templates.
+ * Accepts the same filters as getJobResults (e.g. &postalCode=941*&locality=Oakland).
+ * GET /api/v1/:jobId/download?format=csv|xlsx|json|ndjson&template=
+ */
+export const downloadJobResults = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { format = "csv", template: templateId } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+
+    const job = await Job.findOne({ jobId: jobId, userId: req.user.id }).select(
+      "-placeIds"
+    );
+
+    if (!job) {
+      return res.status(404).json({ error: "Result data not found" });
+    }
+
+    const { filter, error } = buildResultFilter(job.jobId, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const isFiltered = Object.keys(filter).length > 1;
+    if (isFiltered) {
+      await ensureStoredResults(job);
+    }
 
-    // Convert to CSV
-    const parser = new Parser();
-    const csv = parser.parse(flatData);
+    let formatter = null;
+    if (templateId) {
+      const template = await ExportTemplate.findForUser(req.user.id, templateId);
+      if (!template) {
+        return res.status(404).json({ error: "Export template not found" });
+      }
+      formatter = createTemplateFormatter(template, {
+        countryCode: job.jobParams?.countryCode,
+      });
+    }
 
-    res.header("Content-Type", "text/csv");
-    res.attachment(`job_${jobId}_result.csv`);
-    return res.send(csv);
+    // Streamed straight from the results collection
+    const sent = await sendResults(res, {
+      format,
+      formatter,
+      basename: `job_${jobId}_result`,
+      getRecords: () => iterateJobResults(job, { filter: isFiltered ? filter : null }),
+    });
+    if (!sent) {
+      return res.status(404).json({ error: "Result data not found" });
+    }
   } catch (err) {
     console.error("Error downloading job result:", err);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({ error: "Internal server error" });
   }
 };
 
 export default {
   getUserJobs,
-  downloadJobResultCSV,
+  downloadJobResults,
   getJobDetails,
+  getJobResults,
   getUserDashboard,
   deleteJob,
   killJob,
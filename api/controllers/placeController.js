@@ -0,0 +1,108 @@
+import Place from "../../models/placeModel.js";
+import Job from "../../models/jobModel.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const SORT_FIELDS = ["lastSeenAt", "firstSeenAt", "rating", "rating_count", "name", "timesSeen"];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Places found across all of the user's jobs
+ * GET /api/v1/places?q=&category=&hasEmail=&hasWebsite=&jobId=&seenSince=&changedSince=&sortBy=&order=&page=&limit=
+ */
+export const getMyPlaces = catchAsync(async (req, res, next) => {
+  const { q, category, hasEmail, hasWebsite, jobId, sortBy = "lastSeenAt", order = "desc" } =
+    req.query;
+
+  const filter = { userId: req.user.id };
+
+  if (q) {
+    const pattern = new RegExp(escapeRegex(String(q).trim()), "i");
+    filter.$or = [{ name: pattern }, { address: pattern }];
+  }
+  if (category) {
+    filter.category = new RegExp(`^${escapeRegex(String(category).trim())}$`, "i");
+  }
+  if (hasEmail !== undefined) {
+    filter["email.0"] = { $exists: hasEmail === "true" };
+  }
+  if (hasWebsite !== undefined) {
+    filter.website = hasWebsite === "true" ? { $nin: [null, ""] } : { $in: [null, ""] };
+  }
+
+  const seenSince = parseDate(req.query.seenSince);
+  const changedSince = parseDate(req.query.changedSince);
+  if (seenSince === undefined || changedSince === undefined) {
+    return next(new AppError("seenSince and changedSince must be valid dates", 400));
+  }
+  if (seenSince) filter.lastSeenAt = { $gte: seenSince };
+  if (changedSince) filter["history.changedAt"] = { $gte: changedSince };
+
+  if (jobId) {
+    const job = await Job.findOne({ jobId, userId: req.user.id }).select("placeIds");
+    if (!job) {
+      return next(new AppError("No job found with that ID", 404));
+    }
+    filter._id = { $in: job.placeIds };
+  }
+
+  if (!SORT_FIELDS.includes(sortBy)) {
+    return next(new AppError(`sortBy must be one of: ${SORT_FIELDS.join(", ")}`, 400));
+  }
+
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 100);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  const [places, total] = await Promise.all([
+    Place.find(filter)
+      .select("-history")
+      .sort({ [sortBy]: order === "asc" ? 1 : -1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Place.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    results: places.length,
+    page,
+    limit,
+    totalPages,
+    total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    data: {
+      places,
+    },
+  });
+});
+
+/**
+ * One place with its change history, newest change first
+ * GET /api/v1/places/:id
+ */
+export const getPlace = catchAsync(async (req, res, next) => {
+  const place = await Place.findOne({ _id: req.params.id, userId: req.user.id });
+  if (!place) {
+    return next(new AppError("No place found with that ID", 404));
+  }
+
+  const result = place.toObject();
+  result.history = [...result.history].reverse();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      place: result,
+    },
+  });
+});
@@ -0,0 +1,332 @@
+import ScheduledSearch from "../../models/scheduledSearchModel.js";
+import Job from "../../models/jobModel.js";
+import SheetsDestination from "../../models/sheetsDestinationModel.js";
+import User from "../../models/userModel.js";
+import scheduledSearchJob from "../../jobs/scheduledSearchJob.js";
+import { clearScope } from "../../services/redisUrlTracker.js";
+import { validateScrapeParams, checkPlanRecordLimit } from "../../utils/scrapeParams.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const MAX_SCHEDULES_PER_USER = 20;
+
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate the timing fields. Cron expressions must use 5 fields and a fixed
+ * minute so a schedule cannot fire more than once an hour.
+ * @returns {string|null} Error message
+ */
+const validateTiming = ({ cron, intervalMinutes, timezone }) => {
+  if (!cron === !intervalMinutes) {
+    return "Provide either cron or intervalMinutes";
+  }
+  if (timezone && !isValidTimezone(timezone)) {
+    return `Unknown timezone: ${timezone}`;
+  }
+  if (cron && typeof cron !== "string") {
+    return "cron must be a string";
+  }
+  if (cron) {
+    const fields = cron.trim().split(/\s+/);
+    if (fields.length !== 5 || !/^\d+$/.test(fields[0])) {
+      return "cron must have 5 fields and a fixed minute, e.g. \"0 9 * * 1\" (every Monday at 09:00)";
+    }
+    if (!scheduledSearchJob.getNextCronRun(cron, timezone)) {
+      return `Invalid cron expression: ${cron}`;
+    }
+  }
+  return null;
+};
+
+// Scrape parameters go through the same checks as POST /api/v1/scrape
+const validateJobParams = async (jobParams, userId) => {
+  const validation = validateScrapeParams(jobParams || {}, { userId });
+  if (!validation.ok) return validation;
+
+  const user = await User.findById(userId);
+  return checkPlanRecordLimit(user, validation.jobParams.maxRecords) || validation;
+};
+
+// newSinceLastRun turns on avoidDuplicate for each run, which delta mode rejects
+const NEW_SINCE_LAST_RUN_DELTA_ERROR =
+  "newSinceLastRun cannot be true when jobParams.deltaMode is true";
+
+const toSafeSchedule = (schedule) => ({
+  id: schedule._id,
+  name: schedule.name,
+  jobParams: schedule.jobParams,
+  cron: schedule.cron,
+  intervalMinutes: schedule.intervalMinutes,
+  timezone: schedule.timezone,
+  newSinceLastRun: schedule.newSinceLastRun,
+  active: schedule.active,
+  nextRunAt: schedule.nextRunAt,
+  lastRunAt: schedule.lastRunAt,
+  lastRunStatus: schedule.lastRunStatus,
+  lastRunError: schedule.lastRunError,
+  lastJobId: schedule.lastJobId,
+  runCount: schedule.runCount,
+  createdAt: schedule.createdAt,
+});
+
+const findOwnSchedule = (req) =>
+  ScheduledSearch.findOne({ _id: req.params.id, userId: req.user.id });
+
+/**
+ * POST /api/v1/schedules
+ * Body: { name, jobParams: { same fields as POST /api/v1/scrape }, cron? | intervalMinutes?, timezone?, newSinceLastRun?, active? }
+ */
+export const createSchedule = catchAsync(async (req, res, next) => {
+  const {
+    name,
+    jobParams,
+    cron = null,
+    intervalMinutes = null,
+    timezone = "UTC",
+    newSinceLastRun = false,
+    active = true,
+  } = req.body;
+
+  if (!name) {
+    return next(new AppError("Scheduled search name is required", 400));
+  }
+
+  const timingError = validateTiming({ cron, intervalMinutes, timezone });
+  if (timingError) {
+    return next(new AppError(timingError, 400));
+  }
+
+  const validation = await validateJobParams(jobParams, req.user.id);
+  if (!validation.ok) {
+    return res.status(validation.status).json(validation.body);
+  }
+  if (newSinceLastRun && validation.jobParams.deltaMode) {
+    return next(new AppError(NEW_SINCE_LAST_RUN_DELTA_ERROR, 400));
+  }
+
+  const scheduleCount = await ScheduledSearch.countDocuments({ userId: req.user.id });
+  if (scheduleCount >= MAX_SCHEDULES_PER_USER) {
+    return next(
+      new AppError(`You can have at most ${MAX_SCHEDULES_PER_USER} scheduled searches.`, 409)
+    );
+  }
+
+  const schedule = await ScheduledSearch.create({
+    userId: req.user.id,
+    name,
+    jobParams: validation.jobParams,
+    cron,
+    intervalMinutes,
+    timezone,
+    newSinceLastRun: Boolean(newSinceLastRun),
+    active: Boolean(active),
+  });
+
+  await scheduledSearchJob.syncSchedule(schedule);
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      schedule: toSafeSchedule(schedule),
+    },
+  });
+});
+
+/**
+ * GET /api/v1/schedules
+ */
+export const getMySchedules = catchAsync(async (req, res, next) => {
+  const schedules = await ScheduledSearch.find({ userId: req.user.id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: schedules.length,
+    data: {
+      schedules: schedules.map(toSafeSchedule),
+    },
+  });
+});
+
+/**
+ * GET /api/v1/schedules/:id
+ */
+export const getSchedule = catchAsync(async (req, res, next) => {
+  const schedule = await findOwnSchedule(req);
+  if (!schedule) {
+    return next(new AppError("No scheduled search found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      schedule: toSafeSchedule(schedule),
+    },
+  });
+});
+
+/**
+ * PATCH /api/v1/schedules/:id
+ * Body: any of the create fields. Setting cron clears intervalMinutes and vice versa.
+ */
+export const updateSchedule = catchAsync(async (req, res, next) => {
+  const { name, jobParams, cron, intervalMinutes, timezone, newSinceLastRun, active } = req.body;
+
+  const schedule = await findOwnSchedule(req);
+  if (!schedule) {
+    return next(new AppError("No scheduled search found with that ID", 404));
+  }
+
+  const timing = {
+    cron: cron !== undefined ? cron : intervalMinutes ? null : schedule.cron,
+    intervalMinutes:
+      intervalMinutes !== undefined ? intervalMinutes : cron ? null : schedule.intervalMinutes,
+    timezone: timezone !== undefined ? timezone : schedule.timezone,
+  };
+  const timingError = validateTiming(timing);
+  if (timingError) {
+    return next(new AppError(timingError, 400));
+  }
+
+  if (jobParams !== undefined) {
+    const validation = await validateJobParams(jobParams, req.user.id);
+    if (!validation.ok) {
+      return res.status(validation.status).json(validation.body);
+    }
+    schedule.jobParams = validation.jobParams;
+  }
+
+  for (const [field, value] of [
+    ["newSinceLastRun", newSinceLastRun],
+    ["active", active],
+  ]) {
+    if (value !== undefined && typeof value !== "boolean") {
+      return next(new AppError(`${field} must be a boolean value (true or false)`, 400));
+    }
+  }
+
+  if (name !== undefined) schedule.name = name;
+  if (newSinceLastRun !== undefined) schedule.newSinceLastRun = newSinceLastRun;
+  if (schedule.newSinceLastRun && schedule.jobParams.deltaMode) {
+    return next(new AppError(NEW_SINCE_LAST_RUN_DELTA_ERROR, 400));
+  }
+  if (active !== undefined) schedule.active = active;
+  schedule.cron = timing.cron;
+  schedule.intervalMinutes = timing.intervalMinutes;
+  schedule.timezone = timing.timezone;
+
+  await schedule.save();
+  await scheduledSearchJob.syncSchedule(schedule);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      schedule: toSafeSchedule(schedule),
+    },
+  });
+});
+
+/**
+ * Delete the schedule and its "new since last run" history. Past runs are kept.
+ * DELETE /api/v1/schedules/:id
+ */
+export const deleteSchedule = catchAsync(async (req, res, next) => {
+  const schedule = await ScheduledSearch.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+  if (!schedule) {
+    return next(new AppError("No scheduled search found with that ID", 404));
+  }
+
+  scheduledSearchJob.unregister(schedule._id);
+  await clearScope(req.user.id, schedule.dedupScope);
+  await SheetsDestination.updateMany(
+    { userId: req.user.id, scheduleId: schedule._id },
+    { $set: { scheduleId: null } }
+  );
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+/**
+ * Submit a run right away, outside the schedule
+ * POST /api/v1/schedules/:id/run
+ */
+export const runScheduleNow = catchAsync(async (req, res, next) => {
+  const schedule = await findOwnSchedule(req);
+  if (!schedule) {
+    return next(new AppError("No scheduled search found with that ID", 404));
+  }
+
+  const outcome = await scheduledSearchJob.runSchedule(schedule._id, { manual: true });
+  // Ran less than a minute ago (by its timer or another "run now"), or
+  // deleted since the lookup above
+  if (outcome.status === "not_claimed") {
+    return next(
+      new AppError("This scheduled search has just run. Please try again in a minute.", 409)
+    );
+  }
+  if (outcome.error) {
+    return res.status(outcome.error.status).json(outcome.error.body);
+  }
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      jobId: outcome.job.jobId,
+    },
+  });
+});
+
+/**
+ * Jobs started by this schedule, newest first
+ * GET /api/v1/schedules/:id/runs?page=&limit=
+ */
+export const getScheduleRuns = catchAsync(async (req, res, next) => {
+  const schedule = await findOwnSchedule(req);
+  if (!schedule) {
+    return next(new AppError("No scheduled search found with that ID", 404));
+  }
+
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 10), 100);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  const filter = { scheduleId: schedule._id, userId: req.user.id };
+  const [runs, total] = await Promise.all([
+    Job.find(filter)
+      .select("jobId status progress.percentage metrics createdAt startedAt completedAt")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Job.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    results: runs.length,
+    page,
+    limit,
+    totalPages,
+    total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    data: {
+      runs,
+    },
+  });
+});
@@ -1,370 +1,87 @@
 import queueService from "../../services/queue.js";
 import Job from "./../../models/jobModel.js";
 import User from "./../../models/userModel.js";
-import { v4 as uuidv4 } from "uuid";
-import { sanitizeKeyword, validateKeyword, sanitizeKeywordWithSeparators } from "../../utils/keywordSanitizer.js";
+import {
+  validateScrapeParams,
+  estimateCreditsForRecords,
+  checkPlanRecordLimit,
+  checkSufficientCredits,
+} from "../../utils/scrapeParams.js";
+import jobConcurrencyService, {
+  MAX_PENDING_JOBS_PER_USER,
+} from "../../services/jobConcurrency.service.js";
+import jobEstimateService from "../../services/jobEstimate.service.js";
 
 const { getQueueForUser, businessQueue, freeProQueue } = queueService;
 
 
 const scrapeData = async (req, res) => {
   try {
-    const {
-      keyword,
-      city = null,
-      countryCode,
-      stateCode = null,
-      maxRecords = 50, // Default value - will be validated against user's plan limit
-      ratingFilter = null,
-      reviewFilter = null,
-      reviewTimeRange = null,
-      isExtractEmail = false,
-      isValidate = false,
-      extractNegativeReviews = false,
-      avoidDuplicate = false,
-      onlyWithoutWebsite = false,
-    } = req.body;
-
     // Get user from auth middleware (assuming you have auth middleware)
     const userId = req.user.id;
 
-    // Validate and sanitize keyword
-    if (!keyword) {
-      return res.status(400).json({
-        error: "keyword is required",
-      });
-    }
-
-    // Sanitize keyword while preserving separators
-    const keywordSanitization = sanitizeKeywordWithSeparators(keyword);
-    
-    if (!keywordSanitization.isValid) {
-      return res.status(400).json({
-        error: "Invalid keyword",
-        message: "Please provide a valid keyword with at least 2 characters",
-        details: keywordSanitization.warnings,
-        originalKeyword: keywordSanitization.original,
-        suggestions: [
-          "Use clear, descriptive terms",
-          "You can include multiple keywords separated by commas, semicolons, or pipes",
-          "Examples: 'restaurant', 'plumber, restaurant, cafe', 'dentist; doctor', 'spa | salon'"
-        ]
-      });
-    }
-
-    // Additional validation
-    const keywordValidation = validateKeyword(keywordSanitization.cleaned);
-    if (!keywordValidation.isValid) {
-      return res.status(400).json({
-        error: "Keyword validation failed",
-        issues: keywordValidation.issues,
-        suggestions: keywordValidation.suggestions,
-        cleanedKeyword: keywordSanitization.cleaned
-      });
-    }
-
-    // Log sanitization for monitoring
-    if (keywordSanitization.warnings.length > 0) {
-      console.warn("KEYWORD_SANITIZATION", "Keyword was cleaned", {
-        original: keywordSanitization.original,
-        cleaned: keywordSanitization.cleaned,
-        warnings: keywordSanitization.warnings,
-        hasSeparators: keywordSanitization.hasSeparators,
-        separatorCount: keywordSanitization.separatorCount,
-        userId: req.user.id
-      });
-    }
-
-    // Use the cleaned keyword
-    const cleanKeyword = keywordSanitization.cleaned;
-
-    if (!countryCode) {
-      return res.status(400).json({
-        error: "countryCode is required",
-      });
-    }
-
-    // Validate numeric parameters
-    if (maxRecords && (isNaN(maxRecords) || maxRecords < 1)) {
-      return res.status(400).json({
-        error: "maxRecords must be a positive number",
-      });
-    }
-
-    if (ratingFilter) {
-      if (
-        !ratingFilter.operator ||
-        !["gt", "lt", "gte", "lte"].includes(ratingFilter.operator)
-      ) {
-        return res.status(400).json({
-          error: "ratingFilter.operator must be one of: gt, lt, gte, lte",
-        });
-      }
-      if (
-        ratingFilter.value === undefined ||
-        isNaN(ratingFilter.value) ||
-        ratingFilter.value < 0 ||
-        ratingFilter.value > 5
-      ) {
-        return res.status(400).json({
-          error: "ratingFilter.value must be a number between 0 and 5",
-        });
-      }
-
-      // Warn about potentially restrictive filters
-      const isRestrictiveFilter =
-        (ratingFilter.operator === "lte" && ratingFilter.value <= 3) ||
-        (ratingFilter.operator === "lt" && ratingFilter.value <= 3.5) ||
-        (ratingFilter.operator === "gte" && ratingFilter.value >= 4.8) ||
-        (ratingFilter.operator === "gt" && ratingFilter.value >= 4.5);
-
-      if (isRestrictiveFilter) {
-        console.warn(
-          "RESTRICTIVE_FILTER_WARNING",
-          "User applied potentially restrictive rating filter",
-          {
-            ratingFilter,
-            userId,
-            keyword,
-            warning:
-              "This filter may result in very few results or early termination",
-          }
-        );
-      }
-    }
-
-    if (reviewFilter) {
-      if (
-        !reviewFilter.operator ||
-        !["gt", "lt", "gte", "lte"].includes(reviewFilter.operator)
-      ) {
-        return res.status(400).json({
-          error: "reviewFilter.operator must be one of: gt, lt, gte, lte",
-        });
-      }
-      if (
-        reviewFilter.value === undefined ||
-        isNaN(reviewFilter.value) ||
-        reviewFilter.value < 0 ||
-        reviewFilter.value > 10000
-      ) {
-        return res.status(400).json({
-          error: "reviewFilter.value must be a number between 0 and 10,000",
-        });
-      }
-
-      // Warn about potentially restrictive filters
-      const isRestrictiveFilter =
-        (reviewFilter.operator === "lte" && reviewFilter.value <= 5) ||
-        (reviewFilter.operator === "lt" && reviewFilter.value <= 3) ||
-        (reviewFilter.operator === "gte" && reviewFilter.value >= 1000) ||
-        (reviewFilter.operator === "gt" && reviewFilter.value >= 500);
-
-      if (isRestrictiveFilter) {
-        console.warn(
-          "RESTRICTIVE_REVIEW_FILTER_WARNING",
-          "User applied potentially restrictive review filter",
-          {
-            reviewFilter,
-            userId,
-            keyword,
-            warning:
-              "This filter may result in very few results or early termination",
-          }
-        );
-      }
-    }
-
-    if (
-      reviewTimeRange !== null &&
-      reviewTimeRange !== "" &&
-      (isNaN(reviewTimeRange) || reviewTimeRange < 0 || reviewTimeRange > 10)
-    ) {
-      return res
-        .status(400)
-        .json({ error: "reviewTimeRange must be a number between 0 and 10" });
-    }
-
-    // Validate isExtractEmail parameter
-    if (isExtractEmail !== null && typeof isExtractEmail !== "boolean") {
-      return res.status(400).json({
-        error: "isExtractEmail must be a boolean value (true or false)",
-      });
-    }
-
-    // Validate isValidate parameter
-    if (isValidate !== null && typeof isValidate !== "boolean") {
-      return res.status(400).json({
-        error: "isValidate must be a boolean value (true or false)",
-      });
-    }
-
-    // Logical validation: isValidate can only be true if isExtractEmail is true
-    if (isValidate === true && isExtractEmail !== true) {
-      return res.status(400).json({
-        error: "isValidate can only be true when isExtractEmail is also true",
-        message:
-          "Email validation requires email extraction to be enabled first",
-      });
-    }
-
-    // Validate onlyWithoutWebsite parameter
-    if (onlyWithoutWebsite !== null && typeof onlyWithoutWebsite !== "boolean") {
-      return res.status(400).json({
-        error: "onlyWithoutWebsite must be a boolean value (true or false)",
-      });
-    }
-
-    // Logical validation: isExtractEmail and isValidate must be false if onlyWithoutWebsite is true
-    if (onlyWithoutWebsite === true) {
-      if (isExtractEmail === true) {
-        return res.status(400).json({
-          error: "isExtractEmail cannot be true when onlyWithoutWebsite is true",
-          message:
-            "Email extraction is not available when filtering for businesses without websites",
-        });
-      }
-      if (isValidate === true) {
-        return res.status(400).json({
-          error: "isValidate cannot be true when onlyWithoutWebsite is true",
-          message:
-            "Email validation is not available when filtering for businesses without websites",
-        });
-      }
+    const validation = validateScrapeParams(req.body, { userId });
+    if (!validation.ok) {
+      return res.status(validation.status).json(validation.body);
     }
+    const { jobParams, warnings } = validation;
 
     // Check user and apply plan-based restrictions
     const user = await User.findById(userId);
-    const estimatedCredits = Math.ceil((maxRecords / 10) * 10);
+    const estimatedCredits = estimateCreditsForRecords(jobParams.maxRecords);
 
-    // Restriction 1: Single active job limit for ALL users (free, pro, business)
-    const activeJobsCount = await Job.countDocuments({
+    // Restriction 1: Cap on jobs held back by the per-plan concurrency limit.
+    // Jobs beyond the limit are accepted as "pending" and started in order.
+    const pendingJobsCount = await Job.countDocuments({
       userId,
-      status: { $in: ["waiting", "active"] },
+      status: "pending",
     });
 
-    if (activeJobsCount > 0) {
+    if (pendingJobsCount >= MAX_PENDING_JOBS_PER_USER) {
       return res.status(429).json({
-        error: "Active job limit exceeded",
-        message:
-          "Please wait for your current job to complete before starting a new one.",
+        error: "Pending job limit exceeded",
+        message: `You already have ${pendingJobsCount} jobs waiting to start. Please wait for some of them to run before adding more.`,
         currentPlan: user.plan,
-        activeJobs: activeJobsCount,
+        pendingJobs: pendingJobsCount,
+        maxPendingJobs: MAX_PENDING_JOBS_PER_USER,
       });
     }
 
     // Restriction 2: Plan-based maxRecords limit
-    const maxAllowedRecords = user.getMaxRecordsLimit();
-    if (maxRecords > maxAllowedRecords) {
-      const planUpgradeMessage = user.plan === "free" 
-        ? "Free plans are limited to 50 records. Please upgrade to Pro plan for up to 1,000 records or Business plan for up to 3,000 records."
-        : user.plan === "pro"
-        ? "Pro plans are limited to 1,000 records. Please upgrade to Business plan for up to 3,000 records."
-        : "Please contact support for higher limits.";
-      
-      return res.status(422).json({
-        error: "Plan upgrade required",
-        message: planUpgradeMessage,
-        currentPlan: user.plan,
-        maxAllowed: maxAllowedRecords,
-        requested: maxRecords,
-        planLimits: {
-          free: 50,
-          pro: 1000,
-          business: 3000
-        }
-      });
+    const planLimitError = checkPlanRecordLimit(user, jobParams.maxRecords);
+    if (planLimitError) {
+      return res.status(planLimitError.status).json(planLimitError.body);
     }
 
     // Credit check only for PRO users free users have unlimited extraction)
-    if (
-      !user.hasUnlimitedExtraction() &&
-      user.credits.remaining < estimatedCredits
-    ) {
-      return res.status(402).json({
-        // error: "Insufficient credits",
-        error: "Plan upgrade required",
-        message:
-          "Looks like you're doing serious data extraction! Upgrade to Business plan for unlimited extractions and take your lead sourcing to the next level.",
-        required: estimatedCredits,
-        available: user.credits.remaining,
-      });
+    const creditsError = checkSufficientCredits(user, estimatedCredits);
+    if (creditsError) {
+      return res.status(creditsError.status).json(creditsError.body);
     }
 
-    // Generate unique job ID
-    const jobId = uuidv4();
-
-    // Create job parameters
-    // Ensure isExtractEmail and isValidate are false when onlyWithoutWebsite is true
-    const finalIsExtractEmail = onlyWithoutWebsite ? false : isExtractEmail;
-    const finalIsValidate = onlyWithoutWebsite ? false : isValidate;
-    
-    const jobParams = {
-      keyword: cleanKeyword, // Use the keyword as-is (supports multiple keywords)
-      city: city ? city.trim() : null,
-      stateCode: stateCode ? stateCode.trim() : null,
-      countryCode: countryCode.trim().toUpperCase(),
-      maxRecords: parseInt(maxRecords),
-      ratingFilter: ratingFilter,
-      reviewFilter: reviewFilter,
-      reviewTimeRange: reviewTimeRange ? parseInt(reviewTimeRange) : null,
-      isExtractEmail: finalIsExtractEmail,
-      isValidate: finalIsValidate,
-      extractNegativeReviews: Boolean(extractNegativeReviews),
-      avoidDuplicate: Boolean(avoidDuplicate),
-      onlyWithoutWebsite: Boolean(onlyWithoutWebsite),
-    };
+    // Every job starts as "pending" and is promoted in submission order once
+    // the user has a free slot. Credits are reserved while it waits.
+    const jobRecord = await jobConcurrencyService.submit({ user, jobParams });
 
-    // Create job record in database
-    const jobRecord = await Job.create({
-      jobId,
-      userId,
-      jobParams,
-      status: "waiting",
-      metrics: {
-        creditsUsed: user.hasUnlimitedExtraction() ? 0 : estimatedCredits, // Track 0 for users with unlimited extraction
-        estimatedCredits: estimatedCredits, // Keep original estimate for analytics
-        planType: user.plan, // Track plan type for analytics
-      },
-    });
-
-    // Deduct credits from user
-    await user.deductCredits(estimatedCredits);
-
-    // Select appropriate queue based on user plan
-    const selectedQueue = getQueueForUser(user.plan);
-    const queueName = user.plan === "business" ? "Business" : "Free/Pro";
-
-    console.log(
-      `Adding job ${jobId} to ${queueName} queue for user plan: ${user.plan}`
-    );
-
-    // Add job to the appropriate queue
-    const queueJob = await selectedQueue.add(
-      {
-        ...jobParams,
-        jobId,
-        userId,
-        dbJobId: jobRecord._id,
-        userPlan: user.plan, // Track which plan for analytics
-        timeout: 30 * 60 * 1000,
-      },
-      {
-        jobId, // Use our custom jobId for the queue
-        removeOnComplete: 10,
-        removeOnFail: 5,
-      }
-    );
+    const currentJob = await Job.findById(jobRecord._id).select("status createdAt userId");
+    const isPending = currentJob?.status === "pending";
 
     res.json({
       jobId: jobRecord.jobId,
       // statusUrl: `/api/jobs/${jobRecord.jobId}`,
-      message: "Scraping job queued successfully",
+      status: isPending ? "pending" : "waiting",
+      message: isPending
+        ? "Scraping job accepted and will start when one of your running jobs finishes"
+        : "Scraping job queued successfully",
+      ...(isPending && {
+        pendingPosition: await jobConcurrencyService.getPendingPosition(currentJob),
+        concurrentJobsLimit: user.getConcurrentJobsLimit(),
+      }),
+      ...(warnings.length > 0 && { warnings }),
       // jobParams,
       // creditsUsed: estimatedCredits,
       // creditsRemaining: user.credits.remaining - estimatedCredits,
       // createdAt: jobRecord.createdAt,
-      // status: jobRecord.status,
     });
   } catch (error) {
     console.error("Error creating scraping job:", error);
@@ -375,6 +92,42 @@ const scrapeData = async (req, res) => {
   }
 };
 
+/**
+ * Cost, duration and search area of a job without submitting it
+ * POST /api/v1/scrape/estimate (same body as POST /api/v1/scrape)
+ */
+const estimateScrape = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const validation = validateScrapeParams(req.body, { userId });
+    if (!validation.ok) {
+      return res.status(validation.status).json(validation.body);
+    }
+
+    const user = await User.findById(userId);
+    const estimate = await jobEstimateService.estimate(
+      user,
+      validation.jobParams,
+      validation.warnings
+    );
+    if (estimate.error) {
+      return res.status(400).json({ error: estimate.error });
+    }
+
+    res.json({
+      jobParams: validation.jobParams,
+      ...estimate,
+    });
+  } catch (error) {
+    console.error("Error estimating scraping job:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      message: error.message,
+    });
+  }
+};
+
 const getJobStatus = async (req, res) => {
   try {
     const { jobId } = req.params;
@@ -391,9 +144,11 @@ const getJobStatus = async (req, res) => {
     }
 
     // Get job from the appropriate queue based on user plan
+    // (pending jobs have not been added to a queue yet)
     const userPlan = jobRecord.userId.plan;
     const selectedQueue = getQueueForUser(userPlan);
-    const queueJob = await selectedQueue.getJob(jobId);
+    const queueJob =
+      jobRecord.status === "pending" ? null : await selectedQueue.getJob(jobId);
 
     let queueProgress = 0;
     let queueStatus = jobRecord.status;
@@ -419,7 +174,6 @@ const getJobStatus = async (req, res) => {
       }
     }
 
-    console.log(queueJob);
     res.json({
       id: jobRecord.jobId,
       status: queueStatus,
@@ -427,7 +181,7 @@ const getJobStatus = async (req, res) => {
         percentage: queueProgress,
         details: jobRecord.progress.details,
       },
-      result: queueJob.returnvalue || null,
+      result: queueJob?.returnvalue || null,
       // result: jobRecord.result || (queueJob ? queueJob.returnvalue : null),
       jobParams: jobRecord.jobParams,
       metrics: jobRecord.metrics,
@@ -446,4 +200,4 @@ const getJobStatus = async (req, res) => {
   }
 };
 
-export default { scrapeData, getJobStatus };
+export default { scrapeData, estimateScrape, getJobStatus };
@@ -0,0 +1,343 @@
+import WebhookEndpoint, { WEBHOOK_EVENTS } from "../../models/webhookEndpointModel.js";
+import WebhookDelivery from "../../models/webhookDeliveryModel.js";
+import ExportTemplate from "../../models/exportTemplateModel.js";
+import webhookDeliveryService from "../../services/webhookDelivery.service.js";
+import { assertPublicUrl } from "../../services/utils/outboundUrl.js";
+import catchAsync from "../../utils/catchAsync.js";
+import AppError from "../../utils/appError.js";
+
+const MAX_ENDPOINTS_PER_USER = 10;
+
+// Receivers must be reachable on the public internet; deliveries are
+// checked again before every attempt
+const validatePublicUrl = async (url) => {
+  try {
+    await assertPublicUrl(url);
+    return null;
+  } catch (error) {
+    return `Invalid webhook URL: ${error.message}`;
+  }
+};
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}`;
+  }
+  const invalid = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (invalid.length > 0) {
+    return `Invalid events: ${invalid.join(", ")}. Allowed: ${WEBHOOK_EVENTS.join(", ")}`;
+  }
+  return null;
+};
+
+// null clears the template; anything else must be one of the user's templates
+const validateExportTemplate = async (exportTemplateId, userId) => {
+  if (exportTemplateId === null) return null;
+  const template = await ExportTemplate.findForUser(userId, exportTemplateId);
+  return template ? null : "exportTemplateId must be one of your export templates";
+};
+
+const toSafeEndpoint = (endpoint) => ({
+  id: endpoint._id,
+  url: endpoint.url,
+  description: endpoint.description,
+  events: endpoint.events,
+  active: endpoint.active,
+  exportTemplateId: endpoint.exportTemplateId,
+  lastDeliveryAt: endpoint.lastDeliveryAt,
+  lastDeliveryStatus: endpoint.lastDeliveryStatus,
+  consecutiveFailures: endpoint.consecutiveFailures,
+  createdAt: endpoint.createdAt,
+});
+
+const handleValidationError = (error, next) => {
+  if (error.name === "ValidationError") {
+    const errors = Object.values(error.errors).map((err) => err.message);
+    return next(new AppError(`Validation failed: ${errors.join(", ")}`, 400));
+  }
+  return next(error);
+};
+
+/**
+ * Register a webhook endpoint. The signing secret is only returned here
+ * and when rotating it.
+ * POST /api/v1/webhook-endpoints
+ * Body: { url: string, events?: string[], description?: string, exportTemplateId?: string }
+ */
+export const createWebhookEndpoint = catchAsync(async (req, res, next) => {
+  const { url, events = WEBHOOK_EVENTS, description, exportTemplateId = null } = req.body;
+
+  if (!url) {
+    return next(new AppError("Webhook URL is required", 400));
+  }
+
+  const urlError = await validatePublicUrl(url);
+  if (urlError) {
+    return next(new AppError(urlError, 400));
+  }
+
+  const eventsError = validateEvents(events);
+  if (eventsError) {
+    return next(new AppError(eventsError, 400));
+  }
+
+  const templateError = await validateExportTemplate(exportTemplateId, req.user.id);
+  if (templateError) {
+    return next(new AppError(templateError, 400));
+  }
+
+  const endpointCount = await WebhookEndpoint.countDocuments({ userId: req.user.id });
+  if (endpointCount >= MAX_ENDPOINTS_PER_USER) {
+    return next(
+      new AppError(
+        `You can have at most ${MAX_ENDPOINTS_PER_USER} webhook endpoints.`,
+        409
+      )
+    );
+  }
+
+  const secret = WebhookEndpoint.generateSecret();
+
+  let endpoint;
+  try {
+    endpoint = await WebhookEndpoint.create({
+      userId: req.user.id,
+      url,
+      events: [...new Set(events)],
+      description,
+      exportTemplateId,
+      secret,
+    });
+  } catch (error) {
+    return handleValidationError(error, next);
+  }
+
+  res.status(201).json({
+    status: "success",
+    message: "Store this signing secret now - it will not be shown again.",
+    data: {
+      endpoint: { ...toSafeEndpoint(endpoint), secret },
+    },
+  });
+});
+
+/**
+ * GET /api/v1/webhook-endpoints
+ */
+export const getMyWebhookEndpoints = catchAsync(async (req, res, next) => {
+  const endpoints = await WebhookEndpoint.find({ userId: req.user.id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: endpoints.length,
+    data: {
+      endpoints: endpoints.map(toSafeEndpoint),
+    },
+  });
+});
+
+/**
+ * PATCH /api/v1/webhook-endpoints/:id
+ * Body: { url?, events?, description?, active?, exportTemplateId? }
+ */
+export const updateWebhookEndpoint = catchAsync(async (req, res, next) => {
+  const { url, events, description, active, exportTemplateId } = req.body;
+
+  const endpoint = await WebhookEndpoint.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+  if (!endpoint) {
+    return next(new AppError("No webhook endpoint found with that ID", 404));
+  }
+
+  if (events !== undefined) {
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return next(new AppError(eventsError, 400));
+    }
+    endpoint.events = [...new Set(events)];
+  }
+
+  if (active !== undefined && typeof active !== "boolean") {
+    return next(new AppError("active must be a boolean value (true or false)", 400));
+  }
+
+  if (exportTemplateId !== undefined) {
+    const templateError = await validateExportTemplate(exportTemplateId, req.user.id);
+    if (templateError) {
+      return next(new AppError(templateError, 400));
+    }
+    endpoint.exportTemplateId = exportTemplateId;
+  }
+
+  if (url !== undefined) {
+    const urlError = await validatePublicUrl(url);
+    if (urlError) {
+      return next(new AppError(urlError, 400));
+    }
+    endpoint.url = url;
+  }
+  if (description !== undefined) endpoint.description = description;
+  if (active !== undefined) {
+    endpoint.active = active;
+    // Re-enabling starts with a clean health record
+    if (active) endpoint.consecutiveFailures = 0;
+  }
+
+  try {
+    await endpoint.save();
+  } catch (error) {
+    return handleValidationError(error, next);
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      endpoint: toSafeEndpoint(endpoint),
+    },
+  });
+});
+
+/**
+ * DELETE /api/v1/webhook-endpoints/:id
+ */
+export const deleteWebhookEndpoint = catchAsync(async (req, res, next) => {
+  const endpoint = await WebhookEndpoint.findOneAndDelete({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+  if (!endpoint) {
+    return next(new AppError("No webhook endpoint found with that ID", 404));
+  }
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+/**
+ * Replace the signing secret. The old secret stops working immediately.
+ * POST /api/v1/webhook-endpoints/:id/rotate-secret
+ */
+export const rotateWebhookSecret = catchAsync(async (req, res, next) => {
+  const endpoint = await WebhookEndpoint.findOne({
+    _id: req.params.id,
+    userId: req.user.id,
+  });
+  if (!endpoint) {
+    return next(new AppError("No webhook endpoint found with that ID", 404));
+  }
+
+  const secret = WebhookEndpoint.generateSecret();
+  endpoint.secret = secret;
+  await endpoint.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: "success",
+    message: "Store this signing secret now - it will not be shown again.",
+    data: {
+      endpoint: { ...toSafeEndpoint(endpoint), secret },
+    },
+  });
+});
+
+/**
+ * Delivery log, newest first
+ * GET /api/v1/webhook-endpoints/deliveries?endpointId=&status=&event=&page=&limit=
+ */
+export const getWebhookDeliveries = catchAsync(async (req, res, next) => {
+  const { endpointId, status, event } = req.query;
+
+  const filter = { userId: req.user.id };
+  if (endpointId) filter.endpointId = endpointId;
+  if (status) filter.status = status;
+  if (event) filter.event = event;
+
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit, 10) || 20), 100);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .select("-payload -attempts.responseBody")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  res.status(200).json({
+    status: "success",
+    results: deliveries.length,
+    page,
+    limit,
+    totalPages,
+    total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+    data: {
+      deliveries,
+    },
+  });
+});
+
+/**
+ * Full delivery record including payload and every attempt
+ * GET /api/v1/webhook-endpoints/deliveries/:deliveryId
+ */
+export const getWebhookDelivery = catchAsync(async (req, res, next) => {
+  const delivery = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    userId: req.user.id,
+  });
+  if (!delivery) {
+    return next(new AppError("No webhook delivery found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      delivery,
+    },
+  });
+});
+
+/**
+ * Send the same payload again as a new delivery (new webhook-id, fresh signature)
+ * POST /api/v1/webhook-endpoints/deliveries/:deliveryId/replay
+ */
+export const replayWebhookDelivery = catchAsync(async (req, res, next) => {
+  const original = await WebhookDelivery.findOne({
+    _id: req.params.deliveryId,
+    userId: req.user.id,
+  });
+  if (!original) {
+    return next(new AppError("No webhook delivery found with that ID", 404));
+  }
+
+  const endpoint = await WebhookEndpoint.findOne({
+    _id: original.endpointId,
+    userId: req.user.id,
+  });
+  if (!endpoint) {
+    return next(new AppError("The endpoint for this delivery no longer exists", 410));
+  }
+  if (!endpoint.active) {
+    return next(new AppError("Re-enable the endpoint before replaying deliveries", 409));
+  }
+
+  const delivery = await webhookDeliveryService.replay(original);
+
+  res.status(202).json({
+    status: "success",
+    message: "Delivery queued for replay",
+    data: {
+      delivery,
+    },
+  });
+});
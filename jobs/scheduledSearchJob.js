@@ -0,0 +1,312 @@
+import cron from "node-schedule";
+import ScheduledSearch from "../models/scheduledSearchModel.js";
+import Job from "../models/jobModel.js";
+import User from "../models/userModel.js";
+import jobConcurrencyService, {
+  RUNNING_JOB_STATUSES,
+  MAX_PENDING_JOBS_PER_USER,
+} from "../services/jobConcurrency.service.js";
+import {
+  estimateCreditsForRecords,
+  checkPlanRecordLimit,
+  checkSufficientCredits,
+} from "../utils/scrapeParams.js";
+import logger from "../services/logger.js";
+
+// Pick up schedules created or changed through another API process
+const RESYNC_CRON = "*/5 * * * *";
+
+// Every API process registers every schedule; the first one to claim a run
+// wins and the others see lastRunAt inside this window and back off. The same
+// goes for "run now" requests that arrive together.
+const DUPLICATE_FIRE_WINDOW_MS = 60 * 1000;
+
+// Interval schedules that fell behind while the server was down run this soon after startup
+const OVERDUE_RUN_DELAY_MS = 10 * 1000;
+
+class ScheduledSearchJob {
+  constructor() {
+    // scheduleId -> { job, updatedAt }
+    this.jobs = new Map();
+    this.resyncJob = null;
+  }
+
+  /**
+   * Register every active schedule and keep them in sync with the database
+   */
+  async init() {
+    await this.syncAll();
+    this.resyncJob = cron.scheduleJob(RESYNC_CRON, () => this.syncAll());
+    logger.info(
+      "SCHEDULED_SEARCH_JOBS_INITIALIZED",
+      `Registered ${this.jobs.size} scheduled search(es)`
+    );
+  }
+
+  /**
+   * node-schedule spec for a schedule
+   * @param {Object} schedule - ScheduledSearch document
+   * @returns {Object|Date}
+   */
+  getSpec(schedule) {
+    if (schedule.cron) {
+      return { rule: schedule.cron, tz: schedule.timezone || "UTC" };
+    }
+
+    const from = schedule.lastRunAt || schedule.createdAt || new Date();
+    const next = from.getTime() + schedule.intervalMinutes * 60 * 1000;
+    return new Date(Math.max(next, Date.now() + OVERDUE_RUN_DELAY_MS));
+  }
+
+  /**
+   * Next time a cron expression fires, or null when node-schedule rejects it
+   * @param {string} expression - Cron expression
+   * @param {string} timezone - IANA time zone
+   * @returns {Date|null}
+   */
+  getNextCronRun(expression, timezone = "UTC") {
+    const job = cron.scheduleJob({ rule: expression, tz: timezone }, () => {});
+    if (!job) return null;
+    const next = job.nextInvocation();
+    job.cancel();
+    return next ? next.toDate() : null;
+  }
+
+  /**
+   * (Re-)register one schedule in this process and store its next run time
+   * @param {Object} schedule - ScheduledSearch document
+   */
+  async syncSchedule(schedule) {
+    const id = schedule._id.toString();
+    this.unregister(id);
+
+    let nextRunAt = null;
+    if (schedule.active) {
+      const job = cron.scheduleJob(this.getSpec(schedule), () =>
+        this.runSchedule(id).catch((error) =>
+          logger.error("SCHEDULED_SEARCH_RUN_ERROR", `Error running scheduled search ${id}`, error)
+        )
+      );
+
+      if (!job) {
+        logger.warn("SCHEDULED_SEARCH_INVALID_SPEC", `Could not schedule search ${id}`, {
+          cron: schedule.cron,
+          intervalMinutes: schedule.intervalMinutes,
+          timezone: schedule.timezone,
+        });
+      } else {
+        this.jobs.set(id, { job, updatedAt: schedule.updatedAt?.getTime() });
+        nextRunAt = job.nextInvocation()?.toDate() || null;
+      }
+    }
+
+    if (String(nextRunAt) !== String(schedule.nextRunAt)) {
+      // Leave updatedAt alone so other processes do not treat this as an edit
+      await ScheduledSearch.updateOne(
+        { _id: schedule._id },
+        { $set: { nextRunAt } },
+        { timestamps: false }
+      );
+      schedule.nextRunAt = nextRunAt;
+    }
+  }
+
+  /**
+   * Bring this process's registrations in line with the database
+   */
+  async syncAll() {
+    try {
+      const schedules = await ScheduledSearch.find({ active: true });
+      const activeIds = new Set();
+
+      for (const schedule of schedules) {
+        const id = schedule._id.toString();
+        activeIds.add(id);
+
+        const registered = this.jobs.get(id);
+        if (registered && registered.updatedAt === schedule.updatedAt?.getTime()) {
+          continue;
+        }
+        await this.syncSchedule(schedule);
+      }
+
+      for (const id of this.jobs.keys()) {
+        if (!activeIds.has(id)) this.unregister(id);
+      }
+    } catch (error) {
+      logger.error("SCHEDULED_SEARCH_SYNC_ERROR", "Error syncing scheduled searches", error);
+    }
+  }
+
+  /**
+   * Stop firing a schedule in this process
+   * @param {string} scheduleId
+   */
+  unregister(scheduleId) {
+    const registered = this.jobs.get(scheduleId.toString());
+    if (registered) {
+      registered.job.cancel();
+      this.jobs.delete(scheduleId.toString());
+    }
+  }
+
+  async recordRun(schedule, lastRunStatus, { error = null, jobId = null } = {}) {
+    const update = {
+      lastRunStatus,
+      lastRunError: error,
+    };
+    if (jobId) {
+      update.lastJobId = jobId;
+      update.$inc = { runCount: 1 };
+    }
+
+    const updated = await ScheduledSearch.findByIdAndUpdate(schedule._id, update, { new: true });
+
+    // Interval schedules are one-off timers and need the next one set
+    if (updated && updated.intervalMinutes) {
+      await this.syncSchedule(updated);
+    }
+    return updated;
+  }
+
+  /**
+   * Submit one run of a saved search through the same path as POST /scrape
+   * @param {string} scheduleId
+   * @param {Object} [options]
+   * @param {boolean} [options.manual=false] - Triggered by the user ("run now")
+   * @returns {Promise<{ status: string, job?: Object, error?: { status: number, body: Object } }>}
+   */
+  async runSchedule(scheduleId, { manual = false } = {}) {
+    // Paused schedules can still be run by hand
+    const claimFilter = {
+      _id: scheduleId,
+      ...(!manual && { active: true }),
+      $or: [
+        { lastRunAt: null },
+        { lastRunAt: { $lt: new Date(Date.now() - DUPLICATE_FIRE_WINDOW_MS) } },
+      ],
+    };
+
+    const schedule = await ScheduledSearch.findOneAndUpdate(
+      claimFilter,
+      { $set: { lastRunAt: new Date() } },
+      { new: true }
+    );
+    if (!schedule) {
+      return { status: "not_claimed" };
+    }
+
+    const skip = async (status, error) => {
+      await this.recordRun(schedule, status, { error: error.body.message || error.body.error });
+      logger.info("SCHEDULED_SEARCH_RUN_SKIPPED", `Scheduled search ${scheduleId} skipped: ${status}`, error.body);
+      return { status, error };
+    };
+
+    const user = await User.findById(schedule.userId);
+    if (!user) {
+      await ScheduledSearch.updateOne({ _id: schedule._id }, { active: false });
+      this.unregister(scheduleId);
+      return { status: "skipped_error", error: { status: 404, body: { error: "User not found" } } };
+    }
+
+    // One run at a time - a slow run is not stacked on top of
+    if (schedule.lastJobId) {
+      const previousRunning = await Job.exists({
+        jobId: schedule.lastJobId,
+        status: { $in: ["pending", ...RUNNING_JOB_STATUSES] },
+      });
+      if (previousRunning) {
+        return skip("skipped_overlap", {
+          status: 409,
+          body: {
+            error: "Previous run still in progress",
+            message: `The previous run (${schedule.lastJobId}) has not finished yet.`,
+            jobId: schedule.lastJobId,
+          },
+        });
+      }
+    }
+
+    const jobParams = schedule.jobParams.toObject
+      ? schedule.jobParams.toObject()
+      : { ...schedule.jobParams };
+    if (schedule.newSinceLastRun) {
+      jobParams.avoidDuplicate = true;
+    }
+
+    // The plan may have changed since the search was saved
+    const estimatedCredits = estimateCreditsForRecords(jobParams.maxRecords);
+    const limitError =
+      checkPlanRecordLimit(user, jobParams.maxRecords) ||
+      checkSufficientCredits(user, estimatedCredits);
+    if (limitError) {
+      return skip("skipped_error", limitError);
+    }
+
+    const pendingJobsCount = await Job.countDocuments({
+      userId: user._id,
+      status: "pending",
+    });
+    if (pendingJobsCount >= MAX_PENDING_JOBS_PER_USER) {
+      return skip("skipped_error", {
+        status: 429,
+        body: {
+          error: "Pending job limit exceeded",
+          message: `You already have ${pendingJobsCount} jobs waiting to start.`,
+          pendingJobs: pendingJobsCount,
+          maxPendingJobs: MAX_PENDING_JOBS_PER_USER,
+        },
+      });
+    }
+
+    const jobRecord = await jobConcurrencyService.submit({
+      user,
+      jobParams,
+      links: {
+        scheduleId: schedule._id,
+        dedupScope: schedule.newSinceLastRun ? schedule.dedupScope : null,
+      },
+    });
+
+    await this.recordRun(schedule, "submitted", { jobId: jobRecord.jobId });
+    logger.info(
+      "SCHEDULED_SEARCH_RUN_SUBMITTED",
+      `Scheduled search ${scheduleId} submitted job ${jobRecord.jobId}${manual ? " (manual)" : ""}`
+    );
+
+    return { status: "submitted", job: jobRecord };
+  }
+
+  /**
+   * Get status of all registered schedules in this process
+   */
+  getJobStatus() {
+    const status = {};
+
+    for (const [id, { job }] of this.jobs) {
+      status[id] = {
+        scheduled: job !== null,
+        nextInvocation: job?.nextInvocation()?.toDate() || null,
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * Cancel all scheduled jobs
+   */
+  cancelAllJobs() {
+    for (const id of [...this.jobs.keys()]) {
+      this.unregister(id);
+    }
+    if (this.resyncJob) {
+      this.resyncJob.cancel();
+      this.resyncJob = null;
+    }
+  }
+}
+
+// Export singleton instance
+const scheduledSearchJob = new ScheduledSearchJob();
+export default scheduledSearchJob;
@@ -2,6 +2,7 @@ import { runScraper } from "../services/scraper3.service.js";
 import Job from "../models/jobModel.js";
 import User from "../models/userModel.js";
 import logger from "../services/logger.js";
+import { getPlaceRefs } from "../services/place.service.js";
 
 export default async function (job) {
   try {
@@ -50,8 +51,9 @@ export default async function (job) {
         jobStatus = totalExtractions > 0 ? "completed" : "data_not_found";
       }
 
+      // Records themselves were stored by the scraper as they came in
       await finalDbJob.updateStatus(jobStatus, {
-        result: result,
+        placeIds: await getPlaceRefs(job.data.userId, result),
         metrics: {
           totalExtractions: totalExtractions,
           dataPointsCollected: totalExtractions,
@@ -67,7 +69,8 @@ export default async function (job) {
       );
     }
 
-    return result;
+    // Keep Bull's returnvalue (stored in Redis and read by the API) small
+    return { totalExtractions: result?.length || 0 };
   } catch (error) {
     // Handle lock expiration errors - if job completed but lock expired, don't treat as failure
     if (error?.message?.includes("Missing lock for job")) {
@@ -84,7 +87,7 @@ export default async function (job) {
           "JOB_COMPLETED_DESPITE_LOCK_EXPIRY",
           `Job ${job.data?.jobId} completed successfully despite lock expiry`
         );
-        return dbJob.result || [];
+        return { totalExtractions: dbJob.metrics?.totalExtractions || 0 };
       }
     }
 
@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Keys look like "cz_live_<48 hex chars>"; the prefix is kept in clear so
+// users can tell their keys apart in the dashboard.
+const KEY_PREFIX = "cz_live_";
+const PREFIX_DISPLAY_LENGTH = KEY_PREFIX.length + 8;
+
+export const API_KEY_SCOPES = ["read", "submit"];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "API key must belong to a user"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Please give your API key a name"],
+      trim: true,
+      maxlength: [100, "API key name cannot exceed 100 characters"],
+    },
+
+    // First characters of the raw key, shown in listings
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    // sha256 of the raw key - the raw key is only returned once at creation
+    hashedKey: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+
+    scopes: {
+      type: [String],
+      enum: API_KEY_SCOPES,
+      default: ["read"],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "API key must have at least one scope",
+      },
+    },
+
+    // Per-key request budget per hour, capped by the owner's plan
+    rateLimitPerHour: {
+      type: Number,
+      default: 1000,
+      min: [1, "Rate limit must be at least 1 request per hour"],
+      max: [100000, "Rate limit cannot exceed 100,000 requests per hour"],
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+apiKeySchema.virtual("isActive").get(function () {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt.getTime() <= Date.now()) return false;
+  return true;
+});
+
+apiKeySchema.statics.hashKey = function (rawKey) {
+  return crypto.createHash("sha256").update(rawKey).digest("hex");
+};
+
+apiKeySchema.statics.looksLikeApiKey = function (value) {
+  return typeof value === "string" && value.startsWith(KEY_PREFIX);
+};
+
+/**
+ * Look up a usable (not revoked, not expired) key by its raw value.
+ * @param {string} rawKey
+ * @returns {Promise<ApiKey|null>}
+ */
+apiKeySchema.statics.findActiveByRawKey = async function (rawKey) {
+  if (!this.looksLikeApiKey(rawKey)) return null;
+  const apiKey = await this.findOne({ hashedKey: this.hashKey(rawKey) });
+  return apiKey && apiKey.isActive ? apiKey : null;
+};
+
+/**
+ * Generate a new raw key and return it alongside the fields to persist.
+ * @returns {{ rawKey: string, prefix: string, hashedKey: string }}
+ */
+apiKeySchema.statics.generateKey = function () {
+  const rawKey = `${KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+  return {
+    rawKey,
+    prefix: rawKey.slice(0, PREFIX_DISPLAY_LENGTH),
+    hashedKey: this.hashKey(rawKey),
+  };
+};
+
+// "submit" keys can also read the jobs they create
+apiKeySchema.methods.hasScope = function (scope) {
+  if (scope === "read" && this.scopes.includes("submit")) return true;
+  return this.scopes.includes(scope);
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+export default ApiKey;
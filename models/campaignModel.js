@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+export const CAMPAIGN_SOURCES = ["matrix", "csv"];
+
+// A campaign groups the child Jobs created by one bulk submission.
+// Progress, credits and status are derived from the children on read.
+const campaignSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Campaign must belong to a user"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Please give your campaign a name"],
+      trim: true,
+      maxlength: [200, "Campaign name cannot exceed 200 characters"],
+    },
+
+    source: {
+      type: String,
+      enum: CAMPAIGN_SOURCES,
+      required: true,
+    },
+
+    // Options shared by every child job (filters, email extraction, ...)
+    options: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    totalJobs: {
+      type: Number,
+      default: 0,
+    },
+
+    estimatedCredits: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+campaignSchema.index({ userId: 1, createdAt: -1 });
+
+const Campaign = mongoose.model("Campaign", campaignSchema);
+
+export default Campaign;
@@ -0,0 +1,90 @@
+import mongoose from "mongoose";
+
+// allocation: plan credits granted (balance reset to the plan amount)
+// deduction: credits reserved for a job or email verification
+// refund: reserved credits given back
+// addition: credits added on top of the balance
+// downgrade: balance reset to the free plan amount
+export const CREDIT_LEDGER_TYPES = ["allocation", "deduction", "refund", "addition", "downgrade"];
+
+// One change to a user's credits.remaining. Entries are only ever inserted:
+// the balance history is the sequence of entries, and reconciliation
+// recomputes the current balance from it.
+const creditLedgerSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "A credit ledger entry must belong to a user"],
+    },
+
+    type: {
+      type: String,
+      enum: CREDIT_LEDGER_TYPES,
+      required: true,
+    },
+
+    // Signed change to credits.remaining (negative for deductions)
+    amount: {
+      type: Number,
+      required: true,
+    },
+
+    // credits.remaining once the change was saved
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      default: null,
+    },
+
+    // What the change is for (Job.jobId, EmailVerification, subscription)
+    jobId: {
+      type: String,
+      default: null,
+    },
+    emailVerificationId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "EmailVerification",
+      default: null,
+    },
+    subscriptionId: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+creditLedgerSchema.index({ userId: 1, createdAt: -1 });
+
+const rejectChange = function (next) {
+  next(new Error("Credit ledger entries cannot be changed or removed"));
+};
+
+creditLedgerSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+creditLedgerSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+
+const CreditLedger = mongoose.model("CreditLedger", creditLedgerSchema);
+
+export default CreditLedger;
@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import validator from "validator";
+import { encryptJson, decryptJson } from "../utils/secretBox.js";
+
+export const CRM_CONNECTOR_TYPES = ["hubspot", "pipedrive", "rest"];
+
+// Secret the stored credentials are encrypted with
+const CREDENTIALS_KEY_ENV = "CRM_CREDENTIALS_KEY";
+
+// Plain http is only allowed outside production (local tunnels, mock servers)
+const isAllowedUrl = (v) =>
+  validator.isURL(v, {
+    protocols: process.env.NODE_ENV === "production" ? ["https"] : ["http", "https"],
+    require_protocol: true,
+    require_tld: process.env.NODE_ENV === "production",
+  });
+
+const crmConnectionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "CRM connection must belong to a user"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Connection name is required"],
+      trim: true,
+      maxlength: [100, "Connection name cannot exceed 100 characters"],
+    },
+
+    type: {
+      type: String,
+      enum: CRM_CONNECTOR_TYPES,
+      required: [true, "Connector type is required"],
+    },
+
+    // hubspot: { accessToken }, pipedrive: { apiToken }, rest: { headers }.
+    // Encrypted when set and never selected by default; reading the field
+    // returns the decrypted object, and throws if it cannot be decrypted.
+    credentials: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false,
+      set: (value) => (value == null ? value : encryptJson(value, CREDENTIALS_KEY_ENV)),
+      get: (value) => (value == null ? value : decryptJson(value, CREDENTIALS_KEY_ENV)),
+    },
+
+    // Non-secret settings:
+    // - all: fieldMapping { recordField: crmField } on top of the connector defaults
+    // - rest: url, method, authCheckUrl
+    settings: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+      validate: {
+        validator: function (v) {
+          if (this.type !== "rest") return true;
+          return (
+            Boolean(v?.url) &&
+            isAllowedUrl(v.url) &&
+            (!v.authCheckUrl || isAllowedUrl(v.authCheckUrl))
+          );
+        },
+        message: "REST connections need a valid settings.url (and a valid authCheckUrl if set)",
+      },
+    },
+
+    // REST connections only: send template rows instead of raw records
+    exportTemplateId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ExportTemplate",
+      default: null,
+    },
+
+    // Push every job that completes without being asked
+    autoPush: {
+      type: Boolean,
+      default: false,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastPushAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastPushStatus: {
+      type: String,
+      enum: ["completed", "failed", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+crmConnectionSchema.index({ userId: 1, autoPush: 1, active: 1 });
+
+const CrmConnection = mongoose.model("CrmConnection", crmConnectionSchema);
+
+export default CrmConnection;
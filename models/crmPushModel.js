@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+// What happened to one record (see CrmConnector.pushRecord)
+export const CRM_OUTCOME_STATUSES = ["created", "updated", "skipped", "failed"];
+
+// Push logs are kept for 90 days
+const PUSH_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const outcomeSchema = new mongoose.Schema(
+  {
+    // getResultKey() of the record
+    key: String,
+    name: String,
+    status: {
+      type: String,
+      enum: CRM_OUTCOME_STATUSES,
+      required: true,
+    },
+    // Company / organization ID in the CRM
+    externalId: {
+      type: String,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One run of sending a job's records to a CRM connection
+const crmPushSchema = new mongoose.Schema(
+  {
+    connectionId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "CrmConnection",
+      required: true,
+      index: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    jobId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    trigger: {
+      type: String,
+      enum: ["manual", "auto"],
+      default: "manual",
+    },
+
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+
+    counts: {
+      total: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+
+    // One entry per record, in job order
+    outcomes: {
+      type: [outcomeSchema],
+      default: [],
+    },
+
+    // Why the push as a whole failed (bad credentials, job gone, ...)
+    error: {
+      type: String,
+      default: null,
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+crmPushSchema.index({ createdAt: 1 }, { expireAfterSeconds: PUSH_RETENTION_SECONDS });
+
+const CrmPush = mongoose.model("CrmPush", crmPushSchema);
+
+export default CrmPush;
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+export const EMAIL_VERIFICATION_SOURCES = ["csv", "json"];
+export const EMAIL_VERIFICATION_STATUSES = ["queued", "active", "completed", "failed"];
+// email_status values, as on scraped records
+export const EMAIL_VERDICTS = ["deliverable", "risky", "undeliverable", "unknown"];
+
+// One uploaded list of addresses checked with the SMTP verifier. Per-address
+// verdicts are stored as EmailVerificationResult documents.
+const emailVerificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "An email verification must belong to a user"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Name cannot exceed 200 characters"],
+      default: null,
+    },
+
+    source: {
+      type: String,
+      enum: EMAIL_VERIFICATION_SOURCES,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: EMAIL_VERIFICATION_STATUSES,
+      default: "queued",
+    },
+
+    // Unique addresses after trimming and lowercasing
+    totalEmails: {
+      type: Number,
+      required: true,
+    },
+
+    counts: {
+      processed: { type: Number, default: 0 },
+      deliverable: { type: Number, default: 0 },
+      risky: { type: Number, default: 0 },
+      undeliverable: { type: Number, default: 0 },
+      unknown: { type: Number, default: 0 },
+    },
+
+    credits: {
+      charged: { type: Number, default: 0 },
+      refunded: { type: Number, default: 0 },
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+emailVerificationSchema.index({ userId: 1, createdAt: -1 });
+
+const EmailVerification = mongoose.model("EmailVerification", emailVerificationSchema);
+
+export default EmailVerification;
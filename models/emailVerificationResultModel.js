@@ -0,0 +1,73 @@
+import mongoose from "mongoose";
+import { EMAIL_VERDICTS } from "./emailVerificationModel.js";
+
+// Verdict for one address of an uploaded list
+const emailVerificationResultSchema = new mongoose.Schema(
+  {
+    verificationId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "EmailVerification",
+      required: true,
+    },
+
+    // Order of the address in the uploaded list
+    position: {
+      type: Number,
+      required: true,
+    },
+
+    email: {
+      type: String,
+      required: true,
+    },
+
+    email_status: {
+      type: String,
+      enum: EMAIL_VERDICTS,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      default: null,
+    },
+
+    // SMTP reply code to RCPT TO, when the server was reached
+    code: {
+      type: Number,
+      default: null,
+    },
+
+    score: {
+      type: Number,
+      default: null,
+    },
+
+    catchAll: {
+      type: Boolean,
+      default: null,
+    },
+
+    roleAccount: {
+      type: Boolean,
+      default: false,
+    },
+
+    disposableDomain: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+emailVerificationResultSchema.index({ verificationId: 1, position: 1 }, { unique: true });
+
+const EmailVerificationResult = mongoose.model(
+  "EmailVerificationResult",
+  emailVerificationResultSchema
+);
+
+export default EmailVerificationResult;
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+export const PHONE_FORMATS = ["raw", "e164"];
+export const EMAIL_MODES = ["joined", "exploded"];
+export const MAX_TEMPLATE_COLUMNS = 100;
+
+// Record field, or a dotted path into one (e.g. "email_verification.mode")
+const FIELD_PATTERN = /^[A-Za-z_][\w]*(\.[\w]+)*$/;
+
+const templateColumnSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: [true, "Each column needs a field"],
+      trim: true,
+      match: [FIELD_PATTERN, "Column field must be a record field name or dotted path"],
+    },
+    // Column name in the export; defaults to the field name
+    header: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Column header cannot exceed 100 characters"],
+    },
+  },
+  { _id: false }
+);
+
+// Saved column mapping for downloads and webhook payloads. Columns are
+// written in array order.
+const exportTemplateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Export template must belong to a user"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Template name is required"],
+      trim: true,
+      maxlength: [100, "Template name cannot exceed 100 characters"],
+    },
+
+    columns: {
+      type: [templateColumnSchema],
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0 && v.length <= MAX_TEMPLATE_COLUMNS,
+        message: `A template needs between 1 and ${MAX_TEMPLATE_COLUMNS} columns`,
+      },
+    },
+
+    phoneFormat: {
+      type: String,
+      enum: PHONE_FORMATS,
+      default: "raw",
+    },
+
+    // Country used for E.164 when the job has none (ISO 3166-1 alpha-2)
+    defaultCountryCode: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2}$/, "defaultCountryCode must be a 2-letter country code"],
+      default: null,
+    },
+
+    // "exploded" writes one row per email, repeating the business columns
+    emailMode: {
+      type: String,
+      enum: EMAIL_MODES,
+      default: "joined",
+    },
+
+    emailSeparator: {
+      type: String,
+      maxlength: [10, "emailSeparator cannot exceed 10 characters"],
+      default: ", ",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+exportTemplateSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+/**
+ * One of the user's templates, or null when the ID is malformed, unknown or
+ * belongs to someone else
+ */
+exportTemplateSchema.statics.findForUser = function (userId, templateId) {
+  if (!mongoose.isValidObjectId(templateId)) return Promise.resolve(null);
+  return this.findOne({ _id: templateId, userId });
+};
+
+const ExportTemplate = mongoose.model("ExportTemplate", exportTemplateSchema);
+
+export default ExportTemplate;
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+import { encryptJson, decryptJson } from "../utils/secretBox.js";
+
+// Secret the stored OAuth tokens are encrypted with
+const TOKENS_KEY_ENV = "GOOGLE_SHEETS_TOKENS_KEY";
+
+// Tokens are written through update queries as well as saves; setters run
+// for both, so they are encrypted on the way in and decrypted when read
+const encryptedToken = {
+  type: String,
+  select: false,
+  set: (value) => (value == null ? value : encryptJson(value, TOKENS_KEY_ENV)),
+  get: (value) => (value == null ? value : decryptJson(value, TOKENS_KEY_ENV)),
+};
+
+// A user's Google authorization for Sheets, separate from "Sign in with
+// Google" (which only asks for profile and email). One per user.
+const googleSheetsConnectionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Google Sheets connection must belong to a user"],
+      unique: true,
+    },
+
+    // Google account that granted access, shown to the user
+    googleEmail: {
+      type: String,
+      default: null,
+    },
+
+    accessToken: encryptedToken,
+
+    // Only sent by Google on the first consent (we always ask with prompt=consent)
+    refreshToken: encryptedToken,
+
+    expiryDate: {
+      type: Date,
+      default: null,
+    },
+
+    scopes: {
+      type: [String],
+      default: [],
+    },
+
+    // "revoked" once Google rejects the refresh token; the user has to reconnect
+    status: {
+      type: String,
+      enum: ["connected", "revoked"],
+      default: "connected",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const GoogleSheetsConnection = mongoose.model(
+  "GoogleSheetsConnection",
+  googleSheetsConnectionSchema
+);
+
+export default GoogleSheetsConnection;
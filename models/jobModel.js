@@ -1,4 +1,115 @@
 import mongoose from "mongoose";
+import JobResult from "./jobResultModel.js";
+
+// How a record compares to the user's last stored version of the place
+export const DELTA_STATUSES = ["new", "changed", "unchanged"];
+
+// Search parameters of a scrape job. Shared with saved searches so a
+// scheduled run produces exactly the jobParams a manual submit would.
+export const jobParamsDefinition = {
+  keyword: {
+    type: String,
+    required: [true, "Keyword is required"],
+  },
+  city: {
+    type: String,
+    default: null,
+  },
+  stateCode: {
+    type: String,
+    default: null,
+  },
+  countryCode: {
+    type: String,
+    required: [true, "Country code is required"],
+    uppercase: true,
+  },
+  maxRecords: {
+    type: Number,
+    default: 50,
+    min: 1,
+    max: 3000, // Maximum possible limit - plan-based validation handled in controller
+  },
+  minRating: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 5,
+  },
+  ratingFilter: {
+    operator: {
+      type: String,
+      enum: ["gt", "lt", "gte", "lte"],
+      default: null,
+    },
+    value: {
+      type: Number,
+      min: 0,
+      max: 5,
+      default: null,
+    },
+  },
+  reviewFilter: {
+    operator: {
+      type: String,
+      enum: ["gt", "lt", "gte", "lte"],
+      default: null,
+    },
+    value: {
+      type: Number,
+      min: 0,
+      max: 10000,
+      default: null,
+    },
+  },
+  reviewTimeRange: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 10,
+  },
+  isExtractEmail: {
+    type: Boolean,
+    default: false,
+  },
+  isValidate: {
+    type: Boolean,
+    default: false,
+  },
+  extractNegativeReviews: {
+    type: Boolean,
+    default: false,
+  },
+  avoidDuplicate: {
+    type: Boolean,
+    default: false,
+  },
+  onlyWithoutWebsite: {
+    type: Boolean,
+    default: false,
+  },
+  // Drop businesses whose homepage has analytics (or could not be checked)
+  onlyWithoutAnalytics: {
+    type: Boolean,
+    default: false,
+  },
+  // Guess and verify addresses on the website's domain when none are listed
+  inferEmails: {
+    type: Boolean,
+    default: false,
+  },
+  // Compare each record with the user's last stored version of the place
+  deltaMode: {
+    type: Boolean,
+    default: false,
+  },
+  // Which delta statuses to keep when deltaMode is on
+  deltaKeep: {
+    type: [String],
+    enum: DELTA_STATUSES,
+    default: ["new", "changed"],
+  },
+};
 
 const jobSchema = new mongoose.Schema(
   {
@@ -19,74 +130,43 @@ const jobSchema = new mongoose.Schema(
     },
 
     // Job parameters
-    jobParams: {
-      keyword: {
-        type: String,
-        required: [true, "Keyword is required"],
-      },
-      city: {
-        type: String,
-        default: null,
-      },
-      stateCode: {
-        type: String,
-        default: null,
-      },
-      countryCode: {
-        type: String,
-        required: [true, "Country code is required"],
-        uppercase: true,
-      },
-      maxRecords: {
-        type: Number,
-        default: 50,
-        min: 1,
-        max: 3000, // Maximum possible limit - plan-based validation handled in controller
-      },
-      minRating: {
-        type: Number,
-        default: null,
-        min: 0,
-        max: 5,
-      },
-      ratingFilter: {
-        operator: {
-          type: String,
-          enum: ["gt", "lt", "gte", "lte"],
-          default: null,
-        },
-        value: {
-          type: Number,
-          min: 0,
-          max: 5,
-          default: null,
-        },
-      },
-      reviewFilter: {
-        operator: {
-          type: String,
-          enum: ["gt", "lt", "gte", "lte"],
-          default: null,
-        },
-        value: {
-          type: Number,
-          min: 0,
-          max: 10000,
-          default: null,
-        },
-      },
-      reviewTimeRange: {
-        type: Number,
-        default: null,
-        min: 0,
-        max: 10,
-      },
+    jobParams: jobParamsDefinition,
+
+    // Parent campaign when submitted as part of a bulk batch
+    campaignId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Campaign",
+      default: null,
+      index: true,
+    },
+
+    // Saved search that started this run
+    scheduleId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ScheduledSearch",
+      default: null,
+      index: true,
+    },
+
+    // Redis set used by avoidDuplicate instead of the user's global one
+    dedupScope: {
+      type: String,
+      default: null,
     },
 
+    // Places this job found (see models/placeModel.js) - outlive the job itself
+    placeIds: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Place",
+      },
+    ],
+
     // Job status and progress
     status: {
       type: String,
       enum: [
+        "pending", // accepted but held back by the user's concurrency limit
         "waiting",
         "active",
         "completed",
@@ -144,12 +224,20 @@ const jobSchema = new mongoose.Schema(
       },
     },
 
-    // Job results and metrics
+    // Legacy embedded records. Jobs now write to the JobResult collection
+    // as they run and leave this null.
     result: {
       type: mongoose.Schema.Types.Mixed,
       default: null,
     },
 
+    // Set while a request moves the legacy records into JobResult, so two
+    // requests never migrate the same job at once
+    resultsMigratingAt: {
+      type: Date,
+      default: null,
+    },
+
     // Error handling
     error: {
       message: String,
@@ -289,6 +377,17 @@ jobSchema.methods.updateStatus = async function (status, additionalData = {}) {
 };
 
 // Static method to clean up old jobs using batch processing
+// Stored records live in their own collection and go with the job.
+// Pending jobs are kept however old: they hold credits deducted at
+// submission and still have to run (or be cancelled with a refund).
+const deleteJobsWithResults = async (JobModel, filter) => {
+  const jobIds = await JobModel.distinct("jobId", { ...filter, status: { $ne: "pending" } });
+  if (jobIds.length === 0) return { deletedCount: 0 };
+
+  await JobResult.deleteMany({ jobId: { $in: jobIds } });
+  return JobModel.deleteMany({ jobId: { $in: jobIds } });
+};
+
 jobSchema.statics.cleanupOldJobs = async function (batchSize = 100) {
   const User = mongoose.model("User");
 
@@ -323,7 +422,7 @@ jobSchema.statics.cleanupOldJobs = async function (batchSize = 100) {
 
       const freeUserIds = freeUsers.map((user) => user._id);
 
-      const freeResult = await this.deleteMany({
+      const freeResult = await deleteJobsWithResults(this, {
         userId: { $in: freeUserIds },
         createdAt: { $lt: freePlanCutoff },
       });
@@ -354,7 +453,7 @@ jobSchema.statics.cleanupOldJobs = async function (batchSize = 100) {
 
       const otherUserIds = otherUsers.map((user) => user._id);
 
-      const otherResult = await this.deleteMany({
+      const otherResult = await deleteJobsWithResults(this, {
         userId: { $in: otherUserIds },
         createdAt: { $lt: otherPlanCutoff },
       });
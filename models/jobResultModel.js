@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// One scraped record of a job. Written in batches while the job runs so a
+// job's results never have to fit in a single document or in memory.
+const jobResultSchema = new mongoose.Schema(
+  {
+    jobId: {
+      type: String,
+      required: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Order in which the scraper accepted the record
+    position: {
+      type: Number,
+      required: true,
+    },
+
+    // Numeric copies of record.rating / record.rating_count (the scraper
+    // keeps the review count as a string) for sorting and range filters
+    rating: {
+      type: Number,
+      default: null,
+    },
+
+    reviewCount: {
+      type: Number,
+      default: null,
+    },
+
+    // The record exactly as the scraper produced it
+    record: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false,
+  }
+);
+
+jobResultSchema.index({ jobId: 1, position: 1 }, { unique: true });
+jobResultSchema.index({ jobId: 1, rating: -1 });
+jobResultSchema.index({ jobId: 1, reviewCount: -1 });
+
+const JobResult = mongoose.model("JobResult", jobResultSchema);
+
+export default JobResult;
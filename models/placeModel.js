@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+
+// Changes kept per place; older entries are dropped first
+export const MAX_PLACE_HISTORY = 100;
+
+const placeHistorySchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Job that observed the new value
+    jobId: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One document per business per user, kept across jobs. Jobs reference
+// places through Job.placeIds; Job.cleanupOldJobs does not touch them.
+const placeSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Place must belong to a user"],
+    },
+
+    // Google feature ID ("0x...:0x...") parsed from the Maps URL, or a
+    // normalized URL / name+address key when the URL has none
+    placeId: {
+      type: String,
+      required: true,
+    },
+
+    url: String,
+    name: String,
+    phone: String,
+    website: String,
+    email: {
+      type: [String],
+      default: [],
+    },
+    address: String,
+    category: String,
+    latitude: Number,
+    longitude: Number,
+    rating: Number,
+    rating_count: Number,
+    opening_hours_text: String,
+
+    firstSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+      index: true,
+    },
+
+    firstJobId: {
+      type: String,
+      default: null,
+    },
+
+    lastJobId: {
+      type: String,
+      default: null,
+    },
+
+    timesSeen: {
+      type: Number,
+      default: 1,
+    },
+
+    history: {
+      type: [placeHistorySchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+placeSchema.index({ userId: 1, placeId: 1 }, { unique: true });
+placeSchema.index({ userId: 1, lastSeenAt: -1 });
+placeSchema.index({ userId: 1, category: 1 });
+
+const Place = mongoose.model("Place", placeSchema);
+
+export default Place;
@@ -0,0 +1,118 @@
+import mongoose from "mongoose";
+import { jobParamsDefinition } from "./jobModel.js";
+
+export const MIN_SCHEDULE_INTERVAL_MINUTES = 60;
+
+// Outcome of the most recent time the schedule fired
+export const SCHEDULE_RUN_STATUSES = [
+  "submitted",
+  "skipped_overlap", // previous run still pending or running
+  "skipped_error", // validation, plan limit or credits check failed
+];
+
+const scheduledSearchSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Scheduled search must belong to a user"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      required: [true, "Please give your scheduled search a name"],
+      trim: true,
+      maxlength: [200, "Scheduled search name cannot exceed 200 characters"],
+    },
+
+    // Same shape as Job.jobParams - copied onto every run
+    jobParams: jobParamsDefinition,
+
+    // Exactly one of cron / intervalMinutes is set
+    cron: {
+      type: String,
+      default: null,
+      trim: true,
+    },
+
+    intervalMinutes: {
+      type: Number,
+      default: null,
+      min: [
+        MIN_SCHEDULE_INTERVAL_MINUTES,
+        `Interval must be at least ${MIN_SCHEDULE_INTERVAL_MINUTES} minutes`,
+      ],
+    },
+
+    // IANA time zone the cron expression is evaluated in
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+
+    // Only return businesses that earlier runs of this schedule did not find
+    newSinceLastRun: {
+      type: Boolean,
+      default: false,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastRunStatus: {
+      type: String,
+      enum: [...SCHEDULE_RUN_STATUSES, null],
+      default: null,
+    },
+
+    lastRunError: {
+      type: String,
+      default: null,
+    },
+
+    lastJobId: {
+      type: String,
+      default: null,
+    },
+
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+scheduledSearchSchema.pre("validate", function (next) {
+  if (!this.cron === !this.intervalMinutes) {
+    this.invalidate("cron", "Provide either a cron expression or intervalMinutes");
+  }
+  next();
+});
+
+// Redis set holding URLs found by earlier runs ("new since last run" mode)
+scheduledSearchSchema.virtual("dedupScope").get(function () {
+  return `schedule:${this._id}`;
+});
+
+const ScheduledSearch = mongoose.model("ScheduledSearch", scheduledSearchSchema);
+
+export default ScheduledSearch;
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+export const SHEETS_WRITE_MODES = ["append", "replace"];
+
+// A spreadsheet tab that job results are written to
+const sheetsDestinationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Sheets destination must belong to a user"],
+      index: true,
+    },
+
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Destination name cannot exceed 100 characters"],
+    },
+
+    spreadsheetId: {
+      type: String,
+      required: [true, "Spreadsheet ID is required"],
+      trim: true,
+      match: [/^[A-Za-z0-9_-]{20,}$/, "Please provide a valid spreadsheet URL or ID"],
+    },
+
+    // Tab name; created on first write when missing
+    sheetName: {
+      type: String,
+      required: [true, "Sheet (tab) name is required"],
+      trim: true,
+      maxlength: [100, "Sheet name cannot exceed 100 characters"],
+    },
+
+    // Column mapping; the default export columns when not set
+    exportTemplateId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ExportTemplate",
+      default: null,
+    },
+
+    // Every finished run of this scheduled search is appended automatically
+    scheduleId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ScheduledSearch",
+      default: null,
+      index: true,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    lastSyncAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastSyncStatus: {
+      type: String,
+      enum: ["success", "failed", null],
+      default: null,
+    },
+
+    lastSyncError: {
+      type: String,
+      default: null,
+    },
+
+    lastJobId: {
+      type: String,
+      default: null,
+    },
+
+    rowsWritten: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SheetsDestination = mongoose.model("SheetsDestination", sheetsDestinationSchema);
+
+export default SheetsDestination;
@@ -2,6 +2,8 @@ import mongoose from "mongoose";
 import crypto from "crypto";
 import validator from "validator";
 import bcrypt from "bcryptjs";
+import CreditLedger from "./creditLedgerModel.js";
+import logger from "../services/logger.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -282,50 +284,257 @@ userSchema.methods.getMaxRecordsLimit = function () {
   return planLimits[this.plan] || planLimits.free;
 };
 
+// Method to get how many jobs may run at once; extra jobs wait as "pending"
+userSchema.methods.getConcurrentJobsLimit = function () {
+  const planLimits = {
+    free: 1,
+    pro: 3,
+    business: 5,
+  };
+  return planLimits[this.plan] || planLimits.free;
+};
+
+// Method to get the highest hourly request budget an API key may have
+userSchema.methods.getApiKeyRateLimit = function () {
+  const planLimits = {
+    free: 1000,
+    pro: 10000,
+    business: 100000,
+  };
+  return planLimits[this.plan] || planLimits.free;
+};
+
+// null until the first credit change finds out whether the deployment
+// supports transactions (replica set / mongos) or not (standalone server)
+let creditTransactionsSupported = null;
+
+/**
+ * Run a credit change and its ledger entry in one transaction, so neither is
+ * saved without the other. On a standalone MongoDB, which has no
+ * transactions, fn runs without a session instead.
+ * @param {Function} fn - async (session|null) => result
+ * @returns {Promise<*>} What fn returns
+ */
+userSchema.statics.withCreditTransaction = async function (fn) {
+  if (creditTransactionsSupported === false) return fn(null);
+
+  try {
+    // Unlike session.withTransaction, this resets documents saved in fn
+    // before a retry
+    const result = await mongoose.connection.transaction(fn);
+    creditTransactionsSupported = true;
+    return result;
+  } catch (error) {
+    // IllegalOperation: "Transaction numbers are only allowed on a replica set member or mongos"
+    if (creditTransactionsSupported === null && error.code === 20) {
+      creditTransactionsSupported = false;
+      logger.warn(
+        "CREDIT_TRANSACTIONS_UNSUPPORTED",
+        "MongoDB does not support transactions; credit changes and ledger entries are written separately"
+      );
+      return fn(null);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Append a change of credits.remaining to the credit ledger. Call after the
+ * change is saved, with the session it was saved in. Without a session (no
+ * transaction support) a failed ledger write is logged and does not undo the
+ * change; inside a transaction it aborts the change.
+ * @param {string} type - One of CREDIT_LEDGER_TYPES
+ * @param {number} previousRemaining - credits.remaining before the change
+ * @param {Object} [details] - { reason, jobId, emailVerificationId, subscriptionId }
+ * @param {Object} [options]
+ * @param {ClientSession|null} [options.session]
+ */
+userSchema.methods.recordCreditChange = async function (
+  type,
+  previousRemaining,
+  details = {},
+  { session = null } = {}
+) {
+  const entry = {
+    userId: this._id,
+    type,
+    amount: this.credits.remaining - previousRemaining,
+    balanceAfter: this.credits.remaining,
+    reason: details.reason || null,
+    jobId: details.jobId || null,
+    emailVerificationId: details.emailVerificationId || null,
+    subscriptionId: details.subscriptionId || null,
+  };
+
+  if (session) {
+    await CreditLedger.create([entry], { session });
+    return;
+  }
+  try {
+    await CreditLedger.create(entry);
+  } catch (error) {
+    logger.error(
+      "CREDIT_LEDGER_WRITE_ERROR",
+      `Error recording credit ${type} for user ${this._id}; the ledger no longer matches the balance`,
+      { error: error.message, ...entry }
+    );
+  }
+};
+
+// Copy credits written by an atomic update onto this document without
+// marking them modified, so a later save() does not write them back
+const syncCredits = (user, credits) => {
+  for (const field of ["total", "used", "remaining"]) {
+    user.credits[field] = credits[field];
+    user.unmarkModified(`credits.${field}`);
+  }
+};
+
+/**
+ * Apply an atomic update to the user's credits and record it in the ledger,
+ * both in one transaction where the deployment supports it
+ * @param {Object} user - User document, updated in place
+ * @param {string} type - One of CREDIT_LEDGER_TYPES
+ * @param {Object} change
+ * @param {Object} [change.filter] - Extra conditions the user must match (e.g. enough credits)
+ * @param {Object|Object[]} change.update - Update document or pipeline
+ * @param {Function} change.apply - The same change in JS: credits before -> credits after
+ * @param {Object} details - Ledger context
+ * @returns {Promise<Object|null>} The user, or null when filter did not match
+ */
+const applyCreditChange = (user, type, { filter = {}, update, apply }, details) =>
+  user.constructor.withCreditTransaction(async (session) => {
+    // The document as it was right before this update, so the ledger amount
+    // is this change alone even when other changes land around it
+    const before = await user.constructor
+      .findOneAndUpdate({ _id: user._id, ...filter }, update, { session })
+      .select("credits")
+      .lean();
+    if (!before) return null;
+
+    const previous = before.credits;
+    syncCredits(user, apply(previous));
+    if (user.credits.remaining !== previous.remaining) {
+      await user.recordCreditChange(type, previous.remaining, details, { session });
+    }
+    return user;
+  });
+
 // Method to deduct credits - FIXED VERSION with plan-based bypass
-userSchema.methods.deductCredits = async function (amount) {
+// details: ledger context ({ reason, jobId, emailVerificationId })
+userSchema.methods.deductCredits = async function (amount, details = {}) {
   // Skip credit deduction for users with unlimited extraction (business only)
   if (this.hasUnlimitedExtraction()) {
     return this; // Return user instance without deduction
   }
 
-  // Free and Pro users have credit limitations
-  if (this.credits.remaining < amount) {
+  // Free and Pro users have credit limitations. The balance check is part of
+  // the update, so concurrent deductions cannot overdraw it.
+  const updated = await applyCreditChange(
+    this,
+    "deduction",
+    {
+      filter: { "credits.remaining": { $gte: amount } },
+      update: { $inc: { "credits.used": amount, "credits.remaining": -amount } },
+      apply: (credits) => ({
+        ...credits,
+        used: credits.used + amount,
+        remaining: credits.remaining - amount,
+      }),
+    },
+    details
+  );
+  if (!updated) {
     throw new Error("Insufficient credits");
   }
-
-  this.credits.used += amount;
-  this.credits.remaining -= amount;
-
-  // Use validateBeforeSave: false to skip validation
-  return await this.save({ validateBeforeSave: false });
+  return updated;
 };
 
 // Method to add credits - FIXED VERSION
-userSchema.methods.addCredits = async function (amount) {
-  this.credits.total += amount;
-  this.credits.remaining += amount;
-
-  // Use validateBeforeSave: false to skip validation
-  return await this.save({ validateBeforeSave: false });
+userSchema.methods.addCredits = async function (amount, details = {}) {
+  return applyCreditChange(
+    this,
+    "addition",
+    {
+      update: { $inc: { "credits.total": amount, "credits.remaining": amount } },
+      apply: (credits) => ({
+        ...credits,
+        total: credits.total + amount,
+        remaining: credits.remaining + amount,
+      }),
+    },
+    details
+  );
 };
 
 // Method to refund credits (used when job returns fewer results than expected)
-userSchema.methods.refundCredits = async function (amount) {
+userSchema.methods.refundCredits = async function (amount, details = {}) {
   // Skip refund for users with unlimited extraction (business only)
   if (this.hasUnlimitedExtraction()) {
     return this; // Return user instance without refund
   }
 
-  // Refund for Free and Pro users who have credit limitations
-  this.credits.used = Math.max(0, this.credits.used - amount);
-  this.credits.remaining = Math.min(
-    this.credits.total,
-    this.credits.remaining + amount
+  // Refund for Free and Pro users who have credit limitations, capped at the
+  // total; the ledger entry holds what was actually given back
+  return applyCreditChange(
+    this,
+    "refund",
+    {
+      update: [
+        {
+          $set: {
+            "credits.used": { $max: [0, { $subtract: ["$credits.used", amount] }] },
+            "credits.remaining": {
+              $min: ["$credits.total", { $add: ["$credits.remaining", amount] }],
+            },
+          },
+        },
+      ],
+      apply: (credits) => ({
+        ...credits,
+        used: Math.max(0, credits.used - amount),
+        remaining: Math.min(credits.total, credits.remaining + amount),
+      }),
+    },
+    details
+  );
+};
+
+/**
+ * Reset the balance to a plan allocation (monthly allocation, downgrade),
+ * with any other fields the change comes with written in the same update
+ * @param {number} amount - New credits.total and credits.remaining
+ * @param {string} type - One of CREDIT_LEDGER_TYPES
+ * @param {Object} [fields] - Other paths to $set, e.g. { plan: "free" }
+ * @param {Object} [details] - Ledger context
+ * @returns {Promise<Object>} The user, updated in place
+ */
+userSchema.methods.resetCredits = async function (amount, type, fields = {}, details = {}) {
+  const updated = await applyCreditChange(
+    this,
+    type,
+    {
+      update: {
+        $set: {
+          "credits.total": amount,
+          "credits.used": 0,
+          "credits.remaining": amount,
+          ...fields,
+        },
+      },
+      apply: (credits) => ({ ...credits, total: amount, used: 0, remaining: amount }),
+    },
+    details
   );
+  if (!updated) {
+    throw new Error("User not found");
+  }
 
-  // Use validateBeforeSave: false to skip validation
-  return await this.save({ validateBeforeSave: false });
+  for (const [path, value] of Object.entries(fields)) {
+    this.set(path, value);
+    this.unmarkModified(path);
+  }
+  return this;
 };
 
 // Method to update credits without validation - ALTERNATIVE APPROACH
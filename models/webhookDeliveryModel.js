@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+import { WEBHOOK_EVENTS } from "./webhookEndpointModel.js";
+
+// Delivery logs are kept for 30 days
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const attemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    // First part of the receiver's response body, for debugging
+    responseBody: {
+      type: String,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    // Sent as the webhook-id header; stable across retries so receivers can dedupe
+    deliveryId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    endpointId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "WebhookEndpoint",
+      required: true,
+      index: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    event: {
+      type: String,
+      enum: WEBHOOK_EVENTS,
+      required: true,
+    },
+
+    // Exact JSON body that is signed and sent
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "retrying", "success", "failed"],
+      default: "pending",
+      index: true,
+    },
+
+    attempts: {
+      type: [attemptSchema],
+      default: [],
+    },
+
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+
+    deliveredAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Set when this delivery was created by replaying another one
+    replayOf: {
+      type: mongoose.Schema.ObjectId,
+      ref: "WebhookDelivery",
+      default: null,
+    },
+
+    createdAt: {
+      type: Date,
+      default: Date.now,
+      expires: DELIVERY_RETENTION_SECONDS,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+webhookDeliverySchema.index({ userId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ endpointId: 1, createdAt: -1 });
+
+webhookDeliverySchema.virtual("attemptCount").get(function () {
+  return this.attempts?.length || 0;
+});
+
+const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
+export default WebhookDelivery;
@@ -0,0 +1,106 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import validator from "validator";
+
+export const WEBHOOK_EVENTS = [
+  "job_completed",
+  "job_no_data_found",
+  "job_stuck_timeout",
+  "job_failed",
+];
+
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Webhook endpoint must belong to a user"],
+      index: true,
+    },
+
+    url: {
+      type: String,
+      required: [true, "Webhook URL is required"],
+      trim: true,
+      maxlength: [2000, "Webhook URL cannot exceed 2000 characters"],
+      validate: {
+        validator: function (v) {
+          // Plain http is only allowed outside production (local tunnels etc.)
+          const protocols =
+            process.env.NODE_ENV === "production" ? ["https"] : ["http", "https"];
+          return validator.isURL(v, {
+            protocols,
+            require_protocol: true,
+            require_tld: process.env.NODE_ENV === "production",
+          });
+        },
+        message: "Please provide a valid webhook URL",
+      },
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+
+    events: {
+      type: [String],
+      enum: WEBHOOK_EVENTS,
+      default: WEBHOOK_EVENTS,
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length > 0,
+        message: "Webhook endpoint must subscribe to at least one event",
+      },
+    },
+
+    // Standard Webhooks signing secret ("whsec_<base64>"). Needed in clear to sign.
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    active: {
+      type: Boolean,
+      default: true,
+    },
+
+    // When set, job completion payloads carry the job's records formatted
+    // with this template (see WEBHOOK_MAX_RECORDS)
+    exportTemplateId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "ExportTemplate",
+      default: null,
+    },
+
+    // Delivery health, updated by the delivery worker
+    lastDeliveryAt: {
+      type: Date,
+      default: null,
+    },
+    lastDeliveryStatus: {
+      type: String,
+      enum: ["success", "failed", null],
+      default: null,
+    },
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+webhookEndpointSchema.index({ userId: 1, active: 1 });
+
+webhookEndpointSchema.statics.generateSecret = function () {
+  return `whsec_${crypto.randomBytes(24).toString("base64")}`;
+};
+
+const WebhookEndpoint = mongoose.model("WebhookEndpoint", webhookEndpointSchema);
+export default WebhookEndpoint;
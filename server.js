@@ -7,6 +7,10 @@ import { createBullBoard } from "@bull-board/api";
 import { BullAdapter } from "@bull-board/api/bullAdapter.js";
 import { ExpressAdapter } from "@bull-board/express";
 import queueService from "./services/queue.js";
+import { webhookQueue } from "./services/webhookDelivery.service.js";
+import { crmPushQueue } from "./services/crmPush.service.js";
+import { sheetsSyncQueue } from "./services/googleSheets.service.js";
+import { emailVerificationQueue } from "./services/emailVerification.service.js";
 
 // Suppress punycode deprecation warning (comes from third-party dependencies)
 // This warning is from older versions of whatwg-url/tr46 used by dependencies
@@ -29,6 +33,16 @@ import dodoPaymentsRouter from "./Routes/dodoPayments.js";
 import webhookRouter from "./Routes/webhook.js";
 import feedbackRouter from "./Routes/feedbackRoutes.js";
 import affiliateRouter from "./Routes/affiliateRoutes.js";
+import apiKeyRouter from "./Routes/apiKeyRoutes.js";
+import webhookEndpointRouter from "./Routes/webhookEndpointRoutes.js";
+import campaignRouter from "./Routes/campaignRoutes.js";
+import scheduledSearchRouter from "./Routes/scheduledSearchRoutes.js";
+import placeRouter from "./Routes/placeRoutes.js";
+import exportTemplateRouter from "./Routes/exportTemplateRoutes.js";
+import crmConnectionRouter from "./Routes/crmConnectionRoutes.js";
+import googleSheetsRouter from "./Routes/googleSheetsRoutes.js";
+import emailVerificationRouter from "./Routes/emailVerificationRoutes.js";
+import { rateLimitRequests } from "./api/controllers/authController.js";
 import globalErrController from "./api/controllers/errController.js";
 import expressMongoSanitize from "express-mongo-sanitize";
 import helmet from "helmet";
@@ -44,6 +58,7 @@ import { createRedisClient } from "./services/redisClient.js";
 import passport from "passport";
 import "./config/passport.js"; // Initialize passport configuration
 import creditsJob from "./jobs/creditsJob.js";
+import scheduledSearchJob from "./jobs/scheduledSearchJob.js";
 import creditsRouter from "./Routes/creditsRoutes.js";
 const app = express();
 const httpServer = createServer(app);
@@ -131,6 +146,7 @@ const corsOptions = {
     "Authorization",
     "Cookie",
     "x-referral-code",
+    "x-api-key",
   ],
   optionsSuccessStatus: 204,
 };
@@ -172,6 +188,10 @@ createBullBoard({
   queues: [
     new BullAdapter(businessQueue, { name: "Business Plan Queue" }),
     new BullAdapter(freeProQueue, { name: "Free/Pro Plan Queue" }),
+    new BullAdapter(webhookQueue, { name: "Webhook Deliveries" }),
+    new BullAdapter(crmPushQueue, { name: "CRM Pushes" }),
+    new BullAdapter(sheetsSyncQueue, { name: "Google Sheets Syncs" }),
+    new BullAdapter(emailVerificationQueue, { name: "Email Verifications" }),
   ],
   serverAdapter,
 });
@@ -183,9 +203,20 @@ app.use("/admin", serverAdapter.getRouter());
 app.get("/health", (req, res) => res.json({ status: "ok" }));
 
 // Routes
-app.use("/api", limiter);
+// Requests with a valid API key are limited per key instead
+app.use("/api", rateLimitRequests(limiter));
 app.use("/api/v1/users", userRoute);
 app.use("/api/v1/dodo-payments", dodoPaymentsRouter);
+// Must be mounted before scraperRouter, whose "/:jobId" route would match them
+app.use("/api/v1/api-keys", apiKeyRouter);
+app.use("/api/v1/webhook-endpoints", webhookEndpointRouter);
+app.use("/api/v1/campaigns", campaignRouter);
+app.use("/api/v1/schedules", scheduledSearchRouter);
+app.use("/api/v1/places", placeRouter);
+app.use("/api/v1/export-templates", exportTemplateRouter);
+app.use("/api/v1/crm-connections", crmConnectionRouter);
+app.use("/api/v1/google-sheets", googleSheetsRouter);
+app.use("/api/v1/email-verifications", emailVerificationRouter);
 app.use("/api/v1", scraperRouter);
 app.use("/api/v1/job-status", jobStatusRoute);
 app.use("/api/v1/feedback", feedbackRouter);
@@ -217,6 +248,11 @@ socketService.io.adapter(createAdapter(pubClient, subClient));
 // Initialize Credits Job
 creditsJob.init();
 
+// Register saved searches (safe to run in every API process - runs are claimed atomically)
+scheduledSearchJob.init().catch((error) => {
+  logger.error("SCHEDULED_SEARCH_INIT_ERROR", "Could not initialize scheduled searches", error);
+});
+
 // Start Server
 const PORT = process.env.PORT || 3000;
 httpServer.listen(PORT, () => {
@@ -3,6 +3,11 @@ dotenv.config();
 import { verifyEmail } from "./utils/emailVerifier.js";
 import { fetchMultiplePages, fetchPageContentWithRetry } from "./utils/browserlessContentClient.js";
 import { extractEmailsFromHtml, findContactUrls } from "./utils/emailExtractorFromHtml.js";
+import { extractSocialsFromHtml, mergeSocials, emptySocials } from "./utils/socialLinkExtractor.js";
+import { fingerprintWebsite, unknownFingerprint } from "./utils/websiteFingerprint.js";
+import { extractContactsFromHtml, finalizeContacts } from "./utils/contactPersonExtractor.js";
+import { inferDomainEmails } from "./utils/emailPatternInference.js";
+import { scoreVerificationDetails } from "./utils/emailDeliverability.js";
 import { scrapeGoogleMapsBusinessWithRetry } from "./utils/googleMapsScraper.js";
 import logger from "./logger.js";
 
@@ -39,6 +44,10 @@ function createEmailLimiter(concurrency) {
 // Use EMAIL_API_CONCURRENCY to control how many email extractions run concurrently
 const limitEmail = createEmailLimiter(EMAIL_API_CONCURRENCY);
 
+// Team/about pages fetched for named contacts when the homepage already had emails
+const PEOPLE_PAGE_RE = /team|about|staff|people|leadership|management|impressum/i;
+const MAX_PEOPLE_PAGES = 2;
+
 function getCoordsFromUrl(u) {
   // Ensure u is a string before calling match
   if (!u || typeof u !== 'string') {
@@ -51,6 +60,14 @@ function getCoordsFromUrl(u) {
     : { latitude: null, longitude: null };
 }
 
+function fingerprintHomepage(homepage, websiteUrl) {
+  return fingerprintWebsite({
+    html: homepage.html,
+    headers: homepage.headers,
+    url: homepage.finalUrl || websiteUrl,
+  });
+}
+
 export async function extractBusinessDetails(
   googleMapsUrl,
   searchTerm,
@@ -60,6 +77,8 @@ export async function extractBusinessDetails(
   isExtractEmail = false,
   isValidate = false,
   onlyWithoutWebsite = false,
+  onlyWithoutAnalytics = false,
+  inferEmails = false, // Guess and SMTP-verify addresses when the site lists none
   preScrapedRating = null,
   preScrapedReviewCount = null,
   shouldCancel = null // Callback that returns true if job was cancelled
@@ -181,11 +200,14 @@ export async function extractBusinessDetails(
           logger.debug("EMAIL_CANCELLED", "Email extraction cancelled", {
             website: websiteUrl
           });
-          return { emails: [], pagesVisited: 0, visited: [], errors: [] };
+          return { emails: [], socials: null, tech: null, contacts: [], pagesVisited: 0, visited: [], errors: [] };
         }
 
         const allEmails = [];
         const visitedPages = [];
+        // Social profiles, contact forms and named contacts come from the same pages
+        const socials = emptySocials();
+        const contacts = [];
         
         // Step 1: Fetch homepage first to find priority pages
         logger.info("EMAIL_API_START", `Fetching homepage for ${websiteUrl}`);
@@ -205,6 +227,8 @@ export async function extractBusinessDetails(
         if (homepage.html) {
           const homepageEmails = extractEmailsFromHtml(homepage.html, websiteUrl);
           allEmails.push(...homepageEmails);
+          mergeSocials(socials, extractSocialsFromHtml(homepage.html, websiteUrl));
+          contacts.push(...extractContactsFromHtml(homepage.html, websiteUrl));
           visitedPages.push(websiteUrl);
           logger.info("EMAIL_API_HOMEPAGE", `Homepage: found ${homepageEmails.length} emails for ${websiteUrl}`);
         } else {
@@ -242,6 +266,8 @@ export async function extractBusinessDetails(
               visitedPages.push(page.url); // Move OUTSIDE the if block
               
               if (page.html && !page.error) {
+                mergeSocials(socials, extractSocialsFromHtml(page.html, page.url));
+                contacts.push(...extractContactsFromHtml(page.html, page.url));
                 const pageEmails = extractEmailsFromHtml(page.html, websiteUrl);
                 if (pageEmails.length > 0) {
                   logger.info("EMAIL_API_PAGE_SUCCESS", `Found ${pageEmails.length} emails on ${page.url}`);
@@ -256,6 +282,24 @@ export async function extractBusinessDetails(
           }
         } else if (homepage.html && allEmails.length > 0) {
           logger.info("EMAIL_API_SKIP_PRIORITY", `Found ${allEmails.length} emails on homepage for ${websiteUrl}, skipping priority pages`);
+
+          // Decision-makers are rarely on the homepage; still look at team/about pages
+          const peopleUrls = contacts.length > 0
+            ? []
+            : findContactUrls(homepage.html, websiteUrl)
+                .filter((url) => PEOPLE_PAGE_RE.test(url))
+                .slice(0, MAX_PEOPLE_PAGES);
+          if (peopleUrls.length > 0 && !(shouldCancel && shouldCancel())) {
+            const peoplePages = await fetchMultiplePages(peopleUrls, MAX_PEOPLE_PAGES);
+            for (const page of peoplePages) {
+              visitedPages.push(page.url);
+              if (page.html && !page.error) {
+                contacts.push(...extractContactsFromHtml(page.html, page.url));
+                mergeSocials(socials, extractSocialsFromHtml(page.html, page.url));
+                allEmails.push(...extractEmailsFromHtml(page.html, websiteUrl));
+              }
+            }
+          }
         }
         
         // Step 4: Dedupe and sort emails (prefer domain emails first)
@@ -284,6 +328,9 @@ export async function extractBusinessDetails(
         
         return {
           emails: uniqueEmails,
+          socials: homepage.html ? socials : null,
+          tech: homepage.html ? fingerprintHomepage(homepage, websiteUrl) : null,
+          contacts: finalizeContacts(contacts, uniqueEmails),
           pagesVisited: visitedPages.length,
           visited: visitedPages,
           errors: []
@@ -292,6 +339,9 @@ export async function extractBusinessDetails(
         logger.error("BROWSERLESS_API_EMAIL_ERROR", `Error extracting emails via API for ${websiteUrl}: ${error.message}`);
         return { 
           emails: [], 
+          socials: null,
+          tech: null,
+          contacts: [],
           pagesVisited: 0,
           visited: [],
           errors: [{ type: "api_error", message: error.message }] 
@@ -299,11 +349,16 @@ export async function extractBusinessDetails(
       }
     }
 
+    // Website technology fields stay unknown unless the homepage gets fetched
+    Object.assign(businessData, unknownFingerprint());
+
     // Skip email extraction when onlyWithoutWebsite is true
     // (businesses without websites won't have emails to scrape anyway)
     if (onlyWithoutWebsite) {
       businessData.email = [];
       businessData.email_status = [];
+      businessData.email_source = [];
+      businessData.email_score = [];
     } else if (
       isExtractEmail &&
       businessData.website &&
@@ -312,6 +367,8 @@ export async function extractBusinessDetails(
       try {
         // const T_SCRAPE_START = performance.now();
         const emailTimeout = Number(process.env.EMAIL_TIMEOUT_MS || 65000); // 65s to accommodate 60s budget + buffer
+        // Extraction, verification and inference all share this budget
+        const emailDeadline = Date.now() + emailTimeout;
 
         // Use Browserless Content API - eliminates frame detachment issues
         const emailPromise = limitEmail(async () => {
@@ -397,6 +454,9 @@ export async function extractBusinessDetails(
         }
 
         let { emails: rawEmails = [], errors: scrapingErrors = [] } = emailResult;
+        businessData.socials = emailResult.socials || null;
+        businessData.contacts = emailResult.contacts || [];
+        if (emailResult.tech) Object.assign(businessData, emailResult.tech);
         // businessData.timings.scrape_ms = Math.round(
         //   performance.now() - T_SCRAPE_START
         // );
@@ -434,19 +494,19 @@ export async function extractBusinessDetails(
           });
         }
 
+        const verifyOpts = {
+          heloHost: process.env.HELO_HOST,
+          mailFrom: process.env.MAIL_FROM,
+          connectionTimeoutMs: Number(
+            process.env.SMTP_CONNECT_TIMEOUT_MS || 10000
+          ),
+          commandTimeoutMs: Number(
+            process.env.SMTP_COMMAND_TIMEOUT_MS || 15000
+          ),
+        };
+
         // Verify emails only if isValidate is true
         if (isValidate) {
-          const verifyOpts = {
-            heloHost: process.env.HELO_HOST,
-            mailFrom: process.env.MAIL_FROM,
-            connectionTimeoutMs: Number(
-              process.env.SMTP_CONNECT_TIMEOUT_MS || 10000
-            ),
-            commandTimeoutMs: Number(
-              process.env.SMTP_COMMAND_TIMEOUT_MS || 15000
-            ),
-          };
-
           const concurrency = 3;
           const q = [...uniqueEmails];
           const results = [];
@@ -464,6 +524,9 @@ export async function extractBusinessDetails(
                   result: res?.result || "unknown",
                   reason: res?.reason || "no reason provided",
                   code: res?.smtp?.[0]?.code || null,
+                  catchAll: res?.catchAll ?? null,
+                  roleAccount: Boolean(res?.roleAccount),
+                  disposableDomain: Boolean(res?.disposableDomain),
                   // ms,
                 });
               } catch (err) {
@@ -536,6 +599,38 @@ export async function extractBusinessDetails(
             details: [],
           };
         }
+        businessData.email_source = businessData.email.map(() => "website");
+
+        // Nothing on the site: try common patterns on its domain and keep
+        // only the addresses the mail server accepts, in whatever is left of
+        // the email budget
+        if (inferEmails && uniqueEmails.length === 0 && siteHost && Date.now() < emailDeadline) {
+          const inferred = await inferDomainEmails(siteHost, {
+            contacts: businessData.contacts,
+            verifyOpts,
+            shouldCancel,
+            deadline: emailDeadline,
+          });
+          if (inferred.length > 0) {
+            businessData.email = inferred.map((entry) => entry.email);
+            businessData.email_status = inferred.map((entry) => entry.result);
+            businessData.email_source = inferred.map((entry) => entry.source);
+            businessData.email_verification = {
+              mode: businessData.email_verification.mode,
+              details: inferred,
+            };
+          }
+        }
+
+        // Send-safety score per verified address, from its SMTP verdict and
+        // the MX/SPF/DMARC posture of its domain
+        const verificationDetails = businessData.email_verification.details;
+        if (verificationDetails.length > 0) {
+          businessData.email_verification.domains = await scoreVerificationDetails(verificationDetails);
+        }
+        businessData.email_score = businessData.email.map(
+          (email) => verificationDetails.find((detail) => detail.email === email)?.score ?? null
+        );
 
         // attach verification timing summary
         // businessData.timings.verify = {
@@ -556,10 +651,33 @@ export async function extractBusinessDetails(
         );
         businessData.email = [];
         businessData.email_status = [];
+        businessData.email_source = [];
+        businessData.email_score = [];
       }
     } else {
       businessData.email = [];
       businessData.email_status = [];
+      businessData.email_source = [];
+      businessData.email_score = [];
+
+      // onlyWithoutAnalytics needs the homepage even without email extraction
+      if (onlyWithoutAnalytics && businessData.website && !businessData.website.startsWith("javascript:")) {
+        const homepage = await limitEmail(() => fetchPageContentWithRetry(businessData.website, 1));
+        if (homepage?.html) {
+          Object.assign(businessData, fingerprintHomepage(homepage, businessData.website));
+        }
+      }
+    }
+
+    // Filter: keep only sites confirmed to have no analytics. Businesses
+    // without a website, or whose homepage could not be fetched, are dropped.
+    if (onlyWithoutAnalytics && businessData.has_analytics !== false) {
+      logger.info("BUSINESS_FILTERED_HAS_ANALYTICS", "Business filtered - analytics installed or unknown (onlyWithoutAnalytics)", {
+        url: googleMapsUrl,
+        businessName: businessData.name,
+        hasAnalytics: businessData.has_analytics ?? null,
+      });
+      return null;
     }
 
     // Note: We no longer filter out businesses with no emails found
@@ -1,4 +1,5 @@
 import User from "../models/userModel.js";
+import CreditLedger from "../models/creditLedgerModel.js";
 import logger from "./logger.js";
 
 class CreditsService {
@@ -44,19 +45,20 @@ class CreditsService {
         return user;
       }
 
-      // Reset credits to plan amount (don't carry forward)
+      // Reset credits to plan amount (don't carry forward), marked as
+      // monthly allocated for all users
       const oldTotal = user.credits.total;
       const oldRemaining = user.credits.remaining;
 
-      user.credits.total = creditAmount;
-      user.credits.remaining = creditAmount;
-      user.credits.used = 0; // Reset used credits
-      user.credits.lastAllocated = new Date();
-
-      // Mark as monthly allocated for all users
-      user.credits.monthlyAllocated = true;
-
-      await user.save({ validateBeforeSave: false });
+      await user.resetCredits(
+        creditAmount,
+        "allocation",
+        {
+          "credits.lastAllocated": new Date(),
+          "credits.monthlyAllocated": true,
+        },
+        { reason, subscriptionId: user.subscription?.subscriptionId }
+      );
 
       logger.info("CREDITS_ALLOCATED", {
         userId,
@@ -286,16 +288,17 @@ class CreditsService {
    * Deduct credits from user (wrapper around user method)
    * @param {string} userId - User ID
    * @param {number} amount - Amount to deduct
+   * @param {Object} [details] - Ledger context ({ reason, jobId, emailVerificationId })
    * @returns {Promise<Object>} Updated user
    */
-  async deductCredits(userId, amount) {
+  async deductCredits(userId, amount, details = {}) {
     try {
       const user = await User.findById(userId);
       if (!user) {
         throw new Error("User not found");
       }
 
-      const updatedUser = await user.deductCredits(amount);
+      const updatedUser = await user.deductCredits(amount, details);
 
       logger.info("CREDITS_DEDUCTED", {
         userId,
@@ -319,16 +322,17 @@ class CreditsService {
    * Refund credits to user (wrapper around user method)
    * @param {string} userId - User ID
    * @param {number} amount - Amount to refund
+   * @param {Object} [details] - Ledger context ({ reason, jobId, emailVerificationId })
    * @returns {Promise<Object>} Updated user
    */
-  async refundCredits(userId, amount) {
+  async refundCredits(userId, amount, details = {}) {
     try {
       const user = await User.findById(userId);
       if (!user) {
         throw new Error("User not found");
       }
 
-      const updatedUser = await user.refundCredits(amount);
+      const updatedUser = await user.refundCredits(amount, details);
 
       logger.info("CREDITS_REFUNDED", {
         userId,
@@ -362,37 +366,36 @@ class CreditsService {
       }
 
       const oldPlan = user.plan;
+      const oldSubscriptionId = user.subscription?.subscriptionId;
       const oldCredits = {
         total: user.credits.total,
         used: user.credits.used,
         remaining: user.credits.remaining,
       };
 
-      // Downgrade to free plan
-      user.plan = "free";
-
-      // Reset credits to free plan amount
-      const freeCredits = this.getCreditAllocation("free");
-      user.credits.total = freeCredits;
-      user.credits.remaining = freeCredits;
-      user.credits.used = 0;
-      user.credits.lastAllocated = new Date();
-      user.credits.monthlyAllocated = false;
-
-      // Clear subscription details
-      user.subscription = {
-        subscriptionId: null,
-        status: null,
-        nextBillingDate: null,
-        previousBillingDate: null,
-        paymentFrequencyCount: null,
-        paymentFrequencyInterval: null,
-        subscriptionPeriodCount: null,
-        subscriptionPeriodInterval: null,
-        payloadType: null,
-      };
-
-      await user.save({ validateBeforeSave: false });
+      // Downgrade to free plan, reset credits to the free plan amount and
+      // clear subscription details, all in one update
+      await user.resetCredits(
+        this.getCreditAllocation("free"),
+        "downgrade",
+        {
+          plan: "free",
+          "credits.lastAllocated": new Date(),
+          "credits.monthlyAllocated": false,
+          subscription: {
+            subscriptionId: null,
+            status: null,
+            nextBillingDate: null,
+            previousBillingDate: null,
+            paymentFrequencyCount: null,
+            paymentFrequencyInterval: null,
+            subscriptionPeriodCount: null,
+            subscriptionPeriodInterval: null,
+            payloadType: null,
+          },
+        },
+        { reason, subscriptionId: oldSubscriptionId }
+      );
 
       logger.info("USER_DOWNGRADED_TO_FREE", {
         userId,
@@ -418,6 +421,100 @@ class CreditsService {
     }
   }
 
+  /**
+   * A user's credit ledger, newest first
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {number} [options.page=1]
+   * @param {number} [options.limit=20]
+   * @param {string} [options.type] - Only entries of this CREDIT_LEDGER_TYPES type
+   * @returns {Promise<Object>} { entries, total }
+   */
+  async getCreditHistory(userId, { page = 1, limit = 20, type = null } = {}) {
+    const filter = { userId };
+    if (type) filter.type = type;
+
+    const [entries, total] = await Promise.all([
+      CreditLedger.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      CreditLedger.countDocuments(filter),
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Recompute balances from the credit ledger and compare them with the
+   * users' credits.remaining. The balance before a user's first entry is
+   * their opening balance (credits granted before the ledger existed). A gap
+   * is an entry that does not start from the previous entry's balanceAfter,
+   * i.e. a change in between was never recorded.
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Check one user instead of everyone with entries
+   * @returns {Promise<Object>} { checkedUsers, mismatches }
+   */
+  async reconcileBalances({ userId = null } = {}) {
+    const ledgers = new Map(); // userId -> running totals
+    const cursor = CreditLedger.find(userId ? { userId } : {})
+      .sort({ userId: 1, createdAt: 1, _id: 1 })
+      .lean()
+      .cursor();
+
+    for await (const entry of cursor) {
+      const key = entry.userId.toString();
+      const balanceBefore = entry.balanceAfter - entry.amount;
+      let ledger = ledgers.get(key);
+      if (!ledger) {
+        ledger = { openingBalance: balanceBefore, sum: 0, lastBalance: balanceBefore, entries: 0, gaps: [] };
+        ledgers.set(key, ledger);
+      }
+
+      if (balanceBefore !== ledger.lastBalance) {
+        ledger.gaps.push({
+          entryId: entry._id,
+          createdAt: entry.createdAt,
+          expectedBefore: ledger.lastBalance,
+          recordedBefore: balanceBefore,
+        });
+      }
+      ledger.sum += entry.amount;
+      ledger.lastBalance = entry.balanceAfter;
+      ledger.entries++;
+    }
+
+    const users = await User.find({ _id: { $in: [...ledgers.keys()] } })
+      .select("credits.remaining")
+      .lean();
+    const balances = new Map(users.map((user) => [user._id.toString(), user.credits?.remaining ?? null]));
+
+    const mismatches = [];
+    for (const [key, ledger] of ledgers) {
+      const ledgerBalance = ledger.openingBalance + ledger.sum;
+      const actualBalance = balances.get(key) ?? null;
+      if (ledger.gaps.length === 0 && ledgerBalance === actualBalance) continue;
+
+      mismatches.push({
+        userId: key,
+        entries: ledger.entries,
+        openingBalance: ledger.openingBalance,
+        ledgerBalance,
+        actualBalance,
+        difference: actualBalance === null ? null : actualBalance - ledgerBalance,
+        gaps: ledger.gaps,
+      });
+    }
+
+    logger.info("CREDITS_RECONCILED", {
+      checkedUsers: ledgers.size,
+      mismatches: mismatches.length,
+    });
+
+    return { checkedUsers: ledgers.size, mismatches };
+  }
+
   /**
    * Handle subscription status changes
    * @param {string} userId - User ID
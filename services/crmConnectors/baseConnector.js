@@ -0,0 +1,220 @@
+import axios from "axios";
+import { getResultKey } from "../../utils/resultExport.js";
+import { assertPublicUrl, publicOnlyLookup, BlockedUrlError } from "../utils/outboundUrl.js";
+
+const CRM_REQUEST_TIMEOUT_MS = Number(process.env.CRM_REQUEST_TIMEOUT_MS || 15000);
+const CRM_MAX_RATE_LIMIT_RETRIES = 3;
+// Longest Retry-After we are willing to sleep through inside a push
+const CRM_MAX_RETRY_AFTER_MS = 30 * 1000;
+// Further tries for a record that failed with a retryable error
+const CRM_MAX_RECORD_RETRIES = Number(process.env.CRM_MAX_RECORD_RETRIES ?? 2);
+const CRM_RECORD_RETRY_DELAY_MS = Number(process.env.CRM_RECORD_RETRY_DELAY_MS ?? 2000);
+
+/**
+ * Error from a CRM API. retryable marks errors worth trying again later
+ * (rate limits, 5xx, network) as opposed to bad credentials or bad data;
+ * pushRecord retries those.
+ */
+export class CrmConnectorError extends Error {
+  constructor(message, { statusCode = null, retryable = false, response = null } = {}) {
+    super(message);
+    this.name = "CrmConnectorError";
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+    this.response = response;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const describeResponse = (data) => {
+  if (!data) return "";
+  if (typeof data === "string") return data.slice(0, 300);
+  return (data.message || data.error || JSON.stringify(data)).toString().slice(0, 300);
+};
+
+/**
+ * Common interface every CRM connector implements:
+ *
+ * - authenticate(): check the credentials, throw CrmConnectorError when unusable
+ * - mapRecord(record): scraped record -> the CRM's shape (default field
+ *   mapping, overridden per connection through settings.fieldMapping)
+ * - upsertRecord(mapped, record): create or update the company/contacts,
+ *   returning { status: "created"|"updated"|"skipped", externalId }
+ *
+ * pushRecord() ties them together and turns failures into a per-record outcome.
+ */
+export default class CrmConnector {
+  /**
+   * @param {Object} options
+   * @param {Object} options.credentials - Connection secrets (tokens, headers)
+   * @param {Object} [options.settings] - Non-secret connection settings
+   * @param {string} [options.baseUrl] - API root; overridable so connectors can run against a mock server
+   * @param {Object} [options.http] - axios-compatible client
+   * @param {boolean} [options.allowPrivateUrls=false] - Skip the public address check (mock servers on localhost)
+   */
+  constructor({ credentials = {}, settings = {}, baseUrl, http = axios, allowPrivateUrls = false } = {}) {
+    this.credentials = credentials;
+    this.settings = settings;
+    this.baseUrl = (baseUrl || this.constructor.defaultBaseUrl || "").replace(/\/+$/, "");
+    this.http = http;
+    this.allowPrivateUrls = allowPrivateUrls;
+  }
+
+  // Subclasses: headers / query params that authenticate a request
+  getAuthHeaders() {
+    return {};
+  }
+
+  getAuthParams() {
+    return {};
+  }
+
+  /**
+   * Call the CRM API. Waits out 429 responses (up to a few times) and throws
+   * CrmConnectorError for anything that is not 2xx. URLs come from user
+   * settings for REST connections, so the host must resolve to public
+   * addresses only.
+   * @returns {Promise<Object>} Response body, or { status, data } with fullResponse
+   */
+  async request(method, path, { data, params, fullResponse = false } = {}) {
+    const url = /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`;
+
+    if (!this.allowPrivateUrls) {
+      try {
+        await assertPublicUrl(url);
+      } catch (error) {
+        throw new CrmConnectorError(`Request to ${this.constructor.label} blocked: ${error.message}`);
+      }
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await this.http.request({
+          method,
+          url,
+          data,
+          params: { ...this.getAuthParams(), ...params },
+          headers: {
+            "Content-Type": "application/json",
+            Accept: "application/json",
+            ...this.getAuthHeaders(),
+          },
+          timeout: CRM_REQUEST_TIMEOUT_MS,
+          maxRedirects: 0,
+          ...(this.allowPrivateUrls ? {} : { lookup: publicOnlyLookup }),
+          validateStatus: () => true,
+        });
+      } catch (error) {
+        // A host that re-resolved to a private address will not get better
+        throw new CrmConnectorError(`Request to ${this.constructor.label} failed: ${error.message}`, {
+          retryable: !(error.cause instanceof BlockedUrlError),
+        });
+      }
+
+      if (response.status === 429 && attempt < CRM_MAX_RATE_LIMIT_RETRIES) {
+        const retryAfterSeconds = Number(response.headers?.["retry-after"]) || 2 ** attempt;
+        await sleep(Math.min(retryAfterSeconds * 1000, CRM_MAX_RETRY_AFTER_MS));
+        continue;
+      }
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new CrmConnectorError(
+          `${this.constructor.label} responded with HTTP ${response.status}: ${describeResponse(response.data)}`,
+          {
+            statusCode: response.status,
+            retryable: response.status === 429 || response.status >= 500,
+            response: response.data,
+          }
+        );
+      }
+      return fullResponse ? { status: response.status, data: response.data } : response.data;
+    }
+  }
+
+  async authenticate() {
+    throw new Error(`${this.constructor.name} must implement authenticate()`);
+  }
+
+  mapRecord() {
+    throw new Error(`${this.constructor.name} must implement mapRecord()`);
+  }
+
+  async upsertRecord() {
+    throw new Error(`${this.constructor.name} must implement upsertRecord()`);
+  }
+
+  /**
+   * Apply settings.fieldMapping ({ recordField: crmField }) on top of a
+   * connector's default mapping. Mapping a field to null drops it.
+   * @param {Object} record
+   * @param {Object} defaults - { recordField: crmField }
+   * @returns {Object} { crmField: value } without empty values
+   */
+  mapFields(record, defaults) {
+    const mapping = { ...defaults, ...(this.settings.fieldMapping || {}) };
+    const mapped = {};
+    for (const [recordField, crmField] of Object.entries(mapping)) {
+      if (!crmField) continue;
+      let value = record[recordField];
+      if (Array.isArray(value)) value = value.filter(Boolean).join(", ");
+      if (value === undefined || value === null || value === "") continue;
+      mapped[crmField] = value;
+    }
+    return mapped;
+  }
+
+  /**
+   * upsertRecord, retried with backoff on retryable errors. HubSpot and
+   * Pipedrive look the record up before writing, so a retry updates what an
+   * earlier try wrote; REST endpoints get the same body again.
+   */
+  async upsertWithRetries(mapped, record) {
+    for (let retry = 0; ; retry++) {
+      try {
+        return await this.upsertRecord(mapped, record);
+      } catch (error) {
+        if (!(error instanceof CrmConnectorError) || !error.retryable || retry >= CRM_MAX_RECORD_RETRIES) {
+          throw error;
+        }
+        await sleep(CRM_RECORD_RETRY_DELAY_MS * 2 ** retry);
+      }
+    }
+  }
+
+  /**
+   * Map and upsert one record
+   * @param {Object} record - Stored job record
+   * @returns {Promise<{ key: string, name: string|null, status: string, externalId: string|null, error: string|null }>}
+   * @throws {CrmConnectorError} On 401/403, which no later record would get past
+   */
+  async pushRecord(record) {
+    const outcome = {
+      key: getResultKey(record),
+      name: record.name || null,
+      status: "failed",
+      externalId: null,
+      error: null,
+    };
+
+    try {
+      const mapped = this.mapRecord(record);
+      if (!mapped) {
+        return { ...outcome, status: "skipped", error: "Nothing to send for this record" };
+      }
+      const result = await this.upsertWithRetries(mapped, record);
+      return {
+        ...outcome,
+        status: result.status,
+        externalId: result.externalId != null ? String(result.externalId) : null,
+      };
+    } catch (error) {
+      // Bad or revoked credentials fail every record - stop the whole push
+      if (error instanceof CrmConnectorError && [401, 403].includes(error.statusCode)) {
+        throw error;
+      }
+      return { ...outcome, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,99 @@
+import CrmConnector from "./baseConnector.js";
+
+// Record field -> HubSpot company property
+const DEFAULT_COMPANY_MAPPING = {
+  name: "name",
+  phone: "phone",
+  website: "website",
+  address: "address",
+};
+
+const toDomain = (website) => {
+  if (!website) return null;
+  try {
+    const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    return url.hostname.replace(/^www\./i, "").toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * HubSpot CRM v3. Businesses become companies (matched by domain, else by
+ * name); each email becomes a contact (upserted by email) associated with
+ * the company. Authenticates with a private app access token.
+ */
+export default class HubSpotConnector extends CrmConnector {
+  static type = "hubspot";
+  static label = "HubSpot";
+  static defaultBaseUrl = process.env.HUBSPOT_API_URL || "https://api.hubapi.com";
+
+  getAuthHeaders() {
+    return { Authorization: `Bearer ${this.credentials.accessToken}` };
+  }
+
+  async authenticate() {
+    await this.request("GET", "/crm/v3/objects/companies", { params: { limit: 1 } });
+    return { verified: true };
+  }
+
+  mapRecord(record) {
+    const properties = this.mapFields(record, DEFAULT_COMPANY_MAPPING);
+    if (!properties.name) return null;
+
+    const domain = toDomain(record.website);
+    if (domain && !properties.domain) properties.domain = domain;
+
+    const emails = (Array.isArray(record.email) ? record.email : [record.email]).filter(Boolean);
+    return { properties, emails };
+  }
+
+  async findCompany({ domain, name }) {
+    const [propertyName, value] = domain ? ["domain", domain] : ["name", name];
+    const response = await this.request("POST", "/crm/v3/objects/companies/search", {
+      data: {
+        filterGroups: [{ filters: [{ propertyName, operator: "EQ", value }] }],
+        properties: ["name", "domain"],
+        limit: 1,
+      },
+    });
+    return response?.results?.[0]?.id || null;
+  }
+
+  async upsertRecord({ properties, emails }) {
+    let companyId = await this.findCompany(properties);
+    let status;
+    if (companyId) {
+      await this.request("PATCH", `/crm/v3/objects/companies/${companyId}`, {
+        data: { properties },
+      });
+      status = "updated";
+    } else {
+      const created = await this.request("POST", "/crm/v3/objects/companies", {
+        data: { properties },
+      });
+      companyId = created.id;
+      status = "created";
+    }
+
+    if (emails.length > 0) {
+      const contacts = await this.request("POST", "/crm/v3/objects/contacts/batch/upsert", {
+        data: {
+          inputs: emails.map((email) => ({
+            idProperty: "email",
+            id: email,
+            properties: { email, company: properties.name },
+          })),
+        },
+      });
+      for (const contact of contacts?.results || []) {
+        await this.request(
+          "PUT",
+          `/crm/v4/objects/contacts/${contact.id}/associations/default/companies/${companyId}`
+        );
+      }
+    }
+
+    return { status, externalId: companyId };
+  }
+}
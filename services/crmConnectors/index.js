@@ -0,0 +1,37 @@
+import HubSpotConnector from "./hubspotConnector.js";
+import PipedriveConnector from "./pipedriveConnector.js";
+import RestConnector from "./restConnector.js";
+
+export { CrmConnectorError } from "./baseConnector.js";
+export { REST_METHODS } from "./restConnector.js";
+
+const CONNECTORS = {
+  [HubSpotConnector.type]: HubSpotConnector,
+  [PipedriveConnector.type]: PipedriveConnector,
+  [RestConnector.type]: RestConnector,
+};
+
+// Credential fields each connector type needs
+export const CRM_CREDENTIAL_FIELDS = {
+  hubspot: ["accessToken"],
+  pipedrive: ["apiToken"],
+  rest: [],
+};
+
+/**
+ * Connector instance for a saved connection
+ * @param {Object} connection - CrmConnection document with credentials selected
+ * @param {Object} [options] - Extra constructor options (baseUrl, http, formatter)
+ * @returns {import("./baseConnector.js").default}
+ */
+export const createConnector = (connection, options = {}) => {
+  const Connector = CONNECTORS[connection.type];
+  if (!Connector) {
+    throw new Error(`Unknown CRM connector type: ${connection.type}`);
+  }
+  return new Connector({
+    credentials: connection.credentials || {},
+    settings: connection.settings || {},
+    ...options,
+  });
+};
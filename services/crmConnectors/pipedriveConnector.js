@@ -0,0 +1,74 @@
+import CrmConnector from "./baseConnector.js";
+
+// Record field -> Pipedrive organization field. Phone and website are custom
+// fields in Pipedrive; map them to your field keys through settings.fieldMapping.
+const DEFAULT_ORGANIZATION_MAPPING = {
+  name: "name",
+  address: "address",
+};
+
+/**
+ * Pipedrive API v1. Businesses become organizations (matched by exact name);
+ * each email becomes a person (matched by email) linked to the organization.
+ * Authenticates with a personal API token.
+ */
+export default class PipedriveConnector extends CrmConnector {
+  static type = "pipedrive";
+  static label = "Pipedrive";
+  static defaultBaseUrl = process.env.PIPEDRIVE_API_URL || "https://api.pipedrive.com/v1";
+
+  getAuthParams() {
+    return { api_token: this.credentials.apiToken };
+  }
+
+  async authenticate() {
+    const response = await this.request("GET", "/users/me");
+    return { verified: true, account: response?.data?.company_domain || null };
+  }
+
+  mapRecord(record) {
+    const organization = this.mapFields(record, DEFAULT_ORGANIZATION_MAPPING);
+    if (!organization.name) return null;
+
+    const emails = (Array.isArray(record.email) ? record.email : [record.email]).filter(Boolean);
+    return { organization, emails, phone: record.phone || null };
+  }
+
+  async findOne(path, term, fields) {
+    const response = await this.request("GET", path, {
+      params: { term, fields, exact_match: true, limit: 1 },
+    });
+    return response?.data?.items?.[0]?.item?.id || null;
+  }
+
+  async upsertRecord({ organization, emails, phone }) {
+    let organizationId = await this.findOne("/organizations/search", organization.name, "name");
+    let status;
+    if (organizationId) {
+      await this.request("PUT", `/organizations/${organizationId}`, { data: organization });
+      status = "updated";
+    } else {
+      const created = await this.request("POST", "/organizations", { data: organization });
+      organizationId = created?.data?.id;
+      status = "created";
+    }
+
+    for (const email of emails) {
+      const personId = await this.findOne("/persons/search", email, "email");
+      if (personId) {
+        await this.request("PUT", `/persons/${personId}`, { data: { org_id: organizationId } });
+      } else {
+        await this.request("POST", "/persons", {
+          data: {
+            name: email,
+            email: [{ value: email, primary: true, label: "work" }],
+            ...(phone ? { phone: [{ value: phone, primary: true, label: "work" }] } : {}),
+            org_id: organizationId,
+          },
+        });
+      }
+    }
+
+    return { status, externalId: organizationId };
+  }
+}
@@ -0,0 +1,62 @@
+import CrmConnector from "./baseConnector.js";
+
+export const REST_METHODS = ["POST", "PUT", "PATCH"];
+
+/**
+ * Any HTTP endpoint that accepts JSON. Each record is sent as its own
+ * request to settings.url - as stored, or as the rows of the connection's
+ * export template (one request per row). Secret headers (API keys etc.)
+ * come from credentials.headers.
+ *
+ * 201 counts as created and any other 2xx as updated; an "id" in the
+ * response body is kept as the external ID.
+ */
+export default class RestConnector extends CrmConnector {
+  static type = "rest";
+  static label = "REST endpoint";
+
+  /**
+   * @param {Object} options - See CrmConnector
+   * @param {Object} [options.formatter] - From createTemplateFormatter
+   */
+  constructor({ formatter = null, ...options } = {}) {
+    super(options);
+    this.formatter = formatter;
+  }
+
+  getAuthHeaders() {
+    return { ...(this.credentials.headers || {}) };
+  }
+
+  // There is no standard way to check credentials; settings.authCheckUrl is
+  // fetched with GET when set
+  async authenticate() {
+    if (!this.settings.authCheckUrl) return { verified: false };
+    await this.request("GET", this.settings.authCheckUrl);
+    return { verified: true };
+  }
+
+  mapRecord(record) {
+    const bodies = this.formatter ? this.formatter.toRows(record) : [record];
+    return bodies.length > 0 ? bodies : null;
+  }
+
+  async upsertRecord(bodies) {
+    const method = this.settings.method || "POST";
+    let status = "updated";
+    let externalId = null;
+
+    for (const body of bodies) {
+      const response = await this.request(method, this.settings.url, {
+        data: body,
+        fullResponse: true,
+      });
+      if (response.status === 201) status = "created";
+      if (response.data && typeof response.data === "object" && response.data.id != null) {
+        externalId = response.data.id;
+      }
+    }
+
+    return { status, externalId };
+  }
+}
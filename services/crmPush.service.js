@@ -0,0 +1,175 @@
+import Queue from "bull";
+import CrmConnection from "../models/crmConnectionModel.js";
+import CrmPush from "../models/crmPushModel.js";
+import Job from "../models/jobModel.js";
+import ExportTemplate from "../models/exportTemplateModel.js";
+import { createConnector } from "./crmConnectors/index.js";
+import { iterateJobResults } from "./jobResults.service.js";
+import { createTemplateFormatter } from "../utils/exportTemplate.js";
+import { parseRedisConfig } from "./redisClient.js";
+import logger from "./logger.js";
+
+const CRM_PUSH_WORKERS = Number(process.env.CRM_PUSH_WORKERS || 2);
+// Save progress after this many records so the push log fills in while it runs
+const PROGRESS_SAVE_INTERVAL = 25;
+
+// Jobs whose records can be pushed
+export const PUSHABLE_JOB_STATUSES = ["completed", "stuck_timeout"];
+
+const crmPushQueue = new Queue("crm-pushes", {
+  redis: parseRedisConfig(),
+});
+
+class CrmPushService {
+  constructor() {
+    this.queue = crmPushQueue;
+  }
+
+  /**
+   * Log a push and queue it for the worker
+   * @param {Object} options
+   * @param {Object} options.connection - CrmConnection document
+   * @param {string} options.jobId
+   * @param {string} [options.trigger="manual"] - "manual" or "auto"
+   * @returns {Promise<Object>} CrmPush document
+   */
+  async createPush({ connection, jobId, trigger = "manual" }) {
+    const push = await CrmPush.create({
+      connectionId: connection._id,
+      userId: connection.userId,
+      jobId,
+      trigger,
+    });
+    await this.queue.add(
+      { pushId: push._id.toString() },
+      { attempts: 1, removeOnComplete: true, removeOnFail: 100 }
+    );
+    return push;
+  }
+
+  /**
+   * Queue a push to every auto-push connection of the job's owner.
+   * Never throws - CRM problems must not affect job processing.
+   * @param {Object} job - Job document
+   * @returns {Promise<number>} Number of pushes queued
+   */
+  async enqueueAutoPushes(job) {
+    try {
+      const connections = await CrmConnection.find({
+        userId: job.userId,
+        autoPush: true,
+        active: true,
+      });
+      for (const connection of connections) {
+        await this.createPush({ connection, jobId: job.jobId, trigger: "auto" });
+      }
+      if (connections.length > 0) {
+        logger.info("CRM_AUTO_PUSH_QUEUED", `Queued job ${job.jobId} for ${connections.length} CRM connection(s)`);
+      }
+      return connections.length;
+    } catch (error) {
+      logger.error("CRM_AUTO_PUSH_ERROR", `Failed to queue CRM pushes for job ${job.jobId}`, error);
+      return 0;
+    }
+  }
+
+  async buildConnector(connection, job) {
+    const options = {};
+    if (connection.type === "rest" && connection.exportTemplateId) {
+      const template = await ExportTemplate.findForUser(connection.userId, connection.exportTemplateId);
+      if (template) {
+        options.formatter = createTemplateFormatter(template, {
+          countryCode: job.jobParams?.countryCode,
+        });
+      }
+    }
+    return createConnector(connection, options);
+  }
+
+  async finish(push, connection, status, error = null) {
+    push.status = status;
+    push.error = error;
+    push.completedAt = new Date();
+    await push.save();
+
+    if (connection) {
+      await CrmConnection.updateOne(
+        { _id: connection._id },
+        { lastPushAt: push.completedAt, lastPushStatus: status }
+      );
+    }
+  }
+
+  /**
+   * Bull processor: send every record of the job through the connector,
+   * recording an outcome per record
+   */
+  async processPush(queueJob) {
+    const push = await CrmPush.findById(queueJob.data.pushId);
+    if (!push) {
+      logger.warn("CRM_PUSH_MISSING", `Push ${queueJob.data.pushId} no longer exists`);
+      return { skipped: true };
+    }
+
+    const connection = await CrmConnection.findById(push.connectionId).select("+credentials");
+    if (!connection || !connection.active) {
+      await this.finish(push, null, "failed", "Connection was deleted or disabled");
+      return { skipped: true };
+    }
+
+    const job = await Job.findOne({ jobId: push.jobId, userId: push.userId }).select("-placeIds");
+    if (!job || !PUSHABLE_JOB_STATUSES.includes(job.status)) {
+      await this.finish(push, connection, "failed", "Job not found or not finished");
+      return { skipped: true };
+    }
+
+    push.status = "running";
+    push.startedAt = new Date();
+    push.outcomes = [];
+    push.counts = { total: 0, created: 0, updated: 0, skipped: 0, failed: 0 };
+    await push.save();
+
+    try {
+      const connector = await this.buildConnector(connection, job);
+      await connector.authenticate();
+
+      for await (const record of iterateJobResults(job)) {
+        const outcome = await connector.pushRecord(record);
+        push.outcomes.push(outcome);
+        push.counts.total++;
+        push.counts[outcome.status]++;
+        if (push.counts.total % PROGRESS_SAVE_INTERVAL === 0) {
+          await push.save();
+        }
+      }
+    } catch (error) {
+      await this.finish(push, connection, "failed", error.message);
+      logger.warn("CRM_PUSH_FAILED", `Push ${push._id} to ${connection.type} failed`, {
+        jobId: push.jobId,
+        error: error.message,
+      });
+      return { failed: true };
+    }
+
+    await this.finish(push, connection, "completed");
+    logger.info("CRM_PUSH_COMPLETED", `Push ${push._id} to ${connection.type} completed`, {
+      jobId: push.jobId,
+      counts: push.counts,
+    });
+    return { counts: push.counts };
+  }
+
+  // Called only in worker.js — never in the API server
+  startWorker() {
+    this.queue.on("error", (err) => {
+      logger.error("CRM_PUSH_QUEUE_ERROR", "CRM push queue Redis error", err);
+    });
+    this.queue.process(CRM_PUSH_WORKERS, (job) => this.processPush(job));
+    logger.info("CRM_PUSH_WORKER_STARTED", `CRM push worker started with concurrency ${CRM_PUSH_WORKERS}`);
+  }
+}
+
+// Export singleton instance
+const crmPushService = new CrmPushService();
+export { crmPushQueue };
+export default crmPushService;
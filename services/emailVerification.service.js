@@ -0,0 +1,334 @@
+import Queue from "bull";
+import EmailVerification from "../models/emailVerificationModel.js";
+import EmailVerificationResult from "../models/emailVerificationResultModel.js";
+import User from "../models/userModel.js";
+import { verifyEmail } from "./utils/emailVerifier.js";
+import { scoreVerificationDetails } from "./utils/emailDeliverability.js";
+import socketService from "./socket.service.js";
+import { parseRedisConfig } from "./redisClient.js";
+import logger from "./logger.js";
+
+export const CREDITS_PER_EMAIL_VERIFICATION = Number(
+  process.env.CREDITS_PER_EMAIL_VERIFICATION || 1
+);
+export const MAX_EMAILS_PER_VERIFICATION = Number(
+  process.env.MAX_EMAILS_PER_VERIFICATION || 10000
+);
+
+const EMAIL_VERIFICATION_WORKERS = Number(process.env.EMAIL_VERIFICATION_WORKERS || 1);
+// Addresses checked in parallel within one list
+const EMAIL_VERIFICATION_CONCURRENCY = Number(process.env.EMAIL_VERIFICATION_CONCURRENCY || 3);
+// Verdicts are stored, and progress reported, once per batch
+const RESULT_BATCH_SIZE = 25;
+// Greylisted addresses go to the back of the list and are asked again once
+// the server's retry delay has passed, up to this many times
+const GREYLIST_MAX_RETRIES = Number(process.env.EMAIL_VERIFICATION_GREYLIST_RETRIES || 3);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const emailVerificationQueue = new Queue("email-verifications", {
+  redis: parseRedisConfig(),
+  defaultJobOptions: {
+    attempts: 2,
+    backoff: { type: "exponential", delay: 60000 },
+    removeOnComplete: 100,
+    removeOnFail: 100,
+  },
+});
+
+/**
+ * Credits charged for a list of the given size
+ * @param {number} emailCount
+ * @returns {number}
+ */
+export const estimateVerificationCredits = (emailCount) =>
+  Math.ceil(emailCount * CREDITS_PER_EMAIL_VERIFICATION);
+
+// verifyEmail result -> stored verdict fields (same names as scraped records)
+const toVerdict = (email, res) => ({
+  email,
+  result: ["deliverable", "risky", "undeliverable"].includes(res?.result) ? res.result : "unknown",
+  reason: res?.reason || "no reason provided",
+  code: res?.smtp?.[0]?.code || null,
+  catchAll: res?.catchAll ?? null,
+  roleAccount: Boolean(res?.roleAccount),
+  disposableDomain: Boolean(res?.disposableDomain),
+});
+
+class EmailVerificationService {
+  constructor() {
+    this.queue = emailVerificationQueue;
+  }
+
+  /**
+   * Create a verification for a list of addresses, charge its credits and
+   * queue it. Callers dedupe the list and check the user's credits first.
+   * @param {Object} options
+   * @param {Object} options.user - User document
+   * @param {string[]} options.emails - Unique, lowercased addresses
+   * @param {string} options.source - One of EMAIL_VERIFICATION_SOURCES
+   * @param {string} [options.name]
+   * @returns {Promise<Object>} EmailVerification document
+   */
+  async submit({ user, emails, source, name = null }) {
+    const credits = estimateVerificationCredits(emails.length);
+
+    const verification = await EmailVerification.create({
+      userId: user._id,
+      name,
+      source,
+      totalEmails: emails.length,
+      credits: { charged: user.hasUnlimitedExtraction() ? 0 : credits },
+    });
+
+    try {
+      await user.deductCredits(credits, {
+        reason: "email_verification_submitted",
+        emailVerificationId: verification._id,
+      });
+    } catch (error) {
+      // Never paid for, so it must not be left behind as "pending"
+      await EmailVerification.deleteOne({ _id: verification._id });
+      throw error;
+    }
+
+    try {
+      await this.queue.add(
+        { verificationId: verification._id.toString(), emails },
+        { jobId: verification._id.toString() }
+      );
+    } catch (error) {
+      // Nothing will ever check these addresses: give the credits back
+      const refund = verification.credits.charged;
+      if (refund > 0) {
+        await user.refundCredits(refund, {
+          reason: "email_verification_failed",
+          emailVerificationId: verification._id,
+        });
+      }
+      await EmailVerification.updateOne(
+        { _id: verification._id },
+        {
+          status: "failed",
+          completedAt: new Date(),
+          "credits.refunded": refund,
+          error: "Could not queue the verification",
+        }
+      );
+      throw error;
+    }
+
+    logger.info("EMAIL_VERIFICATION_QUEUED", `Queued ${emails.length} addresses for verification`, {
+      verificationId: verification._id.toString(),
+      userId: user._id.toString(),
+    });
+
+    return verification;
+  }
+
+  /**
+   * Status payload sent to the client over Socket.IO
+   * @param {Object} verification - EmailVerification document or lean object
+   * @returns {Object}
+   */
+  toEventData(verification) {
+    return {
+      verificationId: verification._id,
+      status: verification.status,
+      totalEmails: verification.totalEmails,
+      counts: verification.counts,
+      credits: verification.credits,
+      startedAt: verification.startedAt,
+      completedAt: verification.completedAt,
+    };
+  }
+
+  // Verdict counts from the stored results (correct after a retried run too)
+  async countVerdicts(verificationId) {
+    const groups = await EmailVerificationResult.aggregate([
+      { $match: { verificationId } },
+      { $group: { _id: "$email_status", count: { $sum: 1 } } },
+    ]);
+    const counts = { processed: 0, deliverable: 0, risky: 0, undeliverable: 0, unknown: 0 };
+    for (const group of groups) {
+      counts[group._id] = group.count;
+      counts.processed += group.count;
+    }
+    return counts;
+  }
+
+  async processVerification(queueJob) {
+    const { verificationId, emails } = queueJob.data;
+    const verification = await EmailVerification.findById(verificationId);
+    if (!verification) {
+      return { skipped: true };
+    }
+    const userId = verification.userId.toString();
+
+    verification.status = "active";
+    verification.startedAt = verification.startedAt || new Date();
+    await verification.save();
+    socketService.emitJobUpdate(userId, "email_verification_started", this.toEventData(verification));
+
+    // A retried run picks up where the previous attempt stopped
+    const done = new Set(
+      await EmailVerificationResult.distinct("position", { verificationId: verification._id })
+    );
+    const pending = emails
+      .map((email, position) => ({ email, position, attempts: 0, retryAt: 0 }))
+      .filter(({ position }) => !done.has(position));
+    let processed = done.size;
+    let buffer = [];
+
+    const flush = async () => {
+      if (buffer.length === 0) return;
+      const batch = buffer;
+      buffer = [];
+
+      await scoreVerificationDetails(batch.map(({ verdict }) => verdict));
+      await EmailVerificationResult.insertMany(
+        batch.map(({ position, verdict }) => ({
+          verificationId: verification._id,
+          position,
+          email: verdict.email,
+          email_status: verdict.result,
+          reason: verdict.reason,
+          code: verdict.code,
+          score: verdict.score ?? null,
+          catchAll: verdict.catchAll,
+          roleAccount: verdict.roleAccount,
+          disposableDomain: verdict.disposableDomain,
+        })),
+        { ordered: false }
+      );
+
+      processed += batch.length;
+      const percentage = Math.floor((processed / emails.length) * 100);
+      await EmailVerification.updateOne(
+        { _id: verification._id },
+        { "counts.processed": processed }
+      );
+      await queueJob.progress(percentage);
+      socketService.emitJobProgress(userId, verificationId, {
+        percentage,
+        details: { processed, total: emails.length },
+      });
+    };
+
+    // Workers hand full batches to a single writer chain so inserts and
+    // progress updates never overlap
+    let writes = Promise.resolve();
+    const worker = async () => {
+      while (pending.length) {
+        const item = pending.shift();
+        const wait = item.retryAt - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        let res;
+        try {
+          // Greylisting is retried here, without holding up the rest of the list
+          res = await verifyEmail(item.email, { greylistRetries: 0 });
+        } catch (err) {
+          res = { reason: err?.message || "verification error" };
+        }
+        if (/^greylisted/.test(res?.reason || "") && item.attempts < GREYLIST_MAX_RETRIES) {
+          pending.push({ ...item, attempts: item.attempts + 1, retryAt: Date.now() + res.retryAfterMs });
+          continue;
+        }
+
+        buffer.push({ position: item.position, verdict: toVerdict(item.email, res) });
+        if (buffer.length >= RESULT_BATCH_SIZE) {
+          writes = writes.then(flush);
+          await writes;
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(EMAIL_VERIFICATION_CONCURRENCY, pending.length) }, worker)
+    );
+    writes = writes.then(flush);
+    await writes;
+
+    const counts = await this.countVerdicts(verification._id);
+    const completed = await EmailVerification.findByIdAndUpdate(
+      verification._id,
+      { status: "completed", completedAt: new Date(), counts, error: null },
+      { new: true }
+    );
+    socketService.emitJobUpdate(userId, "email_verification_completed", this.toEventData(completed));
+
+    logger.info("EMAIL_VERIFICATION_COMPLETED", `Verified ${counts.processed} addresses`, {
+      verificationId,
+      counts,
+    });
+    return { processed: counts.processed };
+  }
+
+  /**
+   * Last attempt failed: refund the addresses that were never checked
+   * @param {Object} queueJob - Bull job
+   * @param {Error} err
+   */
+  async handleFailure(queueJob, err) {
+    if (queueJob.attemptsMade < (queueJob.opts.attempts || 1)) return;
+
+    const { verificationId } = queueJob.data;
+    const verification = await EmailVerification.findById(verificationId);
+    if (!verification || verification.status === "completed") return;
+
+    const counts = await this.countVerdicts(verification._id);
+    const unprocessed = verification.totalEmails - counts.processed;
+    const refund = Math.min(
+      verification.credits.charged,
+      estimateVerificationCredits(unprocessed)
+    );
+
+    if (refund > 0) {
+      const user = await User.findById(verification.userId);
+      if (user) {
+        await user.refundCredits(refund, {
+          reason: "email_verification_failed",
+          emailVerificationId: verification._id,
+        });
+      }
+    }
+
+    verification.set({
+      status: "failed",
+      completedAt: new Date(),
+      counts,
+      "credits.refunded": refund,
+      error: err?.message || "Verification failed",
+    });
+    await verification.save();
+
+    socketService.emitJobUpdate(verification.userId.toString(), "email_verification_failed", {
+      ...this.toEventData(verification),
+      message: `Verification stopped after ${counts.processed} of ${verification.totalEmails} addresses. ${refund} credits have been refunded.`,
+    });
+    logger.error("EMAIL_VERIFICATION_FAILED", `Email verification ${verificationId} failed`, err);
+  }
+
+  // Called only in worker.js — never in the API server
+  startWorker() {
+    this.queue.on("error", (err) => {
+      logger.error("EMAIL_VERIFICATION_QUEUE_ERROR", "Email verification queue Redis error", err);
+    });
+    this.queue.on("failed", (queueJob, err) => {
+      this.handleFailure(queueJob, err).catch((error) => {
+        logger.error("EMAIL_VERIFICATION_REFUND_ERROR", "Error handling failed email verification", error);
+      });
+    });
+    this.queue.process(EMAIL_VERIFICATION_WORKERS, (job) => this.processVerification(job));
+    logger.info(
+      "EMAIL_VERIFICATION_WORKER_STARTED",
+      `Email verification worker started with concurrency ${EMAIL_VERIFICATION_WORKERS}`
+    );
+  }
+}
+
+// Export singleton instance
+const emailVerificationService = new EmailVerificationService();
+export { emailVerificationQueue };
+export default emailVerificationService;
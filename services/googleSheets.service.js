@@ -0,0 +1,463 @@
+import Queue from "bull";
+import { randomBytes } from "crypto";
+import { google } from "googleapis";
+import GoogleSheetsConnection from "../models/googleSheetsConnectionModel.js";
+import SheetsDestination from "../models/sheetsDestinationModel.js";
+import ExportTemplate from "../models/exportTemplateModel.js";
+import Job from "../models/jobModel.js";
+import { iterateJobResults } from "./jobResults.service.js";
+import {
+  createTemplateFormatter,
+  DEFAULT_EXPORT_TEMPLATE,
+} from "../utils/exportTemplate.js";
+import { parseRedisConfig, createRedisClient } from "./redisClient.js";
+import logger from "./logger.js";
+
+export const SHEETS_SCOPES = [
+  "https://www.googleapis.com/auth/spreadsheets",
+  "openid",
+  "email",
+];
+
+const SHEETS_SYNC_WORKERS = Number(process.env.SHEETS_SYNC_WORKERS || 1);
+// Rows per values.append call; keeps each request well under the API payload limit
+const SHEETS_APPEND_BATCH_SIZE = 500;
+// Sheets rejects cells longer than this
+const SHEETS_MAX_CELL_LENGTH = 50000;
+// OAuth state nonces live in Redis for this long and can be used once
+const OAUTH_STATE_TTL_SECONDS = 15 * 60;
+const OAUTH_STATE_KEY_PREFIX = "google-sheets:oauth-state:";
+
+const sheetsSyncQueue = new Queue("sheets-syncs", {
+  redis: parseRedisConfig(),
+});
+
+/**
+ * Thrown when the user has no usable Google authorization - never connected,
+ * or Google revoked the refresh token
+ */
+export class SheetsAuthorizationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SheetsAuthorizationError";
+  }
+}
+
+// A1 notation needs quotes around tab names with spaces or symbols
+const quoteSheetName = (sheetName) => `'${sheetName.replace(/'/g, "''")}'`;
+
+const toSheetValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "string" && value.length > SHEETS_MAX_CELL_LENGTH) {
+    return value.slice(0, SHEETS_MAX_CELL_LENGTH);
+  }
+  return value;
+};
+
+const isInvalidGrant = (error) =>
+  error?.response?.data?.error === "invalid_grant" || /invalid_grant/.test(error?.message || "");
+
+/**
+ * Spreadsheet ID from a Google Sheets URL, or the input when it already is one
+ * @param {string} input
+ * @returns {string}
+ */
+export const parseSpreadsheetId = (input) => {
+  const match = String(input || "").match(/\/spreadsheets\/d\/([A-Za-z0-9_-]+)/);
+  return match ? match[1] : String(input || "").trim();
+};
+
+class GoogleSheetsService {
+  constructor() {
+    this.queue = sheetsSyncQueue;
+    this.redis = null;
+  }
+
+  getRedis() {
+    if (!this.redis) {
+      this.redis = createRedisClient();
+      this.redis.on("error", (err) => {
+        logger.warn("SHEETS_REDIS_ERROR", "Redis error in Google Sheets service", {
+          error: err.message,
+        });
+      });
+    }
+    return this.redis;
+  }
+
+  createOAuthClient(redirectUri) {
+    return new google.auth.OAuth2(
+      process.env.GOOGLE_CLIENT_ID,
+      process.env.GOOGLE_CLIENT_SECRET,
+      redirectUri
+    );
+  }
+
+  /**
+   * Google consent URL. The callback arrives as a plain browser redirect, so
+   * state is a random single-use nonce mapped to the user ID in Redis. It
+   * carries no credential of its own.
+   * @param {string} userId
+   * @param {string} redirectUri - Must match the one used in handleCallback
+   * @returns {Promise<string>}
+   */
+  async getAuthUrl(userId, redirectUri) {
+    const state = randomBytes(32).toString("hex");
+    await this.getRedis().set(
+      `${OAUTH_STATE_KEY_PREFIX}${state}`,
+      String(userId),
+      "EX",
+      OAUTH_STATE_TTL_SECONDS
+    );
+    return this.createOAuthClient(redirectUri).generateAuthUrl({
+      access_type: "offline",
+      // Always ask again so Google sends a refresh token even for returning users
+      prompt: "consent",
+      include_granted_scopes: true,
+      scope: SHEETS_SCOPES,
+      state,
+    });
+  }
+
+  /**
+   * Exchange the authorization code and store the tokens
+   * @returns {Promise<Object>} GoogleSheetsConnection document
+   */
+  async handleCallback({ code, state, redirectUri }) {
+    const userId = /^[a-f0-9]{64}$/.test(String(state))
+      ? await this.getRedis().getdel(`${OAUTH_STATE_KEY_PREFIX}${state}`)
+      : null;
+    if (!userId) {
+      throw new SheetsAuthorizationError("Invalid or expired authorization request");
+    }
+
+    const client = this.createOAuthClient(redirectUri);
+    const { tokens } = await client.getToken(code);
+
+    const scopes = (tokens.scope || "").split(" ").filter(Boolean);
+    if (!scopes.includes(SHEETS_SCOPES[0])) {
+      throw new SheetsAuthorizationError("Access to Google Sheets was not granted");
+    }
+
+    let googleEmail = null;
+    if (tokens.id_token) {
+      const ticket = await client.verifyIdToken({
+        idToken: tokens.id_token,
+        audience: process.env.GOOGLE_CLIENT_ID,
+      });
+      googleEmail = ticket.getPayload()?.email || null;
+    }
+
+    const update = {
+      googleEmail,
+      accessToken: tokens.access_token,
+      expiryDate: tokens.expiry_date ? new Date(tokens.expiry_date) : null,
+      scopes,
+      status: "connected",
+    };
+    if (tokens.refresh_token) update.refreshToken = tokens.refresh_token;
+
+    return GoogleSheetsConnection.findOneAndUpdate({ userId }, update, {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: true,
+    });
+  }
+
+  /**
+   * OAuth client with the user's stored tokens. Refreshed tokens are saved
+   * as the Google library obtains them.
+   * @param {string} userId
+   * @throws {SheetsAuthorizationError}
+   */
+  async getAuthorizedClient(userId) {
+    const connection = await GoogleSheetsConnection.findOne({ userId }).select(
+      "+accessToken +refreshToken"
+    );
+    if (!connection || connection.status !== "connected" || !connection.refreshToken) {
+      throw new SheetsAuthorizationError("Google Sheets is not connected");
+    }
+
+    const client = this.createOAuthClient();
+    client.setCredentials({
+      access_token: connection.accessToken,
+      refresh_token: connection.refreshToken,
+      expiry_date: connection.expiryDate?.getTime(),
+    });
+    client.on("tokens", (tokens) => {
+      const update = {};
+      if (tokens.access_token) update.accessToken = tokens.access_token;
+      if (tokens.expiry_date) update.expiryDate = new Date(tokens.expiry_date);
+      if (tokens.refresh_token) update.refreshToken = tokens.refresh_token;
+      GoogleSheetsConnection.updateOne({ _id: connection._id }, update).catch((error) =>
+        logger.error("SHEETS_TOKEN_SAVE_ERROR", `Could not save refreshed Google tokens for user ${userId}`, error)
+      );
+    });
+    return client;
+  }
+
+  /**
+   * Run a Sheets API call for the user, marking the connection revoked when
+   * Google no longer accepts the refresh token
+   * @param {string} userId
+   * @param {Function} fn - (sheets) => Promise
+   */
+  async withSheets(userId, fn) {
+    const auth = await this.getAuthorizedClient(userId);
+    try {
+      return await fn(google.sheets({ version: "v4", auth }));
+    } catch (error) {
+      if (isInvalidGrant(error)) {
+        await GoogleSheetsConnection.updateOne({ userId }, { status: "revoked" });
+        throw new SheetsAuthorizationError(
+          "Google revoked access to Sheets. Please reconnect your Google account."
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the user's tokens, revoking them at Google when possible
+   * @param {string} userId
+   */
+  async disconnect(userId) {
+    const connection = await GoogleSheetsConnection.findOne({ userId }).select("+refreshToken");
+    if (!connection) return false;
+
+    if (connection.refreshToken) {
+      try {
+        await this.createOAuthClient().revokeToken(connection.refreshToken);
+      } catch (error) {
+        logger.warn("SHEETS_REVOKE_FAILED", `Could not revoke Google token for user ${userId}`, {
+          error: error.message,
+        });
+      }
+    }
+    await connection.deleteOne();
+    return true;
+  }
+
+  /**
+   * Title of the spreadsheet; confirms the user can open it
+   * @returns {Promise<string>}
+   */
+  async getSpreadsheetTitle(userId, spreadsheetId) {
+    return this.withSheets(userId, async (sheets) => {
+      const { data } = await sheets.spreadsheets.get({
+        spreadsheetId,
+        fields: "properties.title",
+      });
+      return data.properties?.title || null;
+    });
+  }
+
+  async ensureSheet(sheets, spreadsheetId, sheetName) {
+    const { data } = await sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: "sheets.properties.title",
+    });
+    const exists = (data.sheets || []).some((sheet) => sheet.properties?.title === sheetName);
+    if (!exists) {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title: sheetName } } }] },
+      });
+    }
+  }
+
+  /**
+   * Write a job's records to the destination's tab. The header row is written
+   * when the tab is empty; appends to a tab with a header follow its column order.
+   * @param {Object} destination - SheetsDestination document
+   * @param {Object} job - Job document
+   * @param {Object} [options]
+   * @param {string} [options.mode="append"] - "append" or "replace" (clears the tab first)
+   * @param {number} [options.skipRows=0] - Leading rows already appended by an
+   *   earlier attempt (append mode only)
+   * @param {Function} [options.onRowsWritten] - Called with the total rows
+   *   appended so far, skipped rows included, after each batch
+   * @returns {Promise<number>} Rows written by this call, header excluded
+   */
+  async writeJob(destination, job, { mode = "append", skipRows = 0, onRowsWritten = null } = {}) {
+    const template =
+      (destination.exportTemplateId &&
+        (await ExportTemplate.findForUser(destination.userId, destination.exportTemplateId))) ||
+      DEFAULT_EXPORT_TEMPLATE;
+    const formatter = createTemplateFormatter(template, {
+      countryCode: job.jobParams?.countryCode,
+    });
+
+    const { spreadsheetId, sheetName } = destination;
+    const tab = quoteSheetName(sheetName);
+
+    return this.withSheets(destination.userId, async (sheets) => {
+      await this.ensureSheet(sheets, spreadsheetId, sheetName);
+
+      if (mode === "replace") {
+        await sheets.spreadsheets.values.clear({ spreadsheetId, range: tab });
+      }
+
+      const { data } = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${tab}!1:1`,
+      });
+      let header = data.values?.[0] || [];
+
+      const append = (values) =>
+        sheets.spreadsheets.values.append({
+          spreadsheetId,
+          range: `${tab}!A1`,
+          valueInputOption: "RAW",
+          insertDataOption: "INSERT_ROWS",
+          requestBody: { values },
+        });
+
+      if (header.length === 0) {
+        header = formatter.headers;
+        await append([header]);
+      }
+
+      // A replace clears the tab, so it always writes every row
+      let toSkip = mode === "replace" ? 0 : skipRows;
+      const alreadyWritten = toSkip;
+      let rowsWritten = 0;
+      let batch = [];
+      const flush = async () => {
+        if (batch.length === 0) return;
+        await append(batch);
+        rowsWritten += batch.length;
+        batch = [];
+        if (onRowsWritten) await onRowsWritten(alreadyWritten + rowsWritten);
+      };
+
+      for await (const record of iterateJobResults(job)) {
+        for (const row of formatter.toRows(record)) {
+          if (toSkip > 0) {
+            toSkip--;
+            continue;
+          }
+          batch.push(header.map((column) => toSheetValue(row[column])));
+        }
+        if (batch.length >= SHEETS_APPEND_BATCH_SIZE) await flush();
+      }
+      await flush();
+
+      return rowsWritten;
+    });
+  }
+
+  /**
+   * Queue writing a job to a destination
+   * @param {Object} options
+   * @param {Object} options.destination - SheetsDestination document
+   * @param {string} options.jobId
+   * @param {string} [options.mode="append"]
+   */
+  async enqueueSync({ destination, jobId, mode = "append" }) {
+    await this.queue.add(
+      { destinationId: destination._id.toString(), jobId, mode },
+      { attempts: 3, backoff: { type: "exponential", delay: 60000 }, removeOnComplete: true, removeOnFail: 100 }
+    );
+  }
+
+  /**
+   * Append a finished scheduled run to every destination linked to its schedule.
+   * Never throws - Sheets problems must not affect job processing.
+   * @param {Object} job - Job document
+   * @returns {Promise<number>} Number of syncs queued
+   */
+  async enqueueScheduleSyncs(job) {
+    if (!job.scheduleId) return 0;
+    try {
+      const destinations = await SheetsDestination.find({
+        userId: job.userId,
+        scheduleId: job.scheduleId,
+        active: true,
+      });
+      for (const destination of destinations) {
+        await this.enqueueSync({ destination, jobId: job.jobId });
+      }
+      return destinations.length;
+    } catch (error) {
+      logger.error("SHEETS_SYNC_QUEUE_ERROR", `Failed to queue Sheets syncs for job ${job.jobId}`, error);
+      return 0;
+    }
+  }
+
+  async recordSync(destination, { jobId, rowsWritten = 0, error = null }) {
+    await SheetsDestination.updateOne(
+      { _id: destination._id },
+      {
+        lastSyncAt: new Date(),
+        lastSyncStatus: error ? "failed" : "success",
+        lastSyncError: error,
+        lastJobId: jobId,
+        $inc: { rowsWritten },
+      }
+    );
+  }
+
+  /**
+   * Bull processor. Authorization problems are recorded and not retried;
+   * other errors (quota, network) are retried by Bull.
+   */
+  async processSync(queueJob) {
+    const { destinationId, jobId, mode, rowsAppended = 0 } = queueJob.data;
+
+    const destination = await SheetsDestination.findById(destinationId);
+    if (!destination || !destination.active) {
+      return { skipped: true };
+    }
+
+    const job = await Job.findOne({ jobId, userId: destination.userId }).select("-placeIds");
+    if (!job) {
+      await this.recordSync(destination, { jobId, error: "Job not found" });
+      return { skipped: true };
+    }
+
+    try {
+      // Appended rows are saved on the Bull job after every batch, so a retry
+      // continues after them instead of appending them a second time
+      const rowsWritten = await this.writeJob(destination, job, {
+        mode,
+        skipRows: rowsAppended,
+        onRowsWritten: (total) => queueJob.update({ ...queueJob.data, rowsAppended: total }),
+      });
+      // Failed attempts record 0 rows, so the rows they appended count now
+      await this.recordSync(destination, {
+        jobId,
+        rowsWritten: mode === "replace" ? rowsWritten : rowsAppended + rowsWritten,
+      });
+      logger.info("SHEETS_SYNC_COMPLETED", `Wrote ${rowsWritten} rows of job ${jobId} to Google Sheets`, {
+        destinationId,
+      });
+      return { rowsWritten };
+    } catch (error) {
+      await this.recordSync(destination, { jobId, error: error.message });
+      logger.warn("SHEETS_SYNC_FAILED", `Writing job ${jobId} to Google Sheets failed`, {
+        destinationId,
+        error: error.message,
+      });
+      if (error instanceof SheetsAuthorizationError) {
+        return { failed: true };
+      }
+      throw error;
+    }
+  }
+
+  // Called only in worker.js — never in the API server
+  startWorker() {
+    this.queue.on("error", (err) => {
+      logger.error("SHEETS_SYNC_QUEUE_ERROR", "Sheets sync queue Redis error", err);
+    });
+    this.queue.process(SHEETS_SYNC_WORKERS, (job) => this.processSync(job));
+    logger.info("SHEETS_SYNC_WORKER_STARTED", `Sheets sync worker started with concurrency ${SHEETS_SYNC_WORKERS}`);
+  }
+}
+
+// Export singleton instance
+const googleSheetsService = new GoogleSheetsService();
+export { sheetsSyncQueue };
+export default googleSheetsService;
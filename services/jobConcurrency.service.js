@@ -0,0 +1,275 @@
+import { randomUUID } from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import Job from "../models/jobModel.js";
+import User from "../models/userModel.js";
+import { getQueueForUser } from "./queue.js";
+import { createRedisClient } from "./redisClient.js";
+import socketService from "./socket.service.js";
+import logger from "./logger.js";
+import { estimateCreditsForRecords } from "../utils/scrapeParams.js";
+
+// Statuses that occupy one of the user's concurrency slots
+export const RUNNING_JOB_STATUSES = ["waiting", "active", "delayed"];
+
+// Upper bound on jobs a single user can have held back at once
+export const MAX_PENDING_JOBS_PER_USER = Number(
+  process.env.MAX_PENDING_JOBS_PER_USER || 100
+);
+
+const PROMOTE_LOCK_TTL_MS = 15000;
+const PROMOTE_LOCK_RETRIES = 10;
+const PROMOTE_LOCK_RETRY_DELAY_MS = 200;
+const SWEEP_INTERVAL_MS = Number(process.env.PENDING_JOBS_SWEEP_MS || 60000);
+
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Filters are stored as { operator: null, value: null } when unset
+const normalizeFilter = (filter) =>
+  filter && filter.operator && filter.value != null
+    ? { operator: filter.operator, value: filter.value }
+    : null;
+
+class JobConcurrencyService {
+  constructor() {
+    this.redis = null;
+    this.sweepTimer = null;
+  }
+
+  getRedis() {
+    if (!this.redis) {
+      this.redis = createRedisClient();
+      this.redis.on("error", (err) => {
+        logger.warn("JOB_CONCURRENCY_REDIS_ERROR", "Redis error in job concurrency service", {
+          error: err.message,
+        });
+      });
+    }
+    return this.redis;
+  }
+
+  /**
+   * Number of jobs currently holding a concurrency slot for the user
+   * @param {string} userId
+   * @returns {Promise<number>}
+   */
+  async countRunningJobs(userId) {
+    return Job.countDocuments({
+      userId,
+      status: { $in: RUNNING_JOB_STATUSES },
+    });
+  }
+
+  /**
+   * 1-based position of a pending job in the user's line
+   * @param {Object} jobRecord - Job document with status "pending"
+   * @returns {Promise<number>}
+   */
+  async getPendingPosition(jobRecord) {
+    return Job.countDocuments({
+      userId: jobRecord.userId,
+      status: "pending",
+      createdAt: { $lte: jobRecord.createdAt },
+    });
+  }
+
+  /**
+   * Create a pending job, reserve its credits and try to start it.
+   * Callers validate jobParams and check plan limits/credits first.
+   * @param {Object} options
+   * @param {Object} options.user - User document
+   * @param {Object} options.jobParams - Output of validateScrapeParams
+   * @param {Object} [options.links] - Extra Job fields linking it to a parent (campaignId, scheduleId, ...)
+   * @param {boolean} [options.promote=true] - Set false when submitting many jobs, then promote once
+   * @returns {Promise<Object>} Job document
+   */
+  async submit({ user, jobParams, links = {}, promote = true }) {
+    const estimatedCredits = estimateCreditsForRecords(jobParams.maxRecords);
+
+    const jobRecord = await Job.create({
+      jobId: uuidv4(),
+      userId: user._id,
+      jobParams,
+      status: "pending",
+      ...links,
+      metrics: {
+        creditsUsed: user.hasUnlimitedExtraction() ? 0 : estimatedCredits, // Track 0 for users with unlimited extraction
+        estimatedCredits: estimatedCredits, // Keep original estimate for analytics
+        planType: user.plan, // Track plan type for analytics
+      },
+    });
+
+    // Deduct credits from user. Without them the job must not exist, or
+    // promotion would start it unpaid and its completion would refund it
+    try {
+      await user.deductCredits(estimatedCredits, {
+        reason: "job_submitted",
+        jobId: jobRecord.jobId,
+      });
+    } catch (error) {
+      await Job.deleteOne({ _id: jobRecord._id });
+      throw error;
+    }
+
+    if (promote) {
+      await this.promotePendingJobs(user._id.toString());
+    }
+
+    return jobRecord;
+  }
+
+  /**
+   * Add a job record to the Bull queue for the user's plan
+   * @param {Object} jobRecord - Job document
+   * @param {Object} user - User document (plan decides the queue)
+   * @returns {Promise<Object>} Bull job
+   */
+  async enqueue(jobRecord, user) {
+    const params = jobRecord.jobParams.toObject
+      ? jobRecord.jobParams.toObject()
+      : { ...jobRecord.jobParams };
+
+    const selectedQueue = getQueueForUser(user.plan);
+    const queueName = user.plan === "business" || user.plan === "pro" ? "Business" : "Free/Pro";
+
+    logger.info(
+      "JOB_ENQUEUED",
+      `Adding job ${jobRecord.jobId} to ${queueName} queue for user plan: ${user.plan}`
+    );
+
+    return selectedQueue.add(
+      {
+        ...params,
+        ratingFilter: normalizeFilter(params.ratingFilter),
+        reviewFilter: normalizeFilter(params.reviewFilter),
+        jobId: jobRecord.jobId,
+        userId: user._id.toString(),
+        dbJobId: jobRecord._id,
+        userPlan: user.plan, // Track which plan for analytics
+        dedupScope: jobRecord.dedupScope || null,
+        timeout: 30 * 60 * 1000,
+      },
+      {
+        jobId: jobRecord.jobId, // Use our custom jobId for the queue
+        removeOnComplete: 10,
+        removeOnFail: 5,
+      }
+    );
+  }
+
+  async acquireLock(userId) {
+    const redis = this.getRedis();
+    const key = `user:${userId}:job_promote_lock`;
+    const token = randomUUID();
+
+    for (let attempt = 0; attempt < PROMOTE_LOCK_RETRIES; attempt++) {
+      const acquired = await redis.set(key, token, "PX", PROMOTE_LOCK_TTL_MS, "NX");
+      if (acquired) {
+        return () => redis.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+      }
+      await sleep(PROMOTE_LOCK_RETRY_DELAY_MS);
+    }
+    return null;
+  }
+
+  /**
+   * Move the user's oldest pending jobs into the queue while slots are free.
+   * Safe to call from anywhere - runs under a per-user Redis lock so API and
+   * worker processes cannot overfill the slots between them.
+   * @param {string} userId
+   * @returns {Promise<number>} Number of jobs started
+   */
+  async promotePendingJobs(userId) {
+    let release;
+    try {
+      release = await this.acquireLock(userId);
+    } catch (error) {
+      logger.error("JOB_PROMOTE_LOCK_ERROR", `Could not lock pending jobs for user ${userId}`, error);
+      return 0;
+    }
+
+    if (!release) {
+      // Another process is promoting right now; the sweeper picks up anything missed
+      logger.warn("JOB_PROMOTE_LOCK_BUSY", `Pending job promotion already running for user ${userId}`);
+      return 0;
+    }
+
+    let promoted = 0;
+    try {
+      const user = await User.findById(userId);
+      if (!user) return 0;
+
+      const running = await this.countRunningJobs(userId);
+      let slots = user.getConcurrentJobsLimit() - running;
+
+      while (slots > 0) {
+        const nextJob = await Job.findOneAndUpdate(
+          { userId, status: "pending" },
+          { status: "waiting" },
+          { sort: { createdAt: 1 }, new: true }
+        );
+        if (!nextJob) break;
+
+        try {
+          await this.enqueue(nextJob, user);
+        } catch (error) {
+          // Put it back at the front of the line and try again on the next event
+          await Job.updateOne({ _id: nextJob._id }, { status: "pending" });
+          logger.error("JOB_PROMOTE_ENQUEUE_ERROR", `Could not enqueue pending job ${nextJob.jobId}`, error);
+          break;
+        }
+
+        socketService.emitJobUpdate(user._id.toString(), "job_queued", {
+          jobId: nextJob.jobId,
+          status: "waiting",
+          progress: nextJob.progress,
+        });
+
+        promoted++;
+        slots--;
+      }
+
+      if (promoted > 0) {
+        logger.info("JOB_PENDING_PROMOTED", `Started ${promoted} pending job(s) for user ${userId}`);
+      }
+    } catch (error) {
+      logger.error("JOB_PROMOTE_ERROR", `Error promoting pending jobs for user ${userId}`, error);
+    } finally {
+      await release().catch(() => {});
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Promote pending jobs for every user that has any. Covers promotions
+   * missed because a process died or a lock was busy.
+   */
+  async sweep() {
+    try {
+      const userIds = await Job.distinct("userId", { status: "pending" });
+      for (const userId of userIds) {
+        await this.promotePendingJobs(userId.toString());
+      }
+    } catch (error) {
+      logger.error("JOB_PENDING_SWEEP_ERROR", "Error sweeping pending jobs", error);
+    }
+  }
+
+  // Called only in worker.js — never in the API server
+  startSweeper() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref?.();
+    logger.info("JOB_PENDING_SWEEPER_STARTED", `Pending job sweeper runs every ${SWEEP_INTERVAL_MS}ms`);
+  }
+}
+
+// Export singleton instance
+const jobConcurrencyService = new JobConcurrencyService();
+export default jobConcurrencyService;
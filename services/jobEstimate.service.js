@@ -0,0 +1,226 @@
+import { State, Country } from "country-state-city";
+import Job from "../models/jobModel.js";
+import {
+  ZONE_BATCH_SIZE,
+  MAX_TOTAL_ZONES,
+  DEFAULT_MIN_POPULATION,
+  DEFAULT_MID_POPULATION_THRESHOLD,
+  DEFAULT_BIG_POPULATION_THRESHOLD,
+  listCitiesForScope,
+  bucketizeCities,
+  countZones,
+} from "./utils/searchArea.js";
+import { createCityZones } from "./utils/cityZoneGenerator.js";
+import { createStateZones } from "./utils/stateZoneGenerator.js";
+import { createCountryZones } from "./utils/countryZoneGenerator.js";
+import { createPopulationResolverAllTheCities } from "./utils/populationResolver.allTheCities.js";
+import {
+  estimateCreditsForRecords,
+  checkPlanRecordLimit,
+  checkSufficientCredits,
+} from "../utils/scrapeParams.js";
+
+// A single Google Maps search lists at most this many places
+const MAX_RESULTS_PER_SEARCH = 120;
+
+// Recent completed jobs used to time new ones
+const DURATION_SAMPLE_SIZE = 50;
+// Fewer timed jobs than this and the defaults below are used instead
+const MIN_DURATION_SAMPLES = 5;
+
+// Seconds per record when there is no history to go on
+const DEFAULT_SECONDS_PER_RECORD = {
+  base: 4,
+  extractEmail: 6, // Website visit
+  validate: 4, // SMTP checks
+};
+
+const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${secs}s`;
+};
+
+class JobEstimateService {
+  constructor() {
+    this.populationResolver = createPopulationResolverAllTheCities();
+  }
+
+  /**
+   * Cities or zones runScraper will search for a job, following the same
+   * scenarios: exact city (center + grid zones), state cities (state zones
+   * when it has none) or country cities (country zones when it has none)
+   * @param {Object} jobParams - Normalized params from validateScrapeParams
+   * @returns {Promise<Object>} { mode, cities, zones, searches, cityBuckets }, or
+   *   { error } for an unknown country/state
+   */
+  async planSearchArea({ countryCode, stateCode, city }) {
+    const country = Country.getCountryByCode(countryCode);
+    if (!country) {
+      return { error: `Invalid country code: ${countryCode}` };
+    }
+    const state = stateCode ? State.getStateByCodeAndCountry(stateCode, countryCode) : null;
+    if (stateCode && !state) {
+      return { error: `Invalid state code: ${stateCode} for country: ${countryCode}` };
+    }
+
+    if (city && stateCode) {
+      const zoneConfig = await createCityZones(
+        city,
+        stateCode,
+        countryCode,
+        null,
+        true,
+        ZONE_BATCH_SIZE,
+        MAX_TOTAL_ZONES
+      );
+      const zones = countZones(zoneConfig);
+      return { mode: "city", cities: 1, zones, searches: zones, cityBuckets: null };
+    }
+
+    const { buckets, total } = await bucketizeCities(listCitiesForScope(countryCode, stateCode), {
+      countryCode,
+      populationResolver: this.populationResolver,
+      minPopulation: DEFAULT_MIN_POPULATION,
+      midPopulationThreshold: DEFAULT_MID_POPULATION_THRESHOLD,
+      bigPopulationThreshold: DEFAULT_BIG_POPULATION_THRESHOLD,
+    });
+    const mode = stateCode ? "state" : "country";
+    const cityBuckets = {
+      big: buckets.big.length,
+      mid: buckets.mid.length,
+      small: buckets.small.length,
+      unknown: buckets.unknown.length,
+    };
+    if (total > 0) {
+      return { mode, cities: total, zones: 0, searches: total, cityBuckets };
+    }
+
+    // No known cities: runScraper falls back to a zone grid over the area
+    const zoneConfig = stateCode
+      ? await createStateZones(state.name, stateCode, countryCode, null, true, ZONE_BATCH_SIZE, MAX_TOTAL_ZONES)
+      : await createCountryZones(country.name, countryCode, null, true, ZONE_BATCH_SIZE, MAX_TOTAL_ZONES);
+    const zones = countZones(zoneConfig);
+    return { mode, cities: 0, zones, searches: zones, cityBuckets };
+  }
+
+  /**
+   * Expected run time from recent completed jobs with the same email
+   * options, or from defaults when there are too few of them
+   * @param {Object} jobParams
+   * @returns {Promise<Object>} { seconds, formatted, secondsPerRecord, basis, sampleSize }
+   */
+  async estimateDuration({ maxRecords, isExtractEmail, isValidate }) {
+    const [history] = await Job.aggregate([
+      {
+        $match: {
+          status: "completed",
+          startedAt: { $ne: null },
+          completedAt: { $ne: null },
+          "metrics.totalExtractions": { $gt: 0 },
+          "jobParams.isExtractEmail": Boolean(isExtractEmail),
+          "jobParams.isValidate": Boolean(isValidate),
+        },
+      },
+      { $sort: { completedAt: -1 } },
+      { $limit: DURATION_SAMPLE_SIZE },
+      {
+        $group: {
+          _id: null,
+          totalMs: { $sum: { $subtract: ["$completedAt", "$startedAt"] } },
+          totalRecords: { $sum: "$metrics.totalExtractions" },
+          sampleSize: { $sum: 1 },
+        },
+      },
+    ]);
+
+    let secondsPerRecord;
+    let basis;
+    if (history && history.sampleSize >= MIN_DURATION_SAMPLES) {
+      secondsPerRecord = history.totalMs / 1000 / history.totalRecords;
+      basis = "history";
+    } else {
+      secondsPerRecord =
+        DEFAULT_SECONDS_PER_RECORD.base +
+        (isExtractEmail ? DEFAULT_SECONDS_PER_RECORD.extractEmail : 0) +
+        (isValidate ? DEFAULT_SECONDS_PER_RECORD.validate : 0);
+      basis = "default";
+    }
+
+    const seconds = Math.ceil(secondsPerRecord * maxRecords);
+    return {
+      seconds,
+      formatted: formatDuration(seconds),
+      secondsPerRecord: Math.round(secondsPerRecord * 10) / 10,
+      basis,
+      sampleSize: history?.sampleSize || 0,
+    };
+  }
+
+  /**
+   * Everything POST /scrape/estimate reports for a job before it is submitted.
+   * Plan and credit problems are returned as warnings rather than errors.
+   * @param {Object} user - User document
+   * @param {Object} jobParams - Normalized params from validateScrapeParams
+   * @param {Object[]} [warnings] - Warnings from validateScrapeParams
+   * @returns {Promise<Object>} { credits, duration, searchArea, warnings },
+   *   or { error } for a country/state code that does not exist
+   */
+  async estimate(user, jobParams, warnings = []) {
+    const credits = estimateCreditsForRecords(jobParams.maxRecords);
+    const [searchArea, duration] = await Promise.all([
+      this.planSearchArea(jobParams),
+      this.estimateDuration(jobParams),
+    ]);
+    if (searchArea.error) {
+      return { error: searchArea.error };
+    }
+    const allWarnings = [...warnings];
+
+    if (jobParams.city && !jobParams.stateCode) {
+      allWarnings.push({
+        code: "CITY_WITHOUT_STATE",
+        message: `city "${jobParams.city}" is only used together with stateCode; the whole country will be searched`,
+      });
+    }
+
+    if (searchArea.searches * MAX_RESULTS_PER_SEARCH < jobParams.maxRecords) {
+      allWarnings.push({
+        code: "SMALL_SEARCH_AREA",
+        message: `${searchArea.searches} search(es) list at most ${searchArea.searches * MAX_RESULTS_PER_SEARCH} places, fewer than the ${jobParams.maxRecords} records requested`,
+      });
+    }
+
+    const planLimitError = checkPlanRecordLimit(user, jobParams.maxRecords);
+    if (planLimitError) {
+      allWarnings.push({ code: "PLAN_RECORD_LIMIT", message: planLimitError.body.message });
+    }
+    const creditsError = checkSufficientCredits(user, credits);
+    if (creditsError) {
+      allWarnings.push({
+        code: "INSUFFICIENT_CREDITS",
+        message: `This job reserves ${credits} credits; ${creditsError.body.available} are available`,
+      });
+    }
+
+    return {
+      credits: {
+        estimated: credits,
+        available: user.hasUnlimitedExtraction() ? null : user.credits.remaining,
+        unlimited: user.hasUnlimitedExtraction(),
+        sufficient: !creditsError,
+        note: "Reserved when the job is submitted and refunded for records not found",
+      },
+      duration,
+      searchArea,
+      warnings: allWarnings,
+    };
+  }
+}
+
+// Export singleton instance
+const jobEstimateService = new JobEstimateService();
+export default jobEstimateService;
@@ -0,0 +1,203 @@
+import JobResult from "../models/jobResultModel.js";
+import logger from "./logger.js";
+
+const WRITE_BATCH_SIZE = Number(process.env.JOB_RESULT_WRITE_BATCH_SIZE || 25);
+// A migration claim older than this belongs to a request that died
+const MIGRATION_STALE_MS = 5 * 60 * 1000;
+// How long a request waits for another one's migration of the same job
+const MIGRATION_WAIT_MS = 30 * 1000;
+const MIGRATION_POLL_MS = 250;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toNumberOrNull = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(String(value).replace(/,/g, ""));
+  return Number.isFinite(number) ? number : null;
+};
+
+// JobResult document for one record
+const toStoredResult = ({ jobId, userId, position, record }) => ({
+  jobId,
+  userId,
+  position,
+  rating: toNumberOrNull(record.rating),
+  reviewCount: toNumberOrNull(record.rating_count),
+  record,
+});
+
+/**
+ * Buffered writer used by the scraper: records are inserted in small batches
+ * as they are accepted instead of all at once when the job finishes.
+ * @param {Object} options
+ * @param {string} options.jobId
+ * @param {string} options.userId
+ * @returns {Promise<{ push: Function, close: Function }>}
+ */
+export async function createResultWriter({ jobId, userId }) {
+  // A retried job starts over
+  await JobResult.deleteMany({ jobId });
+
+  let position = 0;
+  let buffer = [];
+  let pending = Promise.resolve();
+  let writeError = null;
+
+  const flush = () => {
+    if (buffer.length === 0) return;
+    const batch = buffer;
+    buffer = [];
+    pending = pending
+      .then(() => JobResult.insertMany(batch, { ordered: false }))
+      .catch((error) => {
+        writeError = writeError || error;
+        logger.error("JOB_RESULT_WRITE_ERROR", `Error storing results for job ${jobId}`, error);
+      });
+  };
+
+  return {
+    push(record) {
+      buffer.push(toStoredResult({ jobId, userId, position: position++, record }));
+      if (buffer.length >= WRITE_BATCH_SIZE) flush();
+    },
+
+    /**
+     * Write what is left and wait for every batch
+     * @returns {Promise<number>} Records written
+     */
+    async close() {
+      flush();
+      await pending;
+      if (writeError) throw writeError;
+      return position;
+    },
+  };
+}
+
+// Jobs finished before results moved to their own collection keep them embedded
+const hasEmbeddedResults = (job) => Array.isArray(job.result);
+
+// Another request is migrating the job: wait until its records are stored
+async function waitForMigration(job) {
+  const deadline = Date.now() + MIGRATION_WAIT_MS;
+  while (Date.now() < deadline) {
+    await sleep(MIGRATION_POLL_MS);
+    const stillEmbedded = await job.constructor.exists({
+      _id: job._id,
+      result: { $type: "array" },
+    });
+    if (!stillEmbedded) return;
+  }
+  throw new Error(`Results of job ${job.jobId} are still being moved, try again shortly`);
+}
+
+/**
+ * Move a legacy job's embedded records into the JobResult collection so they
+ * can be queried like any other job's. No-op for jobs stored the new way.
+ * The job is claimed first (resultsMigratingAt); concurrent callers wait for
+ * the claiming request instead of writing the same records again.
+ * @param {Object} job - Job document (with its result field selected)
+ */
+export async function ensureStoredResults(job) {
+  if (!hasEmbeddedResults(job)) return;
+
+  const Job = job.constructor;
+  const claimed = await Job.findOneAndUpdate(
+    {
+      _id: job._id,
+      result: { $type: "array" },
+      $or: [
+        { resultsMigratingAt: null },
+        { resultsMigratingAt: { $lt: new Date(Date.now() - MIGRATION_STALE_MS) } },
+      ],
+    },
+    { $set: { resultsMigratingAt: new Date() } },
+    { projection: { _id: 1 } }
+  );
+  if (!claimed) {
+    await waitForMigration(job);
+    job.result = null;
+    return;
+  }
+
+  try {
+    // Leftovers of a migration that died part way
+    await JobResult.deleteMany({ jobId: job.jobId });
+    for (let start = 0; start < job.result.length; start += WRITE_BATCH_SIZE) {
+      const batch = job.result.slice(start, start + WRITE_BATCH_SIZE).map((record, offset) =>
+        toStoredResult({ jobId: job.jobId, userId: job.userId, position: start + offset, record })
+      );
+      await JobResult.insertMany(batch, { ordered: false });
+    }
+  } catch (error) {
+    await Job.updateOne({ _id: job._id }, { $set: { resultsMigratingAt: null } }).catch(() => {});
+    throw error;
+  }
+
+  await Job.updateOne({ _id: job._id }, { $set: { result: null, resultsMigratingAt: null } });
+  logger.info("JOB_RESULTS_MIGRATED", `Moved ${job.result.length} embedded results of job ${job.jobId}`);
+  job.result = null;
+}
+
+/**
+ * Iterate a job's records in scrape order without loading them all
+ * @param {Object} job - Job document (with its result field selected)
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - JobResult query; only applies to stored
+ *   results, so call ensureStoredResults first
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* iterateJobResults(job, { filter = null } = {}) {
+  if (!filter && hasEmbeddedResults(job)) {
+    yield* job.result;
+    return;
+  }
+
+  const cursor = JobResult.find({ ...filter, jobId: job.jobId })
+    .sort({ position: 1 })
+    .select("record")
+    .lean()
+    .cursor();
+
+  for await (const doc of cursor) {
+    yield doc.record;
+  }
+}
+
+/**
+ * One page of a job's records in scrape order
+ * @param {Object} job - Job document (with its result field selected)
+ * @param {Object} options
+ * @param {number} options.page - 1-based
+ * @param {number} options.limit
+ * @returns {Promise<{ records: Object[], total: number }>}
+ */
+export async function getJobResultsPage(job, { page, limit }) {
+  if (hasEmbeddedResults(job)) {
+    return {
+      records: job.result.slice((page - 1) * limit, page * limit),
+      total: job.result.length,
+    };
+  }
+
+  const [docs, total] = await Promise.all([
+    JobResult.find({ jobId: job.jobId })
+      .sort({ position: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("record")
+      .lean(),
+    JobResult.countDocuments({ jobId: job.jobId }),
+  ]);
+
+  return { records: docs.map((doc) => doc.record), total };
+}
+
+/**
+ * Delete stored records of the given jobs
+ * @param {string[]} jobIds
+ */
+export async function deleteJobResults(jobIds) {
+  if (!jobIds || jobIds.length === 0) return;
+  await JobResult.deleteMany({ jobId: { $in: jobIds } });
+}
@@ -0,0 +1,203 @@
+import Place, { MAX_PLACE_HISTORY } from "../models/placeModel.js";
+import { getResultKey } from "../utils/resultExport.js";
+import logger from "./logger.js";
+
+// Fields whose changes are kept in Place.history and compared in delta mode.
+// rating_count is left out on purpose - it moves with every new review.
+// Hours are compared in their one-line form.
+export const PLACE_TRACKED_FIELDS = [
+  "name",
+  "phone",
+  "website",
+  "address",
+  "category",
+  "rating",
+  "opening_hours_text",
+];
+
+// Copied from a result record onto its Place
+const PLACE_FIELDS = [
+  "url",
+  "name",
+  "phone",
+  "website",
+  "address",
+  "category",
+  "latitude",
+  "longitude",
+  "rating",
+  "rating_count",
+  "opening_hours_text",
+];
+
+// Treat null, undefined and "" alike and ignore surrounding whitespace
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "number") return value;
+  const trimmed = String(value).trim();
+  return trimmed === "" ? null : trimmed;
+}
+
+function toSnapshot(record) {
+  return PLACE_TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = normalizeValue(record[field]);
+    return snapshot;
+  }, {});
+}
+
+function toPlaceFields(record) {
+  const fields = {};
+  for (const field of PLACE_FIELDS) {
+    const value = normalizeValue(record[field]);
+    if (value !== null) fields[field] = value;
+  }
+  // Jobs without email extraction must not wipe emails found earlier
+  if (Array.isArray(record.email) && record.email.length > 0) {
+    fields.email = record.email;
+  }
+  return fields;
+}
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object} previous - Stored snapshot
+ * @param {Object} current - Snapshot of the fresh record
+ * @returns {Object} { field: { from, to } } for every field that differs
+ */
+export function diffSnapshots(previous, current) {
+  const changes = {};
+  for (const field of PLACE_TRACKED_FIELDS) {
+    const from = previous[field] ?? null;
+    const to = current[field] ?? null;
+    if (String(from) !== String(to)) {
+      changes[field] = { from, to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * How a freshly extracted record compares with the user's stored version of
+ * the same place, without storing anything
+ * @param {string} userId - User ID
+ * @param {Object} record - Extracted business record (needs url or name + address)
+ * @returns {Promise<{ status: string, changes: Object }>} status is one of Job DELTA_STATUSES
+ */
+export async function comparePlace(userId, record) {
+  if (!userId || !record) {
+    return { status: "new", changes: {} };
+  }
+
+  try {
+    const existing = await Place.findOne({ userId, placeId: getResultKey(record) })
+      .select(PLACE_TRACKED_FIELDS.join(" "))
+      .lean();
+    if (!existing) {
+      return { status: "new", changes: {} };
+    }
+
+    const changes = diffSnapshots(toSnapshot(existing), toSnapshot(record));
+    return {
+      status: Object.keys(changes).length > 0 ? "changed" : "unchanged",
+      changes,
+    };
+  } catch (error) {
+    logger.warn("PLACE_COMPARE_ERROR", "Error comparing place", {
+      error: error.message,
+      userId,
+      url: record.url,
+    });
+    // On error, treat as new (don't drop results)
+    return { status: "new", changes: {} };
+  }
+}
+
+/**
+ * Upsert a freshly extracted record into the user's Place collection and
+ * report how it compares with the stored version.
+ * @param {string} userId - User ID
+ * @param {Object} record - Extracted business record (needs url or name + address)
+ * @param {string|null} jobId - Job that extracted the record
+ * @returns {Promise<{ status: string, changes: Object }>} status is one of Job DELTA_STATUSES
+ */
+export async function recordPlace(userId, record, jobId = null) {
+  if (!userId || !record) {
+    return { status: "new", changes: {} };
+  }
+
+  const placeId = getResultKey(record);
+  const now = new Date();
+
+  try {
+    const existing = await Place.findOne({ userId, placeId })
+      .select(PLACE_TRACKED_FIELDS.join(" "))
+      .lean();
+
+    if (!existing) {
+      try {
+        await Place.create({
+          userId,
+          placeId,
+          ...toPlaceFields(record),
+          firstSeenAt: now,
+          lastSeenAt: now,
+          firstJobId: jobId,
+          lastJobId: jobId,
+        });
+        return { status: "new", changes: {} };
+      } catch (error) {
+        // Created by another job in the meantime - update it below instead
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    const changes = existing ? diffSnapshots(toSnapshot(existing), toSnapshot(record)) : {};
+    const historyEntries = Object.entries(changes).map(([field, { from, to }]) => ({
+      field,
+      from,
+      to,
+      changedAt: now,
+      jobId,
+    }));
+
+    await Place.updateOne(
+      { userId, placeId },
+      {
+        $set: { ...toPlaceFields(record), lastSeenAt: now, lastJobId: jobId },
+        $inc: { timesSeen: 1 },
+        ...(historyEntries.length > 0 && {
+          $push: { history: { $each: historyEntries, $slice: -MAX_PLACE_HISTORY } },
+        }),
+      }
+    );
+
+    return {
+      status: historyEntries.length > 0 ? "changed" : "unchanged",
+      changes,
+    };
+  } catch (error) {
+    logger.warn("PLACE_UPSERT_ERROR", "Error recording place", {
+      error: error.message,
+      userId,
+      url: record.url,
+    });
+    // On error, treat as new (don't drop results)
+    return { status: "new", changes: {} };
+  }
+}
+
+/**
+ * Place document IDs for a job's records
+ * @param {string} userId - User ID
+ * @param {Object[]} records - Job result records
+ * @returns {Promise<ObjectId[]>}
+ */
+export async function getPlaceRefs(userId, records) {
+  if (!userId || !Array.isArray(records) || records.length === 0) {
+    return [];
+  }
+  return Place.distinct("_id", {
+    userId,
+    placeId: { $in: records.map(getResultKey) },
+  });
+}
@@ -4,6 +4,10 @@ import Queue from "bull";
 import Job from "../models/jobModel.js";
 import User from "../models/userModel.js";
 import socketService from "./socket.service.js";
+import webhookDeliveryService from "./webhookDelivery.service.js";
+import crmPushService, { PUSHABLE_JOB_STATUSES } from "./crmPush.service.js";
+import googleSheetsService from "./googleSheets.service.js";
+import emailVerificationService from "./emailVerification.service.js";
 import logger from "./logger.js";
 
 let redisObj;
@@ -70,6 +74,32 @@ const queueSettings = {
 const businessQueue = new Queue("scraper-business", queueSettings);
 const freeProQueue = new Queue("scraper-free-pro", queueSettings);
 
+// Imported lazily: jobConcurrency.service.js imports this module for getQueueForUser
+const promotePendingJobs = async (userId) => {
+  if (!userId) return;
+  const { default: jobConcurrencyService } = await import(
+    "./jobConcurrency.service.js"
+  );
+  await jobConcurrencyService.promotePendingJobs(userId.toString());
+};
+
+// Common job fields included in every outbound webhook payload
+const buildWebhookJobData = (dbJob) => ({
+  jobId: dbJob.jobId,
+  status: dbJob.status,
+  jobParams: {
+    keyword: dbJob.jobParams?.keyword,
+    city: dbJob.jobParams?.city,
+    stateCode: dbJob.jobParams?.stateCode,
+    countryCode: dbJob.jobParams?.countryCode,
+    maxRecords: dbJob.jobParams?.maxRecords,
+  },
+  createdAt: dbJob.createdAt,
+  startedAt: dbJob.startedAt,
+  completedAt: dbJob.completedAt,
+  downloadPath: `/api/v1/${dbJob.jobId}/download`,
+});
+
 // Helper function to attach event handlers to a queue
 const attachEventHandlers = (queue, queueName) => {
   queue.on("error", (err) => {
@@ -171,7 +201,8 @@ const attachEventHandlers = (queue, queueName) => {
   queue.on("completed", async (job, result) => {
     logger.info("JOB_COMPLETED", `${queueName}: Job ${job.id} completed`);
 
-    const totalExtractions = result?.length || 0;
+    // The processor returns a summary; records are in the JobResult collection
+    const totalExtractions = result?.totalExtractions || 0;
     
     // Check if job was stuck timeout to determine appropriate status
     const dbJob = await Job.findOne({ jobId: job.data.jobId });
@@ -201,7 +232,10 @@ const attachEventHandlers = (queue, queueName) => {
         try {
           const user = await User.findById(job.data.userId);
           if (user) {
-            await user.refundCredits(creditsToRefund);
+            await user.refundCredits(creditsToRefund, {
+              reason: "job_completed_unused",
+              jobId: job.data.jobId,
+            });
             logger.info(
               "CREDIT_REFUND",
               `${queueName}: Refunded ${creditsToRefund} credits to user ${job.data.userId} for job ${job.id}`
@@ -221,7 +255,6 @@ const attachEventHandlers = (queue, queueName) => {
         {
           status: jobStatus,
           completedAt: new Date(),
-          result: result,
           "progress.percentage": 100,
           "metrics.totalExtractions": totalExtractions,
           "metrics.creditsUsed": actualCreditsUsed,
@@ -254,6 +287,25 @@ const attachEventHandlers = (queue, queueName) => {
           creditsRefunded: creditsToRefund,
           message: message,
         });
+
+        await webhookDeliveryService.dispatch(
+          updatedJob.userId,
+          eventType,
+          {
+            ...buildWebhookJobData(updatedJob),
+            totalExtractions: totalExtractions,
+            creditsUsed: actualCreditsUsed,
+            creditsRefunded: creditsToRefund,
+            message: message,
+          },
+          { job: updatedJob }
+        );
+
+        // Timed-out jobs keep what they found, so it is delivered like the webhook
+        if (PUSHABLE_JOB_STATUSES.includes(jobStatus)) {
+          await crmPushService.enqueueAutoPushes(updatedJob);
+          await googleSheetsService.enqueueScheduleSyncs(updatedJob);
+        }
       }
     } catch (error) {
       // Handle lock expiration errors gracefully - job completed but lock was already expired
@@ -275,6 +327,9 @@ const attachEventHandlers = (queue, queueName) => {
         `${queueName}: Error updating completed job ${job.id}`,
         error
       );
+    } finally {
+      // A slot just freed up - start the user's next pending job
+      await promotePendingJobs(job.data.userId);
     }
   });
 
@@ -307,7 +362,10 @@ const attachEventHandlers = (queue, queueName) => {
         try {
           const user = await User.findById(job.data.userId);
           if (user) {
-            await user.refundCredits(creditsToRefund);
+            await user.refundCredits(creditsToRefund, {
+              reason: "job_failed",
+              jobId: job.data.jobId,
+            });
             logger.info(
               "CREDIT_REFUND_SUCCESS",
               `${queueName}: Successfully refunded ${creditsToRefund} credits to user ${job.data.userId} for failed job ${job.id}`
@@ -357,6 +415,13 @@ const attachEventHandlers = (queue, queueName) => {
             message: `Job failed due to an error. All ${creditsToRefund} credits have been refunded to your account.`,
           }
         );
+
+        await webhookDeliveryService.dispatch(updatedJob.userId, "job_failed", {
+          ...buildWebhookJobData(updatedJob),
+          creditsRefunded: creditsToRefund,
+          error: { message: err.message },
+          message: `Job failed due to an error. All ${creditsToRefund} credits have been refunded to your account.`,
+        });
       }
     } catch (error) {
       logger.error(
@@ -364,6 +429,8 @@ const attachEventHandlers = (queue, queueName) => {
         `${queueName}: Error updating failed job ${job.id}`,
         error
       );
+    } finally {
+      await promotePendingJobs(job.data.userId);
     }
   });
 };
@@ -378,6 +445,14 @@ export async function initWorkers() {
   attachEventHandlers(freeProQueue, "FreeProQueue");
   businessQueue.process(BUSINESS_WORKERS, scrapeJob);
   freeProQueue.process(FREE_PRO_WORKERS, scrapeJob);
+  webhookDeliveryService.startWorker();
+  crmPushService.startWorker();
+  googleSheetsService.startWorker();
+  emailVerificationService.startWorker();
+  const { default: jobConcurrencyService } = await import(
+    "./jobConcurrency.service.js"
+  );
+  jobConcurrencyService.startSweeper();
   logger.info(
     "WORKERS_STARTED",
     `Bull workers initialized: ${BUSINESS_WORKERS} business, ${FREE_PRO_WORKERS} free/pro`
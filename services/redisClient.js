@@ -1,6 +1,6 @@
 import Redis from "ioredis";
 
-function parseRedisConfig() {
+export function parseRedisConfig() {
   if (!process.env.REDIS_HOST) {
     return { host: "localhost", port: 6379 };
   }
@@ -69,8 +69,11 @@ function getRedisClient() {
 }
 
 // Get Redis key for user's scraped URLs
-function getUserKey(userId) {
-  return `user:${userId}:scraped_urls`;
+// A scope (e.g. "schedule:<id>") keeps a separate set inside the user's namespace
+function getUserKey(userId, scope = null) {
+  return scope
+    ? `user:${userId}:${scope}:scraped_urls`
+    : `user:${userId}:scraped_urls`;
 }
 
 // Normalize URL to ensure consistent storage and lookup
@@ -132,6 +135,23 @@ function normalizeUrl(url) {
   }
 }
 
+// Google's feature ID for a place ("0x<hex>:0x<hex>"), found after "1s" in the
+// data= segment of Maps URLs - either in the path (/place/Name/data=!4m7!3m6!1s...)
+// or in the query string
+function extractPlaceId(url) {
+  if (!url) return null;
+
+  let decoded = url;
+  try {
+    decoded = decodeURIComponent(url);
+  } catch (error) {
+    // Keep the raw URL if it is not valid percent-encoding
+  }
+
+  const match = decoded.match(/1s(0x[0-9a-f]+:0x[0-9a-f]+)/i);
+  return match ? match[1].toLowerCase() : null;
+}
+
 // Get TTL in seconds (default: 1 year = 365 days)
 function getTTL() {
   const ttlDays = parseInt(process.env.REDIS_URL_TTL_DAYS || "365", 10);
@@ -142,9 +162,10 @@ function getTTL() {
  * Batch check if URLs exist in Redis for a user
  * @param {string} userId - User ID
  * @param {string[]} urls - Array of URLs to check
+ * @param {string|null} scope - Check this scoped set instead of the user's global set
  * @returns {Promise<boolean[]>} - Array of booleans indicating if each URL exists (true = exists, false = new)
  */
-export async function batchCheckUrls(userId, urls) {
+export async function batchCheckUrls(userId, urls, scope = null) {
   if (!userId || !urls || urls.length === 0) {
     return urls.map(() => false);
   }
@@ -155,7 +176,7 @@ export async function batchCheckUrls(userId, urls) {
       // Already connected or connection in progress
     });
 
-    const key = getUserKey(userId);
+    const key = getUserKey(userId, scope);
     
     // Normalize URLs before checking
     const normalizedUrls = urls.map(url => normalizeUrl(url));
@@ -251,9 +272,10 @@ export async function isUrlScraped(userId, url) {
  * Mark a URL as scraped in Redis for a user
  * @param {string} userId - User ID
  * @param {string} url - URL to mark as scraped
+ * @param {string|null} scope - Also add the URL to this scoped set
  * @returns {Promise<void>}
  */
-export async function markUrlAsScraped(userId, url) {
+export async function markUrlAsScraped(userId, url, scope = null) {
   if (!userId || !url) {
     return;
   }
@@ -281,6 +303,11 @@ export async function markUrlAsScraped(userId, url) {
     const pipeline = client.pipeline();
     pipeline.sadd(key, normalizedUrl);
     pipeline.expire(key, ttl);
+    if (scope) {
+      const scopedKey = getUserKey(userId, scope);
+      pipeline.sadd(scopedKey, normalizedUrl);
+      pipeline.expire(scopedKey, ttl);
+    }
     const results = await pipeline.exec();
     
     // Log success
@@ -338,6 +365,34 @@ export async function batchMarkUrlsAsScraped(userId, urls) {
   }
 }
 
+/**
+ * Delete a scoped set, e.g. when its schedule is deleted
+ * @param {string} userId - User ID
+ * @param {string} scope - Scope passed to markUrlAsScraped
+ * @returns {Promise<void>}
+ */
+export async function clearScope(userId, scope) {
+  if (!userId || !scope) {
+    return;
+  }
+
+  try {
+    const client = getRedisClient();
+    await client.connect().catch(() => {
+      // Already connected or connection in progress
+    });
+
+    await client.del(getUserKey(userId, scope));
+  } catch (error) {
+    logger.warn("REDIS_CLEAR_SCOPE_ERROR", "Error clearing scoped URL set in Redis", {
+      error: error.message,
+      userId,
+      scope,
+    });
+    // Don't throw - this is non-critical, just log
+  }
+}
+
 // Export client getter for testing/cleanup if needed
-export { getRedisClient };
+export { getRedisClient, normalizeUrl, extractPlaceId, getTTL };
 
@@ -1,4 +1,4 @@
-import { State, City, Country } from "country-state-city";
+import { State, Country } from "country-state-city";
 import dotenv from "dotenv";
 dotenv.config();
 import logger from "./logger.js";
@@ -20,8 +20,21 @@ import {
   createCountryZones,
   generateCountryZoneBatch,
 } from "./utils/countryZoneGenerator.js";
+import {
+  ZONE_BATCH_SIZE,
+  MAX_TOTAL_ZONES,
+  DEFAULT_MIN_POPULATION,
+  DEFAULT_MID_POPULATION_THRESHOLD,
+  DEFAULT_BIG_POPULATION_THRESHOLD,
+  listCitiesForScope,
+  bucketizeCities,
+} from "./utils/searchArea.js";
 import { ProgressMonitor, getStuckJobConfig } from "./stuckJobDetector.js";
-import { batchCheckUrls, markUrlAsScraped } from "./redisUrlTracker.js";
+import { batchCheckUrls, markUrlAsScraped, extractPlaceId } from "./redisUrlTracker.js";
+import { comparePlace, recordPlace } from "./place.service.js";
+import { createResultWriter } from "./jobResults.service.js";
+import { normalizePhone } from "../utils/phoneFormat.js";
+import { parseAddress } from "../utils/addressParser.js";
 
 const defaultPopulationResolver = createPopulationResolverAllTheCities();
 
@@ -57,10 +70,6 @@ const BROWSER_SESSION_RETRY_LIMIT = Number(
 // Task tracking configuration
 const TASK_STUCK_TIMEOUT_MS = Number(process.env.TASK_STUCK_TIMEOUT_MS || 180000); // 3 minutes
 
-// Deep scrape batched zone configuration - Enhanced for better coverage
-const ZONE_BATCH_SIZE = Number(process.env.ZONE_BATCH_SIZE || 50); // Increased from 30 to 50
-const MAX_TOTAL_ZONES = Number(process.env.MAX_TOTAL_ZONES || 3000); // Increased from 300 to 800 for large cities
-
 function shuffleArray(array) {
   for (let i = array.length - 1; i > 0; i--) {
     const j = Math.floor(Math.random() * (i + 1));
@@ -385,14 +394,25 @@ export async function runScraper(
     extractNegativeReviews = false,
     avoidDuplicate = false,
     onlyWithoutWebsite = false,
+    // Keep only businesses whose homepage has no analytics installed
+    onlyWithoutAnalytics = false,
+    // Guess role/personal addresses on the website's domain when none are found
+    inferEmails = false,
+    // Tag records new/changed/unchanged against the user's last stored version
+    // and keep only the kinds listed in deltaKeep
+    deltaMode = false,
+    deltaKeep = ["new", "changed"],
     userId = null,
+    // Redis set used by avoidDuplicate instead of the user's global one
+    // (scheduled searches in "new since last run" mode)
+    dedupScope = null,
 
     // Population / ordering options
-    minPopulation = 5000,
+    minPopulation = DEFAULT_MIN_POPULATION,
     populationResolver = defaultPopulationResolver,
 
-    bigPopulationThreshold = 1_000_000,
-    midPopulationThreshold = 100_000,
+    bigPopulationThreshold = DEFAULT_BIG_POPULATION_THRESHOLD,
+    midPopulationThreshold = DEFAULT_MID_POPULATION_THRESHOLD,
   },
   job
 ) {
@@ -404,6 +424,7 @@ export async function runScraper(
     logger.info("REDIS_DEDUP_ENABLED", "Redis URL deduplication enabled", {
       userId: finalUserId,
       avoidDuplicate,
+      dedupScope,
       hasUserId: !!finalUserId,
     });
   }
@@ -601,6 +622,11 @@ export async function runScraper(
   const pendingListingsQueue = []; // { listing, meta } - shared queue for on-null refill
   const listingsPerCity = []; // Track listing URL counts per city for reporting
   const recordLimit = maxRecords || Infinity;
+  // Accepted records are stored in batches while the job runs
+  const resultWriter =
+    job?.data?.jobId && finalUserId
+      ? await createResultWriter({ jobId: job.data.jobId, userId: finalUserId })
+      : null;
   // Cooperative cancellation flag used to stop scheduling and tear down fast
   let shouldStop = false;
   let reachedLimit = false;
@@ -709,8 +735,9 @@ export async function runScraper(
     throw lastError;
   };
 
+  // Returns false when the record was not kept (record limit reached)
   const pushResult = (r) => {
-    if (!r) return;
+    if (!r) return false;
     
     // Strict check: Only push if under limit
     if (results.length >= recordLimit) {
@@ -720,12 +747,13 @@ export async function runScraper(
         recordLimit,
         businessName: r.name || "Unknown"
       });
-      return;
+      return false;
     }
     
     // Duplicate checking is now handled at URL level during listing scraping
     // No need to check here since we already filtered duplicates before scheduling
     results.push(r);
+    resultWriter?.push(r);
     
     if (results.length >= recordLimit) {
       reachedLimit = true;
@@ -735,6 +763,37 @@ export async function runScraper(
         recordLimit
       });
     }
+    return true;
+  };
+
+  // Every kept record is upserted into the user's Place collection
+  // (regardless of deltaMode); in deltaMode it is first compared with the
+  // stored version and possibly dropped. Records rejected by pushResult never
+  // reach the Place collection.
+  const pushTrackedResult = async (r) => {
+    if (!r) return;
+    r.place_id = extractPlaceId(r.url);
+    Object.assign(r, normalizePhone(r.phone, countryCode));
+    Object.assign(r, parseAddress(r.address, countryCode));
+    if (!finalUserId) return pushResult(r);
+
+    if (deltaMode) {
+      const delta = await comparePlace(finalUserId, r);
+      r.delta_status = delta.status;
+      r.delta_changes = delta.changes;
+
+      if (!deltaKeep.includes(delta.status)) {
+        logger.info("DELTA_RESULT_DROPPED", "Result dropped by delta filter", {
+          url: r.url,
+          deltaStatus: delta.status,
+          deltaKeep,
+        });
+        return;
+      }
+    }
+    if (pushResult(r)) {
+      await recordPlace(finalUserId, r, job?.data?.jobId || null);
+    }
   };
 
   const country = Country.getCountryByCode(countryCode);
@@ -753,62 +812,14 @@ export async function runScraper(
   });
 
   // ---------------- helpers ----------------
-  const toCandidate = (cityObj, stateIsoCode = null, stateName = null) => ({
-    cityName: cityObj.name,
-    stateCode: stateIsoCode,
-    stateName: stateName,
-  });
-
-  const listCitiesForScope = (iso2, stateIsoCode) => {
-    if (stateIsoCode) {
-      const state = State.getStateByCodeAndCountry(stateIsoCode, iso2);
-      const sName = state?.name || null;
-      const cities = City.getCitiesOfState(iso2, stateIsoCode) || [];
-      return cities.map((c) => toCandidate(c, stateIsoCode, sName));
-    }
-    const states = (State.getStatesOfCountry(iso2) || []).filter(Boolean);
-    if (states.length > 0) {
-      const out = [];
-      for (const s of states) {
-        const cities = City.getCitiesOfState(iso2, s.isoCode) || [];
-        for (const c of cities) out.push(toCandidate(c, s.isoCode, s.name));
-      }
-      return out;
-    }
-    const cities = City.getCitiesOfCountry(iso2) || [];
-    return cities.map((c) => {
-      const maybeState = c.stateCode
-        ? State.getStateByCodeAndCountry(c.stateCode, iso2)
-        : null;
-      return toCandidate(c, c.stateCode || null, maybeState?.name || null);
-    });
-  };
-
   const bucketizeCandidates = async (candidates, scopeLabel) => {
-    const buckets = { big: [], mid: [], small: [], unknown: [] };
-    let total = 0;
-    for (const cand of candidates) {
-      let pop = null;
-      try {
-        if (populationResolver) {
-          pop = await populationResolver({
-            iso2: countryCode,
-            adminCode: cand.stateCode || null,
-            city: cand.cityName,
-          });
-        }
-      } catch {
-        pop = null;
-      }
-      if (minPopulation > 0 && pop !== null && pop < minPopulation) continue;
-
-      const enriched = { ...cand, __pop: pop };
-      if (pop === null) buckets.unknown.push(enriched);
-      else if (pop >= bigPopulationThreshold) buckets.big.push(enriched);
-      else if (pop >= midPopulationThreshold) buckets.mid.push(enriched);
-      else buckets.small.push(enriched);
-      total++;
-    }
+    const { buckets, total } = await bucketizeCities(candidates, {
+      countryCode,
+      populationResolver,
+      minPopulation,
+      midPopulationThreshold,
+      bigPopulationThreshold,
+    });
     shuffleArray(buckets.big);
     shuffleArray(buckets.mid);
     shuffleArray(buckets.small);
@@ -1013,6 +1024,8 @@ export async function runScraper(
               meta.isExtractEmail,
               meta.isValidate,
               meta.onlyWithoutWebsite,
+              meta.onlyWithoutAnalytics,
+              meta.inferEmails,
               listing.rating,        // Pre-scraped from listings page
               listing.reviewCount,   // Pre-scraped from listings page
               () => shouldStop       // Pass cancellation checker
@@ -1089,7 +1102,7 @@ export async function runScraper(
             }
 
             businessData.url = url;
-            pushResult(businessData);
+            await pushTrackedResult(businessData);
 
             // Mark URL as scraped in Redis (always tracked, regardless of avoidDuplicate)
             logger.info("REDIS_MARK_CHECK", "Checking if URL should be marked in Redis", {
@@ -1106,7 +1119,7 @@ export async function runScraper(
                   url,
                   userId: finalUserId,
                 });
-                await markUrlAsScraped(finalUserId, url);
+                await markUrlAsScraped(finalUserId, url, dedupScope);
                 logger.info("REDIS_MARK_SUCCESS", "Successfully marked URL in Redis after extraction", {
                   url,
                   userId: finalUserId,
@@ -1150,6 +1163,8 @@ export async function runScraper(
             meta.isExtractEmail,
             meta.isValidate,
             meta.onlyWithoutWebsite,
+            meta.onlyWithoutAnalytics,
+            meta.inferEmails,
             listing.rating,        // Pre-scraped from listings page
             listing.reviewCount,   // Pre-scraped from listings page
             () => shouldStop       // Pass cancellation checker
@@ -1163,7 +1178,7 @@ export async function runScraper(
           }
 
           businessData.url = url;
-          pushResult(businessData);
+          await pushTrackedResult(businessData);
 
           // Mark URL as scraped in Redis (always tracked, regardless of avoidDuplicate)
           logger.info("REDIS_MARK_CHECK", "Checking if URL should be marked in Redis", {
@@ -1180,7 +1195,7 @@ export async function runScraper(
                 url,
                 userId: finalUserId,
               });
-              await markUrlAsScraped(finalUserId, url);
+              await markUrlAsScraped(finalUserId, url, dedupScope);
               logger.info("REDIS_MARK_SUCCESS", "Successfully marked URL in Redis after extraction", {
                 url,
                 userId: finalUserId,
@@ -1383,7 +1398,7 @@ export async function runScraper(
       if (avoidDuplicate && finalUserId && filteredByRating.length > 0) {
         try {
           const urls = filteredByRating.map((x) => x.url);
-          const redisCheckResults = await batchCheckUrls(finalUserId, urls);
+          const redisCheckResults = await batchCheckUrls(finalUserId, urls, dedupScope);
 
           filteredListingsData = filteredByRating.filter(
             (item, index) => !redisCheckResults[index]
@@ -1455,6 +1470,8 @@ export async function runScraper(
         reviewTimeRange,
         extractNegativeReviews,
         onlyWithoutWebsite,
+        onlyWithoutAnalytics,
+        inferEmails,
       };
 
       uniqueListings.forEach((listing) => pendingListingsQueue.push({ listing, meta }));
@@ -2160,6 +2177,15 @@ export async function runScraper(
     }
   }
 
+  // Make sure every accepted record is stored before the job is reported done
+  const storedCount = resultWriter ? await resultWriter.close() : null;
+  if (storedCount !== null) {
+    logger.info("JOB_RESULTS_STORED", "Stored job results", {
+      jobId: job.data.jobId,
+      storedCount,
+    });
+  }
+
   // Force garbage collection to release memory immediately
   const finalResults = results.slice(0, recordLimit);
 
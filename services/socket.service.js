@@ -166,7 +166,7 @@ class SocketService {
 
       const activeJobs = await Job.find({
         userId: userId,
-        status: { $in: ["waiting", "active", "delayed"] },
+        status: { $in: ["pending", "waiting", "active", "delayed"] },
       }).select("jobId status progress metrics createdAt startedAt jobParams");
 
       if (this.io) {
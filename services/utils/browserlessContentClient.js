@@ -64,7 +64,7 @@ logger.info("BROWSERLESS_CLIENT_CONFIG", JSON.stringify({
  * Fetch page content from Browserless Content API
  * @param {string} url - Website URL to fetch
  * @param {object} options - Additional options
- * @returns {Promise<{html?: string, url: string, status?: number, error?: string, details?: object}>}
+ * @returns {Promise<{html?: string, url: string, status?: number, finalUrl?: string, headers?: object, error?: string, details?: object}>}
  */
 export async function fetchPageContent(url, options = {}) {
   const timeout = options.timeout || API_TIMEOUT;
@@ -163,7 +163,14 @@ export async function fetchPageContent(url, options = {}) {
     
     logger.info('BROWSERLESS_API_SUCCESS', `Fetched ${url}: ${html.length} chars`);
     
-    return { html, url, status: response.status };
+    // X-Response-URL is where the page ended up after redirects (e.g. http -> https)
+    return {
+      html,
+      url,
+      status: response.status,
+      finalUrl: response.headers.get('x-response-url') || url,
+      headers: Object.fromEntries(response.headers),
+    };
   } catch (error) {
     if (error.name === 'AbortError') {
       const errorDetails = {
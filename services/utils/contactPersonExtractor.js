@@ -0,0 +1,251 @@
+import * as cheerio from 'cheerio';
+import logger from '../logger.js';
+
+const MAX_CONTACTS = 20;
+// Team member cards are small; bigger blocks are sections listing many people
+const MAX_CARD_DEPTH = 4;
+const MAX_CARD_TEXT = 600;
+
+const NAME_SELECTOR = 'h1, h2, h3, h4, h5, h6, strong, b, [class*="name" i], [itemprop="name"]';
+
+// Titles that mark someone worth contacting; team members without one are skipped
+const DECISION_MAKER_RE = /\b(?:owner|co-?owner|founder|co-?founder|ceo|cto|cfo|coo|cmo|chief|president|vice[- ]president|vp|director|managing|manager|head of|partner|principal|proprietor|general manager|gm|chair(?:man|woman|person)?|executive|lead|dentist|attorney|lawyer|physician|doctor|dr\.|broker|realtor|chef)\b/i;
+
+// "Jane Doe", "Jane A. Doe", "Dr. Jane Doe-Smith", "José García"
+const PERSON_NAME_RE = /^(?:(?:dr|mr|mrs|ms|prof)\.?\s+)?\p{Lu}[\p{L}'’-]+(?:\s+\p{Lu}\.?)?(?:\s+\p{Lu}[\p{L}'’-]+){1,2}$/u;
+
+// Headings and labels that look like names but are not people
+const NOT_A_NAME_RE = /\b(?:our|team|about|contact|us|meet|the|services|home|staff|leadership|company|group|read|more|view|profile|learn)\b/i;
+
+// Confidence that an email belongs to the person it was attached to
+const EMAIL_CONFIDENCE = {
+  jsonLd: 0.95, // Given on the Person object itself
+  sameCard: 0.85, // mailto: link inside the person's card
+  fullName: 0.7, // Local part built from first and last name
+  initials: 0.55, // jdoe@, j.doe@, janed@
+  firstName: 0.4, // jane@
+};
+
+const cleanText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// Letters only, accents stripped: "José" -> "jose"
+const toAscii = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+
+/**
+ * @param {string} text - Candidate name
+ * @returns {boolean} True if the text reads like a person's name
+ */
+function looksLikeName(text) {
+  return text.length <= 50 && PERSON_NAME_RE.test(text) && !NOT_A_NAME_RE.test(text);
+}
+
+const toEmail = (value) => {
+  const email = cleanText(value).replace(/^mailto:/i, '').split('?')[0].toLowerCase();
+  return /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/.test(email) ? email : null;
+};
+
+/**
+ * Persons from JSON-LD blocks, including nested ones (Organization.employee,
+ * founder, member, ...)
+ * @param {object} $ - Cheerio root
+ * @returns {object[]}
+ */
+function extractJsonLdPersons($) {
+  const persons = [];
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    const types = [].concat(node['@type'] || []);
+    if (types.includes('Person') && typeof node.name === 'string') {
+      const email = toEmail(node.email);
+      persons.push({
+        name: cleanText(node.name),
+        title: cleanText(node.jobTitle) || null,
+        email,
+        email_confidence: email ? EMAIL_CONFIDENCE.jsonLd : null,
+        source: 'json_ld',
+      });
+    }
+    Object.values(node).forEach(visit);
+  };
+
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      visit(JSON.parse($(el).contents().text()));
+    } catch {
+      // Malformed JSON-LD is common - skip the block
+    }
+  });
+
+  return persons;
+}
+
+/**
+ * Team member cards: a name-like heading with a decision-maker title in the
+ * same small block, e.g. <h3>Jane Doe</h3><p>Founder &amp; CEO</p>, or a single
+ * "Jane Doe, Owner" line
+ * @param {object} $ - Cheerio root
+ * @returns {object[]}
+ */
+function extractPageContacts($) {
+  const contacts = [];
+
+  $(NAME_SELECTOR).each((_, el) => {
+    const $el = $(el);
+    const text = cleanText($el.text());
+    if (!text || text.length > 120) return;
+
+    let name = null;
+    let title = null;
+
+    // "Jane Doe, Owner" / "Jane Doe - Founder" / "Jane Doe | CEO"
+    const inline = text.match(/^(.+?)\s*[,|–—-]\s+(.+)$/);
+    if (inline && looksLikeName(inline[1]) && DECISION_MAKER_RE.test(inline[2])) {
+      name = inline[1];
+      title = inline[2];
+    } else if (looksLikeName(text)) {
+      name = text;
+    } else {
+      return;
+    }
+
+    // The card is the largest ancestor (a few levels up at most) that still
+    // names only this person
+    let $card = $el.parent();
+    for (let level = 0; level < MAX_CARD_DEPTH; level++) {
+      const $parent = $card.parent();
+      if (!$parent.length || cleanText($parent.text()).length > MAX_CARD_TEXT) break;
+      const names = $parent
+        .find(NAME_SELECTOR)
+        .toArray()
+        .filter((candidate) => looksLikeName(cleanText($(candidate).text()).split(/\s*[,|–—-]\s+/)[0]));
+      if (names.length > 1) break;
+      $card = $parent;
+    }
+
+    if (!title) {
+      const candidates = [
+        ...$el.nextAll().slice(0, 2).toArray(),
+        ...$card.find('[class*="title" i], [class*="role" i], [class*="position" i], [itemprop="jobTitle"]').toArray(),
+      ];
+      title = candidates
+        .map((candidate) => cleanText($(candidate).text()))
+        .find((candidate) => candidate && candidate.length <= 80 && candidate !== name && DECISION_MAKER_RE.test(candidate)) || null;
+    }
+    if (!title) return;
+
+    const email = toEmail($card.find('a[href^="mailto:"]').first().attr('href'));
+    contacts.push({
+      name,
+      title,
+      email,
+      email_confidence: email ? EMAIL_CONFIDENCE.sameCard : null,
+      source: 'page',
+    });
+  });
+
+  return contacts;
+}
+
+/**
+ * Named contacts on a page, from JSON-LD Person objects and team/about markup
+ * @param {string} html - HTML content
+ * @param {string} pageUrl - URL the HTML was fetched from
+ * @returns {Array<{name: string, title: string|null, email: string|null,
+ *   email_confidence: number|null, source: string, source_url: string}>}
+ */
+export function extractContactsFromHtml(html, pageUrl) {
+  if (!html || typeof html !== 'string') {
+    return [];
+  }
+
+  try {
+    const $ = cheerio.load(html);
+    return [...extractJsonLdPersons($), ...extractPageContacts($)].map((contact) => ({
+      ...contact,
+      source_url: pageUrl,
+    }));
+  } catch (error) {
+    logger.error('CONTACT_PERSONS_ERROR', `Error extracting contacts from ${pageUrl}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Confidence that an email's local part was built from a person's name
+ * @param {string} localPart - Lowercased part before "@"
+ * @param {string} name - Person's name
+ * @returns {number|null} null when the email does not look like theirs
+ */
+function nameMatchConfidence(localPart, name) {
+  const parts = name
+    .replace(/^(?:dr|mr|mrs|ms|prof)\.?\s+/i, '')
+    .split(/\s+/)
+    .map(toAscii)
+    .filter((part) => part.length > 1);
+  if (parts.length < 2) return null;
+
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  const local = localPart.replace(/[^a-z]/g, '');
+
+  if (local === first + last || local === last + first) return EMAIL_CONFIDENCE.fullName;
+  if (local === first[0] + last || local === first + last[0]) return EMAIL_CONFIDENCE.initials;
+  if (local === first) return EMAIL_CONFIDENCE.firstName;
+  return null;
+}
+
+/**
+ * Merge contacts found on several pages, one per name, and give contacts
+ * without an email the best name-matching address from the site's emails
+ * @param {object[]} contacts - From extractContactsFromHtml, in page order
+ * @param {string[]} emails - All emails found on the site
+ * @returns {object[]}
+ */
+export function finalizeContacts(contacts, emails = []) {
+  const byName = new Map();
+  for (const contact of contacts) {
+    const key = toAscii(contact.name);
+    const existing = byName.get(key);
+    if (!existing) {
+      byName.set(key, { ...contact });
+      continue;
+    }
+    existing.title ??= contact.title;
+    if (contact.email && (contact.email_confidence ?? 0) > (existing.email_confidence ?? 0)) {
+      existing.email = contact.email;
+      existing.email_confidence = contact.email_confidence;
+    }
+  }
+
+  const merged = [...byName.values()].slice(0, MAX_CONTACTS);
+  const claimed = new Set(merged.map((contact) => contact.email).filter(Boolean));
+
+  for (const contact of merged) {
+    if (contact.email) continue;
+    let best = null;
+    for (const email of emails) {
+      if (claimed.has(email)) continue;
+      const confidence = nameMatchConfidence(email.split('@')[0], contact.name);
+      if (confidence && (!best || confidence > best.confidence)) {
+        best = { email, confidence };
+      }
+    }
+    if (best) {
+      contact.email = best.email;
+      contact.email_confidence = best.confidence;
+      claimed.add(best.email);
+    }
+  }
+
+  return merged;
+}
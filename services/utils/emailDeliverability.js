@@ -0,0 +1,240 @@
+// Domain-level deliverability posture (MX provider, SPF, DMARC, catch-all)
+// and a 0-100 send-safety score per verified address.
+import { promises as dns } from "dns";
+import logger from "../logger.js";
+
+// MX host suffixes of hosted mail providers; anything else under the domain
+// itself is self-hosted
+const MX_PROVIDERS = [
+  { id: "google_workspace", pattern: /(?:^|\.)(?:google\.com|googlemail\.com)$/ },
+  { id: "microsoft_365", pattern: /(?:^|\.)(?:outlook\.com|office365\.us)$/ },
+  { id: "zoho", pattern: /(?:^|\.)zoho\.(?:com|eu|in)$/ },
+  { id: "proton", pattern: /(?:^|\.)protonmail\.ch$/ },
+  { id: "yahoo", pattern: /(?:^|\.)yahoodns\.net$/ },
+  { id: "mimecast", pattern: /(?:^|\.)mimecast\.com$/ },
+  { id: "proofpoint", pattern: /(?:^|\.)pphosted\.com$/ },
+  { id: "barracuda", pattern: /(?:^|\.)barracudanetworks\.com$/ },
+];
+
+// Points per signal; a deliverable address on a domain with MX, enforcing
+// SPF and DMARC and a hosted provider scores 100
+const SCORE_WEIGHTS = {
+  smtp: { deliverable: 50, risky: 20, unverified: 25, unknown: 15, error: 10 },
+  mx: 15,
+  fallbackHost: 5, // No MX, mail goes to the A record
+  hostedProvider: 5,
+  spf: 10,
+  spfEnforced: 5, // -all or ~all
+  dmarc: 10,
+  dmarcEnforced: 5, // p=quarantine or p=reject
+  catchAll: -15,
+  role: -10,
+};
+const DISPOSABLE_MAX_SCORE = 10;
+
+const DEFAULT_TTL_MS = Number(process.env.DOMAIN_POSTURE_TTL_MS || 6 * 60 * 60 * 1000);
+const DEFAULT_MAX_ENTRIES = 5000;
+
+// Resolver errors meaning "no such record" rather than a lookup failure
+const NO_DATA_CODES = new Set(["ENODATA", "ENOTFOUND", "ENONAME", "NXDOMAIN"]);
+
+/**
+ * Mail provider behind a set of MX hosts
+ * @param {string[]} mxHosts - Exchange host names, best priority first
+ * @param {string} domain - Domain the MX records belong to
+ * @returns {string} Provider id, "self_hosted", "other" or "none"
+ */
+export function classifyMxProvider(mxHosts, domain) {
+  if (!mxHosts.length) return "none";
+  const hosts = mxHosts.map((host) => host.toLowerCase().replace(/\.$/, ""));
+  for (const { id, pattern } of MX_PROVIDERS) {
+    if (hosts.some((host) => pattern.test(host))) return id;
+  }
+  const apex = domain.toLowerCase().replace(/^www\./, "");
+  return hosts.some((host) => host === apex || host.endsWith(`.${apex}`)) ? "self_hosted" : "other";
+}
+
+/**
+ * SPF record among a domain's TXT records
+ * @param {string[]} txtRecords - TXT strings (chunks already joined)
+ * @returns {{present: boolean, policy: string|null, record: string|null}}
+ *   policy is the "all" qualifier: fail (-all), softfail (~all), neutral
+ *   (?all or none given) or pass (+all, lets anyone send)
+ */
+export function parseSpf(txtRecords) {
+  const record = txtRecords.find((txt) => /^v=spf1(?:\s|$)/i.test(txt.trim())) || null;
+  if (!record) return { present: false, policy: null, record: null };
+
+  const all = record.match(/(?:^|\s)([-~?+]?)all(?:\s|$)/i);
+  const policy = !all ? "neutral" : { "-": "fail", "~": "softfail", "?": "neutral" }[all[1]] || "pass";
+  return { present: true, policy, record };
+}
+
+/**
+ * DMARC record from the TXT records of _dmarc.<domain>
+ * @param {string[]} txtRecords - TXT strings (chunks already joined)
+ * @returns {{present: boolean, policy: string|null, record: string|null}}
+ */
+export function parseDmarc(txtRecords) {
+  const record = txtRecords.find((txt) => /^v=DMARC1\s*(?:;|$)/i.test(txt.trim())) || null;
+  if (!record) return { present: false, policy: null, record: null };
+
+  const policy = record.match(/(?:^|;)\s*p\s*=\s*(none|quarantine|reject)\s*(?:;|$)/i);
+  return { present: true, policy: policy ? policy[1].toLowerCase() : null, record };
+}
+
+/**
+ * Send-safety score for one verified address
+ * @param {object} verification - verifyEmail result, or a job's
+ *   email_verification detail ({ result, reason, catchAll?, roleAccount?, disposableDomain? })
+ * @param {object|null} posture - From DomainPostureCache.get
+ * @returns {number} 0 (will bounce) to 100 (safe to send)
+ */
+export function scoreDeliverability(verification, posture) {
+  const result = verification?.result || "unknown";
+  if (result === "undeliverable") return 0;
+
+  let score = SCORE_WEIGHTS.smtp[result] ?? SCORE_WEIGHTS.smtp.unknown;
+
+  if (posture) {
+    // mx_provider is null when the MX lookup itself failed
+    if (posture.mx_provider === "none") {
+      score += posture.accepts_mail ? SCORE_WEIGHTS.fallbackHost : 0;
+    } else if (posture.mx_provider) {
+      score += SCORE_WEIGHTS.mx;
+      if (!["self_hosted", "other"].includes(posture.mx_provider)) score += SCORE_WEIGHTS.hostedProvider;
+    }
+    if (posture.spf?.present) {
+      score += SCORE_WEIGHTS.spf;
+      if (["fail", "softfail"].includes(posture.spf.policy)) score += SCORE_WEIGHTS.spfEnforced;
+    }
+    if (posture.dmarc?.present) {
+      score += SCORE_WEIGHTS.dmarc;
+      if (["quarantine", "reject"].includes(posture.dmarc.policy)) score += SCORE_WEIGHTS.dmarcEnforced;
+    }
+  }
+
+  const catchAll = verification.catchAll ?? posture?.catch_all ?? verification.reason === "catch-all-domain";
+  if (catchAll) score += SCORE_WEIGHTS.catchAll;
+  if (verification.roleAccount) score += SCORE_WEIGHTS.role;
+
+  score = Math.max(0, Math.min(100, score));
+  return verification.disposableDomain ? Math.min(score, DISPOSABLE_MAX_SCORE) : score;
+}
+
+/**
+ * Per-domain posture lookups, cached so the addresses of one domain share a
+ * single set of DNS queries. Takes any resolver with the dns.promises
+ * resolveMx/resolveTxt/resolve4 signatures, so a stub can stand in for DNS.
+ */
+export class DomainPostureCache {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.resolver] - dns.promises-compatible resolver
+   * @param {number} [options.ttlMs] - How long a domain's posture is reused
+   * @param {number} [options.maxEntries] - Oldest entries are dropped past this
+   */
+  constructor({ resolver = dns, ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.resolver = resolver;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // domain -> { expiresAt, promise }
+  }
+
+  /**
+   * Resolve records that may legitimately be missing
+   * @returns {Promise<Array|null>} [] when the record does not exist, null on lookup failure
+   */
+  async lookup(method, name) {
+    try {
+      return await this.resolver[method](name);
+    } catch (err) {
+      if (NO_DATA_CODES.has(err?.code)) return [];
+      logger.warn("DOMAIN_POSTURE_DNS_ERROR", `${method} ${name} failed: ${err?.message || err}`);
+      return null;
+    }
+  }
+
+  async resolve(domain) {
+    const [mx, txt, dmarcTxt] = await Promise.all([
+      this.lookup("resolveMx", domain),
+      this.lookup("resolveTxt", domain),
+      this.lookup("resolveTxt", `_dmarc.${domain}`),
+    ]);
+
+    const mxHosts = (mx || [])
+      .slice()
+      .sort((a, b) => a.priority - b.priority)
+      .map((record) => record.exchange);
+    const joinTxt = (records) => (records || []).map((chunks) => [].concat(chunks).join(""));
+
+    let acceptsMail = mxHosts.length > 0;
+    if (!acceptsMail && mx !== null) {
+      const a = await this.lookup("resolve4", domain);
+      acceptsMail = Boolean(a?.length);
+    }
+
+    return {
+      domain,
+      mx_hosts: mxHosts,
+      mx_provider: mx === null ? null : classifyMxProvider(mxHosts, domain),
+      accepts_mail: mx === null ? null : acceptsMail,
+      spf: txt === null ? null : parseSpf(joinTxt(txt)),
+      dmarc: dmarcTxt === null ? null : parseDmarc(joinTxt(dmarcTxt)),
+      catch_all: null, // Filled in from SMTP verification results
+      checked_at: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Posture of a domain, resolved once per TTL; concurrent callers share the
+   * same lookup
+   * @param {string} domain
+   * @returns {Promise<object>}
+   */
+  get(domain) {
+    const key = String(domain || "").toLowerCase();
+    const cached = this.entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.promise;
+
+    const promise = this.resolve(key);
+    this.entries.delete(key);
+    this.entries.set(key, { expiresAt: Date.now() + this.ttlMs, promise });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return promise;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export const domainPostureCache = new DomainPostureCache();
+
+/**
+ * Add a score to each verification detail and collect the posture of their
+ * domains. Catch-all results seen on any address are recorded on the domain.
+ * @param {object[]} details - Verification details ({ email, result, ... }), modified
+ * @param {DomainPostureCache} [cache]
+ * @returns {Promise<object[]>} One posture per domain (domains are not used as
+ *   keys: stored records cannot have dots in field names)
+ */
+export async function scoreVerificationDetails(details, cache = domainPostureCache) {
+  const domainOf = (detail) => detail.email?.split("@")[1]?.toLowerCase() || null;
+  const domains = [...new Set(details.map(domainOf).filter(Boolean))];
+  const postures = new Map(
+    await Promise.all(domains.map(async (domain) => [domain, await cache.get(domain)]))
+  );
+
+  for (const detail of details) {
+    const posture = postures.get(domainOf(detail));
+    if (posture && typeof detail.catchAll === "boolean") posture.catch_all ??= detail.catchAll;
+  }
+  for (const detail of details) {
+    detail.score = scoreDeliverability(detail, postures.get(domainOf(detail)) || null);
+  }
+
+  return [...postures.values()];
+}
@@ -0,0 +1,131 @@
+import { verifyEmail } from './emailVerifier.js';
+import logger from '../logger.js';
+
+// Shared inboxes most small businesses have, most common first
+const ROLE_PATTERNS = ['info', 'contact', 'hello'];
+
+// Personal patterns are only tried for the first few named contacts so a big
+// team page does not turn into dozens of SMTP probes
+const MAX_PERSONAL_CONTACTS = 3;
+
+// Verification results that hold for the whole domain: once seen, the
+// remaining candidates would end the same way
+const DOMAIN_WIDE_REASONS = /^(?:no-mail-exchanger|catch-all-domain|temporary-failure|greylisted)/;
+
+// Letters only, accents stripped: "José" -> "jose"
+const toAscii = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+
+/**
+ * First and last name of a contact, ASCII only
+ * @param {string} name - "Dr. Jane Doe", "José García López"
+ * @returns {{first: string, last: string}|null}
+ */
+function splitName(name) {
+  const parts = String(name || '')
+    .replace(/^(?:dr|mr|mrs|ms|prof)\.?\s+/i, '')
+    .split(/\s+/)
+    .map(toAscii)
+    .filter((part) => part.length > 1);
+  if (parts.length < 2) return null;
+  return { first: parts[0], last: parts[parts.length - 1] };
+}
+
+/**
+ * Candidate addresses for a domain: role inboxes, then first.last@ and
+ * first@ for each named contact
+ * @param {string} domain - Website host without "www."
+ * @param {object[]} [contacts] - Named contacts ({ name }) found on the site
+ * @returns {Array<{email: string, pattern: string, contact: string|null}>}
+ */
+export function generateEmailCandidates(domain, contacts = []) {
+  const host = String(domain || '').toLowerCase();
+  if (!host || !host.includes('.')) return [];
+
+  const candidates = ROLE_PATTERNS.map((local) => ({
+    email: `${local}@${host}`,
+    pattern: local,
+    contact: null,
+  }));
+
+  for (const contact of contacts.slice(0, MAX_PERSONAL_CONTACTS)) {
+    const name = splitName(contact?.name);
+    if (!name) continue;
+    candidates.push(
+      { email: `${name.first}.${name.last}@${host}`, pattern: 'first.last', contact: contact.name },
+      { email: `${name.first}@${host}`, pattern: 'first', contact: contact.name }
+    );
+  }
+
+  const seen = new Set();
+  return candidates.filter(({ email }) => !seen.has(email) && seen.add(email));
+}
+
+/**
+ * Guess addresses for a domain and keep the ones the mail server accepts.
+ * Candidates are checked one at a time; a catch-all, missing MX or
+ * temporary failure ends the run since it says nothing about the address.
+ * @param {string} domain - Website host without "www."
+ * @param {object} [options]
+ * @param {object[]} [options.contacts] - Named contacts found on the site
+ * @param {object} [options.verifyOpts] - Passed to verifyEmail
+ * @param {Function} [options.shouldCancel] - Returns true to stop early
+ * @param {number} [options.deadline] - Epoch ms after which no further
+ *   candidate is checked (the one in flight finishes within verifyEmail's
+ *   own timeouts)
+ * @returns {Promise<Array<{email: string, result: string, reason: string,
+ *   code: number|null, source: string, pattern: string, contact: string|null}>>}
+ *   Deliverable addresses only
+ */
+export async function inferDomainEmails(
+  domain,
+  { contacts = [], verifyOpts = {}, shouldCancel = null, deadline = null } = {}
+) {
+  const candidates = generateEmailCandidates(domain, contacts);
+  const found = [];
+
+  for (const candidate of candidates) {
+    if (shouldCancel && shouldCancel()) break;
+    if (deadline && Date.now() >= deadline) {
+      logger.info('EMAIL_INFERENCE_OUT_OF_TIME', `Email budget used up while inferring for ${domain}`);
+      break;
+    }
+
+    let res;
+    try {
+      res = await verifyEmail(candidate.email, verifyOpts);
+    } catch (err) {
+      logger.warn('EMAIL_INFERENCE_ERROR', `Verification failed for ${candidate.email}: ${err?.message || err}`);
+      break;
+    }
+
+    if (res?.result === 'deliverable') {
+      found.push({
+        email: candidate.email,
+        result: res.result,
+        reason: res.reason || 'accepted',
+        code: res.smtp?.[0]?.code || null,
+        catchAll: res.catchAll ?? null,
+        roleAccount: Boolean(res.roleAccount),
+        disposableDomain: Boolean(res.disposableDomain),
+        source: 'inferred',
+        pattern: candidate.pattern,
+        contact: candidate.contact,
+      });
+    } else if (DOMAIN_WIDE_REASONS.test(res?.reason || '')) {
+      break;
+    }
+  }
+
+  logger.info('EMAIL_INFERENCE_DONE', `Inferred ${found.length} email(s) for ${domain}`, {
+    domain,
+    candidates: candidates.length,
+    found: found.length,
+  });
+
+  return found;
+}
@@ -7,6 +7,13 @@ import net from "net";
 import tls from "tls";
 import { randomBytes } from "crypto";
 import { toASCII } from "punycode";
+import {
+  acquireHostSlot,
+  cacheCatchAll,
+  cacheVerdict,
+  getCachedCatchAll,
+  getCachedVerdict,
+} from "./smtpCoordinator.js";
 
 // ---------------------------------------------------------------------------
 // Defaults & constants
@@ -25,8 +32,19 @@ const DEFAULT_OPTS = {
     String(process.env.SMTP_TRY_STARTTLS || "true").toLowerCase() === "true",
   catchAllProbe:
     String(process.env.SMTP_CATCHALL_PROBE || "true").toLowerCase() === "true",
+  // Reuse verdicts and catch-all results cached in Redis (see smtpCoordinator.js)
+  useCache: String(process.env.SMTP_CACHE || "true").toLowerCase() === "true",
+  // Greylisting servers accept the same address when asked again minutes
+  // later. Retrying in place sleeps for greylistDelayMs, which would stall a
+  // scrape, so it is off unless a caller asks for it; the queued list
+  // verifier defers greylisted addresses instead.
+  greylistRetries: Number(process.env.SMTP_GREYLIST_RETRIES ?? 0),
+  greylistDelayMs: Number(process.env.SMTP_GREYLIST_DELAY_MS || 60000),
 };
 
+// 4xx replies greylisting servers send to first-time senders
+const GREYLIST_CODES = [421, 450, 451, 452];
+
 const ROLE_PREFIXES = new Set([
   "admin",
   "administrator",
@@ -58,6 +76,8 @@ function randomLocal() {
   return `validator_${randomBytes(6).toString("hex")}`;
 }
 
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 function withTimeout(promise, ms, label) {
   let t;
   const timeout = new Promise((_, rej) =>
@@ -193,7 +213,7 @@ export async function resolveMailHosts(domain) {
 // ---------------------------------------------------------------------------
 // 4) SMTP callout with EHLO/STARTTLS and multiline reply parsing
 // ---------------------------------------------------------------------------
-async function smtpCheckAddress(host, email, opts) {
+async function smtpSession(host, email, opts) {
   const base = { host, code: null, stage: null, message: null };
 
   return withTimeout(
@@ -284,6 +304,19 @@ async function smtpCheckAddress(host, email, opts) {
   );
 }
 
+// Every session waits for a slot under the per-host limits shared by all workers
+async function smtpCheckAddress(host, email, opts) {
+  const release = await acquireHostSlot(host);
+  if (!release) {
+    return { host, code: null, stage: "throttle", message: "throttled: MX host busy" };
+  }
+  try {
+    return await smtpSession(host, email, opts);
+  } finally {
+    await release();
+  }
+}
+
 // Race a couple of MX hosts in parallel; return first 250 or last result
 async function smtpCheckAnyHost(hosts, email, opts, maxParallel = 2) {
   const q = hosts.slice();
@@ -309,8 +342,16 @@ async function smtpCheckAnyHost(hosts, email, opts, maxParallel = 2) {
 }
 
 async function checkCatchAll(host, domain, opts) {
+  if (opts.useCache) {
+    const cached = await getCachedCatchAll(domain);
+    if (cached !== null) return cached;
+  }
   const probe = `${randomLocal()}@${domain}`;
   const r = await smtpCheckAddress(host, probe, opts);
+  // Only a definite accept/reject says anything about the domain
+  if (opts.useCache && (r.code === 250 || (r.code >= 500 && r.code < 600))) {
+    await cacheCatchAll(domain, r.code === 250);
+  }
   return r.code === 250; // strong indicator, not 100%
 }
 
@@ -339,6 +380,27 @@ export async function verifyEmail(rawEmail, userOpts = {}) {
     };
   }
 
+  if (opts.useCache) {
+    const cached = await getCachedVerdict(address);
+    if (cached) return { ...cached, input: rawEmail, cached: true };
+  }
+
+  let verdict = await smtpVerify(rawEmail, { local, domain, address }, opts);
+  for (
+    let attempt = 0;
+    attempt < opts.greylistRetries && /^greylisted/.test(verdict.reason);
+    attempt++
+  ) {
+    await sleep(opts.greylistDelayMs);
+    verdict = await smtpVerify(rawEmail, { local, domain, address }, opts);
+  }
+
+  if (opts.useCache) await cacheVerdict(address, verdict);
+  return verdict;
+}
+
+// MX lookup, SMTP callout and catch-all probe for a syntactically valid address
+async function smtpVerify(rawEmail, { local, domain, address }, opts) {
   const role = ROLE_PREFIXES.has(local.toLowerCase());
   const disposable = isDisposable(domain);
 
@@ -388,12 +450,26 @@ export async function verifyEmail(rawEmail, userOpts = {}) {
     };
   }
 
-  if ([450, 451, 452, 421].includes(finalCode) || /timeout/i.test(finalMsg || "")) {
+  if (GREYLIST_CODES.includes(finalCode)) {
+    return {
+      input: rawEmail,
+      normalized: address,
+      result: "risky",
+      reason: `greylisted:${finalCode}`,
+      retryAfterMs: opts.greylistDelayMs,
+      smtp: tried,
+      roleAccount: role,
+      disposableDomain: disposable,
+      catchAll,
+    };
+  }
+
+  if (/timeout|throttled/i.test(finalMsg || "")) {
     return {
       input: rawEmail,
       normalized: address,
       result: "risky",
-      reason: `temporary-failure:${finalCode || "timeout"}`,
+      reason: `temporary-failure:${finalCode || (/throttled/i.test(finalMsg) ? "throttled" : "timeout")}`,
       smtp: tried,
       roleAccount: role,
       disposableDomain: disposable,
@@ -97,6 +97,173 @@ function getAttribute(result, attrName) {
   return attr ? attr.value : null;
 }
 
+// Service option chips on the overview and attribute rows; the aria-label
+// variants survive Google's class name changes better
+const ATTRIBUTE_SELECTOR =
+  ".LTs0Rc[aria-label], .hpLkke span[aria-label], [aria-label*='wheelchair' i], [aria-label*='-owned' i]";
+const CLAIM_LINK_SELECTOR = "[data-item-id='merchant']";
+// Content only a verified owner can add: "From the owner" posts and
+// "Response from the owner" review replies
+const OWNER_CONTENT_SELECTOR = "[aria-label*='from the owner' i]";
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+/**
+ * Convert a time as Google writes it ("9 AM", "5:30 PM", "17:00") to "HH:MM"
+ * @param {string} text - Time text
+ * @param {string|null} fallbackMeridiem - AM/PM of the other end of the interval ("5 to 10 PM")
+ * @returns {string|null} - "HH:MM" or null if unparseable
+ */
+function toClockTime(text, fallbackMeridiem = null) {
+  const m = text.trim().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*([ap])?\.?\s*m?\.?$/i);
+  if (!m) return null;
+  let hours = parseInt(m[1], 10);
+  const minutes = m[2] || "00";
+  const meridiem = (m[3] || fallbackMeridiem || "").toLowerCase();
+  if (meridiem === "p" && hours < 12) hours += 12;
+  if (meridiem === "a" && hours === 12) hours = 0;
+  if (hours > 24) return null;
+  return `${String(hours).padStart(2, "0")}:${minutes}`;
+}
+
+/**
+ * Parse the weekly hours aria-label, e.g.
+ * "Monday, 9 AM to 5 PM; Tuesday, 11 AM to 2 PM, 5 to 10 PM; Sunday, Closed. Hide open hours for the week"
+ * @param {string} label - aria-label of the hours block
+ * @returns {object|null} - { monday: [{ open: "09:00", close: "17:00" }], sunday: [], ... } or null
+ */
+function parseOpeningHours(label) {
+  if (!label) return null;
+  const hours = {};
+
+  for (const entry of label.replace(/\.\s*Hide open hours.*$/i, "").split(";")) {
+    const commaIndex = entry.indexOf(",");
+    if (commaIndex === -1) continue;
+    // Holidays are noted after the day: "Monday (Labor Day)"
+    const day = entry.slice(0, commaIndex).replace(/\(.*\)/, "").trim().toLowerCase();
+    if (!WEEKDAYS.includes(day)) continue;
+    const schedule = entry.slice(commaIndex + 1).trim();
+
+    if (/closed/i.test(schedule)) {
+      hours[day] = [];
+      continue;
+    }
+    if (/open 24 hours/i.test(schedule)) {
+      hours[day] = [{ open: "00:00", close: "24:00" }];
+      continue;
+    }
+
+    hours[day] = schedule
+      .split(",")
+      .map((interval) => {
+        const [openText, closeText] = interval.split(/\s+to\s+|\s*[–-]\s*/i);
+        if (!openText || !closeText) return null;
+        const closeMeridiem = closeText.match(/([ap])\.?\s*m/i)?.[1] || null;
+        const open = toClockTime(openText, closeMeridiem);
+        const close = toClockTime(closeText);
+        return open && close ? { open, close } : null;
+      })
+      .filter(Boolean);
+  }
+
+  return Object.keys(hours).length > 0 ? hours : null;
+}
+
+/**
+ * One-line form of parsed opening hours, e.g. "Mon 09:00-17:00; Sun closed"
+ * @param {object|null} hours - Result of parseOpeningHours
+ * @returns {string|null}
+ */
+function formatOpeningHours(hours) {
+  if (!hours) return null;
+  return WEEKDAYS.filter((day) => hours[day])
+    .map((day) => {
+      const label = day.charAt(0).toUpperCase() + day.slice(1, 3);
+      const intervals = hours[day].map(({ open, close }) => `${open}-${close}`).join(", ");
+      return `${label} ${intervals || "closed"}`;
+    })
+    .join("; ");
+}
+
+/**
+ * Parse the price shown after the review count ("4.4(4,079)·₹400–800" or "·$$")
+ * @param {string} text - Text of the rating container
+ * @returns {{ price_level: number|null, price_currency: string|null, price_min: number|null, price_max: number|null }}
+ */
+function parsePrice(text) {
+  const price = { price_level: null, price_currency: null, price_min: null, price_max: null };
+  const segment = text?.split("·").pop()?.trim();
+  if (!segment || !text.includes("·")) return price;
+
+  // "$$" style: level is the number of currency symbols
+  const levelMatch = segment.match(/^([^\d\s\w])\1{0,3}$/u);
+  if (levelMatch) {
+    price.price_level = segment.length;
+    price.price_currency = levelMatch[1];
+    return price;
+  }
+
+  const toNumber = (value) => (value ? Number(value.replace(/,/g, "")) || null : null);
+
+  // "₹400–800", "$10–20", "₹1,000+"
+  const prefixed = segment.match(/^([^\d\s]+)\s?([\d,.]+)\s*(?:[–-]\s*([\d,.]+))?/u);
+  if (prefixed) {
+    price.price_currency = prefixed[1];
+    price.price_min = toNumber(prefixed[2]);
+    price.price_max = toNumber(prefixed[3]);
+    return price;
+  }
+
+  // "10–20 €"
+  const suffixed = segment.match(/^([\d,.]+)\s*(?:[–-]\s*([\d,.]+))?\s*([^\d\s]+)$/u);
+  if (suffixed) {
+    price.price_currency = suffixed[3];
+    price.price_min = toNumber(suffixed[1]);
+    price.price_max = toNumber(suffixed[2]);
+  }
+  return price;
+}
+
+/**
+ * Structured service options and attributes from their labels
+ * ("Offers delivery", "No takeout", "Has wheelchair accessible entrance",
+ * "Identifies as women-owned"). A field stays null when Google shows nothing about it.
+ * @param {string[]} labels - aria-labels / texts of attribute elements
+ * @returns {object}
+ */
+function parseAttributes(labels) {
+  const attributes = {
+    wheelchair_accessible: null,
+    offers_delivery: null,
+    offers_takeout: null,
+    offers_dine_in: null,
+    owner_operated: null,
+    owner_identities: [],
+  };
+  const flags = [
+    ["wheelchair_accessible", /wheelchair/i],
+    ["offers_delivery", /delivery/i],
+    ["offers_takeout", /take-?out|takeaway/i],
+    ["offers_dine_in", /dine-in/i],
+    ["owner_operated", /owner[- ](?:operated|run)/i],
+  ];
+
+  for (const label of labels) {
+    const negative = /^(?:no|not|doesn'?t|does not)\b/i.test(label);
+    for (const [field, pattern] of flags) {
+      // A positive label wins over a negative one for the same feature
+      if (pattern.test(label) && attributes[field] !== true) {
+        attributes[field] = !negative;
+      }
+    }
+    const identity = label.match(/identifies as ([\w -]+?-(?:owned|led))/i)?.[1]?.toLowerCase();
+    if (identity && !attributes.owner_identities.includes(identity)) {
+      attributes.owner_identities.push(identity);
+    }
+  }
+  return attributes;
+}
+
 /**
  * Extract business data from Scrape API response
  * @param {object} responseData - Scrape API response data
@@ -194,12 +361,15 @@ function parseScrapeResponse(responseData, googleMapsUrl) {
   const ratingContainerResults = getAllResults(".dmRWX");
   let rating = null;
   let reviewCount = 0;
+  let price = parsePrice(null);
 
   if (ratingContainerResults.length > 0) {
     const ratingContainer = ratingContainerResults[0];
     const html = ratingContainer?.html || "";
     const text = ratingContainer?.text || "";
 
+    price = parsePrice(text);
+
     // Extract rating from aria-label="4.4 stars " in HTML
     const ratingMatch = html.match(/aria-label="([\d.]+)\s*stars?"/i);
     if (ratingMatch) {
@@ -221,18 +391,46 @@ function parseScrapeResponse(responseData, googleMapsUrl) {
     }
   }
 
+  // 5. Opening hours - weekly schedule in the aria-label of the hours block
+  const hoursResult = getFirstResult(".t39EBf");
+  const openingHours = parseOpeningHours(getAttribute(hoursResult, "aria-label"));
+
+  // 6. Service options and attributes (delivery, takeout, accessibility, ownership)
+  const attributeLabels = getAllResults(ATTRIBUTE_SELECTOR)
+    .map((result) => getAttribute(result, "aria-label") || result?.text?.trim())
+    .filter(Boolean);
+
+  // 7. Claimed - Google offers "Claim this business" only on unclaimed
+  // listings, and owner content means someone manages the listing. With
+  // neither on the page (or the page only partly loaded) it is unknown.
+  let isClaimed = null;
+  if (getAllResults(CLAIM_LINK_SELECTOR).length > 0) {
+    isClaimed = false;
+  } else if (getAllResults(OWNER_CONTENT_SELECTOR).length > 0) {
+    isClaimed = true;
+  }
+
   return {
     name,
     phone,
     website,
     email: null,
     email_status: null,
+    email_source: null,
+    email_score: null,
     address,
     latitude: null, // Will be set by caller from URL
     longitude: null, // Will be set by caller from URL
     rating: typeof rating === "number" ? rating : null,
     rating_count: String(reviewCount),
     category: category || null,
+    opening_hours: openingHours,
+    opening_hours_text: formatOpeningHours(openingHours),
+    ...price,
+    ...parseAttributes(attributeLabels),
+    is_claimed: isClaimed,
+    socials: null, // Will be set by caller when the website is crawled
+    contacts: [], // Will be set by caller when the website is crawled
     search_term: null, // Will be set by caller
     search_type: "Google Maps",
     search_location: null, // Will be set by caller
@@ -261,7 +459,11 @@ async function scrapeGoogleMapsBusinessInternal(googleMapsUrl) {
     { selector: "h1.DUwDvf.lfPIob" }, // Name
     { selector: ".DkEaL" }, // Category
     { selector: ".Io6YTe.fontBodyMedium.kR99db.fdkmkc" }, // Address, Website, Phone (multiple results)
-    { selector: ".dmRWX" } // Rating + Review count (combined HTML)
+    { selector: ".dmRWX" }, // Rating + Review count + price (combined HTML)
+    { selector: ".t39EBf" }, // Opening hours (aria-label holds the whole week)
+    { selector: ATTRIBUTE_SELECTOR }, // Service options and attributes (multiple results)
+    { selector: CLAIM_LINK_SELECTOR }, // "Claim this business" link
+    { selector: OWNER_CONTENT_SELECTOR } // Owner posts and review replies
   ];
 
   try {
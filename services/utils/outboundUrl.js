@@ -0,0 +1,125 @@
+// Guard for requests to user-supplied URLs (webhook endpoints, REST CRM
+// connections): the host must resolve to public addresses only, so a
+// hostname pointing at loopback, the private network or the cloud metadata
+// service cannot be used to reach them from the workers.
+import dns from "dns";
+import net from "net";
+
+// Set to "true" in local development to allow localhost receivers / mock servers
+const ALLOW_PRIVATE_OUTBOUND_URLS = process.env.ALLOW_PRIVATE_OUTBOUND_URLS === "true";
+
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, cloud metadata (169.254.169.254)
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 3], // multicast, reserved, broadcast
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["fc00::", 7], // unique local (includes fd00:ec2::254 metadata)
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Thrown when a URL is not allowed as a request target
+ */
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BlockedUrlError";
+  }
+}
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and other non-public addresses
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_RANGES.check(address, "ipv4");
+  if (family === 6) {
+    // IPv4-mapped and NAT64 addresses can embed any IPv4 address. They are
+    // checked by prefix: BlockList matches plain IPv4 addresses against an
+    // ::ffff:0:0/96 rule, which would block every public IPv4 host.
+    const lower = address.toLowerCase();
+    if (lower.startsWith("::ffff:") || lower.startsWith("64:ff9b:")) return true;
+    return BLOCKED_RANGES.check(address, "ipv6");
+  }
+  return true;
+}
+
+/**
+ * dns.lookup replacement for axios' `lookup` option: fails the connection
+ * when the host resolves to a blocked address. Checking the addresses the
+ * socket actually connects to means a DNS answer that changes after
+ * assertPublicUrl cannot slip through.
+ */
+export function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!ALLOW_PRIVATE_OUTBOUND_URLS) {
+      const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+      if (blocked) {
+        return callback(new BlockedUrlError(`${hostname} resolves to a non-public address`));
+      }
+    }
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check a URL before requesting it: http(s) only, and every address the host
+ * resolves to must be public
+ * @param {string} url
+ * @throws {BlockedUrlError}
+ */
+export async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new BlockedUrlError("Invalid URL");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new BlockedUrlError("Only http and https URLs are allowed");
+  }
+  if (ALLOW_PRIVATE_OUTBOUND_URLS) return;
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+    } catch (error) {
+      throw new BlockedUrlError(`Could not resolve ${host}: ${error.code || error.message}`);
+    }
+  }
+  if (addresses.some(isBlockedAddress)) {
+    throw new BlockedUrlError(`${host} resolves to a non-public address`);
+  }
+}
+
+/**
+ * axios options that keep a request on public addresses and off redirects
+ * (a redirect could point anywhere)
+ */
+export const PUBLIC_REQUEST_OPTIONS = {
+  lookup: publicOnlyLookup,
+  maxRedirects: 0,
+};
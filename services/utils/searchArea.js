@@ -0,0 +1,106 @@
+import { State, City } from "country-state-city";
+
+// Deep scrape batched zone configuration - Enhanced for better coverage
+export const ZONE_BATCH_SIZE = Number(process.env.ZONE_BATCH_SIZE || 50); // Increased from 30 to 50
+export const MAX_TOTAL_ZONES = Number(process.env.MAX_TOTAL_ZONES || 3000); // Increased from 300 to 800 for large cities
+
+// City ordering for state/country searches: smaller cities are skipped, the
+// rest are searched biggest bucket first
+export const DEFAULT_MIN_POPULATION = 5000;
+export const DEFAULT_MID_POPULATION_THRESHOLD = 100_000;
+export const DEFAULT_BIG_POPULATION_THRESHOLD = 1_000_000;
+
+const toCandidate = (cityObj, stateIsoCode = null, stateName = null) => ({
+  cityName: cityObj.name,
+  stateCode: stateIsoCode,
+  stateName: stateName,
+});
+
+/**
+ * Cities searched for a state, or for a whole country when no state is given
+ * @param {string} iso2 - Country code
+ * @param {string|null} [stateIsoCode]
+ * @returns {Array<{cityName: string, stateCode: string|null, stateName: string|null}>}
+ */
+export function listCitiesForScope(iso2, stateIsoCode = null) {
+  if (stateIsoCode) {
+    const state = State.getStateByCodeAndCountry(stateIsoCode, iso2);
+    const sName = state?.name || null;
+    const cities = City.getCitiesOfState(iso2, stateIsoCode) || [];
+    return cities.map((c) => toCandidate(c, stateIsoCode, sName));
+  }
+  const states = (State.getStatesOfCountry(iso2) || []).filter(Boolean);
+  if (states.length > 0) {
+    const out = [];
+    for (const s of states) {
+      const cities = City.getCitiesOfState(iso2, s.isoCode) || [];
+      for (const c of cities) out.push(toCandidate(c, s.isoCode, s.name));
+    }
+    return out;
+  }
+  const cities = City.getCitiesOfCountry(iso2) || [];
+  return cities.map((c) => {
+    const maybeState = c.stateCode
+      ? State.getStateByCodeAndCountry(c.stateCode, iso2)
+      : null;
+    return toCandidate(c, c.stateCode || null, maybeState?.name || null);
+  });
+}
+
+/**
+ * Group cities by population; cities below minPopulation are dropped
+ * @param {Array} candidates - From listCitiesForScope
+ * @param {Object} options
+ * @param {string} options.countryCode
+ * @param {Function|null} options.populationResolver - ({ iso2, adminCode, city }) => number|null
+ * @param {number} options.minPopulation
+ * @param {number} options.midPopulationThreshold
+ * @param {number} options.bigPopulationThreshold
+ * @returns {Promise<{buckets: {big: Array, mid: Array, small: Array, unknown: Array}, total: number}>}
+ *   Each city gets its population as __pop
+ */
+export async function bucketizeCities(
+  candidates,
+  {
+    countryCode,
+    populationResolver,
+    minPopulation,
+    midPopulationThreshold,
+    bigPopulationThreshold,
+  }
+) {
+  const buckets = { big: [], mid: [], small: [], unknown: [] };
+  let total = 0;
+  for (const cand of candidates) {
+    let pop = null;
+    try {
+      if (populationResolver) {
+        pop = await populationResolver({
+          iso2: countryCode,
+          adminCode: cand.stateCode || null,
+          city: cand.cityName,
+        });
+      }
+    } catch {
+      pop = null;
+    }
+    if (minPopulation > 0 && pop !== null && pop < minPopulation) continue;
+
+    const enriched = { ...cand, __pop: pop };
+    if (pop === null) buckets.unknown.push(enriched);
+    else if (pop >= bigPopulationThreshold) buckets.big.push(enriched);
+    else if (pop >= midPopulationThreshold) buckets.mid.push(enriched);
+    else buckets.small.push(enriched);
+    total++;
+  }
+  return { buckets, total };
+}
+
+/**
+ * Zones a batched deep scrape will search for a zone configuration
+ * (createCityZones/createStateZones/createCountryZones), center included
+ * @param {Object} zoneConfig
+ * @returns {number}
+ */
+export const countZones = (zoneConfig) =>
+  1 + Math.min(zoneConfig.totalPossibleZones || 0, zoneConfig.maxTotalZones || 0);
@@ -0,0 +1,185 @@
+// Redis-backed state shared by every process that runs SMTP checks: cached
+// per-address verdicts and domain catch-all results, and per-MX-host
+// concurrency and rate limits so several workers do not hammer one server
+// from the same IP. Without Redis, checks run uncached and unthrottled.
+import Redis from "ioredis";
+import { randomUUID } from "crypto";
+import { parseRedisConfig } from "../redisClient.js";
+import logger from "../logger.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long a verdict is reused, by result. Temporary failures and greylisting
+// are never cached: the point is to ask again later.
+const VERDICT_TTL_MS = {
+  deliverable: Number(process.env.SMTP_CACHE_DELIVERABLE_TTL_MS || 7 * DAY_MS),
+  undeliverable: Number(process.env.SMTP_CACHE_UNDELIVERABLE_TTL_MS || 3 * DAY_MS),
+  risky: Number(process.env.SMTP_CACHE_RISKY_TTL_MS || DAY_MS),
+};
+const CATCH_ALL_TTL_MS = Number(process.env.SMTP_CACHE_CATCH_ALL_TTL_MS || DAY_MS);
+
+const HOST_MAX_CONCURRENT = Number(process.env.SMTP_MAX_CONCURRENT_PER_HOST || 2);
+const HOST_MAX_PER_MINUTE = Number(process.env.SMTP_MAX_CONNECTIONS_PER_MINUTE_PER_HOST || 20);
+const HOST_RATE_WINDOW_MS = 60 * 1000;
+// A slot is released after this even if its holder died mid-session
+const HOST_SLOT_LEASE_MS = 60 * 1000;
+const HOST_SLOT_MAX_WAIT_MS = Number(process.env.SMTP_THROTTLE_MAX_WAIT_MS || 30000);
+const HOST_SLOT_POLL_MS = 250;
+// First call waits this long for the initial connection
+const CONNECT_WAIT_MS = 2000;
+
+const KEY_PREFIX = "smtp";
+
+// KEYS[1] = slot holders (zset scored by acquire time), KEYS[2] = rate window counter
+// ARGV: now, token, maxConcurrent, leaseMs, maxPerWindow, windowMs
+const ACQUIRE_SLOT_SCRIPT = `
+redis.call("zremrangebyscore", KEYS[1], "-inf", tonumber(ARGV[1]) - tonumber(ARGV[4]))
+if redis.call("zcard", KEYS[1]) >= tonumber(ARGV[3]) then
+  return 0
+end
+local count = tonumber(redis.call("get", KEYS[2]) or "0")
+if count >= tonumber(ARGV[5]) then
+  return 0
+end
+redis.call("zadd", KEYS[1], ARGV[1], ARGV[2])
+redis.call("pexpire", KEYS[1], ARGV[4])
+if redis.call("incr", KEYS[2]) == 1 then
+  redis.call("pexpire", KEYS[2], ARGV[6])
+end
+return 1`;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let redis = null;
+let connecting = null;
+let unavailableLogged = false;
+
+// Commands fail fast instead of queueing while Redis is down, so a check is
+// never held up by the cache
+function getRedis() {
+  if (!redis) {
+    redis = new Redis({
+      ...parseRedisConfig(),
+      lazyConnect: true,
+      enableOfflineQueue: false,
+      maxRetriesPerRequest: 1,
+    });
+    redis.on("error", (err) => {
+      if (unavailableLogged) return;
+      unavailableLogged = true;
+      logger.warn("SMTP_COORDINATOR_REDIS_ERROR", "SMTP cache/throttle unavailable, checking without it", {
+        error: err.message,
+      });
+    });
+    redis.on("ready", () => {
+      unavailableLogged = false;
+    });
+    connecting = redis.connect().catch(() => {});
+  }
+  return redis;
+}
+
+// Run a Redis call; null when Redis is unavailable
+async function tryRedis(fn) {
+  try {
+    const client = getRedis();
+    if (client.status !== "ready") {
+      await Promise.race([connecting, sleep(CONNECT_WAIT_MS)]);
+    }
+    return await fn(client);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cached verdict for an address
+ * @param {string} address - Normalized address
+ * @returns {Promise<object|null>}
+ */
+export async function getCachedVerdict(address) {
+  const raw = await tryRedis((client) => client.get(`${KEY_PREFIX}:verdict:${address}`));
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Cache a verifyEmail result for its TTL; temporary failures are skipped
+ * @param {string} address - Normalized address
+ * @param {object} verdict - verifyEmail result
+ */
+export async function cacheVerdict(address, verdict) {
+  if (/^(?:temporary-failure|greylisted)/.test(verdict?.reason || "")) return;
+  const ttl = VERDICT_TTL_MS[verdict?.result];
+  if (!ttl) return;
+  await tryRedis((client) =>
+    client.set(`${KEY_PREFIX}:verdict:${address}`, JSON.stringify(verdict), "PX", ttl)
+  );
+}
+
+/**
+ * Cached catch-all probe result for a domain
+ * @param {string} domain
+ * @returns {Promise<boolean|null>} null when not cached
+ */
+export async function getCachedCatchAll(domain) {
+  const raw = await tryRedis((client) => client.get(`${KEY_PREFIX}:catchall:${domain}`));
+  return raw === null ? null : raw === "1";
+}
+
+/**
+ * @param {string} domain
+ * @param {boolean} catchAll
+ */
+export async function cacheCatchAll(domain, catchAll) {
+  if (typeof catchAll !== "boolean") return;
+  await tryRedis((client) =>
+    client.set(`${KEY_PREFIX}:catchall:${domain}`, catchAll ? "1" : "0", "PX", CATCH_ALL_TTL_MS)
+  );
+}
+
+/**
+ * Wait for a connection slot on an MX host, shared across workers: at most
+ * SMTP_MAX_CONCURRENT_PER_HOST open sessions and
+ * SMTP_MAX_CONNECTIONS_PER_MINUTE_PER_HOST new ones per minute
+ * @param {string} host - MX host name
+ * @returns {Promise<Function|null>} Release function, or null when no slot
+ *   freed up within SMTP_THROTTLE_MAX_WAIT_MS
+ */
+export async function acquireHostSlot(host) {
+  const key = host.toLowerCase();
+  const slotsKey = `${KEY_PREFIX}:host:${key}:slots`;
+  const rateKey = `${KEY_PREFIX}:host:${key}:rate`;
+  const token = randomUUID();
+  const deadline = Date.now() + HOST_SLOT_MAX_WAIT_MS;
+
+  while (true) {
+    const acquired = await tryRedis((client) =>
+      client.eval(
+        ACQUIRE_SLOT_SCRIPT,
+        2,
+        slotsKey,
+        rateKey,
+        Date.now(),
+        token,
+        HOST_MAX_CONCURRENT,
+        HOST_SLOT_LEASE_MS,
+        HOST_MAX_PER_MINUTE,
+        HOST_RATE_WINDOW_MS
+      )
+    );
+    // Redis down: do not block checks on the throttle
+    if (acquired === null) return () => {};
+    if (acquired === 1) {
+      return () => tryRedis((client) => client.zrem(slotsKey, token));
+    }
+    if (Date.now() >= deadline) return null;
+    // Jitter keeps waiting workers from retrying in lockstep
+    await sleep(HOST_SLOT_POLL_MS + Math.floor(Math.random() * HOST_SLOT_POLL_MS));
+  }
+}
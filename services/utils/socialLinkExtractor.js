@@ -0,0 +1,130 @@
+import * as cheerio from 'cheerio';
+import logger from '../logger.js';
+
+// Profile URL patterns; share/intent/login links are excluded so a site's
+// "share this page" buttons are not mistaken for its own profiles
+const SOCIAL_PATTERNS = {
+  facebook: /^https?:\/\/(?:www\.|m\.|web\.)?(?:facebook|fb)\.com\/(?!sharer|share|dialog|plugins|login|tr\b|events\/|groups\/)[^?#]+/i,
+  instagram: /^https?:\/\/(?:www\.)?instagram\.com\/(?!p\/|reel\/|explore|accounts)[A-Za-z0-9_.]+/i,
+  linkedin: /^https?:\/\/(?:[a-z]{2,3}\.)?linkedin\.com\/(?:company|in|school)\/[^/?#]+/i,
+  twitter: /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/(?!intent|share|home|hashtag|search|i\/)[A-Za-z0-9_]{1,15}(?=[/?#]|$)/i,
+  youtube: /^https?:\/\/(?:www\.|m\.)?youtube\.com\/(?:channel\/|c\/|user\/|@)[^/?#]+/i,
+  tiktok: /^https?:\/\/(?:www\.)?tiktok\.com\/@[^/?#]+/i,
+};
+
+// Hosted form services linked instead of an on-site form
+const FORM_SERVICE_RE = /^https?:\/\/(?:docs\.google\.com\/forms\/|forms\.gle\/|[\w-]+\.typeform\.com\/|form\.jotform\.com\/|(?:www\.)?jotform\.com\/|[\w-]+\.wufoo\.com\/forms\/|forms\.office\.com\/|tally\.so\/)/i;
+
+export const SOCIAL_NETWORKS = [...Object.keys(SOCIAL_PATTERNS), 'whatsapp'];
+
+/**
+ * Empty socials object: one key per network plus contact_form, all null
+ * @returns {object}
+ */
+export function emptySocials() {
+  return Object.fromEntries([...SOCIAL_NETWORKS, 'contact_form'].map((key) => [key, null]));
+}
+
+/**
+ * WhatsApp click-to-chat link as https://wa.me/<number>
+ * @param {string} href - wa.me, api.whatsapp.com or whatsapp:// link
+ * @returns {string|null}
+ */
+function normalizeWhatsApp(href) {
+  try {
+    const url = new URL(href);
+    let number = null;
+    if (/(^|\.)wa\.me$/i.test(url.hostname)) {
+      number = url.pathname.replace(/\D/g, '');
+    } else if (/whatsapp\.com$/i.test(url.hostname) || url.protocol === 'whatsapp:') {
+      number = (url.searchParams.get('phone') || '').replace(/\D/g, '');
+    }
+    return number ? `https://wa.me/${number}` : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether the page has a form a visitor can write a message in
+ * (a textarea, or email plus name fields) - not a search or newsletter box
+ * @param {object} $ - Cheerio root
+ * @returns {boolean}
+ */
+function hasContactForm($) {
+  return $('form').toArray().some((form) => {
+    const $form = $(form);
+    if ($form.find('textarea').length > 0) return true;
+    const hasEmail = $form.find('input[type="email"], input[name*="email" i]').length > 0;
+    const hasName = $form.find('input[name*="name" i]').length > 0;
+    return hasEmail && hasName;
+  });
+}
+
+/**
+ * Social profile and contact form links found in a page
+ * @param {string} html - HTML content
+ * @param {string} pageUrl - URL the HTML was fetched from, for relative links
+ * @returns {object} Same keys as emptySocials(); null where nothing was found
+ */
+export function extractSocialsFromHtml(html, pageUrl) {
+  const socials = emptySocials();
+  if (!html || typeof html !== 'string' || !pageUrl) {
+    return socials;
+  }
+
+  try {
+    const $ = cheerio.load(html);
+
+    $('a[href]').each((_, el) => {
+      const raw = ($(el).attr('href') || '').trim();
+      if (!raw || raw.startsWith('#') || raw.startsWith('mailto:') || raw.startsWith('tel:')) return;
+
+      if (/^whatsapp:|wa\.me\/|whatsapp\.com\/send/i.test(raw)) {
+        socials.whatsapp ??= normalizeWhatsApp(raw);
+        return;
+      }
+
+      let href;
+      try {
+        href = new URL(raw, pageUrl).toString();
+      } catch {
+        return;
+      }
+
+      for (const [network, pattern] of Object.entries(SOCIAL_PATTERNS)) {
+        if (socials[network]) continue;
+        const match = href.match(pattern);
+        if (match) {
+          socials[network] = match[0].replace(/^http:/i, 'https:').replace(/\/+$/, '');
+          return;
+        }
+      }
+
+      if (!socials.contact_form && FORM_SERVICE_RE.test(href)) {
+        socials.contact_form = href;
+      }
+    });
+
+    if (!socials.contact_form && hasContactForm($)) {
+      socials.contact_form = pageUrl;
+    }
+  } catch (error) {
+    logger.error('SOCIAL_LINKS_ERROR', `Error extracting social links from ${pageUrl}: ${error.message}`);
+  }
+
+  return socials;
+}
+
+/**
+ * Fill the empty keys of target from found (first page to find a link wins)
+ * @param {object} target - Socials collected so far (modified)
+ * @param {object} found - Socials from another page
+ * @returns {object} target
+ */
+export function mergeSocials(target, found) {
+  for (const [key, value] of Object.entries(found)) {
+    if (!target[key] && value) target[key] = value;
+  }
+  return target;
+}
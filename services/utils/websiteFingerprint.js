@@ -0,0 +1,100 @@
+// Detection works on the page source: the Content API blocks analytics and
+// pixel requests (see BLOCKED_URL_PATTERNS in browserlessContentClient.js),
+// but their <script> tags and inline snippets stay in the HTML.
+
+// Site builders / CMSs; the first match is the platform
+const PLATFORM_SIGNATURES = [
+  { id: 'wordpress', html: /\/wp-content\/|\/wp-includes\/|<meta[^>]+generator[^>]+WordPress|api\.w\.org/i },
+  { id: 'shopify', html: /cdn\.shopify\.com|Shopify\.theme|\.myshopify\.com/i, header: /^x-shop(?:id|ify)/i },
+  { id: 'wix', html: /static\.wixstatic\.com|<meta[^>]+generator[^>]+Wix\.com|wix-bolt|_wixCIDX/i, header: /^x-wix-/i },
+  { id: 'squarespace', html: /static1\.squarespace\.com|<!-- This is Squarespace|Static\.SQUARESPACE_CONTEXT/i },
+  { id: 'webflow', html: /data-wf-page=|<meta[^>]+generator[^>]+Webflow|\.webflow\.io/i },
+  { id: 'godaddy', html: /img1\.wsimg\.com|<meta[^>]+generator[^>]+(?:GoDaddy|Starfield)/i },
+  { id: 'weebly', html: /editmysite\.com|<meta[^>]+generator[^>]+Weebly/i },
+  { id: 'joomla', html: /<meta[^>]+generator[^>]+Joomla|\/media\/jui\//i },
+  { id: 'drupal', html: /<meta[^>]+generator[^>]+Drupal|\/sites\/default\/files\/|drupal-settings-json/i, header: /^x-drupal-/i },
+];
+
+const ANALYTICS_SIGNATURES = [
+  { id: 'google_analytics', html: /googletagmanager\.com\/gtag\/js\?id=(?:G|UA)-|google-analytics\.com\/(?:analytics|ga)\.js|gtag\(\s*['"]config['"]\s*,\s*['"](?:G|UA)-/i },
+  { id: 'google_tag_manager', html: /googletagmanager\.com\/gtm\.js|['"]GTM-[A-Z0-9]{4,}['"]/ },
+  { id: 'matomo', html: /matomo\.js|piwik\.js|_paq\.push/i },
+  { id: 'plausible', html: /plausible\.io\/js\//i },
+  { id: 'hotjar', html: /static\.hotjar\.com|hotjar\.com\/c\/hotjar-/i },
+  { id: 'microsoft_clarity', html: /clarity\.ms\/tag\//i },
+];
+
+const PIXEL_SIGNATURES = [
+  { id: 'meta_pixel', html: /connect\.facebook\.net\/[^"']*\/fbevents\.js|fbq\(\s*['"]init['"]/i },
+  { id: 'google_ads', html: /googleadservices\.com\/pagead\/conversion|gtag\(\s*['"]config['"]\s*,\s*['"]AW-/i },
+  { id: 'tiktok_pixel', html: /analytics\.tiktok\.com\/i18n\/pixel|ttq\.load\(/i },
+  { id: 'linkedin_insight', html: /snap\.licdn\.com\/li\.lms-analytics|_linkedin_partner_id/i },
+  { id: 'pinterest_tag', html: /s\.pinimg\.com\/ct\/core\.js|pintrk\(\s*['"]load['"]/i },
+];
+
+/**
+ * Matching signature IDs
+ * @param {object[]} signatures - { id, html?, header? } entries
+ * @param {string} html - Page source
+ * @param {string[]} headerNames - Lowercased response header names
+ * @returns {string[]}
+ */
+function matchSignatures(signatures, html, headerNames) {
+  return signatures
+    .filter(({ html: htmlPattern, header }) =>
+      (htmlPattern && htmlPattern.test(html)) ||
+      (header && headerNames.some((name) => header.test(name)))
+    )
+    .map(({ id }) => id);
+}
+
+/**
+ * Fields set on a record when its website could not be fetched
+ * @returns {object}
+ */
+export function unknownFingerprint() {
+  return {
+    website_platform: null,
+    website_technologies: [],
+    has_analytics: null,
+    has_pixel: null,
+    website_https: null,
+  };
+}
+
+/**
+ * Identify the site builder, analytics and ad pixels of a fetched homepage
+ * @param {object} page
+ * @param {string} page.html - Homepage source
+ * @param {object} [page.headers] - Response headers (name -> value)
+ * @param {string} page.url - URL the homepage was finally served from
+ * @returns {{ website_platform: string|null, website_technologies: string[],
+ *   has_analytics: boolean|null, has_pixel: boolean|null, website_https: boolean|null }}
+ *   website_platform is "custom" when no known builder is found
+ */
+export function fingerprintWebsite({ html, headers = {}, url }) {
+  if (!html || typeof html !== 'string') {
+    return unknownFingerprint();
+  }
+
+  const headerNames = Object.keys(headers || {}).map((name) => name.toLowerCase());
+  const platforms = matchSignatures(PLATFORM_SIGNATURES, html, headerNames);
+  const analytics = matchSignatures(ANALYTICS_SIGNATURES, html, headerNames);
+  const pixels = matchSignatures(PIXEL_SIGNATURES, html, headerNames);
+
+  let https = null;
+  try {
+    https = new URL(url).protocol === 'https:';
+  } catch {
+    // Unparseable URL - leave unknown
+  }
+
+  const platform = platforms[0] || 'custom';
+  return {
+    website_platform: platform,
+    website_technologies: [platform, ...analytics, ...pixels],
+    has_analytics: analytics.length > 0,
+    has_pixel: pixels.length > 0,
+    website_https: https,
+  };
+}
@@ -0,0 +1,269 @@
+import Queue from "bull";
+import axios from "axios";
+import { v4 as uuidv4 } from "uuid";
+import { Webhook } from "standardwebhooks";
+import WebhookEndpoint from "../models/webhookEndpointModel.js";
+import WebhookDelivery from "../models/webhookDeliveryModel.js";
+import ExportTemplate from "../models/exportTemplateModel.js";
+import { iterateJobResults } from "./jobResults.service.js";
+import { createTemplateFormatter } from "../utils/exportTemplate.js";
+import { parseRedisConfig } from "./redisClient.js";
+import { assertPublicUrl, PUBLIC_REQUEST_OPTIONS } from "./utils/outboundUrl.js";
+import logger from "./logger.js";
+
+// Retry configuration (Bull exponential backoff: (2^n - 1) * delay)
+// Defaults give retries after ~1m, 3m, 7m, 15m and 31m
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_BACKOFF_DELAY_MS = Number(
+  process.env.WEBHOOK_BACKOFF_DELAY_MS || 60000
+);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_WORKERS = Number(process.env.WEBHOOK_WORKERS || 5);
+const RESPONSE_BODY_LOG_LIMIT = 1000;
+// Rows attached to payloads of endpoints with an export template; the rest
+// are left to GET /:jobId/download
+const WEBHOOK_MAX_RECORDS = Number(process.env.WEBHOOK_MAX_RECORDS || 500);
+
+const webhookQueue = new Queue("webhook-deliveries", {
+  redis: parseRedisConfig(),
+});
+
+class WebhookDeliveryService {
+  constructor() {
+    this.queue = webhookQueue;
+  }
+
+  /**
+   * Fan an event out to every active endpoint of the user subscribed to it.
+   * Never throws - webhook problems must not affect job processing.
+   * @param {string} userId - Owner of the job
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data, sent as payload.data
+   * @param {Object} [options]
+   * @param {Object} [options.job] - Job document; endpoints with an export
+   *   template also get its records as data.records
+   * @returns {Promise<number>} Number of deliveries queued
+   */
+  async dispatch(userId, event, data, { job = null } = {}) {
+    try {
+      const endpoints = await WebhookEndpoint.find({
+        userId,
+        active: true,
+        events: event,
+      });
+
+      if (endpoints.length === 0) return 0;
+
+      const createdAt = new Date().toISOString();
+      // templateId -> records, so endpoints sharing a template share the work
+      const recordsByTemplate = new Map();
+      for (const endpoint of endpoints) {
+        let endpointData = data;
+        if (job && endpoint.exportTemplateId) {
+          const templateKey = endpoint.exportTemplateId.toString();
+          if (!recordsByTemplate.has(templateKey)) {
+            recordsByTemplate.set(templateKey, await this.buildRecords(userId, templateKey, job));
+          }
+          const records = recordsByTemplate.get(templateKey);
+          if (records) endpointData = { ...data, ...records };
+        }
+
+        const delivery = await WebhookDelivery.create({
+          deliveryId: `msg_${uuidv4()}`,
+          endpointId: endpoint._id,
+          userId,
+          event,
+          payload: { type: event, createdAt, data: endpointData },
+        });
+        await this.enqueue(delivery);
+      }
+
+      logger.info("WEBHOOK_DISPATCHED", `Queued ${event} for ${endpoints.length} endpoint(s)`, {
+        userId: userId.toString(),
+        event,
+      });
+      return endpoints.length;
+    } catch (error) {
+      logger.error("WEBHOOK_DISPATCH_ERROR", `Failed to dispatch ${event} webhooks`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * A job's records formatted with an export template, capped at WEBHOOK_MAX_RECORDS rows
+   * @returns {Promise<{ records: Object[], recordsTruncated: boolean }|null>}
+   *   null when the template no longer exists
+   */
+  async buildRecords(userId, templateId, job) {
+    const template = await ExportTemplate.findForUser(userId, templateId);
+    if (!template) return null;
+
+    const formatter = createTemplateFormatter(template, {
+      countryCode: job.jobParams?.countryCode,
+    });
+    const records = [];
+    let recordsTruncated = false;
+    for await (const record of iterateJobResults(job)) {
+      const rows = formatter.toRows(record);
+      if (records.length + rows.length > WEBHOOK_MAX_RECORDS) {
+        recordsTruncated = true;
+        break;
+      }
+      records.push(...rows);
+    }
+
+    return { records, recordsTruncated };
+  }
+
+  /**
+   * Queue a new delivery that re-sends the payload of an earlier one
+   * @param {Object} original - WebhookDelivery document
+   * @returns {Promise<Object>} The new WebhookDelivery document
+   */
+  async replay(original) {
+    const delivery = await WebhookDelivery.create({
+      deliveryId: `msg_${uuidv4()}`,
+      endpointId: original.endpointId,
+      userId: original.userId,
+      event: original.event,
+      payload: original.payload,
+      replayOf: original._id,
+    });
+    await this.enqueue(delivery);
+    return delivery;
+  }
+
+  async enqueue(delivery) {
+    await this.queue.add(
+      { deliveryId: delivery._id.toString() },
+      {
+        attempts: WEBHOOK_MAX_ATTEMPTS,
+        backoff: { type: "exponential", delay: WEBHOOK_BACKOFF_DELAY_MS },
+        removeOnComplete: true,
+        removeOnFail: 100,
+      }
+    );
+  }
+
+  /**
+   * Bull processor: sign and POST one delivery. Throws on non-2xx so Bull retries.
+   */
+  async processDelivery(job) {
+    const delivery = await WebhookDelivery.findById(job.data.deliveryId);
+    if (!delivery) {
+      logger.warn("WEBHOOK_DELIVERY_MISSING", `Delivery ${job.data.deliveryId} no longer exists`);
+      return { skipped: true };
+    }
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpointId).select("+secret");
+    if (!endpoint || !endpoint.active) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = null;
+      delivery.attempts.push({ error: "Endpoint was deleted or disabled" });
+      await delivery.save();
+      return { skipped: true };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = new Date();
+    const signature = new Webhook(endpoint.secret).sign(
+      delivery.deliveryId,
+      timestamp,
+      body
+    );
+
+    const startedAt = Date.now();
+    const attempt = {};
+    try {
+      // Re-checked on every attempt: the host may resolve differently since
+      // the endpoint was registered
+      await assertPublicUrl(endpoint.url);
+      const response = await axios.post(endpoint.url, body, {
+        ...PUBLIC_REQUEST_OPTIONS,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "Cazalead-Webhooks/1.0",
+          "webhook-id": delivery.deliveryId,
+          "webhook-timestamp": Math.floor(timestamp.getTime() / 1000).toString(),
+          "webhook-signature": signature,
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+        responseType: "text",
+        transformResponse: (data) => data,
+        validateStatus: () => true,
+      });
+      attempt.statusCode = response.status;
+      attempt.responseBody =
+        typeof response.data === "string"
+          ? response.data.slice(0, RESPONSE_BODY_LOG_LIMIT)
+          : null;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `Receiver responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+    attempt.attemptedAt = new Date();
+
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = "success";
+      delivery.deliveredAt = attempt.attemptedAt;
+      delivery.nextAttemptAt = null;
+      await delivery.save();
+      await WebhookEndpoint.updateOne(
+        { _id: endpoint._id },
+        {
+          lastDeliveryAt: attempt.attemptedAt,
+          lastDeliveryStatus: "success",
+          consecutiveFailures: 0,
+        }
+      );
+      return { statusCode: attempt.statusCode };
+    }
+
+    // job.attemptsMade counts previous failed attempts only
+    const attemptsMade = job.attemptsMade + 1;
+    const isFinalAttempt = attemptsMade >= (job.opts.attempts || 1);
+
+    delivery.status = isFinalAttempt ? "failed" : "retrying";
+    delivery.nextAttemptAt = isFinalAttempt
+      ? null
+      : new Date(Date.now() + (Math.pow(2, attemptsMade) - 1) * WEBHOOK_BACKOFF_DELAY_MS);
+    await delivery.save();
+
+    await WebhookEndpoint.updateOne(
+      { _id: endpoint._id },
+      {
+        lastDeliveryAt: attempt.attemptedAt,
+        lastDeliveryStatus: "failed",
+        $inc: { consecutiveFailures: 1 },
+      }
+    );
+
+    logger.warn("WEBHOOK_DELIVERY_FAILED", `Delivery ${delivery.deliveryId} attempt ${attemptsMade} failed`, {
+      endpointId: endpoint._id.toString(),
+      statusCode: attempt.statusCode,
+      error: attempt.error,
+      willRetry: !isFinalAttempt,
+    });
+
+    throw new Error(attempt.error);
+  }
+
+  // Called only in worker.js — never in the API server
+  startWorker() {
+    this.queue.on("error", (err) => {
+      logger.error("WEBHOOK_QUEUE_ERROR", "Webhook queue Redis error", err);
+    });
+    this.queue.process(WEBHOOK_WORKERS, (job) => this.processDelivery(job));
+    logger.info("WEBHOOK_WORKER_STARTED", `Webhook delivery worker started with concurrency ${WEBHOOK_WORKERS}`);
+  }
+}
+
+// Export singleton instance
+const webhookDeliveryService = new WebhookDeliveryService();
+export { webhookQueue };
+export default webhookDeliveryService;
@@ -0,0 +1,141 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { startMockCrmServer, MOCK_TOKEN } from "./mockCrmServer.js";
+
+// Read when the connector module loads, so set before importing it
+process.env.CRM_RECORD_RETRY_DELAY_MS = "0";
+const { createConnector, CrmConnectorError } = await import("../services/crmConnectors/index.js");
+
+const BAKERY = {
+  place_id: "mock-place-1",
+  name: "Mock Bakery",
+  phone: "+1 555 0100",
+  website: "https://www.mockbakery.example",
+  address: "1 Main St",
+  email: ["hello@mockbakery.example"],
+};
+const GARAGE = { place_id: "mock-place-2", name: "Mock Garage", email: [] };
+
+describe("CRM connectors", () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockCrmServer({ restHeader: { name: "X-Api-Key", value: "secret" } });
+  });
+
+  after(() => mock.close());
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+  });
+
+  const connect = (type, overrides = {}) => {
+    const connections = {
+      hubspot: { credentials: { accessToken: MOCK_TOKEN }, baseUrl: mock.urls.hubspot },
+      pipedrive: { credentials: { apiToken: MOCK_TOKEN }, baseUrl: mock.urls.pipedrive },
+      rest: {
+        credentials: { headers: { "X-Api-Key": "secret" } },
+        settings: { url: mock.urls.rest, authCheckUrl: mock.urls.restAuthCheck },
+      },
+    };
+    const { baseUrl, ...connection } = { type, ...connections[type], ...overrides };
+    return createConnector(connection, { baseUrl, allowPrivateUrls: true });
+  };
+
+  describe("hubspot", () => {
+    it("creates a company with its contacts, then updates it", async () => {
+      const connector = connect("hubspot");
+      assert.deepEqual(await connector.authenticate(), { verified: true });
+
+      const created = await connector.pushRecord(BAKERY);
+      assert.equal(created.status, "created");
+      const company = mock.store.companies.get(created.externalId);
+      assert.equal(company.properties.domain, "mockbakery.example");
+      assert.ok(mock.store.contacts.has("hello@mockbakery.example"));
+      assert.deepEqual(mock.store.associations.at(-1).companyId, created.externalId);
+
+      const updated = await connector.pushRecord(BAKERY);
+      assert.equal(updated.status, "updated");
+      assert.equal(updated.externalId, created.externalId);
+    });
+
+    it("stops the push on rejected credentials", async () => {
+      const connector = connect("hubspot", { credentials: { accessToken: "wrong" } });
+      await assert.rejects(connector.pushRecord(GARAGE), (error) => {
+        assert.ok(error instanceof CrmConnectorError);
+        assert.equal(error.statusCode, 401);
+        return true;
+      });
+    });
+  });
+
+  describe("pipedrive", () => {
+    it("creates an organization and person, then updates them", async () => {
+      const connector = connect("pipedrive");
+      assert.equal((await connector.authenticate()).account, "mock");
+
+      const created = await connector.pushRecord(BAKERY);
+      assert.equal(created.status, "created");
+      const [person] = mock.store.persons.values();
+      assert.equal(String(person.org_id), created.externalId);
+
+      const updated = await connector.pushRecord(BAKERY);
+      assert.equal(updated.status, "updated");
+      assert.equal(updated.externalId, created.externalId);
+      assert.equal(mock.store.persons.size, 1);
+    });
+  });
+
+  describe("rest", () => {
+    it("sends the secret headers and records created, then updated", async () => {
+      const connector = connect("rest");
+      assert.deepEqual(await connector.authenticate(), { verified: true });
+
+      assert.equal((await connector.pushRecord(GARAGE)).status, "created");
+      assert.equal((await connector.pushRecord(GARAGE)).status, "updated");
+    });
+
+    it("skips the record when the endpoint is private and private URLs are not allowed", async () => {
+      const connector = createConnector({
+        type: "rest",
+        credentials: {},
+        settings: { url: mock.urls.rest },
+      });
+      const outcome = await connector.pushRecord(GARAGE);
+      assert.equal(outcome.status, "failed");
+      assert.match(outcome.error, /blocked/);
+      assert.equal(mock.requests.length, 0);
+    });
+  });
+
+  describe("retries", () => {
+    it("retries a record after a retryable error", async () => {
+      const connector = connect("rest");
+      mock.failNext("rest", 503);
+
+      const outcome = await connector.pushRecord({ ...GARAGE, place_id: "retry-1" });
+      assert.equal(outcome.status, "created");
+      assert.equal(mock.requests.length, 2);
+    });
+
+    it("gives up on a record after the retries run out", async () => {
+      const connector = connect("rest");
+      mock.failNext("rest", 502, 3);
+
+      const outcome = await connector.pushRecord({ ...GARAGE, place_id: "retry-2" });
+      assert.equal(outcome.status, "failed");
+      assert.match(outcome.error, /HTTP 502/);
+      assert.equal(mock.requests.length, 3);
+    });
+
+    it("does not retry a rejected record", async () => {
+      const connector = connect("rest");
+      mock.failNext("rest", 422);
+
+      const outcome = await connector.pushRecord({ ...GARAGE, place_id: "retry-3" });
+      assert.equal(outcome.status, "failed");
+      assert.match(outcome.error, /HTTP 422/);
+      assert.equal(mock.requests.length, 1);
+    });
+  });
+});
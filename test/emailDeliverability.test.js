@@ -0,0 +1,193 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DomainPostureCache,
+  classifyMxProvider,
+  parseDmarc,
+  parseSpf,
+  scoreDeliverability,
+  scoreVerificationDetails,
+} from "../services/utils/emailDeliverability.js";
+
+const dnsError = (code) => Object.assign(new Error(`query ${code}`), { code });
+
+/**
+ * dns.promises stand-in. zones maps a name to { mx, txt, a }; an Error value
+ * is thrown, a missing record type answers ENODATA.
+ */
+const createResolver = (zones) => {
+  const calls = [];
+  const answer = (type) => async (name) => {
+    calls.push(`${type} ${name}`);
+    const value = zones[name]?.[type];
+    if (value instanceof Error) throw value;
+    if (value === undefined) throw dnsError("ENODATA");
+    return value;
+  };
+  return {
+    calls,
+    resolveMx: answer("mx"),
+    resolveTxt: answer("txt"),
+    resolve4: answer("a"),
+  };
+};
+
+const ZONES = {
+  "hosted.example": {
+    mx: [
+      { exchange: "alt1.aspmx.l.google.com", priority: 5 },
+      { exchange: "aspmx.l.google.com", priority: 1 },
+    ],
+    txt: [["v=spf1 include:_spf.google.com ", "-all"], ["google-site-verification=abc"]],
+  },
+  "_dmarc.hosted.example": { txt: [["v=DMARC1; p=reject; rua=mailto:d@hosted.example"]] },
+  "self.example": {
+    mx: [{ exchange: "mail.self.example", priority: 10 }],
+    txt: [["v=spf1 mx ~all"]],
+  },
+  "_dmarc.self.example": { txt: [["v=DMARC1; p=none"]] },
+  "bare.example": { mx: [], a: ["203.0.113.7"] },
+  "nomail.example": { mx: dnsError("ENOTFOUND"), a: dnsError("ENOTFOUND") },
+  "broken.example": { mx: dnsError("ESERVFAIL"), txt: dnsError("ESERVFAIL") },
+};
+
+const postureOf = (domain) => new DomainPostureCache({ resolver: createResolver(ZONES) }).get(domain);
+
+describe("parseSpf", () => {
+  it("reads the all qualifier as the policy", () => {
+    assert.equal(parseSpf(["v=spf1 mx -all"]).policy, "fail");
+    assert.equal(parseSpf(["v=spf1 mx ~all"]).policy, "softfail");
+    assert.equal(parseSpf(["v=spf1 mx ?all"]).policy, "neutral");
+    assert.equal(parseSpf(["v=spf1 mx +all"]).policy, "pass");
+    assert.equal(parseSpf(["v=spf1 mx"]).policy, "neutral");
+  });
+
+  it("reports a missing record", () => {
+    assert.deepEqual(parseSpf(["google-site-verification=abc", "v=spf10"]), {
+      present: false,
+      policy: null,
+      record: null,
+    });
+  });
+});
+
+describe("parseDmarc", () => {
+  it("reads the p= policy", () => {
+    assert.equal(parseDmarc(["v=DMARC1; p=quarantine; pct=50"]).policy, "quarantine");
+    assert.equal(parseDmarc(["v=DMARC1;p=Reject"]).policy, "reject");
+  });
+
+  it("keeps a record without a policy as present", () => {
+    assert.deepEqual(parseDmarc(["v=DMARC1; rua=mailto:d@x.example"]), {
+      present: true,
+      policy: null,
+      record: "v=DMARC1; rua=mailto:d@x.example",
+    });
+  });
+
+  it("reports a missing record", () => {
+    assert.equal(parseDmarc([]).present, false);
+  });
+});
+
+describe("classifyMxProvider", () => {
+  it("tells hosted providers, self-hosted and other servers apart", () => {
+    assert.equal(classifyMxProvider(["ASPMX.L.GOOGLE.COM."], "a.example"), "google_workspace");
+    assert.equal(classifyMxProvider(["a-example.mail.protection.outlook.com"], "a.example"), "microsoft_365");
+    assert.equal(classifyMxProvider(["mx1.a.example"], "www.a.example"), "self_hosted");
+    assert.equal(classifyMxProvider(["mx.isp.example"], "a.example"), "other");
+    assert.equal(classifyMxProvider([], "a.example"), "none");
+  });
+});
+
+describe("DomainPostureCache", () => {
+  it("resolves MX by priority, SPF and DMARC", async () => {
+    const posture = await postureOf("hosted.example");
+    assert.deepEqual(posture.mx_hosts, ["aspmx.l.google.com", "alt1.aspmx.l.google.com"]);
+    assert.equal(posture.mx_provider, "google_workspace");
+    assert.equal(posture.accepts_mail, true);
+    assert.equal(posture.spf.policy, "fail");
+    assert.equal(posture.dmarc.policy, "reject");
+  });
+
+  it("falls back to the A record when there is no MX", async () => {
+    const posture = await postureOf("bare.example");
+    assert.equal(posture.mx_provider, "none");
+    assert.equal(posture.accepts_mail, true);
+    assert.equal(posture.spf.present, false);
+    assert.equal(posture.dmarc.present, false);
+  });
+
+  it("marks a domain without MX or A as not accepting mail", async () => {
+    const posture = await postureOf("nomail.example");
+    assert.equal(posture.mx_provider, "none");
+    assert.equal(posture.accepts_mail, false);
+  });
+
+  it("leaves the posture unknown when lookups fail", async () => {
+    const posture = await postureOf("broken.example");
+    assert.equal(posture.mx_provider, null);
+    assert.equal(posture.accepts_mail, null);
+    assert.equal(posture.spf, null);
+  });
+
+  it("shares one lookup between callers", async () => {
+    const resolver = createResolver(ZONES);
+    const cache = new DomainPostureCache({ resolver });
+    await Promise.all([cache.get("self.example"), cache.get("SELF.example")]);
+    assert.equal(resolver.calls.filter((call) => call === "mx self.example").length, 1);
+  });
+});
+
+describe("scoreDeliverability", () => {
+  it("gives a deliverable address on a fully set up hosted domain 100", async () => {
+    const posture = await postureOf("hosted.example");
+    assert.equal(scoreDeliverability({ result: "deliverable" }, posture), 100);
+  });
+
+  it("scores missing MX, SPF and DMARC lower", async () => {
+    assert.equal(scoreDeliverability({ result: "deliverable" }, await postureOf("bare.example")), 55);
+    assert.equal(scoreDeliverability({ result: "deliverable" }, await postureOf("nomail.example")), 50);
+    // Self-hosted MX, SPF ~all, DMARC p=none
+    assert.equal(scoreDeliverability({ result: "deliverable" }, await postureOf("self.example")), 90);
+  });
+
+  it("scores SMTP results without a posture", () => {
+    assert.equal(scoreDeliverability({ result: "risky" }, null), 20);
+    assert.equal(scoreDeliverability({ result: "something-else" }, null), 15);
+    assert.equal(scoreDeliverability({ result: "undeliverable" }, null), 0);
+  });
+
+  it("takes points off catch-all domains and role accounts", async () => {
+    const posture = await postureOf("hosted.example");
+    assert.equal(scoreDeliverability({ result: "deliverable", catchAll: true }, posture), 85);
+    assert.equal(scoreDeliverability({ result: "risky", reason: "catch-all-domain" }, posture), 55);
+    assert.equal(scoreDeliverability({ result: "deliverable", roleAccount: true }, posture), 90);
+  });
+
+  it("caps disposable domains", async () => {
+    const posture = await postureOf("hosted.example");
+    assert.equal(scoreDeliverability({ result: "deliverable", disposableDomain: true }, posture), 10);
+  });
+});
+
+describe("scoreVerificationDetails", () => {
+  it("scores every detail and carries a catch-all result over to the whole domain", async () => {
+    const cache = new DomainPostureCache({ resolver: createResolver(ZONES) });
+    const details = [
+      { email: "sales@self.example", result: "risky", catchAll: true },
+      { email: "jane@self.example", result: "deliverable" },
+      { email: "info@hosted.example", result: "deliverable", roleAccount: true },
+    ];
+
+    const postures = await scoreVerificationDetails(details, cache);
+
+    assert.deepEqual(
+      details.map(({ score }) => score),
+      [45, 75, 90]
+    );
+    const self = postures.find(({ domain }) => domain === "self.example");
+    assert.equal(self.catch_all, true);
+    assert.equal(postures.length, 2);
+  });
+});
@@ -0,0 +1,257 @@
+import http from "http";
+
+/**
+ * In-memory stand-in for the HubSpot, Pipedrive and REST endpoints the CRM
+ * connectors call. Point a connector at it through the baseUrl option (and
+ * allowPrivateUrls, since it listens on localhost):
+ *
+ *   const mock = await startMockCrmServer();
+ *   createConnector(connection, { baseUrl: mock.urls.hubspot, allowPrivateUrls: true });
+ */
+
+export const MOCK_TOKEN = "mock-token";
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : null);
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on("error", reject);
+  });
+
+const createStore = () => {
+  let nextId = 1;
+  return {
+    companies: new Map(),
+    contacts: new Map(),
+    associations: [],
+    organizations: new Map(),
+    persons: new Map(),
+    records: new Map(),
+    newId: () => String(nextId++),
+  };
+};
+
+const hubspotRoutes = (store) => [
+  [
+    "GET",
+    /^\/crm\/v3\/objects\/companies$/,
+    () => [200, { results: [...store.companies.values()].slice(0, 1) }],
+  ],
+  [
+    "POST",
+    /^\/crm\/v3\/objects\/companies\/search$/,
+    (body) => {
+      const { propertyName, value } = body.filterGroups[0].filters[0];
+      const found = [...store.companies.values()].find((c) => c.properties[propertyName] === value);
+      return [200, { results: found ? [found] : [] }];
+    },
+  ],
+  [
+    "POST",
+    /^\/crm\/v3\/objects\/companies$/,
+    (body) => {
+      const company = { id: store.newId(), properties: body.properties };
+      store.companies.set(company.id, company);
+      return [201, company];
+    },
+  ],
+  [
+    "PATCH",
+    /^\/crm\/v3\/objects\/companies\/(\w+)$/,
+    (body, [id]) => {
+      const company = store.companies.get(id);
+      if (!company) return [404, { message: "Company not found" }];
+      Object.assign(company.properties, body.properties);
+      return [200, company];
+    },
+  ],
+  [
+    "POST",
+    /^\/crm\/v3\/objects\/contacts\/batch\/upsert$/,
+    (body) => {
+      const results = body.inputs.map(({ id: email, properties }) => {
+        const contact = store.contacts.get(email) || { id: store.newId(), properties: {} };
+        Object.assign(contact.properties, properties);
+        store.contacts.set(email, contact);
+        return contact;
+      });
+      return [200, { results }];
+    },
+  ],
+  [
+    "PUT",
+    /^\/crm\/v4\/objects\/contacts\/(\w+)\/associations\/default\/companies\/(\w+)$/,
+    (body, [contactId, companyId]) => {
+      store.associations.push({ contactId, companyId });
+      return [200, { status: "COMPLETE" }];
+    },
+  ],
+];
+
+const pipedriveSearch = (items, field, term) => {
+  const found = [...items.values()].find((item) =>
+    field === "email" ? item.email?.some(({ value }) => value === term) : item[field] === term
+  );
+  return [200, { success: true, data: { items: found ? [{ item: found }] : [] } }];
+};
+
+const pipedriveRoutes = (store) => [
+  ["GET", /^\/users\/me$/, () => [200, { success: true, data: { company_domain: "mock" } }]],
+  [
+    "GET",
+    /^\/organizations\/search$/,
+    (body, match, query) => pipedriveSearch(store.organizations, "name", query.get("term")),
+  ],
+  [
+    "GET",
+    /^\/persons\/search$/,
+    (body, match, query) => pipedriveSearch(store.persons, "email", query.get("term")),
+  ],
+  ...[
+    ["organizations", store.organizations],
+    ["persons", store.persons],
+  ].flatMap(([collection, items]) => [
+    [
+      "POST",
+      new RegExp(`^/${collection}$`),
+      (body) => {
+        const item = { id: Number(store.newId()), ...body };
+        items.set(item.id, item);
+        return [201, { success: true, data: item }];
+      },
+    ],
+    [
+      "PUT",
+      new RegExp(`^/${collection}/(\\d+)$`),
+      (body, [id]) => {
+        const item = items.get(Number(id));
+        if (!item) return [404, { success: false, error: "Not found" }];
+        Object.assign(item, body);
+        return [200, { success: true, data: item }];
+      },
+    ],
+  ]),
+];
+
+const restRoutes = (store) => [
+  ["GET", /^\/auth$/, () => [200, { ok: true }]],
+  ...["POST", "PUT", "PATCH"].map((method) => [
+    method,
+    /^\/records$/,
+    (body) => {
+      const key = body.place_id || body.name || JSON.stringify(body);
+      const existing = store.records.get(key);
+      const record = { id: existing?.id || store.newId(), ...body };
+      store.records.set(key, record);
+      return [existing ? 200 : 201, record];
+    },
+  ]),
+];
+
+const isAuthorized = (service, req, query, tokens) => {
+  if (service === "hubspot") return req.headers.authorization === `Bearer ${tokens.accessToken}`;
+  if (service === "pipedrive") return query.get("api_token") === tokens.apiToken;
+  if (!tokens.restHeader) return true;
+  return req.headers[tokens.restHeader.name.toLowerCase()] === tokens.restHeader.value;
+};
+
+/**
+ * Start the mock server
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - 0 picks a free port
+ * @param {string} [options.accessToken] - HubSpot token to accept
+ * @param {string} [options.apiToken] - Pipedrive token to accept
+ * @param {Object} [options.restHeader] - { name, value } the REST endpoint requires, if any
+ * @returns {Promise<Object>} { urls, requests, store, failNext, close }. urls
+ *   holds a base URL per connector type, plus restAuthCheck for
+ *   settings.authCheckUrl; requests lists every request served; failNext(service,
+ *   status, count = 1) answers that service's next requests with an error.
+ */
+export const startMockCrmServer = async ({
+  port = 0,
+  accessToken = MOCK_TOKEN,
+  apiToken = MOCK_TOKEN,
+  restHeader = null,
+} = {}) => {
+  const store = createStore();
+  const requests = [];
+  const routes = {
+    hubspot: hubspotRoutes(store),
+    pipedrive: pipedriveRoutes(store),
+    rest: restRoutes(store),
+  };
+  const tokens = { accessToken, apiToken, restHeader };
+  // service -> statuses to answer its next requests with
+  const failures = {};
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, payload) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    };
+
+    const url = new URL(req.url, "http://localhost");
+    const [, service, ...rest] = url.pathname.split("/");
+    const path = `/${rest.join("/")}`.replace(/^\/v1(?=\/)/, "");
+
+    let body;
+    try {
+      body = await readBody(req);
+    } catch (error) {
+      return send(400, { message: "Invalid JSON body" });
+    }
+    requests.push({
+      service,
+      method: req.method,
+      path,
+      query: Object.fromEntries(url.searchParams),
+      body,
+    });
+
+    if (!routes[service]) return send(404, { message: `Unknown service ${service}` });
+    if (failures[service]?.length) {
+      return send(failures[service].shift(), { message: "Injected failure" });
+    }
+    if (!isAuthorized(service, req, url.searchParams, tokens)) {
+      return send(401, { message: "Invalid credentials" });
+    }
+
+    for (const [method, pattern, handler] of routes[service]) {
+      const match = req.method === method && pattern.exec(path);
+      if (match) {
+        const [status, payload] = handler(body, match.slice(1), url.searchParams);
+        return send(status, payload);
+      }
+    }
+    send(404, { message: `No mock for ${req.method} ${path}` });
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  const root = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    urls: {
+      hubspot: `${root}/hubspot`,
+      pipedrive: `${root}/pipedrive/v1`,
+      rest: `${root}/rest/records`,
+      restAuthCheck: `${root}/rest/auth`,
+    },
+    requests,
+    store,
+    failNext: (service, status, count = 1) => {
+      failures[service] = [...(failures[service] || []), ...Array(count).fill(status)];
+    },
+    close: () =>
+      new Promise((resolve) => {
+        server.close(resolve);
+        server.closeAllConnections();
+      }),
+  };
+};
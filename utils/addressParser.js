@@ -0,0 +1,217 @@
+import { City, Country, State } from "country-state-city";
+
+// Postal code formats for countries we scrape most; others fall back to a
+// plain 4-6 digit group
+const POSTAL_CODE_PATTERNS = {
+  US: /\b\d{5}(?:-\d{4})?\b/,
+  CA: /\b[A-Z]\d[A-Z] ?\d[A-Z]\d\b/i,
+  GB: /\b[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}\b/i,
+  IE: /\b[A-Z]\d{2} ?[A-Z\d]{4}\b/i,
+  NL: /\b\d{4} ?[A-Z]{2}\b/i,
+  BR: /\b\d{5}-?\d{3}\b/,
+  JP: /\b\d{3}-\d{4}\b/,
+  PT: /\b\d{4}-\d{3}\b/,
+  PL: /\b\d{2}-\d{3}\b/,
+  SE: /\b\d{3} ?\d{2}\b/,
+  IN: /\b\d{3} ?\d{3}\b/,
+  SG: /\b\d{6}\b/,
+  CN: /\b\d{6}\b/,
+  RU: /\b\d{6}\b/,
+  AU: /\b\d{4}\b/,
+  AT: /\b\d{4}\b/,
+  BE: /\b\d{4}\b/,
+  CH: /\b\d{4}\b/,
+  DK: /\b\d{4}\b/,
+  NO: /\b\d{4}\b/,
+  NZ: /\b\d{4}\b/,
+  ZA: /\b\d{4}\b/,
+  DE: /\b\d{5}\b/,
+  FR: /\b\d{5}\b/,
+  ES: /\b\d{5}\b/,
+  IT: /\b\d{5}\b/,
+  MX: /\b\d{5}\b/,
+};
+const FALLBACK_POSTAL_CODE_PATTERN = /\b\d{4,6}\b/;
+
+// Country spellings Google uses besides the country-state-city name
+const COUNTRY_ALIASES = {
+  US: ["usa", "united states of america"],
+  GB: ["uk", "great britain", "england", "scotland", "wales", "northern ireland"],
+  AE: ["uae"],
+};
+
+// How much each component contributes to address_confidence
+const CONFIDENCE_WEIGHTS = {
+  street: 0.2,
+  locality: 0.25,
+  guessedLocality: 0.1,
+  region: 0.2,
+  postalCode: 0.25,
+  country: 0.1,
+  inferredCountry: 0.05,
+};
+
+const normalize = (text) =>
+  String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Per-country lookup tables; building them scans the whole city list, so
+// each country is built once per process
+const countryLookups = new Map();
+
+const getCountryLookup = (countryCode) => {
+  if (countryLookups.has(countryCode)) return countryLookups.get(countryCode);
+
+  const country = Country.getCountryByCode(countryCode);
+  if (!country) return null;
+
+  const states = new Map();
+  for (const state of State.getStatesOfCountry(countryCode)) {
+    states.set(normalize(state.name), state.name);
+    // Abbreviations like "CA" are only matched when written in capitals;
+    // numeric subdivision codes would collide with house numbers
+    if (/^[A-Z]{2,3}$/.test(state.isoCode)) states.set(state.isoCode, state.name);
+  }
+
+  const cities = new Set(
+    (City.getCitiesOfCountry(countryCode) || []).map((city) => normalize(city.name))
+  );
+
+  const lookup = { states, cities };
+  countryLookups.set(countryCode, lookup);
+  return lookup;
+};
+
+const findCountryByName = (text) => {
+  const name = normalize(text);
+  for (const [code, aliases] of Object.entries(COUNTRY_ALIASES)) {
+    if (aliases.includes(name)) return code;
+  }
+  return Country.getAllCountries().find((country) => normalize(country.name) === name)?.isoCode || null;
+};
+
+const emptyAddress = () => ({
+  address_street: null,
+  address_locality: null,
+  address_region: null,
+  address_postal_code: null,
+  address_country: null,
+  address_confidence: null,
+});
+
+/**
+ * Split a one-line address as Google shows it ("1 Market St, San Francisco,
+ * CA 94105, United States") into components, using the job's country for
+ * postal code formats and the country-state-city region and city lists.
+ * address_confidence (0-1) is higher the more components were found, and
+ * lower when the locality was guessed from position rather than a known city.
+ * @param {string} address
+ * @param {string} [countryCode] - ISO 3166-1 alpha-2 country of the search
+ * @returns {{address_street: string|null, address_locality: string|null,
+ *   address_region: string|null, address_postal_code: string|null,
+ *   address_country: string|null, address_confidence: number|null}}
+ */
+export const parseAddress = (address, countryCode) => {
+  const parsed = emptyAddress();
+  if (!address || typeof address !== "string") return parsed;
+
+  const parts = address
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+  if (parts.length === 0) return parsed;
+
+  let confidence = 0;
+
+  // Country: trailing part when it names one (searches near a border find
+  // businesses across it), else the job's country
+  let country = countryCode ? countryCode.toUpperCase() : null;
+  const trailingCountry = parts.length > 1 ? findCountryByName(parts[parts.length - 1]) : null;
+  if (trailingCountry) {
+    country = trailingCountry;
+    parts.pop();
+    confidence += CONFIDENCE_WEIGHTS.country;
+  } else if (country) {
+    confidence += CONFIDENCE_WEIGHTS.inferredCountry;
+  }
+  const lookup = country ? getCountryLookup(country) : null;
+  if (country && !lookup) country = null;
+  parsed.address_country = country;
+
+  // Postal code: searched right to left, never in the first part (house
+  // numbers look like postal codes)
+  const postalPattern = POSTAL_CODE_PATTERNS[country] || FALLBACK_POSTAL_CODE_PATTERN;
+  let anchorIndex = -1;
+  for (let i = parts.length - 1; i >= (parts.length > 1 ? 1 : 0); i--) {
+    const match = parts[i].match(postalPattern);
+    if (!match) continue;
+    parsed.address_postal_code = match[0].toUpperCase();
+    parts[i] = parts[i].replace(match[0], "").replace(/\s+/g, " ").trim();
+    anchorIndex = i;
+    confidence += CONFIDENCE_WEIGHTS.postalCode;
+    break;
+  }
+
+  // Region: a whole part (or what is left of the postal code part) naming one
+  // of the country's states or provinces
+  let regionIndex = -1;
+  if (lookup) {
+    for (let i = parts.length - 1; i >= 1; i--) {
+      if (!parts[i]) continue;
+      const region = lookup.states.get(parts[i]) || lookup.states.get(normalize(parts[i]));
+      if (!region) continue;
+      parsed.address_region = region;
+      regionIndex = i;
+      confidence += CONFIDENCE_WEIGHTS.region;
+      break;
+    }
+  }
+  if (regionIndex > anchorIndex) anchorIndex = regionIndex;
+
+  // Locality: the nearest known city left of the region/postal code. City
+  // states ("Berlin") name both, so the region part itself is tried last.
+  const searchEnd = anchorIndex === -1 ? parts.length - 1 : anchorIndex;
+  const isCandidate = (i) => parts[i] && i !== regionIndex;
+  let localityIndex = -1;
+  if (lookup) {
+    for (let i = searchEnd; i >= 1; i--) {
+      if (isCandidate(i) && lookup.cities.has(normalize(parts[i]))) {
+        localityIndex = i;
+        break;
+      }
+    }
+    if (localityIndex === -1 && regionIndex !== -1 && lookup.cities.has(normalize(parts[regionIndex]))) {
+      localityIndex = regionIndex;
+    }
+  }
+  if (localityIndex !== -1) {
+    confidence += CONFIDENCE_WEIGHTS.locality;
+  } else {
+    // No known city: take the part right before the region/postal code
+    for (let i = searchEnd; i >= 1; i--) {
+      if (isCandidate(i)) {
+        localityIndex = i;
+        confidence += CONFIDENCE_WEIGHTS.guessedLocality;
+        break;
+      }
+    }
+  }
+  if (localityIndex !== -1) {
+    parsed.address_locality = parts[localityIndex];
+  }
+
+  // Street: everything before the locality
+  const streetEnd = localityIndex !== -1 ? localityIndex : anchorIndex !== -1 ? anchorIndex : 1;
+  const street = parts.slice(0, streetEnd).filter(Boolean).join(", ");
+  if (street) {
+    parsed.address_street = street;
+    confidence += CONFIDENCE_WEIGHTS.street;
+  }
+
+  parsed.address_confidence = Math.round(confidence * 100) / 100;
+  return parsed;
+};
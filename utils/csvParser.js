@@ -0,0 +1,76 @@
+/**
+ * Minimal RFC 4180 CSV parser for small uploads.
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings.
+ * @param {string} text - Raw CSV content
+ * @returns {string[][]} Rows of fields
+ */
+export const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Strip UTF-8 BOM added by Excel
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by header name
+ * @param {string} text - Raw CSV content
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+export const parseCsv = (text) => {
+  const [headerRow = [], ...dataRows] = parseCsvRows(text);
+  const headers = headerRow.map((header) => header.trim());
+
+  const records = dataRows.map((values) =>
+    headers.reduce((record, header, index) => {
+      const value = values[index];
+      record[header] = value === undefined ? "" : value.trim();
+      return record;
+    }, {})
+  );
+
+  return { headers, records };
+};
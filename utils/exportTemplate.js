@@ -0,0 +1,107 @@
+import { getResultKey, formatDeltaChanges } from "./resultExport.js";
+import { normalizePhone } from "./phoneFormat.js";
+
+// Used where a fixed column set is needed and the user picked no template
+export const DEFAULT_EXPORT_TEMPLATE = {
+  columns: [
+    "name",
+    "category",
+    "address",
+    "phone",
+    "website",
+    "email",
+    "email_status",
+    "rating",
+    "rating_count",
+    "url",
+  ].map((field) => ({ field })),
+  phoneFormat: "raw",
+  defaultCountryCode: null,
+  emailMode: "joined",
+  emailSeparator: ", ",
+};
+
+// Template fields that are derived from the record rather than read from it
+const COMPUTED_FIELDS = {
+  business_id: (record) => getResultKey(record),
+  reviews_count: (record) =>
+    Array.isArray(record.filtered_reviews) ? record.filtered_reviews.length : 0,
+  delta_changes: (record) => formatDeltaChanges(record.delta_changes),
+};
+
+// Per-address arrays, index-aligned with record.email
+const EMAIL_FIELDS = ["email", "email_status", "email_source", "email_score"];
+
+const getPath = (record, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), record);
+
+const toFlatValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    return value.every((item) => item === null || typeof item !== "object")
+      ? value.join("; ")
+      : JSON.stringify(value);
+  }
+  if (typeof value === "object" && !(value instanceof Date)) return JSON.stringify(value);
+  return value;
+};
+
+/**
+ * Turn a saved export template into a row formatter
+ * @param {Object} template - ExportTemplate document
+ * @param {Object} [context]
+ * @param {string} [context.countryCode] - Country of the job, for E.164 phones
+ * @returns {{ headers: string[], toRows: (record: Object) => Object[] }}
+ */
+export const createTemplateFormatter = (template, { countryCode } = {}) => {
+  const columns = template.columns.map(({ field, header }) => ({
+    field,
+    header: header || field,
+  }));
+  const phoneCountry = countryCode || template.defaultCountryCode;
+
+  const readField = (record, field, emailIndex) => {
+    if (COMPUTED_FIELDS[field]) return COMPUTED_FIELDS[field](record);
+
+    if (EMAIL_FIELDS.includes(field) && emailIndex !== null) {
+      return (Array.isArray(record[field]) ? record[field][emailIndex] : record[field]) ?? null;
+    }
+    if (EMAIL_FIELDS.includes(field)) {
+      const values = Array.isArray(record[field]) ? record[field] : [record[field]];
+      return values.filter(Boolean).join(template.emailSeparator ?? ", ");
+    }
+
+    if (field === "phone" && template.phoneFormat === "e164") {
+      // Records scraped before phone normalization have no phone_e164; fall
+      // back to the text as scraped rather than dropping the number
+      return (
+        record.phone_e164 ||
+        normalizePhone(record.phone, phoneCountry).phone_e164 ||
+        record.phone ||
+        null
+      );
+    }
+
+    return toFlatValue(getPath(record, field));
+  };
+
+  const toRow = (record, emailIndex) => {
+    const row = {};
+    for (const { field, header } of columns) {
+      row[header] = readField(record, field, emailIndex);
+    }
+    return row;
+  };
+
+  return {
+    headers: columns.map(({ header }) => header),
+    toRows(record) {
+      if (template.emailMode !== "exploded") return [toRow(record, null)];
+
+      const emailCount = Array.isArray(record.email) ? record.email.length : record.email ? 1 : 0;
+      // Businesses without an email still get one row
+      if (emailCount === 0) return [toRow(record, null)];
+      return Array.from({ length: emailCount }, (_, index) => toRow(record, index));
+    },
+  };
+};
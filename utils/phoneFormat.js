@@ -0,0 +1,39 @@
+// The "max" metadata is needed for line types (mobile / fixed / toll-free)
+import { parsePhoneNumberFromString } from "libphonenumber-js/max";
+
+/**
+ * Parse a scraped phone number against the country it was found in.
+ * Line type follows the numbering plan: "mobile", "fixed", "toll_free", other
+ * plan types lowercased, or "fixed_or_mobile" where the plan cannot tell
+ * (e.g. US/CA). null when unknown.
+ * @param {string} phone - Number as Google shows it
+ * @param {string} [countryCode] - ISO 3166-1 alpha-2 country the number is local to
+ * @returns {{phone_e164: string|null, phone_national: string|null, phone_type: string|null, phone_valid: boolean|null}}
+ *   phone_valid is null when there is no number at all
+ */
+export const normalizePhone = (phone, countryCode) => {
+  if (!phone) {
+    return { phone_e164: null, phone_national: null, phone_type: null, phone_valid: null };
+  }
+
+  let parsed;
+  try {
+    parsed = parsePhoneNumberFromString(String(phone), {
+      defaultCountry: countryCode ? countryCode.toUpperCase() : undefined,
+    });
+  } catch {
+    parsed = undefined;
+  }
+
+  if (!parsed || !parsed.isPossible()) {
+    return { phone_e164: null, phone_national: null, phone_type: null, phone_valid: false };
+  }
+
+  const type = parsed.getType();
+  return {
+    phone_e164: parsed.number,
+    phone_national: parsed.formatNational(),
+    phone_type: type ? type.toLowerCase().replace("fixed_line", "fixed") : null,
+    phone_valid: parsed.isValid(),
+  };
+};
@@ -0,0 +1,469 @@
+import { Parser } from "json2csv";
+import ExcelJS from "exceljs";
+import { normalizeUrl, extractPlaceId } from "../services/redisUrlTracker.js";
+
+// ?format= values accepted by the job and campaign download endpoints
+export const EXPORT_FORMATS = ["csv", "xlsx", "json", "ndjson"];
+
+const CSV_EOL = "\n";
+const CSV_WRITE_BATCH_SIZE = 500;
+
+// Excel rejects longer cell values
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+// Replace characters that break CSV viewers such as Excel
+const sanitizeReviewText = (text) => {
+  if (!text) return "";
+
+  return text
+    // Remove or replace problematic Unicode characters
+    .replace(/[\u201C\u201D]/g, '"') // Replace smart quotes with regular quotes
+    .replace(/[\u2018\u2019]/g, "'") // Replace smart apostrophes with regular apostrophes
+    .replace(/[\u2013\u2014]/g, "-") // Replace en-dash and em-dash with regular dash
+    .replace(/[\u2026]/g, "...") // Replace ellipsis with three dots
+    .replace(/[\u00A0]/g, " ") // Replace non-breaking space with regular space
+    // Remove other problematic characters
+    .replace(/[^\x20-\x7E\u00A0-\u00FF\u0100-\u017F\u0180-\u024F\u1E00-\u1EFF]/g, "")
+    // Clean up multiple spaces
+    .replace(/\s+/g, " ")
+    // Trim whitespace
+    .trim();
+};
+
+/**
+ * Delta mode changes as text: "phone: old -> new; website: old -> new"
+ * @param {Object} changes - record.delta_changes
+ * @returns {string|null}
+ */
+export const formatDeltaChanges = (changes) => {
+  if (!changes || typeof changes !== "object") return changes ?? null;
+  return Object.entries(changes)
+    .map(([field, { from, to }]) => `${field}: ${from ?? ""} -> ${to ?? ""}`)
+    .join("; ");
+};
+
+// Record fields as single values: email arrays joined, delta changes as text
+const flattenBusinessFields = (row) => {
+  const processedRow = { ...row };
+
+  // Remove email_verification field from the data
+  delete processedRow.email_verification;
+
+  // opening_hours_text carries the same schedule as one column
+  delete processedRow.opening_hours;
+
+  // One column per network: social_facebook, social_instagram, ..., contact_form
+  if (processedRow.socials !== undefined) {
+    const socials = processedRow.socials || {};
+    delete processedRow.socials;
+    for (const [key, url] of Object.entries(socials)) {
+      processedRow[key === "contact_form" ? key : `social_${key}`] = url;
+    }
+  }
+
+  // "Jane Doe (Owner) <jane@example.com>; ..." - the XLSX Contacts sheet has them in full
+  if (Array.isArray(processedRow.contacts)) {
+    processedRow.contacts = processedRow.contacts
+      .map((contact) =>
+        [contact.name, contact.title && `(${contact.title})`, contact.email && `<${contact.email}>`]
+          .filter(Boolean)
+          .join(" ")
+      )
+      .join("; ");
+  }
+
+  for (const field of ["owner_identities", "website_technologies"]) {
+    if (Array.isArray(processedRow[field])) {
+      processedRow[field] = processedRow[field].join(", ");
+    }
+  }
+
+  // Convert email array to comma-separated string AFTER processing email_status
+  if (processedRow.email && Array.isArray(processedRow.email)) {
+    processedRow.email =
+      processedRow.email.length > 0 ? processedRow.email.join(", ") : "";
+  }
+
+  for (const field of ["email_status", "email_source", "email_score"]) {
+    if (processedRow[field] && Array.isArray(processedRow[field])) {
+      processedRow[field] =
+        processedRow[field].length > 0 ? processedRow[field].join(", ") : "";
+    }
+  }
+
+  if (processedRow.delta_changes && typeof processedRow.delta_changes === "object") {
+    processedRow.delta_changes = formatDeltaChanges(processedRow.delta_changes);
+  }
+
+  return processedRow;
+};
+
+/**
+ * Flatten one scraped record into a CSV row: joins email arrays, writes
+ * delta changes as text and spreads up to 2 filtered reviews into columns.
+ * @param {Object} row - Stored job record
+ * @returns {Object} Flat row
+ */
+export const flattenResultRow = (row) => {
+  const processedRow = flattenBusinessFields(row);
+
+  if (row.filtered_reviews && Array.isArray(row.filtered_reviews)) {
+    // Extract up to 2 reviews with all their details
+    const review1 = row.filtered_reviews[0];
+    const review2 = row.filtered_reviews[1];
+
+    return {
+      ...processedRow,
+      reviews_count: row.filtered_reviews.length,
+      review_1_date: review1?.date || "",
+      review_1_rating: review1?.rating || "",
+      reviewer_1_name: review1?.reviewerName || "",
+      review_1_text: sanitizeReviewText(review1?.text),
+      review_2_date: review2?.date || "",
+      review_2_rating: review2?.rating || "",
+      reviewer_2_name: review2?.reviewerName || "",
+      review_2_text: sanitizeReviewText(review2?.text),
+    };
+  }
+  return processedRow;
+};
+
+/**
+ * Identity of a business across jobs: the Maps place ID from its URL,
+ * falling back to name + address when there is no usable URL.
+ * @param {Object} row - Stored job record
+ * @returns {string}
+ */
+export const getResultKey = (row) => {
+  const placeId = row.place_id || extractPlaceId(row.url);
+  if (placeId) return placeId;
+  if (row.url) return normalizeUrl(row.url);
+  return `${(row.name || "").trim().toLowerCase()}|${(row.address || "").trim().toLowerCase()}`;
+};
+
+/**
+ * Drop repeated businesses from a stream of records, keeping the first occurrence
+ * @param {AsyncIterable<Object>} records
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* dedupeResultStream(records) {
+  const seen = new Set();
+  for await (const row of records) {
+    const key = getResultKey(row);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    yield row;
+  }
+}
+
+// Thrown out of the record loops when the client has gone away, which ends
+// iteration and closes the underlying cursor
+class ResponseClosedError extends Error {
+  constructor() {
+    super("Client closed the connection");
+    this.name = "ResponseClosedError";
+  }
+}
+
+const assertOpen = (res) => {
+  if (res.destroyed) throw new ResponseClosedError();
+};
+
+// Resolves on drain; rejects if the response closes or errors first, as a
+// disconnected client never drains
+const waitForDrain = (res) =>
+  new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", onClose);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new ResponseClosedError());
+    };
+    res.on("drain", onDrain);
+    res.on("close", onClose);
+    res.on("error", onClose);
+  });
+
+// Respect backpressure so a slow client does not make us buffer the export
+const writeChunk = async (res, chunk) => {
+  assertOpen(res);
+  if (!res.write(chunk)) {
+    assertOpen(res);
+    await waitForDrain(res);
+  }
+};
+
+const hasAnyRecord = async (getRecords) => {
+  for await (const row of getRecords()) {
+    return true;
+  }
+  return false;
+};
+
+// Without fixed columns the records are read twice - once for the column
+// set, once to write
+const sendCsv = async (res, { basename, getRecords, toRow = flattenResultRow, fields = null }) => {
+  let fieldList = fields;
+  if (!fieldList) {
+    const seenFields = new Set();
+    for await (const row of getRecords()) {
+      Object.keys(toRow(row)).forEach((field) => seenFields.add(field));
+    }
+    fieldList = [...seenFields];
+  } else if (!(await hasAnyRecord(getRecords))) {
+    return false;
+  }
+  if (fieldList.length === 0) return false;
+
+  res.header("Content-Type", "text/csv");
+  res.attachment(`${basename}.csv`);
+  await writeChunk(res, new Parser({ fields: fieldList }).parse([]));
+
+  const rowParser = new Parser({ fields: fieldList, header: false });
+  let batch = [];
+  const writeBatch = async () => {
+    const csv = rowParser.parse(batch);
+    batch = [];
+    await writeChunk(res, CSV_EOL + csv);
+  };
+
+  for await (const row of getRecords()) {
+    batch.push(toRow(row));
+    if (batch.length >= CSV_WRITE_BATCH_SIZE) await writeBatch();
+  }
+  if (batch.length > 0) await writeBatch();
+
+  res.end();
+  return true;
+};
+
+// Records as stored, unflattened, in one JSON array
+const sendJson = async (res, { basename, getRecords }) => {
+  if (!(await hasAnyRecord(getRecords))) return false;
+
+  res.header("Content-Type", "application/json");
+  res.attachment(`${basename}.json`);
+
+  let separator = "[\n";
+  for await (const row of getRecords()) {
+    await writeChunk(res, separator + JSON.stringify(row));
+    separator = ",\n";
+  }
+
+  res.end("\n]\n");
+  return true;
+};
+
+// One record per line
+const sendNdjson = async (res, { basename, getRecords }) => {
+  if (!(await hasAnyRecord(getRecords))) return false;
+
+  res.header("Content-Type", "application/x-ndjson");
+  res.attachment(`${basename}.ndjson`);
+
+  for await (const row of getRecords()) {
+    await writeChunk(res, JSON.stringify(row) + "\n");
+  }
+
+  res.end();
+  return true;
+};
+
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "object" && !(value instanceof Date)) {
+    value = JSON.stringify(value);
+  }
+  if (typeof value === "string" && value.length > XLSX_MAX_CELL_LENGTH) {
+    return value.slice(0, XLSX_MAX_CELL_LENGTH);
+  }
+  return value;
+};
+
+// Businesses sheet row; reviews, emails and contacts get their own sheets
+const toBusinessRow = (row) => {
+  const { filtered_reviews: reviews, ...fields } = flattenBusinessFields(row);
+  return {
+    business_id: getResultKey(row),
+    ...fields,
+    reviews_count: Array.isArray(reviews) ? reviews.length : 0,
+  };
+};
+
+const toReviewRows = (row) =>
+  (Array.isArray(row.filtered_reviews) ? row.filtered_reviews : []).map((review, index) => ({
+    business_id: getResultKey(row),
+    business_name: row.name || "",
+    review_number: index + 1,
+    date: review?.date || "",
+    rating: review?.rating ?? "",
+    reviewer_name: review?.reviewerName || "",
+    text: sanitizeReviewText(review?.text),
+  }));
+
+const toEmailRows = (row) => {
+  const emails = Array.isArray(row.email) ? row.email : row.email ? [row.email] : [];
+  const details = row.email_verification?.details || [];
+
+  return emails.map((email, index) => {
+    const detail = details.find((entry) => entry.email === email);
+    return {
+      business_id: getResultKey(row),
+      business_name: row.name || "",
+      email,
+      status: row.email_status?.[index] || detail?.result || "unknown",
+      source: row.email_source?.[index] || "website",
+      score: row.email_score?.[index] ?? detail?.score ?? "",
+      reason: detail?.reason || "",
+      smtp_code: detail?.code ?? "",
+    };
+  });
+};
+
+const toContactRows = (row) =>
+  (Array.isArray(row.contacts) ? row.contacts : []).map((contact) => ({
+    business_id: getResultKey(row),
+    business_name: row.name || "",
+    name: contact?.name || "",
+    title: contact?.title || "",
+    email: contact?.email || "",
+    email_confidence: contact?.email_confidence ?? "",
+    source: contact?.source || "",
+    source_url: contact?.source_url || "",
+  }));
+
+const XLSX_SHEETS = [
+  { name: "Businesses", toRows: (row) => [toBusinessRow(row)] },
+  { name: "Reviews", toRows: toReviewRows },
+  { name: "Emails", toRows: toEmailRows },
+  { name: "Contacts", toRows: toContactRows },
+];
+
+// Each sheet is written in its own pass so only one is open in the zip at a
+// time. Sheets without fixed columns get theirs from an extra first pass.
+const sendXlsx = async (res, { basename, getRecords, sheets = XLSX_SHEETS }) => {
+  const columnsBySheet = sheets.map((sheet) => new Set(sheet.columns || []));
+  let recordCount = 0;
+  for await (const row of getRecords()) {
+    recordCount++;
+    if (sheets.every((sheet) => sheet.columns)) break;
+    sheets.forEach((sheet, index) => {
+      if (sheet.columns) return;
+      for (const sheetRow of sheet.toRows(row)) {
+        Object.keys(sheetRow).forEach((column) => columnsBySheet[index].add(column));
+      }
+    });
+  }
+  if (recordCount === 0) return false;
+
+  res.header(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.attachment(`${basename}.xlsx`);
+
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+
+  for (const [index, sheet] of sheets.entries()) {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.columns = [...columnsBySheet[index]].map((column) => ({
+      header: column,
+      key: column,
+    }));
+
+    for await (const row of getRecords()) {
+      assertOpen(res);
+      for (const sheetRow of sheet.toRows(row)) {
+        const cells = {};
+        for (const [column, value] of Object.entries(sheetRow)) {
+          cells[column] = toCellValue(value);
+        }
+        worksheet.addRow(cells).commit();
+      }
+    }
+    worksheet.commit();
+  }
+
+  // Finalizes the zip, which ends the response
+  await workbook.commit();
+  return true;
+};
+
+const SENDERS = {
+  csv: sendCsv,
+  xlsx: sendXlsx,
+  json: sendJson,
+  ndjson: sendNdjson,
+};
+
+// Template rows or raw records in the requested format
+const sendFormat = (res, { format = "csv", basename, getRecords, formatter = null }) => {
+  if (!formatter) {
+    return SENDERS[format](res, { basename, getRecords });
+  }
+
+  async function* getRows() {
+    for await (const record of getRecords()) {
+      yield* formatter.toRows(record);
+    }
+  }
+
+  switch (format) {
+    case "csv":
+      return sendCsv(res, {
+        basename,
+        getRecords: getRows,
+        toRow: (row) => row,
+        fields: formatter.headers,
+      });
+    case "xlsx":
+      return sendXlsx(res, {
+        basename,
+        getRecords: getRows,
+        sheets: [{ name: "Results", toRows: (row) => [row], columns: formatter.headers }],
+      });
+    default:
+      return SENDERS[format](res, { basename, getRecords: getRows });
+  }
+};
+
+/**
+ * Stream records to the response as a file attachment without holding them
+ * in memory. getRecords is called once per pass over the data.
+ *
+ * - csv: one row per business, first 2 reviews spread into columns
+ * - xlsx: Businesses, Reviews (all of them) and Emails (with verification
+ *   status) sheets, linked by business_id
+ * - json / ndjson: records as stored
+ *
+ * With an export template formatter every format carries the template's
+ * rows and columns instead (xlsx as a single sheet).
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.basename - Attachment file name without extension
+ * @param {Function} options.getRecords - Returns a fresh (async) iterable of records on each call
+ * @param {Object} [options.formatter] - From createTemplateFormatter
+ * @returns {Promise<boolean>} false when there were no records and nothing was
+ *   sent; true once sent, or once the client disconnected part way through
+ */
+export const sendResults = async (res, options) => {
+  try {
+    return await sendFormat(res, options);
+  } catch (error) {
+    if (error instanceof ResponseClosedError) return true;
+    throw error;
+  }
+};
@@ -0,0 +1,399 @@
+import { validateKeyword, sanitizeKeywordWithSeparators } from "./keywordSanitizer.js";
+import { DELTA_STATUSES } from "../models/jobModel.js";
+
+/**
+ * Credits reserved up front for a job (refunded later for records not found)
+ * @param {number} maxRecords
+ * @returns {number}
+ */
+export const estimateCreditsForRecords = (maxRecords) =>
+  Math.ceil((maxRecords / 10) * 10);
+
+const invalid = (status, body) => ({ ok: false, status, body });
+
+/**
+ * Plan-based maxRecords limit
+ * @param {Object} user - User document
+ * @param {number} maxRecords - Requested records for a single job
+ * @returns {{ ok: false, status: number, body: Object } | null} Error result or null when allowed
+ */
+export const checkPlanRecordLimit = (user, maxRecords) => {
+  const maxAllowedRecords = user.getMaxRecordsLimit();
+  if (maxRecords <= maxAllowedRecords) return null;
+
+  const planUpgradeMessage = user.plan === "free" 
+    ? "Free plans are limited to 50 records. Please upgrade to Pro plan for up to 1,000 records or Business plan for up to 3,000 records."
+    : user.plan === "pro"
+    ? "Pro plans are limited to 1,000 records. Please upgrade to Business plan for up to 3,000 records."
+    : "Please contact support for higher limits.";
+
+  return invalid(422, {
+    error: "Plan upgrade required",
+    message: planUpgradeMessage,
+    currentPlan: user.plan,
+    maxAllowed: maxAllowedRecords,
+    requested: maxRecords,
+    planLimits: {
+      free: 50,
+      pro: 1000,
+      business: 3000
+    }
+  });
+};
+
+/**
+ * Credit check only for users with limited extraction
+ * @param {Object} user - User document
+ * @param {number} requiredCredits - Credits to reserve
+ * @returns {{ ok: false, status: number, body: Object } | null} Error result or null when affordable
+ */
+export const checkSufficientCredits = (user, requiredCredits) => {
+  if (user.hasUnlimitedExtraction() || user.credits.remaining >= requiredCredits) {
+    return null;
+  }
+
+  return invalid(402, {
+    // error: "Insufficient credits",
+    error: "Plan upgrade required",
+    message:
+      "Looks like you're doing serious data extraction! Upgrade to Business plan for unlimited extractions and take your lead sourcing to the next level.",
+    required: requiredCredits,
+    available: user.credits.remaining,
+  });
+};
+
+/**
+ * Validate a scrape request body and build the normalized jobParams.
+ * Shared by single job submission, campaigns and saved searches.
+ * Plan limits and credits are checked by the caller since they need the user.
+ * @param {Object} body - Request body (same shape as POST /api/v1/scrape)
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Only used for logging
+ * @returns {{ ok: true, jobParams: Object, warnings: Object[] } | { ok: false, status: number, body: Object }}
+ */
+export const validateScrapeParams = (body = {}, { userId = null } = {}) => {
+  const warnings = [];
+
+  const {
+    keyword,
+    city = null,
+    countryCode,
+    stateCode = null,
+    maxRecords = 50, // Default value - will be validated against user's plan limit
+    ratingFilter = null,
+    reviewFilter = null,
+    reviewTimeRange = null,
+    isExtractEmail = false,
+    isValidate = false,
+    extractNegativeReviews = false,
+    avoidDuplicate = false,
+    onlyWithoutWebsite = false,
+    onlyWithoutAnalytics = false,
+    inferEmails = false,
+    deltaMode = false,
+    deltaKeep = ["new", "changed"],
+  } = body;
+
+  // Validate and sanitize keyword
+  if (!keyword) {
+    return invalid(400, {
+      error: "keyword is required",
+    });
+  }
+
+  // Sanitize keyword while preserving separators
+  const keywordSanitization = sanitizeKeywordWithSeparators(keyword);
+  
+  if (!keywordSanitization.isValid) {
+    return invalid(400, {
+      error: "Invalid keyword",
+      message: "Please provide a valid keyword with at least 2 characters",
+      details: keywordSanitization.warnings,
+      originalKeyword: keywordSanitization.original,
+      suggestions: [
+        "Use clear, descriptive terms",
+        "You can include multiple keywords separated by commas, semicolons, or pipes",
+        "Examples: 'restaurant', 'plumber, restaurant, cafe', 'dentist; doctor', 'spa | salon'"
+      ]
+    });
+  }
+
+  // Additional validation
+  const keywordValidation = validateKeyword(keywordSanitization.cleaned);
+  if (!keywordValidation.isValid) {
+    return invalid(400, {
+      error: "Keyword validation failed",
+      issues: keywordValidation.issues,
+      suggestions: keywordValidation.suggestions,
+      cleanedKeyword: keywordSanitization.cleaned
+    });
+  }
+
+  // Log sanitization for monitoring
+  if (keywordSanitization.warnings.length > 0) {
+    console.warn("KEYWORD_SANITIZATION", "Keyword was cleaned", {
+      original: keywordSanitization.original,
+      cleaned: keywordSanitization.cleaned,
+      warnings: keywordSanitization.warnings,
+      hasSeparators: keywordSanitization.hasSeparators,
+      separatorCount: keywordSanitization.separatorCount,
+      userId
+    });
+  }
+
+  // Use the cleaned keyword
+  const cleanKeyword = keywordSanitization.cleaned;
+
+  if (!countryCode) {
+    return invalid(400, {
+      error: "countryCode is required",
+    });
+  }
+
+  // Validate numeric parameters
+  if (maxRecords && (isNaN(maxRecords) || maxRecords < 1)) {
+    return invalid(400, {
+      error: "maxRecords must be a positive number",
+    });
+  }
+
+  if (ratingFilter) {
+    if (
+      !ratingFilter.operator ||
+      !["gt", "lt", "gte", "lte"].includes(ratingFilter.operator)
+    ) {
+      return invalid(400, {
+        error: "ratingFilter.operator must be one of: gt, lt, gte, lte",
+      });
+    }
+    if (
+      ratingFilter.value === undefined ||
+      isNaN(ratingFilter.value) ||
+      ratingFilter.value < 0 ||
+      ratingFilter.value > 5
+    ) {
+      return invalid(400, {
+        error: "ratingFilter.value must be a number between 0 and 5",
+      });
+    }
+
+    // Warn about potentially restrictive filters
+    const isRestrictiveFilter =
+      (ratingFilter.operator === "lte" && ratingFilter.value <= 3) ||
+      (ratingFilter.operator === "lt" && ratingFilter.value <= 3.5) ||
+      (ratingFilter.operator === "gte" && ratingFilter.value >= 4.8) ||
+      (ratingFilter.operator === "gt" && ratingFilter.value >= 4.5);
+
+    if (isRestrictiveFilter) {
+      console.warn(
+        "RESTRICTIVE_FILTER_WARNING",
+        "User applied potentially restrictive rating filter",
+        {
+          ratingFilter,
+          userId,
+          keyword,
+          warning:
+            "This filter may result in very few results or early termination",
+        }
+      );
+      warnings.push({
+        code: "RESTRICTIVE_RATING_FILTER",
+        message: `Rating filter "${ratingFilter.operator} ${ratingFilter.value}" may result in very few results or early termination`,
+      });
+    }
+  }
+
+  if (reviewFilter) {
+    if (
+      !reviewFilter.operator ||
+      !["gt", "lt", "gte", "lte"].includes(reviewFilter.operator)
+    ) {
+      return invalid(400, {
+        error: "reviewFilter.operator must be one of: gt, lt, gte, lte",
+      });
+    }
+    if (
+      reviewFilter.value === undefined ||
+      isNaN(reviewFilter.value) ||
+      reviewFilter.value < 0 ||
+      reviewFilter.value > 10000
+    ) {
+      return invalid(400, {
+        error: "reviewFilter.value must be a number between 0 and 10,000",
+      });
+    }
+
+    // Warn about potentially restrictive filters
+    const isRestrictiveFilter =
+      (reviewFilter.operator === "lte" && reviewFilter.value <= 5) ||
+      (reviewFilter.operator === "lt" && reviewFilter.value <= 3) ||
+      (reviewFilter.operator === "gte" && reviewFilter.value >= 1000) ||
+      (reviewFilter.operator === "gt" && reviewFilter.value >= 500);
+
+    if (isRestrictiveFilter) {
+      console.warn(
+        "RESTRICTIVE_REVIEW_FILTER_WARNING",
+        "User applied potentially restrictive review filter",
+        {
+          reviewFilter,
+          userId,
+          keyword,
+          warning:
+            "This filter may result in very few results or early termination",
+        }
+      );
+      warnings.push({
+        code: "RESTRICTIVE_REVIEW_FILTER",
+        message: `Review filter "${reviewFilter.operator} ${reviewFilter.value}" may result in very few results or early termination`,
+      });
+    }
+  }
+
+  if (
+    reviewTimeRange !== null &&
+    reviewTimeRange !== "" &&
+    (isNaN(reviewTimeRange) || reviewTimeRange < 0 || reviewTimeRange > 10)
+  ) {
+    return invalid(400, { error: "reviewTimeRange must be a number between 0 and 10" });
+  }
+
+  // Validate isExtractEmail parameter
+  if (isExtractEmail !== null && typeof isExtractEmail !== "boolean") {
+    return invalid(400, {
+      error: "isExtractEmail must be a boolean value (true or false)",
+    });
+  }
+
+  // Validate isValidate parameter
+  if (isValidate !== null && typeof isValidate !== "boolean") {
+    return invalid(400, {
+      error: "isValidate must be a boolean value (true or false)",
+    });
+  }
+
+  // Logical validation: isValidate can only be true if isExtractEmail is true
+  if (isValidate === true && isExtractEmail !== true) {
+    return invalid(400, {
+      error: "isValidate can only be true when isExtractEmail is also true",
+      message:
+        "Email validation requires email extraction to be enabled first",
+    });
+  }
+
+  // Validate onlyWithoutWebsite parameter
+  if (onlyWithoutWebsite !== null && typeof onlyWithoutWebsite !== "boolean") {
+    return invalid(400, {
+      error: "onlyWithoutWebsite must be a boolean value (true or false)",
+    });
+  }
+
+  // Logical validation: isExtractEmail and isValidate must be false if onlyWithoutWebsite is true
+  if (onlyWithoutWebsite === true) {
+    if (isExtractEmail === true) {
+      return invalid(400, {
+        error: "isExtractEmail cannot be true when onlyWithoutWebsite is true",
+        message:
+          "Email extraction is not available when filtering for businesses without websites",
+      });
+    }
+    if (isValidate === true) {
+      return invalid(400, {
+        error: "isValidate cannot be true when onlyWithoutWebsite is true",
+        message:
+          "Email validation is not available when filtering for businesses without websites",
+      });
+    }
+  }
+
+  // Validate onlyWithoutAnalytics parameter
+  if (onlyWithoutAnalytics !== null && typeof onlyWithoutAnalytics !== "boolean") {
+    return invalid(400, {
+      error: "onlyWithoutAnalytics must be a boolean value (true or false)",
+    });
+  }
+
+  if (onlyWithoutAnalytics === true && onlyWithoutWebsite === true) {
+    return invalid(400, {
+      error: "onlyWithoutAnalytics cannot be true when onlyWithoutWebsite is true",
+      message:
+        "Analytics can only be checked on businesses that have a website",
+    });
+  }
+
+  // Validate inferEmails parameter
+  if (inferEmails !== null && typeof inferEmails !== "boolean") {
+    return invalid(400, {
+      error: "inferEmails must be a boolean value (true or false)",
+    });
+  }
+
+  if (inferEmails === true && isExtractEmail !== true) {
+    return invalid(400, {
+      error: "inferEmails can only be true when isExtractEmail is also true",
+      message:
+        "Addresses are only guessed for websites where email extraction found none",
+    });
+  }
+
+  // Validate deltaMode parameter
+  if (deltaMode !== null && typeof deltaMode !== "boolean") {
+    return invalid(400, {
+      error: "deltaMode must be a boolean value (true or false)",
+    });
+  }
+
+  if (deltaMode === true) {
+    if (avoidDuplicate === true) {
+      return invalid(400, {
+        error: "avoidDuplicate cannot be true when deltaMode is true",
+        message:
+          "avoidDuplicate skips places you already scraped, so delta mode would never see them change",
+      });
+    }
+    if (
+      !Array.isArray(deltaKeep) ||
+      deltaKeep.length === 0 ||
+      deltaKeep.some((status) => !DELTA_STATUSES.includes(status))
+    ) {
+      return invalid(400, {
+        error: `deltaKeep must be a non-empty array of: ${DELTA_STATUSES.join(", ")}`,
+      });
+    }
+  }
+
+  if (onlyWithoutWebsite === true || onlyWithoutAnalytics === true) {
+    warnings.push({
+      code: "RESTRICTIVE_WEBSITE_FILTER",
+      message: onlyWithoutWebsite
+        ? "Only businesses without a website are kept, which may result in very few results"
+        : "Only businesses whose website has no analytics are kept, which may result in very few results",
+    });
+  }
+
+  // Create job parameters
+  // Ensure isExtractEmail and isValidate are false when onlyWithoutWebsite is true
+  const finalIsExtractEmail = onlyWithoutWebsite ? false : isExtractEmail;
+  const finalIsValidate = onlyWithoutWebsite ? false : isValidate;
+
+  const jobParams = {
+    keyword: cleanKeyword, // Use the keyword as-is (supports multiple keywords)
+    city: city ? city.trim() : null,
+    stateCode: stateCode ? stateCode.trim() : null,
+    countryCode: countryCode.trim().toUpperCase(),
+    maxRecords: parseInt(maxRecords),
+    ratingFilter: ratingFilter,
+    reviewFilter: reviewFilter,
+    reviewTimeRange: reviewTimeRange ? parseInt(reviewTimeRange) : null,
+    isExtractEmail: finalIsExtractEmail,
+    isValidate: finalIsValidate,
+    extractNegativeReviews: Boolean(extractNegativeReviews),
+    avoidDuplicate: Boolean(avoidDuplicate),
+    onlyWithoutWebsite: Boolean(onlyWithoutWebsite),
+    onlyWithoutAnalytics: Boolean(onlyWithoutAnalytics),
+    inferEmails: finalIsExtractEmail ? Boolean(inferEmails) : false,
+    deltaMode: Boolean(deltaMode),
+    deltaKeep: deltaMode ? [...new Set(deltaKeep)] : ["new", "changed"],
+  };
+
+  return { ok: true, jobParams, warnings };
+};
@@ -0,0 +1,59 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+const IV_BYTES = 12;
+
+/**
+ * 32-byte key derived from an env secret (any length)
+ * @param {string} envName - Environment variable holding the secret
+ * @returns {Buffer}
+ */
+const getKey = (envName) => {
+  const secret = process.env[envName];
+  if (!secret) {
+    throw new Error(`${envName} is not set; it is needed to encrypt and decrypt stored secrets`);
+  }
+  return createHash("sha256").update(secret).digest();
+};
+
+/**
+ * Encrypt a JSON-serializable value with AES-256-GCM
+ * @param {*} value
+ * @param {string} envName - Environment variable holding the key secret
+ * @returns {string} "v1:<iv>:<tag>:<ciphertext>", base64 parts
+ */
+export const encryptJson = (value, envName) => {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv(ALGORITHM, getKey(envName), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), "utf8"), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+    .join(":");
+};
+
+/**
+ * @param {string} value - Output of encryptJson
+ * @returns {boolean}
+ */
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(`${VERSION}:`);
+
+/**
+ * Decrypt a value from encryptJson
+ * @param {string} value
+ * @param {string} envName - Environment variable holding the key secret
+ * @returns {*}
+ * @throws {Error} When the value is not encrypted, the key is wrong or the
+ *   value was tampered with
+ */
+export const decryptJson = (value, envName) => {
+  if (!isEncrypted(value)) {
+    throw new Error(`Stored secret is not encrypted with ${envName}`);
+  }
+  const [, iv, tag, ciphertext] = value.split(":").map((part) => Buffer.from(part, "base64"));
+  const decipher = createDecipheriv(ALGORITHM, getKey(envName), iv);
+  decipher.setAuthTag(tag);
+  const plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return JSON.parse(plaintext.toString("utf8"));
+};